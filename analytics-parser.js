@@ -0,0 +1,398 @@
+// Analytics hit decoder for CAST
+// Deterministically decodes GA4, Universal Analytics, Meta Pixel, Segment, Adobe Analytics and GTM container requests
+// into structured event records - no API key, no tokens, no guessing.
+(function () {
+  // Parse a form-encoded string (query string or POST line) into a plain object
+  function parseFormEncoded(text) {
+    const out = {};
+    if (!text) return out;
+    try {
+      for (const [key, value] of new URLSearchParams(text).entries()) {
+        out[key] = value;
+      }
+    } catch (e) {
+      // Not form-encoded
+    }
+    return out;
+  }
+
+  function postDataToString(postData) {
+    if (!postData) return '';
+    return typeof postData === 'string' ? postData : JSON.stringify(postData);
+  }
+
+  // Split a batched body (GA4 / UA batch) into its individual hit lines
+  function splitHitLines(body) {
+    return body.split(/[\r\n\s]+/).map(line => line.trim()).filter(line => line.includes('='));
+  }
+
+  function isGA4Hit(call) {
+    const path = call.pathname || '';
+    return /\/g\/collect$/.test(path) || (/\/collect$/.test(path) && (call.queryParams || {}).v === '2');
+  }
+
+  function isUAHit(call) {
+    const host = call.host || '';
+    const path = call.pathname || '';
+    if (!/google-analytics\.com$/.test(host.split(':')[0])) return false;
+    return /^\/(r\/|j\/)?collect$/.test(path) || path === '/batch';
+  }
+
+  function isMetaPixelHit(call) {
+    const host = (call.host || '').split(':')[0];
+    return /(^|\.)facebook\.com$/.test(host) && /^\/tr\/?$/.test(call.pathname || '');
+  }
+
+  function isSegmentHit(call) {
+    const host = (call.host || '').split(':')[0];
+    return /(^|\.)(segment\.(io|com)|segmentapis\.com)$/.test(host) &&
+      /^\/v1\/(t|p|i|s|g|a|track|page|identify|screen|group|alias|batch|b)$/.test(call.pathname || '');
+  }
+
+  // AppMeasurement image requests (/b/ss/<report suite>/...) on Adobe or first-party tracking hosts
+  function isAdobeHit(call) {
+    return /^\/b\/ss\/[^/]+\//.test(call.pathname || '');
+  }
+
+  // Adobe Experience Platform Web SDK (alloy.js) edge requests
+  function isAdobeEdgeHit(call) {
+    return /(^|\.)adobedc\.net$/.test((call.host || '').split(':')[0]) && /^\/ee\/.*\/?(interact|collect)$/.test(call.pathname || '');
+  }
+
+  function isGTMLoad(call) {
+    const path = call.pathname || '';
+    const id = (call.queryParams || {}).id || '';
+    return (/\/gtm\.js$/.test(path) && /^GTM-/i.test(id)) || (/\/gtag\/js$/.test(path) && id);
+  }
+
+  // Hit delivery from the captured response (user-facing wording)
+  function describeDelivery(call) {
+    if (call.failed) {
+      return call.blockedReason ? `blocked (${call.blockedReason})` : `failed (${call.errorText || 'error'})`;
+    }
+    if (call.status != null) return `HTTP ${call.status}`;
+    return null;
+  }
+
+  function formatNotes(pairs) {
+    return pairs
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([key, value]) => `${key}=${value}`)
+      .join('; ');
+  }
+
+  function buildEvent(call, fields) {
+    const params = fields.params || {};
+    Object.keys(params).forEach((key) => {
+      if (params[key] === undefined) delete params[key];
+    });
+    return {
+      provider: fields.provider,
+      event_name: fields.event_name || null,
+      page_url: fields.page_url || call.pageUrl || null,
+      request_url: call.url || null,
+      account_id: fields.account_id || null,
+      client_id: fields.client_id || null,
+      params,
+      notes: fields.notes || null,
+      request_id: call.requestId || null,
+      delivery: describeDelivery(call),
+      source: 'parser'
+    };
+  }
+
+  // GA4: shared params live in the query string, each body line is one event
+  function decodeGA4(call) {
+    const shared = { ...(call.queryParams || {}) };
+    const body = postDataToString(call.postData);
+    const lines = body ? splitHitLines(body) : [];
+    const hits = lines.length ? lines.map(line => ({ ...shared, ...parseFormEncoded(line) })) : [shared];
+
+    return hits.filter(hit => hit.en).map((hit) => {
+      const params = {};
+      const userProperties = {};
+      for (const [key, value] of Object.entries(hit)) {
+        if (key.startsWith('ep.')) params[key.slice(3)] = value;
+        else if (key.startsWith('epn.')) params[key.slice(4)] = Number(value);
+        else if (key.startsWith('up.')) userProperties[key.slice(3)] = value;
+        else if (key.startsWith('upn.')) userProperties[key.slice(4)] = Number(value);
+        else if (/^pr\d+$/.test(key)) params[`item_${key.slice(2)}`] = value;
+      }
+      if (hit.cu) params.currency = hit.cu;
+      if (Object.keys(userProperties).length) params.user_properties = userProperties;
+
+      const paramNotes = Object.entries(params)
+        .filter(([key]) => key !== 'user_properties')
+        .map(([key, value]) => [`ep.${key}`, value]);
+
+      return buildEvent(call, {
+        provider: 'Google Analytics 4',
+        event_name: hit.en,
+        page_url: hit.dl,
+        account_id: hit.tid,
+        client_id: hit.cid,
+        params: {
+          ...params,
+          page_title: hit.dt || undefined,
+          page_load_id: hit._p || undefined,
+          session_id: hit.sid || undefined,
+          consent_state: hit.gcs || undefined,
+          consent_defaults: hit.gcd || undefined
+        },
+        notes: formatNotes([
+          ['tid', hit.tid],
+          ['cid', hit.cid],
+          ['dt', hit.dt],
+          ['_p', hit._p],
+          ['gcs', hit.gcs],
+          ...paramNotes,
+          ['delivery', describeDelivery(call)]
+        ])
+      });
+    });
+  }
+
+  // Universal Analytics: one hit per query string or batch body line, typed by "t"
+  function decodeUA(call) {
+    const body = postDataToString(call.postData);
+    const lines = body ? splitHitLines(body) : [];
+    const hits = lines.length ? lines.map(parseFormEncoded) : [call.queryParams || {}];
+
+    return hits.filter(hit => hit.t && hit.tid).map((hit) => {
+      const isEvent = hit.t === 'event';
+      const eventName = isEvent ? (hit.ea || 'event') : hit.t;
+      const params = {};
+      for (const key of ['ec', 'ea', 'el', 'ev', 'dp', 'dt', 'ni']) {
+        if (hit[key] !== undefined) params[key] = hit[key];
+      }
+      for (const [key, value] of Object.entries(hit)) {
+        if (/^(cd|cm)\d+$/.test(key)) params[key] = value;
+      }
+      return buildEvent(call, {
+        provider: 'Universal Analytics',
+        event_name: eventName,
+        page_url: hit.dl,
+        account_id: hit.tid,
+        client_id: hit.cid,
+        params,
+        notes: formatNotes([
+          ['tid', hit.tid],
+          ['t', hit.t],
+          ['ec', hit.ec],
+          ['ea', hit.ea],
+          ['el', hit.el],
+          ['ev', hit.ev],
+          ['delivery', describeDelivery(call)]
+        ])
+      });
+    });
+  }
+
+  // Meta Pixel: /tr with id (pixel), ev (event) and cd[...] custom data
+  function decodeMetaPixel(call) {
+    const body = postDataToString(call.postData);
+    const hit = { ...(call.queryParams || {}), ...(body && !body.trim().startsWith('{') ? parseFormEncoded(body) : {}) };
+    if (!hit.ev) return [];
+
+    const params = {};
+    for (const [key, value] of Object.entries(hit)) {
+      const match = key.match(/^cd\[(.+)\]$/);
+      if (match) params[match[1]] = value;
+    }
+    return [buildEvent(call, {
+      provider: 'Meta Pixel',
+      event_name: hit.ev,
+      page_url: hit.dl,
+      account_id: hit.id,
+      params,
+      notes: formatNotes([
+        ['id', hit.id],
+        ['ev', hit.ev],
+        ...Object.entries(params).map(([key, value]) => [`cd.${key}`, value]),
+        ['delivery', describeDelivery(call)]
+      ])
+    })];
+  }
+
+  function parseJsonBody(call) {
+    const body = postDataToString(call.postData).trim();
+    if (!body.startsWith('{')) return null;
+    try {
+      return JSON.parse(body);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Nested objects as dot-path keys (arrays stay whole)
+  function flattenObject(object, prefix = '', out = {}, depth = 0) {
+    Object.entries(object || {}).forEach(([key, value]) => {
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (value && typeof value === 'object' && !Array.isArray(value) && depth < 3) flattenObject(value, path, out, depth + 1);
+      else out[path] = value;
+    });
+    return out;
+  }
+
+  const SEGMENT_TYPES = { t: 'track', p: 'page', i: 'identify', s: 'screen', g: 'group', a: 'alias' };
+
+  // Segment: JSON body, one message per call or a { batch: [...] } of them
+  function decodeSegment(call) {
+    const body = parseJsonBody(call);
+    if (!body) return [];
+    const pathType = SEGMENT_TYPES[(call.pathname || '').split('/').pop()] || (call.pathname || '').split('/').pop();
+    const messages = Array.isArray(body.batch) ? body.batch : [{ type: pathType, ...body }];
+
+    return messages.filter(message => message && message.type).map((message) => {
+      const eventName = message.type === 'track' ? message.event : message.type;
+      const params = (message.type === 'identify' || message.type === 'group' ? message.traits : message.properties) || {};
+      if (message.type === 'page' && message.name) params.name = params.name ?? message.name;
+      return buildEvent(call, {
+        provider: 'Segment',
+        event_name: eventName,
+        page_url: message.context?.page?.url || params.url,
+        account_id: body.writeKey || message.writeKey,
+        client_id: message.anonymousId,
+        params: { ...params, user_id: message.userId || undefined },
+        notes: formatNotes([
+          ['type', message.type],
+          ['event', message.event],
+          ['userId', message.userId],
+          ['anonymousId', message.anonymousId],
+          ['delivery', describeDelivery(call)]
+        ])
+      });
+    });
+  }
+
+  // Adobe Analytics (AppMeasurement): page views, or link tracking when pe is set. Variables are
+  // renamed to their report names (v1 -> eVar1, c1 -> prop1) and context data keeps its dot path.
+  function decodeAdobe(call) {
+    const body = postDataToString(call.postData);
+    const query = new URLSearchParams(call.url && call.url.includes('?') ? call.url.slice(call.url.indexOf('?') + 1) : '');
+    const entries = [...query.entries(), ...(body && !body.trim().startsWith('{') ? new URLSearchParams(body).entries() : [])];
+    const hit = {};
+    const params = {};
+    const contextPath = [];
+    entries.forEach(([key, value]) => {
+      if (key.endsWith('.') && key.length > 1) {
+        contextPath.push(key.slice(0, -1));
+        return;
+      }
+      if (key.startsWith('.') && key.length > 1) {
+        contextPath.pop();
+        return;
+      }
+      if (contextPath.length) {
+        params[[...contextPath.slice(1), key].join('.')] = value;
+        return;
+      }
+      hit[key] = value;
+      const evar = key.match(/^v(\d+)$/);
+      const prop = key.match(/^c(\d+)$/);
+      if (evar) params[`eVar${evar[1]}`] = value;
+      else if (prop) params[`prop${prop[1]}`] = value;
+      else if (['pageName', 'events', 'products', 'purchaseID', 'server', 'pageType', 'campaign', 'state', 'zip'].includes(key)) params[key] = value;
+      else if (key === 'ch') params.channel = value;
+    });
+    const reportSuite = (call.pathname || '').split('/')[3] || null;
+    const isLink = !!hit.pe;
+    return [buildEvent(call, {
+      provider: 'Adobe Analytics',
+      event_name: isLink ? (hit.pev2 || hit.pe) : 'page_view',
+      page_url: hit.g,
+      account_id: reportSuite,
+      client_id: hit.mid || hit.aid || null,
+      params: { ...params, link_type: hit.pe || undefined, link_url: hit.pev1 || undefined },
+      notes: formatNotes([
+        ['rsid', reportSuite],
+        ['pageName', hit.pageName],
+        ['pe', hit.pe],
+        ['pev2', hit.pev2],
+        ['events', hit.events],
+        ['delivery', describeDelivery(call)]
+      ])
+    })];
+  }
+
+  // Adobe Web SDK: each event carries an XDM payload and free-form data
+  function decodeAdobeEdge(call) {
+    const body = parseJsonBody(call);
+    if (!body || !Array.isArray(body.events)) return [];
+    const skipped = new Set(['eventType', 'web', 'device', 'environment', 'placeContext', 'timestamp', 'implementationDetails', 'identityMap', '_id']);
+    return body.events.map((event) => {
+      const xdm = event.xdm || {};
+      const params = flattenObject(Object.fromEntries(Object.entries(xdm).filter(([key]) => !skipped.has(key))));
+      Object.assign(params, flattenObject(event.data || {}));
+      return buildEvent(call, {
+        provider: 'Adobe Analytics',
+        event_name: xdm.eventType || 'web.webpagedetails.pageViews',
+        page_url: xdm.web?.webPageDetails?.URL,
+        account_id: (call.queryParams || {}).configId,
+        params,
+        notes: formatNotes([
+          ['configId', (call.queryParams || {}).configId],
+          ['eventType', xdm.eventType],
+          ['pageName', xdm.web?.webPageDetails?.name],
+          ['delivery', describeDelivery(call)]
+        ])
+      });
+    });
+  }
+
+  // GTM / gtag.js container loads
+  function decodeGTMLoad(call) {
+    const params = call.queryParams || {};
+    const isGtag = /\/gtag\/js$/.test(call.pathname || '');
+    return [buildEvent(call, {
+      provider: 'Google Tag Manager',
+      event_name: isGtag ? 'gtag_load' : 'container_load',
+      account_id: params.id,
+      params: params.l && params.l !== 'dataLayer' ? { data_layer_name: params.l } : {},
+      notes: formatNotes([
+        ['id', params.id],
+        ['l', params.l],
+        ['gtm_auth', params.gtm_auth ? 'present' : null],
+        ['delivery', describeDelivery(call)]
+      ])
+    })];
+  }
+
+  // Decode one captured call. Returns [] for calls no decoder recognises.
+  function decodeCall(call) {
+    try {
+      if (isGA4Hit(call)) return decodeGA4(call);
+      if (isUAHit(call)) return decodeUA(call);
+      if (isMetaPixelHit(call)) return decodeMetaPixel(call);
+      if (isSegmentHit(call)) return decodeSegment(call);
+      if (isAdobeHit(call)) return decodeAdobe(call);
+      if (isAdobeEdgeHit(call)) return decodeAdobeEdge(call);
+      if (isGTMLoad(call)) return decodeGTMLoad(call);
+    } catch (e) {
+      console.warn('CAST: Failed to decode analytics hit:', call.url, e);
+    }
+    return [];
+  }
+
+  // Decode a list of calls. decodedCalls lists the calls fully handled by a decoder,
+  // so the AI pass can skip them and focus on the long tail.
+  function decodeCalls(calls = []) {
+    const events = [];
+    const decodedCalls = [];
+    for (const call of calls) {
+      const decoded = decodeCall(call);
+      if (decoded.length) {
+        events.push(...decoded);
+        decodedCalls.push(call);
+      }
+    }
+    return { events, decodedCalls };
+  }
+
+  // Make available globally for service worker
+  self.CASTAnalyticsParser = {
+    decodeCall,
+    decodeCalls,
+    parseFormEncoded
+  };
+})();
@@ -1,5 +1,23 @@
-// RAG module no longer needed - using direct batch processing instead
-// importScripts('rag.js');
+importScripts('vector-index.js');
+importScripts('local-embedder.js');
+importScripts('rag.js');
+importScripts('analytics-parser.js');
+importScripts('tech-fingerprint.js');
+importScripts('session-diff.js');
+importScripts('crawl-rules.js');
+importScripts('sitemap.js');
+importScripts('templates.js');
+importScripts('providers.js');
+importScripts('schemas.js');
+importScripts('rate-limit.js');
+importScripts('usage.js');
+importScripts('prompts.js');
+importScripts('session-qa.js');
+importScripts('consent-audit.js');
+importScripts('har.js');
+importScripts('tracking-plan.js');
+importScripts('report.js');
+importScripts('datalayer.js');
 
 let maxDepth = 2; // Default depth, can be overridden by user input
 let pageLimit = null; // Optional max pages to visit per crawl
@@ -9,6 +27,7 @@ let queue = [];
 let visited = new Set();
 let allDiscoveredLinks = new Set(); // Index of all discovered links before visiting
 let crawlActive = false;
+let crawlPaused = false; // Paused crawls keep their frontier; processNext waits until resumed
 let activeTabId = null;
 let origin = null;
 let currentTask = null;
@@ -17,20 +36,187 @@ let pageTimeout = null; // Timeout for page loading
 const PAGE_LOAD_TIMEOUT = 15000; // 15 seconds max per page
 const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
-// Promise timeout helper to avoid indefinite hangs
+// Promise timeout helper to avoid indefinite hangs. Pass a function instead of a promise to get an
+// AbortSignal that fires on timeout, so the work behind it (e.g. a fetch) is cancelled too.
 function withTimeout(promise, ms, label = "Timeout") {
+  const controller = typeof promise === 'function' ? new AbortController() : null;
+  let timer;
   return Promise.race([
-    promise,
-    new Promise((_, reject) =>
-      setTimeout(() => reject(new Error(`${label} after ${ms}ms`)), ms)
-    )
-  ]);
+    controller ? promise(controller.signal) : promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        reject(new Error(`${label} after ${ms}ms`));
+        if (controller) controller.abort();
+      }, ms);
+    })
+  ]).finally(() => clearTimeout(timer));
 }
 
 // IndexedDB for network calls persistence and AI results
 let networkCallsDB = null;
 const NETWORK_CALLS_DB_NAME = 'CAST_NetworkCalls_DB';
-const NETWORK_CALLS_DB_VERSION = 3; // Increment version to add new tables
+const NETWORK_CALLS_DB_VERSION = 12; // Increment version to add new tables
+
+// Response capture: bodies are only fetched for analytics/config endpoints to keep storage small
+const RESPONSE_BODY_URL_PATTERN = /(googletagmanager\.com\/(gtm\.js|gtag\/js)|connect\.facebook\.net\/signals\/config|cdn\.segment\.com\/v1\/projects|\/config(\.json)?(\?|$)|\/analytics[^?]*\.json(\?|$))/i;
+const MAX_RESPONSE_BODY_SIZE = 200000;
+// Response headers that reveal hosting, CDN, server or framework details
+const TECH_RESPONSE_HEADERS = ['server', 'x-powered-by', 'cf-ray', 'cf-cache-status', 'via', 'x-cache', 'x-served-by', 'x-vercel-id', 'x-nf-request-id', 'x-amz-cf-id', 'x-akamai-transformed', 'x-generator', 'x-drupal-cache', 'x-shopify-stage', 'x-wix-request-id', 'content-type'];
+let captureResponseBodies = true;
+const pendingResponseBodies = new Map(); // requestId -> url for responses whose body we want
+
+// Stores holding per-session data (keyed by sessionId index); the sessions store holds one record per audit
+const SESSION_DATA_STORES = ['networkCalls', 'techStackResults', 'analyticsEventsResults', 'uniqueUrls', 'pageSnapshots', 'batchLedger', 'aiUsage', 'consentAudit', 'strategyRecommendations', 'dataLayerEvents'];
+// Session retention: 'startup' wipes everything on browser start, 'forever' keeps all sessions
+const SESSION_RETENTION_DAYS = { '7d': 7, '30d': 30 };
+
+chrome.storage.local.get(['captureResponseBodies'], (res) => {
+  captureResponseBodies = res.captureResponseBodies !== false;
+});
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.captureResponseBodies) {
+    captureResponseBodies = changes.captureResponseBodies.newValue !== false;
+  }
+});
+
+// Provider keys/endpoints and the per-task provider + model choice (see providers.js)
+const MODEL_SETTING_KEYS = ['geminiApiKey', 'openaiCompatible', 'anthropicApiKey', 'aiTaskModels'];
+
+async function getModelConfig(task) {
+  const settings = await chrome.storage.local.get(MODEL_SETTING_KEYS);
+  return self.CASTProviders.resolveModelConfig(settings, task);
+}
+
+// Concurrency and requests/tokens-per-minute budgets for AI batch calls (see rate-limit.js)
+async function getAIRateLimits() {
+  const { aiRateLimits } = await chrome.storage.local.get(['aiRateLimits']);
+  return self.CASTRateLimit.normalizeLimits(aiRateLimits || {});
+}
+
+// Active version of a prompt from the library (see prompts.js), rendered with the configured variables.
+// siteName falls back to the hostname of siteUrl or the crawl origin. Returns { system, version }, where version is
+// the template label plus a short hash of the rendered prompt, so runs with different variables stay distinguishable.
+async function loadPrompt(id, siteUrl) {
+  const stored = await chrome.storage.local.get([self.CASTPrompts.STORAGE_KEY]);
+  const library = self.CASTPrompts.normalizeLibrary(stored[self.CASTPrompts.STORAGE_KEY]);
+  const prompt = self.CASTPrompts.getActivePrompt(library, id);
+  const variables = { ...library.variables };
+  if (!variables.siteName.trim()) {
+    try {
+      variables.siteName = new URL(siteUrl || origin).hostname.replace(/^www\./, '');
+    } catch (e) {
+      variables.siteName = '';
+    }
+  }
+  const system = self.CASTPrompts.renderPrompt(prompt.template, variables);
+  return { system, version: `${prompt.label} #${(await sha256Hex(system)).slice(0, 8)}` };
+}
+
+// rag.js embedder over the configured Retrieval embeddings provider. Token usage is recorded per session;
+// failures are counted because rag.js falls back to hash vectors instead of throwing.
+// The 'local' provider is the in-extension TF-IDF embedder (local-embedder.js): no key, no network.
+async function getEmbedder(sessionId) {
+  const { aiTaskModels } = await chrome.storage.local.get(['aiTaskModels']);
+  if (aiTaskModels?.embedding?.provider === 'local') return self.CASTLocalEmbedder.createEmbedder();
+  const config = await getModelConfig('embedding');
+  if (!self.CASTProviders.supportsEmbeddings(config)) {
+    throw new Error(`${config.label} has no embeddings API. Pick Google Gemini or an OpenAI-compatible endpoint under Retrieval Embeddings.`);
+  }
+  if (!self.CASTProviders.isConfigured(config)) throw new Error(describeMissingModelConfig(config));
+  const embedder = {
+    id: `${config.provider}:${config.model}`,
+    model: config.model,
+    successes: 0,
+    failures: 0,
+    lastError: null,
+    async embed(texts) {
+      try {
+        const result = await self.CASTProviders.embed(config, texts);
+        embedder.successes++;
+        await recordAIUsage(config, result.usage, { sessionId, task: 'embedding' });
+        return result.vectors;
+      } catch (error) {
+        embedder.failures++;
+        embedder.lastError = error;
+        throw error;
+      }
+    }
+  };
+  return embedder;
+}
+
+// 'batch' sends every selected call in token-sized batches; 'retrieval' embeds them and sends what the queries retrieve
+async function getAnalysisMode() {
+  const { aiAnalysisMode } = await chrome.storage.local.get(['aiAnalysisMode']);
+  return aiAnalysisMode === 'retrieval' ? 'retrieval' : 'batch';
+}
+
+async function getRetrievalQueries() {
+  const { ragQueries } = await chrome.storage.local.get(['ragQueries']);
+  const queries = (Array.isArray(ragQueries) ? ragQueries : []).map(query => String(query).trim()).filter(Boolean);
+  return queries.length ? queries : self.CASTRAG.DEFAULT_QUERIES;
+}
+
+// Configured price overrides merged over the defaults in usage.js
+async function getPriceTable() {
+  const { aiPriceTable } = await chrome.storage.local.get(['aiPriceTable']);
+  return self.CASTUsage.resolvePriceTable(aiPriceTable);
+}
+
+// Store the provider-reported token counts for one AI call; context is { sessionId, task, batchId, pageUrl }
+async function recordAIUsage(modelConfig, usage, context = {}) {
+  try {
+    await addEntriesToStore('aiUsage', [{
+      sessionId: context.sessionId || null,
+      task: context.task || modelConfig.task,
+      batchId: context.batchId || null,
+      pageUrl: context.pageUrl || null,
+      promptVersion: context.promptVersion || null,
+      repair: !!context.repair,
+      provider: modelConfig.provider,
+      model: modelConfig.model,
+      inputTokens: usage?.inputTokens || 0,
+      outputTokens: usage?.outputTokens || 0,
+      totalTokens: usage?.totalTokens || (usage?.inputTokens || 0) + (usage?.outputTokens || 0),
+      timestamp: Date.now()
+    }]);
+  } catch (error) {
+    console.warn('CAST: Failed to record AI usage:', error);
+  }
+}
+
+function describeMissingModelConfig(config) {
+  return config.provider === 'openai'
+    ? `No ${config.label} endpoint configured. Please set it in Configuration.`
+    : `No ${config.label} API key found. Please configure it first.`;
+}
+
+// Compiled crawl rules (include/exclude, path prefix, stripped params) for the crawl's origin
+let crawlRules = null;
+
+// Parsed robots.txt for the crawl's origin when "Obey robots.txt Disallow" is on
+let crawlRobots = null;
+const MAX_SITEMAP_SEED_URLS = 5000;
+
+// Page templates (URLs grouped by path pattern + DOM structure) for the running crawl.
+// In 'sample' mode only samplesPerTemplate pages of each template are visited.
+let templateIndex = self.CASTTemplates.createTemplateIndex();
+let crawlMode = 'full';
+let samplesPerTemplate = 3;
+
+// Load the rules saved for a site from CAST_crawlRules
+async function loadCrawlRules(siteOrigin) {
+  const res = await chrome.storage.local.get(['CAST_crawlRules']);
+  const saved = (res.CAST_crawlRules || {})[siteOrigin];
+  if (!saved) {
+    crawlRules = null;
+    return null;
+  }
+  const { rules, errors } = self.CASTCrawlRules.compileCrawlRules(saved);
+  if (errors.length) console.warn('CAST: Ignoring invalid crawl rules:', errors);
+  crawlRules = rules;
+  return rules;
+}
 
 // Normalize URL to remove fragments and normalize query params for deduplication
 function normalizeUrl(url) {
@@ -38,6 +224,8 @@ function normalizeUrl(url) {
     const u = new URL(url);
     // Remove fragment (hash)
     u.hash = '';
+    // Drop tracking / facet params configured for this site so variants collapse to one URL
+    self.CASTCrawlRules.stripQueryParams(u, crawlRules);
     // Sort query params for consistent comparison
     const params = Array.from(u.searchParams.entries()).sort((a, b) => a[0].localeCompare(b[0]));
     u.search = '';
@@ -59,7 +247,7 @@ async function clearEntireDatabase() {
     }
   }
   
-  const stores = ['networkCalls', 'techStackResults', 'analyticsEventsResults'];
+  const stores = [...SESSION_DATA_STORES, 'crawlState', 'sessions'];
   const clearPromises = stores.map(storeName => {
     return new Promise((resolve, reject) => {
       if (!networkCallsDB.objectStoreNames.contains(storeName)) {
@@ -76,6 +264,7 @@ async function clearEntireDatabase() {
   
   try {
     await Promise.all(clearPromises);
+    await new self.CASTRAG().clearAll();
     console.log('CAST: All IndexedDB data cleared on startup.');
   } catch (error) {
     console.error('CAST: Error clearing database on startup:', error);
@@ -88,11 +277,23 @@ chrome.action.onClicked.addListener((tab) => {
   chrome.sidePanel.open({ windowId: tab.windowId });
 });
 
-// Clear data on browser startup (session-only persistence)
+// Apply the session retention setting on browser startup (default: session-only persistence)
 chrome.runtime.onStartup.addListener(() => {
-  console.log('CAST: Browser started, clearing previous session data...');
-  clearEntireDatabase();
-  chrome.storage.local.remove(['CAST_currentSessionId', 'CAST_crawlActive', 'CAST_crawlStatus']);
+  chrome.storage.local.get(['sessionRetention'], async (res) => {
+    const retention = res.sessionRetention || 'startup';
+    if (retention === 'startup') {
+      console.log('CAST: Browser started, clearing previous session data...');
+      await clearEntireDatabase();
+      chrome.storage.local.remove(['CAST_currentSessionId', 'CAST_crawlActive', 'CAST_manualModeActive', 'CAST_crawlStatus']);
+      return;
+    }
+    chrome.storage.local.remove(['CAST_crawlActive', 'CAST_manualModeActive', 'CAST_crawlStatus']);
+    try {
+      await pruneExpiredSessions(retention);
+    } catch (error) {
+      console.error('CAST: Error applying session retention:', error);
+    }
+  });
 });
 
 // Initialize IndexedDB for network calls storage
@@ -152,49 +353,275 @@ async function initNetworkCallsDB() {
           urlStore.createIndex('timestamp', 'timestamp', { unique: false });
         }
       }
+
+      // Index network calls by request ID so responses can be joined to requests (version 4+)
+      if (oldVersion < 4) {
+        const callStore = event.target.transaction.objectStore('networkCalls');
+        if (!callStore.indexNames.contains('sessionRequest')) {
+          callStore.createIndex('sessionRequest', ['sessionId', 'requestId'], { unique: false });
+        }
+      }
+
+      // Page signals (meta tags, scripts, cookies, globals) for tech fingerprinting (version 5+)
+      if (oldVersion < 5) {
+        if (!db.objectStoreNames.contains('pageSnapshots')) {
+          const snapshotStore = db.createObjectStore('pageSnapshots', { keyPath: 'id', autoIncrement: true });
+          snapshotStore.createIndex('sessionId', 'sessionId', { unique: false });
+          snapshotStore.createIndex('sessionPage', ['sessionId', 'pageUrl'], { unique: true });
+          snapshotStore.createIndex('timestamp', 'timestamp', { unique: false });
+        }
+      }
+
+      // Session history: one record per crawl / manual recording (version 6+)
+      if (oldVersion < 6) {
+        if (!db.objectStoreNames.contains('sessions')) {
+          const sessionStore = db.createObjectStore('sessions', { keyPath: 'id' });
+          sessionStore.createIndex('origin', 'origin', { unique: false });
+          sessionStore.createIndex('startTime', 'startTime', { unique: false });
+        }
+      }
+
+      // Crawl frontier per session so a crawl survives service-worker restarts (version 7+)
+      if (oldVersion < 7) {
+        if (!db.objectStoreNames.contains('crawlState')) {
+          const crawlStore = db.createObjectStore('crawlState', { keyPath: 'sessionId' });
+          crawlStore.createIndex('sessionId', 'sessionId', { unique: true });
+        }
+      }
+
+      // AI batch ledger: one record per content-hashed batch so re-runs skip finished work (version 8+)
+      if (oldVersion < 8) {
+        if (!db.objectStoreNames.contains('batchLedger')) {
+          const ledgerStore = db.createObjectStore('batchLedger', { keyPath: 'id' });
+          ledgerStore.createIndex('sessionId', 'sessionId', { unique: false });
+          ledgerStore.createIndex('status', 'status', { unique: false });
+        }
+      }
+
+      // Token usage per AI call, tied to session, task and batch (version 9+)
+      if (oldVersion < 9) {
+        if (!db.objectStoreNames.contains('aiUsage')) {
+          const usageStore = db.createObjectStore('aiUsage', { keyPath: 'id', autoIncrement: true });
+          usageStore.createIndex('sessionId', 'sessionId', { unique: false });
+          usageStore.createIndex('task', 'task', { unique: false });
+          usageStore.createIndex('timestamp', 'timestamp', { unique: false });
+        }
+      }
+
+      // Consent audit reports: one record per page with its three consent-state passes (version 10+)
+      if (oldVersion < 10) {
+        if (!db.objectStoreNames.contains('consentAudit')) {
+          const auditStore = db.createObjectStore('consentAudit', { keyPath: 'id', autoIncrement: true });
+          auditStore.createIndex('sessionId', 'sessionId', { unique: false });
+          auditStore.createIndex('timestamp', 'timestamp', { unique: false });
+        }
+      }
+
+      // Strategy recommendations per page, kept for the client report (version 11+)
+      if (oldVersion < 11) {
+        if (!db.objectStoreNames.contains('strategyRecommendations')) {
+          const strategyStore = db.createObjectStore('strategyRecommendations', { keyPath: 'id', autoIncrement: true });
+          strategyStore.createIndex('sessionId', 'sessionId', { unique: false });
+          strategyStore.createIndex('sessionPage', ['sessionId', 'pageUrl'], { unique: false });
+          strategyStore.createIndex('timestamp', 'timestamp', { unique: false });
+        }
+      }
+
+      // Data layer pushes recorded by content/datalayer-hook.js (version 12+)
+      if (oldVersion < 12) {
+        if (!db.objectStoreNames.contains('dataLayerEvents')) {
+          const dataLayerStore = db.createObjectStore('dataLayerEvents', { keyPath: 'id', autoIncrement: true });
+          dataLayerStore.createIndex('sessionId', 'sessionId', { unique: false });
+          dataLayerStore.createIndex('sessionPage', ['sessionId', 'pageUrl'], { unique: false });
+          dataLayerStore.createIndex('timestamp', 'timestamp', { unique: false });
+        }
+      }
+    };
+  });
+}
+
+// Lowercase header names so lookups don't depend on server casing
+function normalizeHeaders(headers) {
+  const normalized = {};
+  for (const [key, value] of Object.entries(headers || {})) {
+    normalized[key.toLowerCase()] = value;
+  }
+  return normalized;
+}
+
+// Copy the response fields we keep from a CDP Network.Response onto a stored call
+function applyResponseToRecord(record, response) {
+  if (!response) return;
+  record.status = response.status ?? null;
+  record.statusText = response.statusText || '';
+  record.mimeType = response.mimeType || '';
+  record.protocol = response.protocol || null;
+  record.remoteIPAddress = response.remoteIPAddress || null;
+  record.responseHeaders = normalizeHeaders(response.headers);
+  record.fromCache = !!(response.fromDiskCache || response.fromPrefetchCache || response.fromServiceWorker);
+  record.timing = response.timing || null;
+}
+
+// Build the stored record for a Network.requestWillBeSent event
+function buildRequestRecord(sessionId, pageUrl, params) {
+  const req = params?.request;
+  if (!req || !req.url) return null;
+
+  let urlObj;
+  try {
+    urlObj = new URL(req.url);
+  } catch (e) {
+    return null; // Invalid URL, skip
+  }
+
+  return {
+    sessionId,
+    pageUrl,
+    url: req.url,
+    method: req.method || "GET",
+    host: urlObj.host,
+    pathname: urlObj.pathname,
+    queryParams: Object.fromEntries(urlObj.searchParams.entries()),
+    headerValues: req.headers || {},
+    postData: req.postData || null,
+    requestId: params.requestId || null,
+    resourceType: params.type || null,
+    requestTimestamp: params.timestamp ?? null, // CDP monotonic seconds, used for durations
+    wallTime: params.wallTime ?? null,
+    status: null,
+    failed: false,
+    timestamp: Date.now()
+  };
+}
+
+// Apply an update to the most recent call stored for (sessionId, requestId)
+async function updateNetworkCallByRequestId(sessionId, requestId, updater) {
+  if (!sessionId || !requestId) return false;
+  if (!networkCallsDB) await initNetworkCallsDB();
+
+  return new Promise((resolve, reject) => {
+    const transaction = networkCallsDB.transaction(['networkCalls'], 'readwrite');
+    const index = transaction.objectStore('networkCalls').index('sessionRequest');
+    const request = index.openCursor(IDBKeyRange.only([sessionId, requestId]), 'prev');
+    request.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) {
+        resolve(false);
+        return;
+      }
+      const record = cursor.value;
+      updater(record);
+      cursor.update(record);
+      resolve(true);
     };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Fetch a response body through the debugger and attach it to the stored call
+function captureResponseBody(sessionId, requestId) {
+  if (!activeTabId) return;
+  chrome.debugger.sendCommand({ tabId: activeTabId }, "Network.getResponseBody", { requestId }, (result) => {
+    if (chrome.runtime.lastError || !result) return; // Body evicted or unavailable
+    let body = result.body || '';
+    if (result.base64Encoded) return; // Binary payloads are not useful for analysis
+    if (body.length > MAX_RESPONSE_BODY_SIZE) {
+      body = body.slice(0, MAX_RESPONSE_BODY_SIZE) + '...[truncated]';
+    }
+    updateNetworkCallByRequestId(sessionId, requestId, (record) => {
+      record.responseBody = body;
+    }).catch(err => console.warn('CAST: Failed to store response body:', err));
   });
 }
 
-// Save a network call to IndexedDB incrementally
-async function saveNetworkCallToDB(sessionId, pageUrl, event) {
+// Save a network event to IndexedDB incrementally.
+// Requests create a record; responses, completion and failures are joined onto it by requestId.
+// extra: fields stored on the request record (e.g. the consent audit state it was captured in)
+async function saveNetworkCallToDB(sessionId, pageUrl, event, extra = {}) {
   if (!currentSessionId || !sessionId) return; // No active session
   
   try {
     if (!networkCallsDB) {
       await initNetworkCallsDB();
     }
-    
-    if (event.method !== "Network.requestWillBeSent") return;
-    
-    const req = event.params?.request;
-    if (!req || !req.url) return;
-    
-    let urlObj;
-    try {
-      urlObj = new URL(req.url);
-    } catch (e) {
-      return; // Invalid URL, skip
+
+    const params = event.params || {};
+    const requestId = params.requestId || null;
+
+    if (event.method === "Network.requestWillBeSent") {
+      const networkCall = buildRequestRecord(sessionId, pageUrl, params);
+      if (!networkCall) return;
+      Object.assign(networkCall, extra);
+
+      if (captureResponseBodies && requestId && RESPONSE_BODY_URL_PATTERN.test(networkCall.url)) {
+        pendingResponseBodies.set(requestId, networkCall.url);
+      }
+
+      // Redirect hops reuse the requestId: close out the previous hop in the same
+      // transaction so a later response can't be joined onto the wrong record
+      await new Promise((resolve, reject) => {
+        const transaction = networkCallsDB.transaction(['networkCalls'], 'readwrite');
+        const store = transaction.objectStore('networkCalls');
+        const addCall = () => {
+          const addRequest = store.add(networkCall);
+          addRequest.onsuccess = () => resolve();
+          addRequest.onerror = () => reject(addRequest.error);
+        };
+
+        if (!params.redirectResponse || !requestId) {
+          addCall();
+          return;
+        }
+        const cursorRequest = store.index('sessionRequest').openCursor(IDBKeyRange.only([sessionId, requestId]), 'prev');
+        cursorRequest.onsuccess = (e) => {
+          const cursor = e.target.result;
+          if (cursor) {
+            const previous = cursor.value;
+            applyResponseToRecord(previous, params.redirectResponse);
+            previous.redirectURL = networkCall.url;
+            cursor.update(previous);
+          }
+          addCall();
+        };
+        cursorRequest.onerror = () => reject(cursorRequest.error);
+      });
+      return;
+    }
+
+    if (event.method === "Network.responseReceived") {
+      await updateNetworkCallByRequestId(sessionId, requestId, (record) => {
+        applyResponseToRecord(record, params.response);
+        if (params.type && !record.resourceType) record.resourceType = params.type;
+      });
+      return;
+    }
+
+    if (event.method === "Network.loadingFinished") {
+      await updateNetworkCallByRequestId(sessionId, requestId, (record) => {
+        record.encodedDataLength = params.encodedDataLength ?? null;
+        if (typeof record.requestTimestamp === 'number' && typeof params.timestamp === 'number') {
+          record.durationMs = Math.round((params.timestamp - record.requestTimestamp) * 1000);
+        }
+      });
+      if (pendingResponseBodies.has(requestId)) {
+        pendingResponseBodies.delete(requestId);
+        captureResponseBody(sessionId, requestId);
+      }
+      return;
+    }
+
+    if (event.method === "Network.loadingFailed") {
+      pendingResponseBodies.delete(requestId);
+      await updateNetworkCallByRequestId(sessionId, requestId, (record) => {
+        record.failed = true;
+        record.errorText = params.errorText || '';
+        record.canceled = !!params.canceled;
+        record.blockedReason = params.blockedReason || null;
+        if (typeof record.requestTimestamp === 'number' && typeof params.timestamp === 'number') {
+          record.durationMs = Math.round((params.timestamp - record.requestTimestamp) * 1000);
+        }
+      });
     }
-    
-    const networkCall = {
-      sessionId,
-      pageUrl,
-      url: req.url,
-      method: req.method || "GET",
-      host: urlObj.host,
-      pathname: urlObj.pathname,
-      queryParams: Object.fromEntries(urlObj.searchParams.entries()),
-      headerValues: req.headers || {},
-      postData: req.postData || null,
-      requestId: event.params?.requestId || null,
-      timestamp: Date.now()
-    };
-    
-    const transaction = networkCallsDB.transaction(['networkCalls'], 'readwrite');
-    const store = transaction.objectStore('networkCalls');
-    await store.add(networkCall);
-    
   } catch (error) {
     // Handle quota exceeded or other errors gracefully
     if (error.name === 'QuotaExceededError') {
@@ -206,6 +633,39 @@ async function saveNetworkCallToDB(sessionId, pageUrl, event) {
   }
 }
 
+// Shape a stored call for analysis and exports
+function formatNetworkCall(call) {
+  return {
+    pageUrl: call.pageUrl,
+    url: call.url,
+    method: call.method,
+    host: call.host,
+    pathname: call.pathname,
+    queryParams: call.queryParams || {},
+    headerValues: call.headerValues || {},
+    postData: call.postData || null,
+    requestId: call.requestId,
+    resourceType: call.resourceType || null,
+    status: call.status ?? null,
+    statusText: call.statusText || '',
+    mimeType: call.mimeType || '',
+    protocol: call.protocol || null,
+    remoteIPAddress: call.remoteIPAddress || null,
+    responseHeaders: call.responseHeaders || {},
+    responseBody: call.responseBody || null,
+    redirectURL: call.redirectURL || null,
+    fromCache: !!call.fromCache,
+    timing: call.timing || null,
+    wallTime: call.wallTime ?? null,
+    durationMs: call.durationMs ?? null,
+    encodedDataLength: call.encodedDataLength ?? null,
+    failed: !!call.failed,
+    errorText: call.errorText || null,
+    blockedReason: call.blockedReason || null,
+    timestamp: call.timestamp
+  };
+}
+
 // Retrieve network calls from IndexedDB by session ID
 async function getNetworkCallsFromDB(sessionId) {
   if (!sessionId) return { flat: [], byPage: {} };
@@ -227,32 +687,13 @@ async function getNetworkCallsFromDB(sessionId) {
         const byPage = {};
         
         for (const call of calls) {
-          flat.push({
-            pageUrl: call.pageUrl,
-            url: call.url,
-            method: call.method,
-            host: call.host,
-            pathname: call.pathname,
-            queryParams: call.queryParams || {},
-            headerValues: call.headerValues || {},
-            postData: call.postData || null,
-            requestId: call.requestId
-          });
+          const formatted = formatNetworkCall(call);
+          flat.push(formatted);
           
           if (!byPage[call.pageUrl]) {
             byPage[call.pageUrl] = [];
           }
-          byPage[call.pageUrl].push({
-            pageUrl: call.pageUrl,
-            url: call.url,
-            method: call.method,
-            host: call.host,
-            pathname: call.pathname,
-            queryParams: call.queryParams || {},
-            headerValues: call.headerValues || {},
-            postData: call.postData || null,
-            requestId: call.requestId
-          });
+          byPage[call.pageUrl].push(formatted);
         }
         
         resolve({ flat, byPage });
@@ -269,37 +710,6 @@ async function getNetworkCallsFromDB(sessionId) {
   }
 }
 
-// Clear network calls for a session
-async function clearNetworkCallsForSession(sessionId) {
-  if (!sessionId || !networkCallsDB) return;
-  
-  try {
-    return new Promise((resolve, reject) => {
-      const transaction = networkCallsDB.transaction(['networkCalls'], 'readwrite');
-      const store = transaction.objectStore('networkCalls');
-      const index = store.index('sessionId');
-      const request = index.getAll(sessionId);
-      
-      request.onsuccess = () => {
-        const records = request.result;
-        const deletePromises = records.map(record => {
-          return new Promise((res, rej) => {
-            const delReq = store.delete(record.id);
-            delReq.onsuccess = () => res();
-            delReq.onerror = () => rej(delReq.error);
-          });
-        });
-        
-        Promise.all(deletePromises).then(resolve).catch(reject);
-      };
-      
-      request.onerror = () => reject(request.error);
-    });
-  } catch (error) {
-    console.error('Error clearing network calls:', error);
-  }
-}
-
 async function countStoreEntries(storeName, sessionId) {
   if (!networkCallsDB) await initNetworkCallsDB();
   if (!networkCallsDB.objectStoreNames.contains(storeName)) return 0;
@@ -328,9 +738,13 @@ async function fetchStoreRecords(storeName, sessionId) {
     const transaction = networkCallsDB.transaction([storeName], 'readonly');
     const store = transaction.objectStore(storeName);
     let request;
-    if (sessionId && store.indexNames && store.indexNames.contains && store.indexNames.contains('sessionId')) {
-      const index = store.index('sessionId');
-      request = index.getAll(sessionId);
+    if (store.indexNames && store.indexNames.contains && store.indexNames.contains('sessionId')) {
+      // Per-session store: no session means no records, never every session's
+      if (!sessionId) {
+        resolve([]);
+        return;
+      }
+      request = store.index('sessionId').getAll(sessionId);
     } else {
       request = store.getAll();
     }
@@ -410,13 +824,18 @@ async function addEntriesToStore(storeName, entries) {
 async function getDatabaseStats(sessionId) {
   try {
     await initNetworkCallsDB();
-    const [networkCount, techCount, analyticsCount, uniqueUrlCount] = await Promise.all([
+    const [networkCount, techCount, analyticsCount, uniqueUrlCount, ledger, usageRecords, priceTable] = await Promise.all([
       countStoreEntries('networkCalls', sessionId),
       countStoreEntries('techStackResults', sessionId),
       countStoreEntries('analyticsEventsResults', sessionId),
-      countStoreEntries('uniqueUrls', sessionId)
+      countStoreEntries('uniqueUrls', sessionId),
+      sessionId ? fetchStoreRecords('batchLedger', sessionId) : [],
+      sessionId ? fetchStoreRecords('aiUsage', sessionId) : [],
+      getPriceTable()
     ]);
-    return { networkCount, techCount, analyticsCount, uniqueUrlCount };
+    const failedBatchCount = ledger.filter(entry => BATCH_RETRY_STATUSES.includes(entry.status)).length;
+    const aiUsage = self.CASTUsage.summarizeUsage(usageRecords, priceTable);
+    return { networkCount, techCount, analyticsCount, uniqueUrlCount, failedBatchCount, aiUsage };
   } catch (error) {
     console.error('Error fetching DB stats:', error);
     throw error;
@@ -449,101 +868,628 @@ async function ensureCurrentSessionId() {
   return currentSessionId;
 }
 
-function dedupeTechRecords(records = []) {
-  const map = new Map();
-  for (const item of records) {
-    const key = `${(item.name || '').toLowerCase()}|${(item.category || '').toLowerCase()}`;
-    
-    // Robust evidence handling: ensure it's an iterable of strings
-    let evidenceItems = [];
-    if (Array.isArray(item.evidence)) {
-      evidenceItems = item.evidence;
-    } else if (typeof item.evidence === 'string') {
-      evidenceItems = item.evidence.split(' | ');
-    }
-    
-    if (!map.has(key)) {
-      map.set(key, {
-        name: item.name || '',
-        category: item.category || '',
-        confidence: Number(item.confidence) || 0,
-        evidence: new Set(evidenceItems.filter(Boolean)),
-        occurrences: 1,
-        accountId: item.accountId || item.account_id || ''
-      });
-    } else {
-      const existing = map.get(key);
-      existing.confidence = Math.max(existing.confidence, Number(item.confidence) || 0);
-      evidenceItems.filter(Boolean).forEach((ev) => existing.evidence.add(ev));
-      existing.occurrences += 1;
-      if (!existing.accountId && (item.accountId || item.account_id)) {
-        existing.accountId = item.accountId || item.account_id;
-      }
-    }
-  }
-  return Array.from(map.values()).map((entry) => ({
-    name: entry.name,
-    category: entry.category,
-    confidence: entry.confidence.toFixed(2),
-    occurrences: entry.occurrences,
-    evidence: Array.from(entry.evidence).join(' | '),
-    accountId: entry.accountId || ''
-  }));
+function generateSessionId() {
+  return `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 }
 
-function dedupeAnalyticsRecords(records = []) {
-  const map = new Map();
-  for (const item of records) {
-    const key = [
-      (item.provider || '').toLowerCase(),
-      (item.event_name || '').toLowerCase(),
-      (item.page_url || '').toLowerCase(),
-      (item.request_url || '').toLowerCase(),
-      (item.notes || '').toLowerCase()
-    ].join('|');
-    if (!map.has(key)) {
-      map.set(key, {
-        provider: item.provider || '',
-        event_name: item.event_name || '',
-        page_url: item.page_url || '',
-        request_url: item.request_url || '',
-        notes: item.notes || '',
-        occurrences: 1
-      });
-    } else {
-      const existing = map.get(key);
-      existing.occurrences += 1;
-    }
-  }
-  return Array.from(map.values());
+async function getSessionRecord(sessionId) {
+  if (!sessionId) return null;
+  if (!networkCallsDB) await initNetworkCallsDB();
+  return new Promise((resolve, reject) => {
+    const request = networkCallsDB.transaction(['sessions'], 'readonly').objectStore('sessions').get(sessionId);
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = () => reject(request.error);
+  });
 }
 
-async function buildTechStackExport(sessionId) {
-  const records = await fetchStoreRecords('techStackResults', sessionId);
-  if (!records.length) return [];
-  const deduped = dedupeTechRecords(records);
-  const rows = [["Technology", "Category", "Top Confidence", "Occurrences", "Account ID", "Evidence"]];
-  deduped.sort((a, b) => Number(b.confidence) - Number(a.confidence));
-  deduped.forEach((entry) => {
-    rows.push([entry.name, entry.category, entry.confidence, String(entry.occurrences), entry.accountId || "", entry.evidence]);
+async function saveSessionRecord(record) {
+  if (!networkCallsDB) await initNetworkCallsDB();
+  return new Promise((resolve, reject) => {
+    const request = networkCallsDB.transaction(['sessions'], 'readwrite').objectStore('sessions').put(record);
+    request.onsuccess = () => resolve(record);
+    request.onerror = () => reject(request.error);
   });
-  return rows;
 }
 
-async function buildAnalyticsExport(sessionId) {
-  const records = await fetchStoreRecords('analyticsEventsResults', sessionId);
-  if (!records.length) return [];
-  const deduped = dedupeAnalyticsRecords(records);
-  const rows = [["Provider", "Event Name", "Page URL", "Request URL", "Notes", "Occurrences"]];
-  deduped.sort((a, b) => b.occurrences - a.occurrences || a.provider.localeCompare(b.provider));
-  deduped.forEach((entry) => {
-    rows.push([
-      entry.provider,
-      entry.event_name,
-      entry.page_url,
-      entry.request_url,
-      entry.notes,
-      String(entry.occurrences)
+// Create the session record if it doesn't exist yet (sessions recorded before history existed get one lazily)
+async function ensureSessionRecord(sessionId, { origin: sessionOrigin = null, mode = 'crawl' } = {}) {
+  const existing = await getSessionRecord(sessionId);
+  if (existing) return existing;
+  const startTime = Date.now();
+  let host = null;
+  try {
+    host = sessionOrigin ? new URL(sessionOrigin).hostname : null;
+  } catch (e) {
+    // Keep the default name
+  }
+  return saveSessionRecord({
+    id: sessionId,
+    name: `${host || 'Untitled session'} · ${new Date(startTime).toLocaleString()}`,
+    origin: sessionOrigin,
+    mode,
+    startTime,
+    endTime: null,
+    pageCount: 0,
+    callCount: 0
+  });
+}
+
+async function countSessionActivity(sessionId) {
+  const [callCount, pageCount] = await Promise.all([
+    countStoreEntries('networkCalls', sessionId),
+    countStoreEntries('pageSnapshots', sessionId)
+  ]);
+  return { callCount, pageCount };
+}
+
+// Record end time and final counts when a crawl or manual recording stops
+async function finalizeSession(sessionId) {
+  try {
+    const record = await getSessionRecord(sessionId);
+    if (!record) return;
+    const counts = await countSessionActivity(sessionId);
+    await saveSessionRecord({ ...record, ...counts, endTime: Date.now() });
+  } catch (error) {
+    console.warn('CAST: Failed to finalize session:', error);
+  }
+}
+
+// All sessions, newest first, with live counts (the active session is still growing)
+async function listSessions() {
+  const current = await ensureCurrentSessionId();
+  if (current) await ensureSessionRecord(current, { origin, mode: manualModeActive ? 'manual' : 'crawl' });
+  const records = await fetchStoreRecords('sessions');
+  const sessions = await Promise.all(records.map(async (record) => ({
+    ...record,
+    ...(await countSessionActivity(record.id)),
+    active: record.id === current
+  })));
+  return sessions.sort((a, b) => (b.startTime || 0) - (a.startTime || 0));
+}
+
+async function deleteSession(sessionId) {
+  for (const storeName of [...SESSION_DATA_STORES, 'crawlState']) {
+    await clearStoreEntriesForSession(storeName, sessionId);
+  }
+  await new Promise((resolve, reject) => {
+    const request = networkCallsDB.transaction(['sessions'], 'readwrite').objectStore('sessions').delete(sessionId);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+  try {
+    await new self.CASTRAG().clearSession(sessionId);
+  } catch (error) {
+    console.warn('CAST: Failed to clear retrieval embeddings:', error);
+  }
+  if (sessionId === await ensureCurrentSessionId()) {
+    currentSessionId = null;
+    logs = {};
+    chrome.storage.local.remove(['CAST_currentSessionId']);
+  }
+}
+
+// Delete sessions that ended before the retention window
+async function pruneExpiredSessions(retention) {
+  const days = SESSION_RETENTION_DAYS[retention];
+  if (!days) return;
+  const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+  const records = await fetchStoreRecords('sessions');
+  const expired = records.filter(record => (record.endTime || record.startTime || 0) < cutoff);
+  for (const record of expired) {
+    await deleteSession(record.id);
+  }
+  if (expired.length) console.log(`CAST: Removed ${expired.length} sessions older than ${days} days`);
+}
+
+// Everything stored for a session, as a portable JSON document
+async function buildSessionExport(sessionId) {
+  const session = await getSessionRecord(sessionId);
+  if (!session) throw new Error('Session not found.');
+  const data = {};
+  for (const storeName of SESSION_DATA_STORES) {
+    data[storeName] = await fetchStoreRecords(storeName, sessionId);
+  }
+  return {
+    format: 'cast-session',
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    session: { ...session, ...(await countSessionActivity(sessionId)) },
+    templates: self.CASTTemplates.summarizeTemplates(self.CASTTemplates.buildTemplateIndex(data.uniqueUrls, data.pageSnapshots)),
+    ...data
+  };
+}
+
+// A session's networkCalls as a HAR 1.2 document, one HAR page per pageUrl
+async function buildSessionHar(sessionId) {
+  const session = await getSessionRecord(sessionId);
+  if (!session) throw new Error('Session not found.');
+  const calls = await fetchStoreRecords('networkCalls', sessionId);
+  return self.CASTHar.buildHar(calls, { session, creatorVersion: chrome.runtime.getManifest().version });
+}
+
+// Load a HAR recorded outside CAST into a new 'har-import' session and make it current.
+// Page snapshots are derived from each page's script URLs and request cookies so page counts,
+// templates and fingerprinting work like they do for crawled sessions.
+async function importHarSession(har, fileName = '') {
+  const sessionId = generateSessionId();
+  const { calls, pages } = self.CASTHar.parseHar(har, sessionId, {
+    keepResponseBody: url => RESPONSE_BODY_URL_PATTERN.test(url),
+    maxBodySize: MAX_RESPONSE_BODY_SIZE,
+    normalizePageUrl: normalizeUrl
+  });
+  if (!calls.length) throw new Error('The HAR file has no HTTP requests.');
+
+  const originCounts = new Map();
+  pages.forEach((pageUrl) => {
+    const pageOrigin = new URL(pageUrl).origin;
+    originCounts.set(pageOrigin, (originCounts.get(pageOrigin) || 0) + 1);
+  });
+  const sessionOrigin = Array.from(originCounts.entries()).sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+
+  const previousSession = await getSessionRecord(await getActiveSessionId()).catch(() => null);
+  if (previousSession && !previousSession.endTime) await finalizeSession(previousSession.id);
+  const session = await ensureSessionRecord(sessionId, { origin: sessionOrigin, mode: 'har-import' });
+  const label = String(fileName || '').replace(/\.(har|json)$/i, '');
+  if (label) await saveSessionRecord({ ...session, name: `${label} · ${new Date(session.startTime).toLocaleString()}` });
+
+  await addEntriesToStore('networkCalls', calls);
+  const timestamp = Date.now();
+  await addEntriesToStore('pageSnapshots', pages.map((pageUrl) => {
+    const pageCalls = calls.filter(call => call.pageUrl === pageUrl);
+    const scripts = Array.from(new Set(pageCalls.filter(call => call.resourceType === 'Script').map(call => call.url))).slice(0, 300);
+    const cookies = new Set();
+    pageCalls.forEach((call) => {
+      const header = Object.keys(call.headerValues || {}).find(key => key.toLowerCase() === 'cookie');
+      if (header) String(call.headerValues[header]).split(';').forEach(pair => cookies.add(pair.split('=')[0].trim()));
+    });
+    cookies.delete('');
+    return { sessionId, pageUrl, meta: {}, scripts, cookies: Array.from(cookies), globals: {}, dom: [], source: 'har', timestamp };
+  }));
+  await Promise.all(pages.map(pageUrl => saveUniqueUrlToDB(sessionId, pageUrl, 'har')));
+  await finalizeSession(sessionId);
+
+  currentSessionId = sessionId;
+  origin = sessionOrigin;
+  logs = {}; // In-memory calls belong to the previous session
+  chrome.storage.local.set({ CAST_currentSessionId: sessionId });
+  return { session: await getSessionRecord(sessionId), callCount: calls.length, pageCount: pages.length };
+}
+
+// Template index for a session: the live one while it is being crawled, otherwise rebuilt from
+// its discovered URLs and page snapshots
+async function getTemplateIndex(sessionId) {
+  if (crawlActive && sessionId === currentSessionId) return templateIndex;
+  const [urlRecords, snapshots] = await Promise.all([
+    fetchStoreRecords('uniqueUrls', sessionId),
+    fetchStoreRecords('pageSnapshots', sessionId)
+  ]);
+  return self.CASTTemplates.buildTemplateIndex(urlRecords, snapshots);
+}
+
+// In sample mode, has this URL's template already been visited samplesPerTemplate times?
+function isTemplateSampled(normalizedUrl) {
+  return crawlMode === 'sample' && self.CASTTemplates.visitedCountForUrl(templateIndex, normalizedUrl) >= samplesPerTemplate;
+}
+
+// Next task to crawl. In sample mode the queued page whose template has the fewest visited pages goes
+// first (queue order breaks ties), so pages of unseen templates - and the links they lead to - are
+// reached before sampled templates fill up and the rest of their pages are skipped.
+function takeNextTask() {
+  if (crawlMode !== 'sample' || queue.length < 2) return queue.shift();
+  let best = 0;
+  let bestCount = Infinity;
+  for (let i = 0; i < queue.length && bestCount > 0; i++) {
+    let count;
+    try {
+      count = self.CASTTemplates.visitedCountForUrl(templateIndex, normalizeUrl(queue[i].url));
+    } catch (e) {
+      count = 0; // Invalid URL: let processNext drop it
+    }
+    if (count < bestCount) {
+      best = i;
+      bestCount = count;
+    }
+  }
+  return queue.splice(best, 1)[0];
+}
+
+// Should a discovered or sitemap URL be queued? Same origin, crawl rules, robots.txt
+function isCrawlableUrl(u) {
+  if (u.origin !== origin) return false;
+  if (!self.CASTCrawlRules.isUrlAllowed(u.href, crawlRules)) return false;
+  if (crawlRobots && self.CASTSitemap.isDisallowed(u.href, crawlRobots)) return false;
+  return true;
+}
+
+// Fetch robots.txt when obeying Disallow or seeding from sitemaps
+async function loadRobotsForCrawl(siteOrigin, { obeyRobots, seedFromSitemap }) {
+  crawlRobots = null;
+  if (!obeyRobots && !seedFromSitemap) return null;
+  const robots = await self.CASTSitemap.fetchRobots(siteOrigin);
+  if (obeyRobots) crawlRobots = robots;
+  return robots;
+}
+
+// Seed the queue and uniqueUrls from the site's sitemaps (robots.txt Sitemap lines, else /sitemap.xml).
+// signal (from withTimeout) stops the sitemap fetches and leaves the queue untouched once it fires.
+async function seedQueueFromSitemaps(robots, signal = null) {
+  const sitemapUrls = robots && robots.sitemaps.length ? robots.sitemaps : [`${origin}/sitemap.xml`];
+  notifyPopupStatus(`Reading sitemap${sitemapUrls.length > 1 ? 's' : ''}…`);
+  const limit = pageLimit ? Math.max(pageLimit * 5, 100) : MAX_SITEMAP_SEED_URLS;
+  const urls = await self.CASTSitemap.collectSitemapUrls(sitemapUrls, {
+    maxUrls: Math.min(limit, MAX_SITEMAP_SEED_URLS),
+    onProgress: ({ sitemaps, urls: found }) => notifyPopupStatus(`Reading sitemaps… ${sitemaps} read, ${found} URLs`),
+    signal
+  });
+  if (signal?.aborted) return 0;
+
+  let added = 0;
+  for (const href of urls) {
+    let u;
+    try {
+      u = new URL(href);
+    } catch (e) {
+      continue;
+    }
+    if (!isCrawlableUrl(u)) continue;
+    const normalized = normalizeUrl(u.href);
+    if (allDiscoveredLinks.has(normalized) || visited.has(normalized)) continue;
+    allDiscoveredLinks.add(normalized);
+    self.CASTTemplates.addDiscoveredUrl(templateIndex, normalized);
+    queue.push({ url: u.href, depth: 1, source: 'sitemap' });
+    saveUniqueUrlToDB(currentSessionId, normalized, 'sitemap').catch(() => {});
+    added++;
+  }
+  console.log(`CAST: Seeded ${added} URLs from ${urls.length} sitemap entries`);
+  return added;
+}
+
+// Persist the crawl frontier (queue, visited, discovered, in-flight page) for the current session.
+// Fire-and-forget: called after every dequeue and every scanned page.
+function saveCrawlState() {
+  if (!currentSessionId || !crawlActive) return Promise.resolve();
+  const state = {
+    sessionId: currentSessionId,
+    origin,
+    tabId: activeTabId,
+    maxDepth,
+    pageLimit,
+    crawlMode,
+    samplesPerTemplate,
+    queue: queue.slice(),
+    visited: Array.from(visited),
+    discovered: Array.from(allDiscoveredLinks),
+    currentTask,
+    paused: crawlPaused,
+    updatedAt: Date.now()
+  };
+  return initNetworkCallsDB().then(() => new Promise((resolve, reject) => {
+    const request = networkCallsDB.transaction(['crawlState'], 'readwrite').objectStore('crawlState').put(state);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  })).catch((error) => {
+    console.warn('CAST: Failed to persist crawl state:', error);
+  });
+}
+
+async function getCrawlState(sessionId) {
+  if (!sessionId) return null;
+  if (!networkCallsDB) await initNetworkCallsDB();
+  return new Promise((resolve, reject) => {
+    const request = networkCallsDB.transaction(['crawlState'], 'readonly').objectStore('crawlState').get(sessionId);
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// A finished crawl has nothing to resume
+function clearCrawlState(sessionId) {
+  if (!sessionId) return;
+  clearStoreEntriesForSession('crawlState', sessionId).catch((error) => {
+    console.warn('CAST: Failed to clear crawl state:', error);
+  });
+}
+
+// Session whose crawl end was already recorded. Stop, page limit and empty queue can all reach the end
+// of the same crawl (a stop often lands while processNext is still waiting on the tab), so it runs once.
+let endedCrawlSessionId = null;
+
+function endCrawlSession(sessionId) {
+  if (!sessionId || endedCrawlSessionId === sessionId) return;
+  endedCrawlSessionId = sessionId;
+  finalizeSession(sessionId);
+  clearCrawlState(sessionId);
+}
+
+// Saved frontier for the current session when no crawl is running in this worker
+async function getResumableCrawl() {
+  if (crawlActive) return null;
+  const sessionId = await ensureCurrentSessionId();
+  return getCrawlState(sessionId);
+}
+
+// Attach the debugger and enable network capture; an existing attachment from before the restart is reused
+function attachDebuggerToTab(tabId) {
+  return new Promise((resolve, reject) => {
+    chrome.debugger.attach({ tabId }, "1.3", () => {
+      const error = chrome.runtime.lastError;
+      if (error && !/already attached/i.test(error.message || '')) {
+        reject(new Error(error.message));
+        return;
+      }
+      chrome.debugger.sendCommand({ tabId }, "Network.enable", {
+        maxResourceBufferSize: 10000000, // 10MB
+        maxPostDataSize: 10000000
+      }, () => resolve());
+    });
+  });
+}
+
+// Pause after the current page; the frontier stays in memory and IndexedDB
+function pauseCrawl() {
+  if (!crawlActive || crawlPaused) return false;
+  crawlPaused = true;
+  saveCrawlState();
+  notifyPopupStatus(`Crawl paused (${visited.size} visited, ${queue.length} queued). The current page will finish first.`);
+  return true;
+}
+
+// Stop for good: detach the debugger, keep everything captured so far
+function stopCrawl() {
+  if (!crawlActive) return false;
+  crawlActive = false;
+  crawlPaused = false;
+  currentTask = null;
+  if (pageTimeout) {
+    clearTimeout(pageTimeout);
+    pageTimeout = null;
+  }
+  if (activeTabId) {
+    chrome.debugger.detach({ tabId: activeTabId }, () => {
+      if (chrome.runtime.lastError) {
+        console.warn('Debugger detach warning:', chrome.runtime.lastError.message);
+      }
+    });
+  }
+  endCrawlSession(currentSessionId);
+  const stopStatus = `Crawl stopped. ${visited.size} pages visited; captured data kept.`;
+  chrome.storage.local.set({ CAST_crawlActive: false, CAST_crawlPaused: false, CAST_crawlStatus: stopStatus });
+  notifyPopupStatus(stopStatus);
+  return true;
+}
+
+// Restore a crawl from its persisted frontier and continue where it stopped
+async function resumeCrawl() {
+  const state = await getResumableCrawl();
+  if (!state) throw new Error("No interrupted crawl to resume.");
+
+  currentSessionId = state.sessionId;
+  origin = state.origin;
+  await loadCrawlRules(origin);
+  const seedOptions = await chrome.storage.local.get(['obeyRobots']);
+  await withTimeout(loadRobotsForCrawl(origin, seedOptions), 20000, 'robots.txt').catch(() => {});
+  maxDepth = state.maxDepth;
+  pageLimit = state.pageLimit;
+  crawlMode = state.crawlMode || 'full';
+  samplesPerTemplate = state.samplesPerTemplate || 3;
+  queue = state.queue || [];
+  visited = new Set(state.visited || []);
+  allDiscoveredLinks = new Set(state.discovered || []);
+  logs = {};
+  currentTask = null;
+  templateIndex = await getTemplateIndex(currentSessionId);
+
+  // The in-flight page never finished scanning; revisit it first
+  if (state.currentTask && state.currentTask.url) {
+    visited.delete(normalizeUrl(state.currentTask.url));
+    queue.unshift(state.currentTask);
+  }
+
+  let tab = await chrome.tabs.get(state.tabId).catch(() => null);
+  if (!tab) {
+    tab = await chrome.tabs.create({ url: queue[0]?.url || state.origin, active: true });
+  }
+  activeTabId = tab.id;
+
+  await attachDebuggerToTab(tab.id);
+  crawlActive = true;
+  // A crawl paused before the restart comes back paused; Resume again continues it
+  crawlPaused = !!state.paused;
+  await syncDataLayerHook();
+
+  const resumeStatus = crawlPaused
+    ? `Crawl restored and still paused (${visited.size} visited, ${queue.length} queued). Resume to continue.`
+    : `Resuming crawl (${visited.size} visited, ${queue.length} queued)…`;
+  chrome.storage.local.set({
+    CAST_currentSessionId: currentSessionId,
+    CAST_crawlActive: true,
+    CAST_crawlStatus: resumeStatus
+  });
+  notifyPopupStatus(resumeStatus);
+
+  chrome.scripting.executeScript({
+    target: { tabId: tab.id },
+    files: ['content/crawler.js']
+  }).catch(err => {
+    console.log('Content script injection note:', err.message);
+  });
+
+  if (!crawlPaused) {
+    setTimeout(() => {
+      processNext();
+    }, 500);
+  }
+  return { visited: visited.size, queued: queue.length, paused: crawlPaused };
+}
+
+// Diff two sessions, oldest as the baseline. Uses the consolidated tech/analytics exports
+async function buildSessionDiff(sessionIds) {
+  const inputs = await Promise.all(sessionIds.map(async (sessionId) => {
+    const session = await getSessionRecord(sessionId);
+    if (!session) throw new Error('Session not found.');
+    const [techRows, analyticsRows, networkCalls] = await Promise.all([
+      buildTechStackExport(sessionId),
+      buildAnalyticsExport(sessionId),
+      fetchStoreRecords('networkCalls', sessionId)
+    ]);
+    return { session, techRows, analyticsRows, networkCalls };
+  }));
+  inputs.sort((a, b) => (a.session.startTime || 0) - (b.session.startTime || 0));
+  const [base, compare] = inputs;
+  const diff = self.CASTSessionDiff.diffSessions(base, compare);
+  return {
+    baseId: base.session.id,
+    compareId: compare.session.id,
+    analyzed: [base, compare].every(input => input.techRows.length || input.analyticsRows.length),
+    summary: diff.summary,
+    items: diff.items,
+    rows: self.CASTSessionDiff.buildDiffRows(diff)
+  };
+}
+
+// Download text content from the service worker (URL.createObjectURL is sometimes unavailable here)
+function downloadTextFile(content, filename, mimeType = 'text/plain;charset=utf-8;') {
+  return new Promise((resolve, reject) => {
+    const blob = new Blob([content], { type: mimeType });
+    const reader = new FileReader();
+    reader.onload = function() {
+      chrome.downloads.download({
+        url: reader.result,
+        filename,
+        saveAs: true
+      }, (downloadId) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve(downloadId);
+        }
+      });
+    };
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// Consolidated records keep every prompt version that produced them, joined with " | "
+function splitPromptVersions(value) {
+  return String(value || '').split(' | ').filter(Boolean);
+}
+
+// One entry per tool; every account ID seen is kept, so a site running two GA4 properties or pixels lists both
+function dedupeTechRecords(records = []) {
+  const map = new Map();
+  for (const item of records) {
+    const key = `${(item.name || '').toLowerCase()}|${(item.category || '').toLowerCase()}`;
+    const accountIds = String(item.accountId || item.account_id || '').split(/\s*\|\s*|,\s*/).map(id => id.trim()).filter(Boolean);
+    
+    // Robust evidence handling: ensure it's an iterable of strings
+    let evidenceItems = [];
+    if (Array.isArray(item.evidence)) {
+      evidenceItems = item.evidence;
+    } else if (typeof item.evidence === 'string') {
+      evidenceItems = item.evidence.split(' | ');
+    }
+    
+    if (!map.has(key)) {
+      map.set(key, {
+        name: item.name || '',
+        category: item.category || '',
+        confidence: Number(item.confidence) || 0,
+        evidence: new Set(evidenceItems.filter(Boolean)),
+        occurrences: 1,
+        accountIds: new Set(accountIds),
+        source: item.source || 'ai',
+        promptVersions: new Set(splitPromptVersions(item.promptVersion))
+      });
+    } else {
+      const existing = map.get(key);
+      splitPromptVersions(item.promptVersion).forEach(version => existing.promptVersions.add(version));
+      existing.confidence = Math.max(existing.confidence, Number(item.confidence) || 0);
+      evidenceItems.filter(Boolean).forEach((ev) => existing.evidence.add(ev));
+      existing.occurrences += 1;
+      accountIds.forEach(id => existing.accountIds.add(id));
+      // Signature matches are reproducible; keep the fingerprint label when both sources agree
+      if (item.source === 'fingerprint') existing.source = 'fingerprint';
+    }
+  }
+  return Array.from(map.values()).map((entry) => ({
+    name: entry.name,
+    category: entry.category,
+    confidence: entry.confidence.toFixed(2),
+    occurrences: entry.occurrences,
+    evidence: Array.from(entry.evidence).join(' | '),
+    accountId: Array.from(entry.accountIds).join(' | '),
+    source: entry.source,
+    promptVersion: Array.from(entry.promptVersions).join(' | ')
+  }));
+}
+
+function dedupeAnalyticsRecords(records = []) {
+  const map = new Map();
+  for (const item of records) {
+    const key = [
+      (item.provider || '').toLowerCase(),
+      (item.event_name || '').toLowerCase(),
+      (item.page_url || '').toLowerCase(),
+      (item.request_url || '').toLowerCase(),
+      (item.notes || '').toLowerCase()
+    ].join('|');
+    if (!map.has(key)) {
+      map.set(key, {
+        provider: item.provider || '',
+        event_name: item.event_name || '',
+        page_url: item.page_url || '',
+        request_url: item.request_url || '',
+        notes: item.notes || '',
+        account_id: item.account_id || '',
+        source: item.source || 'ai',
+        occurrences: Number(item.occurrences) || 1,
+        promptVersions: new Set(splitPromptVersions(item.promptVersion))
+      });
+    } else {
+      const existing = map.get(key);
+      existing.occurrences += Number(item.occurrences) || 1;
+      splitPromptVersions(item.promptVersion).forEach(version => existing.promptVersions.add(version));
+      if (!existing.account_id && item.account_id) existing.account_id = item.account_id;
+      // Decoded hits are authoritative; keep the parser label when both sources saw the event
+      if (item.source === 'parser') existing.source = 'parser';
+    }
+  }
+  return Array.from(map.values()).map(({ promptVersions, ...entry }) => ({
+    ...entry,
+    promptVersion: Array.from(promptVersions).join(' | ')
+  }));
+}
+
+async function buildTechStackExport(sessionId) {
+  const records = await fetchStoreRecords('techStackResults', sessionId);
+  if (!records.length) return [];
+  const deduped = dedupeTechRecords(records);
+  const rows = [["Technology", "Category", "Top Confidence", "Occurrences", "Account ID", "Evidence", "Source", "Prompt Version"]];
+  deduped.sort((a, b) => Number(b.confidence) - Number(a.confidence));
+  deduped.forEach((entry) => {
+    rows.push([entry.name, entry.category, entry.confidence, String(entry.occurrences), entry.accountId || "", entry.evidence, entry.source, entry.promptVersion]);
+  });
+  return rows;
+}
+
+async function buildAnalyticsExport(sessionId) {
+  const records = await fetchStoreRecords('analyticsEventsResults', sessionId);
+  if (!records.length) return [];
+  const deduped = dedupeAnalyticsRecords(records);
+  const rows = [["Provider", "Event Name", "Page URL", "Request URL", "Notes", "Occurrences", "Account ID", "Source", "Prompt Version"]];
+  deduped.sort((a, b) => b.occurrences - a.occurrences || a.provider.localeCompare(b.provider));
+  deduped.forEach((entry) => {
+    rows.push([
+      entry.provider,
+      entry.event_name,
+      entry.page_url,
+      entry.request_url,
+      entry.notes,
+      String(entry.occurrences),
+      entry.account_id,
+      entry.source,
+      entry.promptVersion
     ]);
   });
   return rows;
@@ -556,8 +1502,12 @@ async function consolidateStoredResults(sessionId) {
       fetchStoreRecords('analyticsEventsResults', sessionId)
     ]);
 
-    const dedupedTech = dedupeTechRecords(techRecords);
-    const dedupedAnalytics = dedupeAnalyticsRecords(analyticsRecords);
+    // Retrieval results stay under their own batchId so the next retrieval run can replace them
+    const batchIdOf = record => (record.batchId === 'retrieval' ? 'retrieval' : 'consolidated');
+    const dedupeByBatch = (records, dedupe) => ['consolidated', 'retrieval'].flatMap(batchId =>
+      dedupe(records.filter(record => batchIdOf(record) === batchId)).map(item => ({ ...item, batchId })));
+    const dedupedTech = dedupeByBatch(techRecords, dedupeTechRecords);
+    const dedupedAnalytics = dedupeByBatch(analyticsRecords, dedupeAnalyticsRecords);
 
     if (!networkCallsDB) await initNetworkCallsDB();
 
@@ -567,11 +1517,14 @@ async function consolidateStoredResults(sessionId) {
     const techTimestamp = Date.now();
     const techEntries = dedupedTech.map(item => ({
       sessionId,
-      batchId: 'consolidated',
+      batchId: item.batchId,
       name: item.name,
       category: item.category,
       confidence: Number(item.confidence),
       evidence: item.evidence ? item.evidence.split(' | ').filter(Boolean) : [],
+      accountId: item.accountId || null,
+      source: item.source,
+      promptVersion: item.promptVersion || null,
       occurrences: item.occurrences,
       timestamp: techTimestamp
     }));
@@ -580,12 +1533,15 @@ async function consolidateStoredResults(sessionId) {
     const analyticsTimestamp = Date.now();
     const analyticsEntries = dedupedAnalytics.map(item => ({
       sessionId,
-      batchId: 'consolidated',
+      batchId: item.batchId,
       provider: item.provider,
       event_name: item.event_name,
       page_url: item.page_url,
       request_url: item.request_url,
       notes: item.notes,
+      account_id: item.account_id || null,
+      source: item.source,
+      promptVersion: item.promptVersion || null,
       occurrences: item.occurrences,
       timestamp: analyticsTimestamp
     }));
@@ -596,7 +1552,7 @@ async function consolidateStoredResults(sessionId) {
 }
 
 // Store AI analysis results in IndexedDB
-async function storeAIResults(sessionId, batchId, techStack, analyticsEvents) {
+async function storeAIResults(sessionId, batchId, techStack, analyticsEvents, promptVersion = null) {
   if (!networkCallsDB) await initNetworkCallsDB();
   
   const timestamp = Date.now();
@@ -616,6 +1572,8 @@ async function storeAIResults(sessionId, batchId, techStack, analyticsEvents) {
           confidence: item.confidence || 0,
           evidence: item.evidence || [],
           accountId: item.account_id || item.accountId || null,
+          source: 'ai',
+          promptVersion,
           timestamp
         });
         request.onsuccess = () => resolve();
@@ -641,6 +1599,9 @@ async function storeAIResults(sessionId, batchId, techStack, analyticsEvents) {
           page_url: item.page_url || null,
           request_url: item.request_url || null,
           notes: item.notes || null,
+          account_id: item.account_id || null,
+          source: 'ai',
+          promptVersion,
           timestamp
         });
         request.onsuccess = () => resolve();
@@ -652,6 +1613,201 @@ async function storeAIResults(sessionId, batchId, techStack, analyticsEvents) {
   }
 }
 
+// Remove previous offline results (parser / fingerprint) so re-running analysis doesn't double count them
+async function clearSourceEntriesForSession(storeName, sessionId, source) {
+  await clearEntriesForSession(storeName, sessionId, record => record.source === source);
+}
+
+async function clearBatchEntriesForSession(storeName, sessionId, batchId) {
+  await clearEntriesForSession(storeName, sessionId, record => record.batchId === batchId);
+}
+
+async function clearEntriesForSession(storeName, sessionId, matches) {
+  if (!networkCallsDB) await initNetworkCallsDB();
+  await new Promise((resolve, reject) => {
+    const transaction = networkCallsDB.transaction([storeName], 'readwrite');
+    const index = transaction.objectStore(storeName).index('sessionId');
+    const request = index.openCursor(IDBKeyRange.only(sessionId));
+    request.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      if (matches(cursor.value)) cursor.delete();
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Default signatures plus the user's own from the side panel (same name overrides the default)
+async function getTechSignatures() {
+  const res = await chrome.storage.local.get(['customTechSignatures']);
+  const { signatures: custom, errors } = self.CASTTechFingerprint.validateSignatures(res.customTechSignatures || []);
+  if (errors.length) console.warn('CAST: Skipping invalid custom signatures:', errors);
+  const customNames = new Set(custom.map(signature => signature.name.toLowerCase()));
+  return [
+    ...self.CASTTechFingerprint.DEFAULT_TECH_SIGNATURES.filter(signature => !customNames.has(signature.name.toLowerCase())),
+    ...custom
+  ];
+}
+
+// Runs in the page's main world: reads meta tags, script URLs, cookie names,
+// the window globals and DOM selectors the signatures ask for
+function collectPageSignals(globalNames, selectors) {
+  const meta = {};
+  document.querySelectorAll('meta[name], meta[property], meta[http-equiv]').forEach((el) => {
+    const key = (el.getAttribute('name') || el.getAttribute('property') || el.getAttribute('http-equiv') || '').toLowerCase();
+    if (key && !(key in meta)) meta[key] = (el.getAttribute('content') || '').slice(0, 300);
+  });
+  const scripts = Array.from(document.scripts).map(s => s.src).filter(Boolean).slice(0, 300);
+  const cookies = document.cookie.split(';').map(c => c.split('=')[0].trim()).filter(Boolean);
+
+  const globals = {};
+  for (const name of globalNames) {
+    try {
+      let value = window;
+      for (const part of name.split('.')) {
+        if (value === null || value === undefined || !(part in Object(value))) {
+          value = undefined;
+          break;
+        }
+        value = value[part];
+      }
+      if (value === undefined) continue;
+      globals[name] = (typeof value === 'string' || typeof value === 'number') ? String(value).slice(0, 100) : true;
+    } catch (e) {
+      // Getter threw - treat as absent
+    }
+  }
+
+  const dom = selectors.filter((selector) => {
+    try {
+      return !!document.querySelector(selector);
+    } catch (e) {
+      return false;
+    }
+  });
+
+  return { meta, scripts, cookies, globals, dom };
+}
+
+// Capture page signals for the tab and upsert them into pageSnapshots
+// extra: fields stored alongside the signals (e.g. the page's structure signature)
+async function capturePageSnapshot(tabId, pageUrl, extra = {}) {
+  const sessionId = await ensureCurrentSessionId();
+  if (!sessionId || !tabId || !pageUrl) return;
+  try {
+    const signatures = await getTechSignatures();
+    const [injection] = await withTimeout(chrome.scripting.executeScript({
+      target: { tabId },
+      world: 'MAIN',
+      func: collectPageSignals,
+      args: [
+        self.CASTTechFingerprint.collectGlobalNames(signatures),
+        self.CASTTechFingerprint.collectDomSelectors(signatures)
+      ]
+    }), 5000, 'Page signal capture');
+    const signals = injection?.result;
+    if (!signals) return;
+
+    if (!networkCallsDB) await initNetworkCallsDB();
+    const normalizedUrl = normalizeUrl(pageUrl);
+    await new Promise((resolve, reject) => {
+      const transaction = networkCallsDB.transaction(['pageSnapshots'], 'readwrite');
+      const store = transaction.objectStore('pageSnapshots');
+      const request = store.index('sessionPage').get([sessionId, normalizedUrl]);
+      request.onsuccess = () => {
+        const existing = request.result;
+        store.put({
+          ...(existing ? { id: existing.id } : {}),
+          sessionId,
+          pageUrl: normalizedUrl,
+          ...signals,
+          ...extra,
+          timestamp: Date.now()
+        });
+      };
+      request.onerror = () => reject(request.error);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  } catch (e) {
+    console.warn('CAST: Could not capture page signals for', pageUrl, e);
+  }
+}
+
+// Match tech signatures against stored calls and page snapshots and store the hits
+async function runTechFingerprinting(sessionId, networkCalls) {
+  const [signatures, pages] = await Promise.all([
+    getTechSignatures(),
+    fetchStoreRecords('pageSnapshots', sessionId)
+  ]);
+  const techStack = self.CASTTechFingerprint.detectTechStack({ calls: networkCalls, pages, signatures });
+  await clearSourceEntriesForSession('techStackResults', sessionId, 'fingerprint');
+
+  const timestamp = Date.now();
+  await addEntriesToStore('techStackResults', techStack.map(item => ({
+    sessionId,
+    batchId: 'fingerprint',
+    name: item.name,
+    category: item.category,
+    confidence: item.confidence,
+    evidence: item.evidence,
+    accountId: item.accountId,
+    source: 'fingerprint',
+    timestamp
+  })));
+
+  console.log(`CAST: Fingerprinted ${techStack.length} technologies from ${networkCalls.length} calls and ${pages.length} pages`);
+  return techStack;
+}
+
+// Decode known analytics hits locally (GA4, UA, Meta Pixel, GTM) and fingerprint the tech stack,
+// then store both. Returns the calls that were fully decoded so the AI pass can skip them.
+async function runOfflineAnalysis(sessionId, networkCalls) {
+  const techStack = await runTechFingerprinting(sessionId, networkCalls);
+  const { events, decodedCalls } = self.CASTAnalyticsParser.decodeCalls(networkCalls);
+  await clearSourceEntriesForSession('analyticsEventsResults', sessionId, 'parser');
+
+  const timestamp = Date.now();
+  await addEntriesToStore('analyticsEventsResults', events.map(event => ({
+    sessionId,
+    batchId: 'parser',
+    provider: event.provider,
+    event_name: event.event_name,
+    page_url: event.page_url,
+    request_url: event.request_url,
+    notes: event.notes,
+    account_id: event.account_id,
+    params: event.params,
+    request_id: event.request_id,
+    source: 'parser',
+    timestamp
+  })));
+
+  console.log(`CAST: Decoded ${events.length} analytics events from ${decodedCalls.length} calls locally`);
+  return { events, decodedCalls, techStack };
+}
+
+// Compact response view for AI payloads: status, failure and tech-revealing headers only
+function summarizeResponse(call) {
+  if (call.status == null && !call.failed) return null;
+  const headers = {};
+  const responseHeaders = call.responseHeaders || {};
+  for (const key of TECH_RESPONSE_HEADERS) {
+    if (responseHeaders[key]) headers[key] = responseHeaders[key];
+  }
+  const summary = { status: call.status ?? null };
+  if (call.failed) {
+    summary.failed = true;
+    summary.error = call.blockedReason ? `blocked:${call.blockedReason}` : (call.errorText || 'failed');
+  }
+  if (Object.keys(headers).length) summary.headers = headers;
+  return summary;
+}
+
 // Build network payload for a batch of calls (optimized for Gemini)
 function buildBatchPayload(networkCalls, maxTokens = 700000) {
   const pages = [];
@@ -691,6 +1847,11 @@ function buildBatchPayload(networkCalls, maxTokens = 700000) {
     }
     callSize += (postData || '').length;
     
+    const response = summarizeResponse(call);
+    if (response) {
+      callSize += JSON.stringify(response).length;
+    }
+    
     const callTokens = Math.ceil(callSize / 4);
     
     if (estimatedTokens + callTokens + baseOverhead > maxTokens && pages.length > 0) {
@@ -712,7 +1873,8 @@ function buildBatchPayload(networkCalls, maxTokens = 700000) {
       host: call.host,
       pathname: call.pathname,
       queryParams: call.queryParams || {},
-      postData: postData || null
+      postData: postData || null,
+      ...(response ? { response } : {})
     });
     
     estimatedTokens += callTokens;
@@ -839,20 +2001,54 @@ function stopKeepAlive() {
 }
 
 // Process network calls in batches and store results
-async function processBatchesDirect(apiKey, networkCalls, sessionId, progressCallback) {
-  startKeepAlive();
+// ---- AI batch ledger ----
+// Statuses: pending (in flight or interrupted), succeeded, failed, timed-out
+const BATCH_RETRY_STATUSES = ['failed', 'timed-out', 'pending'];
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function callIdentity(call) {
+  return [
+    call.requestId || '',
+    call.pageUrl || '',
+    call.method || 'GET',
+    call.url || '',
+    typeof call.postData === 'string' ? call.postData : JSON.stringify(call.postData || ''),
+    call.status ?? ''
+  ].join('\u0001');
+}
+
+// Ledger hash of a retrieval run: the calls (in any order), the embedding model and the queries
+async function hashRetrievalRun(calls, embeddingModel, queries) {
+  return sha256Hex(['retrieval', embeddingModel, ...queries, ...calls.map(callIdentity).sort()].join('\u0002'));
+}
+
+async function getBatchLedger(sessionId) {
+  const entries = await fetchStoreRecords('batchLedger', sessionId);
+  return new Map(entries.map(entry => [entry.hash, entry]));
+}
+
+async function saveLedgerEntry(entry) {
   if (!networkCallsDB) await initNetworkCallsDB();
-  
-  const batches = []; // Move variable outside try block
-  let processedBatches = 0;
-  
-  try {
-    const MAX_TOKENS_PER_BATCH = 100000; // Drastically reduced limit (100k) to prevent 1M limit error
-    let currentBatch = [];
-    let currentBatchTokens = 0;
-    const baseOverhead = 2000; // System prompt overhead
-  
-  // Split network calls into batches based on token estimation
+  return new Promise((resolve, reject) => {
+    const request = networkCallsDB.transaction(['batchLedger'], 'readwrite').objectStore('batchLedger').put({ ...entry, updatedAt: Date.now() });
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+const MAX_TOKENS_PER_BATCH = 100000; // Drastically reduced limit (100k) to prevent 1M limit error
+
+// Split network calls into batches based on token estimation
+function splitIntoBatches(networkCalls) {
+  const batches = [];
+  let currentBatch = [];
+  let currentBatchTokens = 0;
+  const baseOverhead = 2000; // System prompt overhead
+
   for (const call of networkCalls) {
     // Estimate tokens for this call (more accurate)
     let callSize = 0;
@@ -860,6 +2056,7 @@ async function processBatchesDirect(apiKey, networkCalls, sessionId, progressCal
     callSize += (call.method || '').length;
     callSize += JSON.stringify(call.queryParams || {}).length;
     callSize += (call.postData ? (typeof call.postData === 'string' ? call.postData : JSON.stringify(call.postData)) : '').length;
+    callSize += JSON.stringify(summarizeResponse(call) || '').length;
     const callTokens = Math.ceil(callSize / 4);
     
     // Check if adding this call would exceed limit
@@ -878,21 +2075,141 @@ async function processBatchesDirect(apiKey, networkCalls, sessionId, progressCal
   if (currentBatch.length > 0) {
     batches.push(currentBatch);
   }
+  return batches;
+}
+
+// The selected calls the ledger says still need analysis, split into batches. Each ledger entry lists
+// its calls' hashes and a call counts as analyzed once a succeeded batch held it, so a new or changed
+// call goes into a new batch instead of shifting the boundaries (and hashes) of every later batch.
+// retryFailedOnly keeps only calls whose last batch failed, timed out or was interrupted.
+async function planBatches(calls, ledger, retryFailedOnly) {
+  const hashes = new Map();
+  for (const call of calls) hashes.set(call, await sha256Hex(callIdentity(call)));
+  const analyzed = new Set();
+  const failed = new Set();
+  ledger.forEach((entry) => {
+    const callHashes = entry.callHashes || []; // Retrieval runs have none
+    if (entry.status === 'succeeded') callHashes.forEach(hash => analyzed.add(hash));
+    else if (BATCH_RETRY_STATUSES.includes(entry.status)) callHashes.forEach(hash => failed.add(hash));
+  });
+
+  // Grouped by page (stable sort keeps capture order within a page) so a batch holds few pages
+  const pending = calls
+    .filter(call => !analyzed.has(hashes.get(call)) && (!retryFailedOnly || failed.has(hashes.get(call))))
+    .sort((a, b) => String(a.pageUrl || '').localeCompare(String(b.pageUrl || '')));
+  const batches = [];
+  for (const batchCalls of splitIntoBatches(pending)) {
+    const callHashes = batchCalls.map(call => hashes.get(call));
+    batches.push({ calls: batchCalls, callHashes, hash: await sha256Hex(callHashes.slice().sort().join('\u0002')) });
+  }
+  return { batches, skippedCalls: calls.length - pending.length };
+}
+
+// Why a retrieval run needn't be sent again, or null: finished runs are never paid for twice,
+// and "retry failed" leaves new runs for a full run
+function batchSkipReason(previous, retryFailedOnly) {
+  if (previous?.status === 'succeeded') return 'already analyzed';
+  if (retryFailedOnly && !(previous && BATCH_RETRY_STATUSES.includes(previous.status))) return 'not a failed batch';
+  return null;
+}
+
+// Runs estimated above this many tokens ask for confirmation in the side panel first
+const AI_PREFLIGHT_CONFIRM_TOKENS = 250000;
+
+// Estimate the batches an analysis run would send (ledger skips applied), with tokens and cost.
+// Retrieval mode sends one payload capped at MAX_TOKENS_PER_BATCH, so that cap is the estimate,
+// plus the embedding requests for calls the session has no stored vectors for yet.
+async function estimateAIRun(modelConfig, calls, sessionId, retryFailedOnly, mode = 'batch') {
+  const ledger = sessionId ? await getBatchLedger(sessionId) : new Map();
+  if (mode === 'retrieval') {
+    const embedder = await getEmbedder(sessionId);
+    const hash = await hashRetrievalRun(calls, embedder.id, await getRetrievalQueries());
+    if (batchSkipReason(ledger.get(hash), retryFailedOnly)) {
+      return { ...self.CASTUsage.estimateRun(await getPriceTable(), modelConfig.model, { batches: 0, inputTokens: 0 }), embeddingTokens: 0, embeddingCost: 0, skippedCalls: calls.length, totalBatches: 0 };
+    }
+    const priceTable = await getPriceTable();
+    const estimate = self.CASTUsage.estimateRun(priceTable, modelConfig.model, { batches: 1, inputTokens: MAX_TOKENS_PER_BATCH + 2000 });
+    const rag = new self.CASTRAG();
+    const { requestsToProcess } = await rag.selectRequestsToEmbed(calls.map(call => ({ ...call, response: summarizeResponse(call) })), sessionId, embedder.id);
+    const embeddingTokens = requestsToProcess.reduce((total, requestData) => total + Math.ceil(rag.requestToText(requestData).length / 4), 0);
+    // Local embeddings are free; a remote model missing from the price table leaves the cost unknown
+    const embeddingCost = embedder.local ? 0 : self.CASTUsage.costOf(priceTable, embedder.model, { inputTokens: embeddingTokens, outputTokens: 0 });
+    return {
+      ...estimate,
+      inputTokens: estimate.inputTokens + embeddingTokens,
+      totalTokens: estimate.totalTokens + embeddingTokens,
+      cost: estimate.cost == null || embeddingCost == null ? estimate.cost : estimate.cost + embeddingCost,
+      embeddingTokens,
+      embeddingCost,
+      skippedCalls: 0,
+      totalBatches: 1
+    };
+  }
+  const { batches, skippedCalls } = await planBatches(calls, ledger, retryFailedOnly);
+  let inputTokens = 0;
+  for (const batch of batches) {
+    const payload = buildBatchPayload(batch.calls, MAX_TOKENS_PER_BATCH);
+    inputTokens += Math.min(payload.estimatedTokens || estimateTokensForPayload(payload), MAX_TOKENS_PER_BATCH) + 2000; // + system prompt
+  }
+  const estimate = self.CASTUsage.estimateRun(await getPriceTable(), modelConfig.model, { batches: batches.length, inputTokens });
+  return { ...estimate, skippedCalls, totalBatches: batches.length };
+}
+
+// options.retryFailedOnly: only re-run calls whose ledger entry failed, timed out or was interrupted
+async function processBatchesDirect(modelConfig, networkCalls, sessionId, progressCallback, options = {}) {
+  startKeepAlive();
+  if (!networkCallsDB) await initNetworkCallsDB();
   
-  console.log(`CAST: Split ${networkCalls.length} calls into ${batches.length} batches`);
+  const batches = []; // Move variable outside try block
+  let processedBatches = 0;
+  let skippedCalls = 0;
+  const batchErrors = []; // Failed batches (timeouts, API errors, schema validation) for the session record
   
-  // Process each batch
-  for (let i = 0; i < batches.length; i++) {
-    if (aiCancelRequested) {
-      console.warn('CAST: AI analysis cancelled before batch', i + 1);
-      break;
+  try {
+  const ledger = await getBatchLedger(sessionId);
+  const plan = await planBatches(networkCalls, ledger, options.retryFailedOnly);
+  batches.push(...plan.batches);
+  skippedCalls = plan.skippedCalls;
+  console.log(`CAST: ${skippedCalls} of ${networkCalls.length} calls already analyzed, ${networkCalls.length - skippedCalls} split into ${batches.length} batches`);
+  
+  const limiter = self.CASTRateLimit.createRateLimiter(await getAIRateLimits());
+  const reconPrompt = await loadPrompt('recon', networkCalls[0]?.pageUrl); // One prompt version per run
+  let completedBatches = 0;
+  const reportProgress = (current) => {
+    completedBatches++;
+    if (progressCallback) {
+      progressCallback({
+        processed: completedBatches,
+        total: batches.length,
+        percentage: Math.round((completedBatches / batches.length) * 100),
+        current,
+        stage: 'AI Analysis'
+      });
     }
-    const batch = batches[i];
-    const batchId = `batch_${i + 1}_${Date.now()}`; // Unique ID for this run
-    
-    // Skip if we think we've already processed this specific batch logic? 
-    // No, simple batch ID generation based on time means we always process.
-    // The user wants to see it run through the data.
+  };
+
+  const processBatch = async (i) => {
+    const { calls: batch, callHashes, hash } = batches[i];
+    const batchId = `batch_${hash.slice(0, 16)}`; // Content-derived, stable across runs
+    const previous = ledger.get(hash);
+
+    const entry = {
+      id: `${sessionId}|${hash}`,
+      sessionId,
+      hash,
+      batchId,
+      callCount: batch.length,
+      callHashes,
+      status: 'pending',
+      attempts: (previous?.attempts || 0) + 1,
+      error: null,
+      validationErrors: [],
+      provider: modelConfig.provider,
+      model: modelConfig.model,
+      promptVersion: reconPrompt.version,
+      createdAt: previous?.createdAt || Date.now()
+    };
+    await saveLedgerEntry(entry);
     
     try {
       // Build payload for this batch
@@ -901,7 +2218,9 @@ async function processBatchesDirect(apiKey, networkCalls, sessionId, progressCal
       
       if (payload.pages.length === 0) {
         console.warn(`CAST: Batch ${i + 1} has no pages, skipping`);
-        continue;
+        await saveLedgerEntry({ ...entry, status: 'succeeded', error: 'No pages in batch' });
+        reportProgress(`Batch ${i + 1}/${batches.length} skipped (no pages)`);
+        return;
       }
       
       // Trim if exceeds limit (redundant but safe)
@@ -920,72 +2239,422 @@ async function processBatchesDirect(apiKey, networkCalls, sessionId, progressCal
          payload = trimPayloadToLimit(payload, 200000); // Trim to very small size (50k tokens approx)
       }
 
-      // Call Gemini with timeout safeguard to avoid hangs
-      // Using gemini-3-flash-preview (faster model) with 120s timeout for safety
+      // Call the analysis model through the rate limiter; each attempt has its own timeout
       let result;
       try {
         // Log batch info for debugging
         console.log(`CAST: Processing batch ${i + 1}/${batches.length} - ${batch.length} calls, ~${Math.round(payloadTokens)} tokens`);
         
-        result = await withTimeout(
-          callGemini(apiKey, payload),
-          120000, // 120s (2 minutes) timeout - should be sufficient for flash model
-          `Gemini batch ${i + 1} timeout`
-        );
+        result = await callReconModel(modelConfig, payload, {
+          limiter,
+          estimatedTokens: payloadTokens,
+          label: `AI batch ${i + 1}`,
+          usageContext: { sessionId, batchId },
+          prompt: reconPrompt
+        });
       } catch (err) {
         console.error(`CAST: Batch ${i + 1} timed out or failed:`, err);
-        if (progressCallback) {
-          progressCallback({
-            processed: i + 1,
-            total: batches.length,
-            percentage: Math.round(((i + 1) / batches.length) * 100),
-            current: `Batch ${i + 1}/${batches.length} skipped (timeout)`,
-            stage: 'AI Analysis'
-          });
-        }
-        processedBatches = i + 1;
-        continue; // Skip to next batch on timeout/error
+        await saveLedgerEntry({
+          ...entry,
+          status: /timeout/i.test(err.message || '') ? 'timed-out' : 'failed',
+          error: err.message || String(err),
+          validationErrors: err.validationErrors || []
+        });
+        batchErrors.push({
+          batch: i + 1,
+          batchId,
+          calls: batch.length,
+          error: err.message || String(err),
+          validationErrors: err.validationErrors || []
+        });
+        reportProgress(`Batch ${i + 1}/${batches.length} skipped (${err.validationErrors ? 'invalid response' : 'timeout or error'})`);
+        return; // Skip to next batch on timeout/error
       }
       
-      // Store results
-      if (result.tech_stack && result.analytics_events) {
-        await storeAIResults(sessionId, batchId, result.tech_stack, result.analytics_events);
-        console.log(`CAST: Batch ${i + 1}/${batches.length} processed - ${result.tech_stack.length} tech items, ${result.analytics_events.length} analytics events`);
-        
-        if (progressCallback) {
-          progressCallback({
-            processed: i + 1,
-            total: batches.length,
-            percentage: Math.round(((i + 1) / batches.length) * 100),
-            current: `Completed batch ${i + 1}/${batches.length}`,
-            stage: 'AI Analysis'
-          });
-        }
-      } else {
-        console.warn(`CAST: Batch ${i + 1} returned no results`);
-      }
-      processedBatches = i + 1;
+      // Store results (already validated against the AIReconResult schema)
+      await storeAIResults(sessionId, batchId, result.tech_stack, result.analytics_events, reconPrompt.version);
+      await saveLedgerEntry({
+        ...entry,
+        status: 'succeeded',
+        techCount: result.tech_stack.length,
+        eventCount: result.analytics_events.length
+      });
+      console.log(`CAST: Batch ${i + 1}/${batches.length} processed - ${result.tech_stack.length} tech items, ${result.analytics_events.length} analytics events`);
+      processedBatches++;
+      reportProgress(`Completed batch ${i + 1}/${batches.length} (${limiter.active} in flight)`);
     } catch (error) {
       console.error(`CAST: Error processing batch ${i + 1}:`, error);
-      // Continue with next batch
+      await saveLedgerEntry({ ...entry, status: 'failed', error: error.message || String(error) }).catch(() => {});
+      batchErrors.push({ batch: i + 1, batchId, calls: batch.length, error: error.message || String(error), validationErrors: [] });
+      reportProgress(`Batch ${i + 1}/${batches.length} failed`);
+    }
+  };
+
+  // Bounded pool: each worker takes the next batch; the limiter throttles them further on 429s
+  let nextBatch = 0;
+  const workers = Array.from({ length: Math.min(limiter.limits.concurrency, batches.length) }, async () => {
+    while (nextBatch < batches.length) {
+      if (aiCancelRequested) {
+        console.warn('CAST: AI analysis cancelled before batch', nextBatch + 1);
+        return;
+      }
+      await processBatch(nextBatch++);
+    }
+  });
+  await Promise.all(workers);
+  batchErrors.sort((a, b) => a.batch - b.batch); // Workers finish out of order
+
+  await recordAnalysisRun(sessionId, {
+    mode: 'batch',
+    provider: modelConfig.provider,
+    model: modelConfig.model,
+    promptVersion: reconPrompt.version,
+    batches: batches.length,
+    skippedCalls,
+    failed: batchErrors
+  });
+  
+  if (progressCallback) {
+    progressCallback({
+      processed: batches.length,
+      total: batches.length,
+      percentage: 100,
+      current: 'AI analysis complete',
+      stage: 'AI Analysis'
+    });
+  }
+  
+  } finally {
+    stopKeepAlive();
+  }
+  
+  return { batchesProcessed: processedBatches, callsSkipped: skippedCalls, totalBatches: batches.length, totalCalls: networkCalls.length, cancelled: aiCancelRequested, batchErrors };
+}
+
+// Calls worth sending to the AI: third-party analytics traffic and page documents, minus the
+// first-party domain and hits the local decoder already handled (one representative per provider/account stays)
+async function selectCallsForAI(networkCalls, decodedCallList) {
+  const decodedCalls = new Set(decodedCallList);
+  // Keep one decoded hit per provider/account so the AI can still attribute the tech stack
+  const representatives = new Set();
+  const representativeKeys = new Set();
+  for (const call of decodedCallList) {
+    const [event] = self.CASTAnalyticsParser.decodeCall(call);
+    const key = `${event.provider}|${event.account_id || ''}`;
+    if (!representativeKeys.has(key)) {
+      representativeKeys.add(key);
+      representatives.add(call);
+    }
+  }
+
+  // Get company domain from current tab or from network calls
+  let companyDomain = null;
+  let companyBaseDomain = null; // e.g., "applydigital.com" from "www.applydigital.com" or "app.applydigital.com"
+  
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    if (tab && tab.url) {
+      const tabUrl = new URL(tab.url);
+      companyDomain = tabUrl.hostname.replace(/^www\./, ''); // Remove www. prefix
+      // Extract base domain (e.g., "applydigital.com" from "app.applydigital.com")
+      const parts = companyDomain.split('.');
+      if (parts.length >= 2) {
+        companyBaseDomain = parts.slice(-2).join('.'); // Last two parts
+      } else {
+        companyBaseDomain = companyDomain;
+      }
+    }
+  } catch (e) {
+    console.warn('Could not get company domain from tab, trying from network calls');
+    // Fallback: extract domain from first network call's pageUrl
+    if (networkCalls.length > 0 && networkCalls[0].pageUrl) {
+      try {
+        const pageUrl = new URL(networkCalls[0].pageUrl);
+        companyDomain = pageUrl.hostname.replace(/^www\./, '');
+        const parts = companyDomain.split('.');
+        if (parts.length >= 2) {
+          companyBaseDomain = parts.slice(-2).join('.');
+        } else {
+          companyBaseDomain = companyDomain;
+        }
+      } catch (e2) {
+        console.warn('Could not extract company domain from pageUrl');
+      }
+    }
+  }
+  
+  // Helper function to check if a host belongs to company domain
+  const isCompanyDomain = (host) => {
+    if (!companyBaseDomain) return false;
+    const hostDomain = host.replace(/^www\./, '').split(':')[0]; // Remove www. and port
+    // Check exact match or if host ends with company domain
+    return hostDomain === companyDomain || hostDomain === companyBaseDomain || hostDomain.endsWith('.' + companyBaseDomain);
+  };
+  
+  // Filter to ONLY analytics-related network calls AND exclude company domain
+  const analyticsPattern = /(google-analytics|analytics\.google|googletagmanager|gtag|gtm|segment|mixpanel|amplitude|hotjar|clarity|hubspot|adroll|facebook|meta|tiktok|linkedin|twitter|pinterest|reddit|quora|bing|microsoft|sentry|datadog|newrelic|fullstory|heap|pendo|optimizely|vwo|ab-tasty|doubleclick|googleadservices|googlesyndication)/i;
+  
+  const filteredCalls = networkCalls.filter(call => {
+    const url = call.url || '';
+    const host = call.host || '';
+    const pathname = call.pathname || '';
+    
+    // Already decoded locally - the AI pass focuses on the long tail
+    if (decodedCalls.has(call) && !representatives.has(call)) {
+      return false;
+    }
+    
+    // Page documents carry the response headers (server, x-powered-by, cf-ray...) that reveal hosting and frameworks
+    if (call.resourceType === 'Document' && call.status != null) {
+      return true;
+    }
+    
+    // Exclude calls to company domain (including subdomains)
+    if (isCompanyDomain(host)) {
+      return false;
+    }
+    
+    // Only keep analytics-related requests (external domains)
+    return analyticsPattern.test(host) || analyticsPattern.test(pathname) || analyticsPattern.test(url);
+  });
+  
+  console.log(`CAST: Company domain: ${companyDomain || 'unknown'} (base: ${companyBaseDomain || 'unknown'})`);
+  console.log(`CAST: Filtered to ${filteredCalls.length} external analytics network calls (from ${networkCalls.length} total, excluding ${companyBaseDomain || 'company domain'})`);
+  return filteredCalls;
+}
+
+// Retrieval mode: embed the calls, pull the most relevant ones for each retrieval query and analyze
+// them as one payload built by buildRAGPayload. For sessions too big to batch cheaply. The run has a
+// batch ledger entry like a batch (same calls, embedding model and queries -> same entry) and its
+// results replace the previous retrieval run's.
+async function processRetrievalAnalysis(modelConfig, networkCalls, networkCallsByPage, sessionId, progressCallback, options = {}) {
+  startKeepAlive();
+  if (!networkCallsDB) await initNetworkCallsDB();
+
+  const batchErrors = [];
+  let processedBatches = 0;
+  let retrievedCount = 0;
+  try {
+    const embedder = await getEmbedder(sessionId);
+    const queries = await getRetrievalQueries();
+    const hash = await hashRetrievalRun(networkCalls, embedder.id, queries);
+    const previous = (await getBatchLedger(sessionId)).get(hash);
+    const skipReason = batchSkipReason(previous, options.retryFailedOnly);
+    if (skipReason) {
+      if (progressCallback) progressCallback({ processed: 1, total: 1, percentage: 100, current: `Retrieval run skipped (${skipReason})`, stage: 'AI Analysis' });
+      return { batchesProcessed: 0, callsSkipped: networkCalls.length, totalBatches: 0, totalCalls: networkCalls.length, retrievedCalls: 0, cancelled: false, batchErrors };
+    }
+    const reconPrompt = await loadPrompt('recon', networkCalls[0]?.pageUrl);
+    const entry = {
+      id: `${sessionId}|${hash}`,
+      sessionId,
+      hash,
+      batchId: 'retrieval',
+      mode: 'retrieval',
+      callCount: networkCalls.length,
+      status: 'pending',
+      attempts: (previous?.attempts || 0) + 1,
+      error: null,
+      validationErrors: [],
+      provider: modelConfig.provider,
+      model: modelConfig.model,
+      embeddingModel: embedder.id,
+      promptVersion: reconPrompt.version,
+      createdAt: previous?.createdAt || Date.now()
+    };
+    await saveLedgerEntry(entry);
+
+    const rag = new self.CASTRAG();
+    const embedded = await rag.processNetworkCalls(
+      embedder,
+      networkCalls.map(call => ({ ...call, response: summarizeResponse(call) })),
+      sessionId,
+      (progress) => {
+        if (progressCallback) progressCallback({ ...progress, current: `Embedding ${progress.current}`, stage: 'Embedding' });
+      }
+    );
+    if (embedded.failed) {
+      // Unembedded calls can't be retrieved; fail the run so "retry failed" embeds them again
+      const message = `Embedding failed for ${embedded.failed} call${embedded.failed === 1 ? '' : 's'}: ${embedder.lastError?.message || embedder.lastError}`;
+      await saveLedgerEntry({ ...entry, status: 'failed', error: message });
+      throw new Error(message);
+    }
+    console.log(`CAST: ${embedded.processed} calls embedded with ${embedder.id} (${embedded.new} new)`);
+    if (aiCancelRequested) {
+      return { batchesProcessed: 0, callsSkipped: 0, totalBatches: 1, totalCalls: networkCalls.length, cancelled: true, batchErrors };
+    }
+
+    if (progressCallback) {
+      progressCallback({ processed: 0, total: 1, percentage: 0, current: 'Retrieving relevant requests…', stage: 'Retrieval' });
+    }
+    const retrieved = await rag.retrieveForAnalysis(embedder, queries, sessionId);
+    if (retrieved.failedQueries.length) {
+      const message = `Embedding failed for ${retrieved.failedQueries.length} retrieval quer${retrieved.failedQueries.length === 1 ? 'y' : 'ies'}: ${embedder.lastError?.message || embedder.lastError}`;
+      await saveLedgerEntry({ ...entry, status: 'failed', error: message });
+      throw new Error(message);
+    }
+    retrievedCount = retrieved.allRelevant.length;
+    let payload = buildRAGPayload(retrieved, networkCallsByPage);
+    let payloadTokens = estimateTokensForPayload(payload);
+    if (payloadTokens > MAX_TOKENS_PER_BATCH) {
+      payload = trimPayloadToLimit(payload, MAX_TOKENS_PER_BATCH);
+      payloadTokens = estimateTokensForPayload(payload);
+    }
+    console.log(`CAST: Retrieved ${retrievedCount} requests for ${queries.length} queries (~${payloadTokens} tokens)`);
+
+    if (!payload.pages.length) {
+      await saveLedgerEntry({ ...entry, status: 'succeeded', error: 'No requests matched the retrieval queries' });
+      batchErrors.push({ batch: 1, batchId: 'retrieval', calls: 0, error: 'No requests matched the retrieval queries', validationErrors: [] });
+    } else {
+      try {
+        const result = await callReconModel(modelConfig, payload, {
+          limiter: self.CASTRateLimit.createRateLimiter(await getAIRateLimits()),
+          estimatedTokens: payloadTokens,
+          label: 'Retrieval analysis',
+          usageContext: { sessionId, batchId: 'retrieval' },
+          prompt: reconPrompt
+        });
+        await clearBatchEntriesForSession('techStackResults', sessionId, 'retrieval');
+        await clearBatchEntriesForSession('analyticsEventsResults', sessionId, 'retrieval');
+        await storeAIResults(sessionId, 'retrieval', result.tech_stack, result.analytics_events, reconPrompt.version);
+        await saveLedgerEntry({
+          ...entry,
+          status: 'succeeded',
+          techCount: result.tech_stack.length,
+          eventCount: result.analytics_events.length
+        });
+        processedBatches = 1;
+      } catch (err) {
+        console.error('CAST: Retrieval analysis failed:', err);
+        await saveLedgerEntry({
+          ...entry,
+          status: /timeout/i.test(err.message || '') ? 'timed-out' : 'failed',
+          error: err.message || String(err),
+          validationErrors: err.validationErrors || []
+        });
+        batchErrors.push({
+          batch: 1,
+          batchId: 'retrieval',
+          calls: retrievedCount,
+          error: err.message || String(err),
+          validationErrors: err.validationErrors || []
+        });
+      }
     }
-  }
-  
-  if (progressCallback) {
-    progressCallback({
-      processed: batches.length,
-      total: batches.length,
-      percentage: 100,
-      current: 'AI analysis complete',
-      stage: 'AI Analysis'
+
+    await recordAnalysisRun(sessionId, {
+      mode: 'retrieval',
+      provider: modelConfig.provider,
+      model: modelConfig.model,
+      embeddingModel: embedder.id,
+      promptVersion: reconPrompt.version,
+      queries,
+      retrieved: retrievedCount,
+      batches: 1,
+      skippedCalls: 0,
+      failed: batchErrors
     });
-  }
-  
+
+    if (progressCallback) {
+      progressCallback({ processed: 1, total: 1, percentage: 100, current: 'AI analysis complete', stage: 'AI Analysis' });
+    }
   } finally {
     stopKeepAlive();
   }
-  
-  return { batchesProcessed: processedBatches, totalCalls: networkCalls.length, cancelled: aiCancelRequested };
+
+  return { batchesProcessed: processedBatches, callsSkipped: 0, totalBatches: 1, totalCalls: networkCalls.length, retrievedCalls: retrievedCount, cancelled: aiCancelRequested, batchErrors };
+}
+
+// Request IDs of the calls most similar to a question. The local embedder indexes the session on
+// demand; a remote one is only used when retrieval mode already embedded the session, so a question
+// never triggers a full (paid) embedding run.
+async function searchSessionSemantically(question, calls, sessionId, limit) {
+  try {
+    const embedder = await getEmbedder(sessionId);
+    const rag = new self.CASTRAG();
+    if (embedder.local) {
+      await rag.processNetworkCalls(embedder, calls.map(call => ({ ...call, response: summarizeResponse(call) })), sessionId);
+    } else {
+      const entry = await rag.ensureVectorIndex(sessionId, embedder.id);
+      if (!entry.index.size) return [];
+    }
+    // The local embedder's fitted IDF weights: the question must land in the same vector space as the stored calls
+    await rag.prepareEmbedder(embedder, sessionId);
+    const queryEmbedding = await rag.createEmbedding(embedder, { host: question, pathname: '', method: '' });
+    const hits = await rag.searchSimilar(queryEmbedding, sessionId, limit, embedder.id);
+    return hits.map(hit => hit.requestData?.requestId).filter(Boolean);
+  } catch (error) {
+    console.warn('CAST: Semantic search unavailable for Q&A:', error.message || error);
+    return [];
+  }
+}
+
+// Answer a question about the active session from its calls and stored results. Calls are picked by
+// structured filters (session-qa.js) plus semantic matches; citations map [R#] labels to request IDs.
+async function answerSessionQuestion(question, history = []) {
+  const sessionId = await getActiveSessionId();
+  if (!sessionId) throw new Error('No session selected. Run a crawl or open a session first.');
+  const modelConfig = await getModelConfig('qa');
+  if (!self.CASTProviders.isConfigured(modelConfig)) throw new Error(describeMissingModelConfig(modelConfig));
+
+  const { flat: calls } = await getNetworkCallsFromDB(sessionId);
+  if (!calls.length) throw new Error('No network calls captured in this session yet.');
+  const stored = await getAllStoredResults(sessionId);
+
+  const eventsByRequestId = new Map();
+  calls.forEach((call) => {
+    const events = self.CASTAnalyticsParser.decodeCall(call);
+    if (events.length) eventsByRequestId.set(call.requestId, events);
+  });
+  const knownEventNames = [
+    ...Array.from(eventsByRequestId.values()).flat().map(event => event.event_name),
+    ...stored.analyticsEvents.map(event => event.event_name)
+  ];
+  const filters = self.CASTSessionQA.extractFilters(question, knownEventNames);
+  const ranked = self.CASTSessionQA.rankCalls(calls, eventsByRequestId, filters);
+  const semanticIds = await searchSessionSemantically(question, calls, sessionId, 30);
+
+  // Structured matches first, with room kept for up to 20 semantic ones
+  const maxCalls = self.CASTSessionQA.MAX_CONTEXT_CALLS;
+  const selected = new Map(ranked.slice(0, maxCalls - Math.min(semanticIds.length, 20)).map(entry => [entry.call.requestId, entry]));
+  const callsById = new Map(calls.map(call => [call.requestId, call]));
+  for (const requestId of semanticIds) {
+    if (selected.size >= maxCalls) break;
+    const call = callsById.get(requestId);
+    if (call && !selected.has(requestId)) selected.set(requestId, { call, events: eventsByRequestId.get(requestId) || [], score: 0 });
+  }
+
+  const { text, refs } = self.CASTSessionQA.buildContext({
+    entries: Array.from(selected.values()),
+    techStack: stored.techStack,
+    analyticsEvents: stored.analyticsEvents,
+    filters
+  });
+  const prompt = await loadPrompt('qa', calls[0].pageUrl);
+  const result = await withTimeout(signal => generateStructured(modelConfig, {
+    system: prompt.system,
+    prompt: self.CASTSessionQA.buildQuestionPrompt(question, history, text),
+    schemaName: 'SessionAnswer',
+    usageContext: { sessionId, task: 'qa', promptVersion: prompt.version },
+    signal
+  }), 120000, 'Session Q&A timeout');
+
+  return {
+    answer: result.answer,
+    citations: self.CASTSessionQA.resolveCitations(result, refs),
+    promptVersion: prompt.version,
+    retrieval: { structured: ranked.length, semantic: semanticIds.length, contextCalls: refs.size }
+  };
+}
+
+// Keep the outcome of the latest AI run (including per-batch errors) on the session record
+async function recordAnalysisRun(sessionId, run) {
+  try {
+    const record = await ensureSessionRecord(sessionId, { origin });
+    await saveSessionRecord({ ...record, lastAnalysis: { ...run, finishedAt: Date.now() } });
+  } catch (error) {
+    console.warn('CAST: Failed to record analysis run:', error);
+  }
 }
 
 // Get all stored results for a session
@@ -1017,10 +2686,13 @@ async function getAllStoredResults(sessionId) {
 
 // Helper to notify popup of status changes
 function notifyPopupStatus(status) {
+  syncDataLayerHook(); // Crawls and Manual Mode report their start and end here
   // Update storage (popup will read from here)
   chrome.storage.local.set({
     CAST_crawlStatus: status,
     CAST_crawlActive: crawlActive,
+    CAST_manualModeActive: manualModeActive,
+    CAST_crawlPaused: crawlPaused,
     CAST_visitedCount: visited.size,
     CAST_queuedCount: queue.length,
     CAST_lastUpdate: Date.now()
@@ -1032,6 +2704,7 @@ function notifyPopupStatus(status) {
       type: "crawl-status-update", 
       status: status,
       active: crawlActive,
+      paused: crawlPaused,
       visited: visited.size,
       queued: queue.length
     }).catch(() => {
@@ -1046,6 +2719,10 @@ function notifyPopupStatus(status) {
 let manualModeActive = false;
 
 async function startManualMode() {
+  if (consentAuditActive) {
+    notifyPopupStatus("A consent audit is running. Stop it before starting Manual Mode.");
+    return;
+  }
   chrome.tabs.query({ active: true, lastFocusedWindow: true }, async ([tab]) => {
     if (!tab || !tab.url || !tab.url.startsWith("http")) {
       notifyPopupStatus("Please navigate to a valid web page first.");
@@ -1056,6 +2733,14 @@ async function startManualMode() {
     origin = u.origin;
     activeTabId = tab.id;
     manualModeActive = true;
+    await syncDataLayerHook();
+    // The page already open missed document_start; hook it now (earlier pushes are marked beforeHook)
+    chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      world: 'MAIN',
+      files: ['content/datalayer-hook.js']
+    }).catch(error => console.warn('CAST: Could not hook the data layer of the open page:', error.message || error));
+    await loadCrawlRules(origin);
     
     // Ensure logs exist for this page
     logs = logs || {};
@@ -1073,9 +2758,14 @@ async function startManualMode() {
     // Restore or create session ID
     chrome.storage.local.get(['CAST_currentSessionId'], async (res) => {
       if (!currentSessionId) {
-        currentSessionId = res.CAST_currentSessionId || `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        currentSessionId = res.CAST_currentSessionId || generateSessionId();
         chrome.storage.local.set({ CAST_currentSessionId: currentSessionId });
       }
+      try {
+        await ensureSessionRecord(currentSessionId, { origin, mode: 'manual' });
+      } catch (error) {
+        console.warn('CAST: Failed to record session:', error);
+      }
       
       notifyPopupStatus("Manual Mode Active. Navigate and interact freely. Traffic is being recorded.");
       
@@ -1103,6 +2793,7 @@ async function startManualMode() {
 
 function stopManualMode() {
   manualModeActive = false;
+  finalizeSession(currentSessionId);
   if (activeTabId) {
     chrome.debugger.detach({ tabId: activeTabId }, () => {
       if (chrome.runtime.lastError) {
@@ -1113,176 +2804,460 @@ function stopManualMode() {
   notifyPopupStatus("Manual Mode Stopped. Traffic recorded.");
 }
 
-// Keep-alive connection handling
-chrome.runtime.onConnect.addListener((port) => {
-  if (port.name === "cast-popup-connection") {
-    console.log("CAST: Popup connected, keeping service worker alive");
-    port.onDisconnect.addListener(() => {
-      console.log("CAST: Popup disconnected");
+// ---- Consent audit ----
+// Every page is loaded once per consent state (no interaction, Reject all, Accept all) from cleared
+// storage. Requests seen during a pass are collected in consentAuditPass and also stored, tagged with
+// consentState; consent-audit.js turns the passes into the per-page violation report.
+const CONSENT_SETTLE_MS = 4000; // Time for tags to fire after load and after a banner click
+const MAX_CONSENT_AUDIT_PAGES = 50;
+let consentAuditActive = false;
+let consentAuditCancelRequested = false;
+let consentAuditPass = null; // { state, pageUrl, calls } while a pass is loading
+
+function sendDebuggerCommand(tabId, method, params = {}) {
+  return new Promise((resolve, reject) => {
+    chrome.debugger.sendCommand({ tabId }, method, params, (result) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve(result || {});
     });
-  }
-});
+  });
+}
 
-// Generate analytics strategy recommendation
-async function generateAnalyticsStrategy(apiKey, domData) {
-  const endpoint =
-    "https://generativelanguage.googleapis.com/v1beta/models/gemini-3-pro-preview:generateContent?key=" +
-    encodeURIComponent(apiKey);
-
-  const systemPrompt = `
-You are an expert in digital analytics, and data architecture.
-
-Your job is to generate a complete analytics recommendation for a modern website, focusing ONLY on the "Recommend Strategy" output. Keep the JSON output schema the same:
-{
-  "recommendations": [
-    {
-      "selector": "string (unique CSS selector)",
-      "eventName": "string (snake_case, GA4-friendly)",
-      "category": "string (e.g., Navigation, Conversion, User Journey, Engagement, E-commerce, Lead Generation, Content, Utility)",
-      "reasoning": "string (why this matters in the journey; note if auto-collected by GA4 Enhanced Measurement)",
-      "priority": "High" | "Medium" | "Low",
-      "codeSnippet": "string (JavaScript dataLayer.push code using the data layer schema below)",
-      "triggerType": "string (CSS Selector or Text Match)",
-      "triggerValue": "string (selector or text for GTM)",
-      "isAutoCollected": boolean
-    }
-  ]
-}
-
-Apply this prompt when generating recommendations:
-
-1) User Experience + Journey Understanding
-- Identify core audience types and jobs-to-be-done.
-- Map the journey: awareness → exploration → evaluation → conversion → retention.
-- Identify friction points and critical interaction moments.
-
-2) Component-Based Product Interaction Model
-- Analyze UI components/blocks: navigation (header, mega menu, mobile nav, footer), content blocks (hero, promo, FAQ, grids, carousels), forms and micro-interactions (field interactions, progress, errors), product/service cards, pricing, search/filters/sorting, checkout or lead paths, utility (chat, sticky CTA, account actions).
-
-3) Analytics Naming Conventions
-- Event names: snake_case (e.g., navigation_interaction, content_block_impression).
-- Parameters: dot.notation namespaces (e.g., navigation.item_label, form.field_name).
-- Component names: short, semantic (e.g., hero_banner, product_grid, faq_section).
-- Every event must include: page_type, page_path, component_id (when applicable), component_type.
-
-4) Event Taxonomy Design (GA4-ready)
-- For each event: event name, description, trigger conditions, parameters (name + type + description), example payload.
-- Group events by: Navigation interactions; Content block interactions & impressions; Search; Forms; Conversions; Product engagement; Utility interactions (chat, sticky CTA, account actions).
-
-5) Data Layer Schema (use in codeSnippet)
-{
-  "event": "",
-  "page": { "type": "", "path": "", "language": "" },
-  "component": { "id": "", "type": "", "position": "", "metadata": {} },
-  "interaction": { "type": "", "value": "", "target": "" }
-}
-- Include rules for: component impressions (IntersectionObserver), component clicks, form start/field interaction/submit success-failure, nav hierarchy (level 1–3), scroll depth, personalization experiments (variant, algorithm).
-
-6) User Journey KPIs
-- KPIs for: navigation discoverability, block engagement, content depth, conversion & form drop-off, product evaluation patterns, retention & repeat engagement.
-
-7) Recommendations
-- Provide implementation notes, suggested event consolidation, how to push to GA4 + BigQuery, personalization insights, and dashboard outline (Looker Studio/PowerBI) – embed the most relevant notes into reasoning.
-
-Additional rules to fit our DOM and navigation detection:
-- Use navigation metadata when present: navigation.location ('header' | 'footer' | 'dropdown'), navigation.hasDropdown, navigation.parentNav, navigation.dropdownItems.
-- Track ALL header and footer navigation links, and ALL dropdown/popup menu items. Parents and children each get their own event.
-- DO NOT use select_content for navigation. Use navigation-specific events: navigation_click (or nav_item_click), navigation_menu_open, navigation_menu_close, navigation_section_impression where appropriate. Include parameters navigation.location, navigation.parent (if dropdown), navigation.item_label, navigation.link_url.
-- For forms: form_start, field interaction, generate_lead/sign_up submit success/failure with form_id, form_name, error/message when relevant.
-- For impressions: use IntersectionObserver-driven component impressions (content_block_impression) with component_id/component_type.
-- For search: search event with search_term; for filters/sorting: filter_interaction, sort_interaction.
-- For e-commerce: view_item_list, select_item, view_item, add_to_cart, begin_checkout, purchase with items array; keep GA4 alignment.
-- For auto-collected events (page_view, scroll, file_download, outbound_click, site_search): set isAutoCollected: true and explain when a custom layer is still helpful (e.g., virtual page views, scroll milestones, segmented file types).
-- ALWAYS include the core GA4 Enhanced Measurement autos as individual recommendations (one per event, NOT grouped), each marked isAutoCollected: true: page_view, scroll, outbound_click, file_download, site_search, video_start, video_progress, video_complete. Treat them like other events: one per line with its own selector/trigger and reasoning. Make clear these fire when the GA4 base tag is present; include a short codeSnippet showing how to extend/segment if needed (e.g., virtual page views, scroll depth thresholds, file type filtering).
-- Consolidate redundant interactions: do NOT emit multiple near-duplicate events for the same UI component. Group cookie/consent banners into a single event (e.g., consent_interaction) with parameters: consent_action (accept/reject/preferences), consent_provider, consent_area (banner/modal), and link_text if applicable. Prefer GA4-aligned parameter naming (snake_case) even if event is custom.
-
-Implementation expectations for codeSnippet:
-- Use dataLayer.push with the schema above.
-- Include page_type, page_path, component_id, component_type, and relevant parameters per event.
-- Use snake_case for event and dot.notation for parameters where helpful (e.g., navigation.item_label, form.field_name).
-- Keep payload concise and production-ready.
-`.trim();
-
-  const body = {
-    contents: [
-      {
-        parts: [
-          { text: systemPrompt },
-          { text: "DOM Structure:\n" + JSON.stringify(domData, null, 2) }
-        ]
-      }
-    ]
+function cookieKey(cookie) {
+  return `${cookie.name}|${cookie.domain}|${cookie.path}`;
+}
+
+// Every cookie in the browser (Storage.getCookies is not limited to the tab)
+async function getAllBrowserCookies(tabId) {
+  const { cookies = [] } = await sendDebuggerCommand(tabId, 'Storage.getCookies')
+    .catch(() => sendDebuggerCommand(tabId, 'Network.getAllCookies'));
+  return cookies;
+}
+
+// The cookies a browser would send to any of hosts (all cookies without hosts), keyed so a later
+// snapshot shows what a pass set or refreshed
+async function snapshotCookies(tabId, hosts = null) {
+  const cookies = await getAllBrowserCookies(tabId);
+  return new Map(cookies
+    .filter(cookie => !hosts || hosts.some(host => self.CASTConsentAudit.cookieAppliesToHost(cookie, host)))
+    .map(cookie => [cookieKey(cookie), cookie]));
+}
+
+// What the audit may delete: cookies of the audited site and of the tracker hosts its pages call.
+// scope: { site, trackerUrls: Set of tracker origins seen so far, deletedKeys, backup: cookies before the audit }
+function createConsentCookieScope(siteHost, backup) {
+  return { site: self.CASTConsentAudit.siteOf(siteHost), trackerUrls: new Set(), deletedKeys: new Set(), backup };
+}
+
+function cookieInConsentScope(scope, cookie) {
+  if (scope.deletedKeys.has(cookieKey(cookie))) return true;
+  if (self.CASTConsentAudit.siteOf(cookie.domain) === scope.site) return true;
+  return Array.from(scope.trackerUrls).some(url => self.CASTConsentAudit.cookieAppliesToHost(cookie, new URL(url).hostname));
+}
+
+function deleteCookies(tabId, cookies) {
+  return Promise.all(cookies.map(cookie => sendDebuggerCommand(tabId, 'Network.deleteCookies', {
+    name: cookie.name,
+    domain: cookie.domain,
+    path: cookie.path
+  }).catch(() => {})));
+}
+
+// Storage.setCookies takes CookieParam: host-only cookies are set by url so they stay host-only
+function toCookieParam(cookie) {
+  const param = {
+    name: cookie.name,
+    value: cookie.value,
+    path: cookie.path,
+    secure: cookie.secure,
+    httpOnly: cookie.httpOnly
   };
+  if (cookie.domain.startsWith('.')) param.domain = cookie.domain;
+  else param.url = `${cookie.secure ? 'https' : 'http'}://${cookie.domain}${cookie.path || '/'}`;
+  if (!cookie.session && cookie.expires > 0) param.expires = cookie.expires;
+  ['sameSite', 'priority', 'sourceScheme', 'sourcePort', 'partitionKey'].forEach((key) => {
+    if (cookie[key] !== undefined) param[key] = cookie[key];
+  });
+  return param;
+}
 
-  try {
-    const res = await fetch(endpoint, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(body)
-    });
+// Put back the cookies the audit deleted or changed, and drop the ones its passes created
+async function restoreConsentCookies(tabId, scope) {
+  const current = (await getAllBrowserCookies(tabId)).filter(cookie => cookieInConsentScope(scope, cookie));
+  await deleteCookies(tabId, current);
+  const cookies = scope.backup.filter(cookie => cookieInConsentScope(scope, cookie)).map(toCookieParam);
+  if (!cookies.length) return;
+  await sendDebuggerCommand(tabId, 'Storage.setCookies', { cookies })
+    .catch(() => sendDebuggerCommand(tabId, 'Network.setCookies', { cookies }));
+}
 
-    if (!res.ok) {
-      const text = await res.text();
-      throw new Error("Gemini API error: " + text);
+// Start a pass with no stored consent choice: delete the cookies sent to the page and to the tracker
+// hosts seen so far, and clear the site's storage (CMPs keep the choice in cookies or localStorage)
+async function clearConsentStorage(tabId, pageUrl, scope) {
+  const { cookies = [] } = await sendDebuggerCommand(tabId, 'Network.getCookies', { urls: [pageUrl, ...scope.trackerUrls] });
+  cookies.forEach(cookie => scope.deletedKeys.add(cookieKey(cookie)));
+  await deleteCookies(tabId, cookies);
+  await sendDebuggerCommand(tabId, 'Storage.clearDataForOrigin', {
+    origin: new URL(pageUrl).origin,
+    storageTypes: 'cookies,local_storage,indexeddb,cache_storage,service_workers'
+  }).catch(error => console.warn('CAST: Could not clear site storage:', error.message));
+}
+
+// Runs in the page's main world: the CMP's TCF v2 data, or null when the page has no __tcfapi
+function readTcfData() {
+  return new Promise((resolve) => {
+    if (typeof window.__tcfapi !== 'function') {
+      resolve(null);
+      return;
+    }
+    const timer = setTimeout(() => resolve(null), 2000);
+    try {
+      window.__tcfapi('getTCData', 2, (data, success) => {
+        clearTimeout(timer);
+        resolve(success && data ? {
+          tcString: data.tcString || null,
+          cmpId: data.cmpId ?? null,
+          gdprApplies: data.gdprApplies ?? null,
+          eventStatus: data.eventStatus || null
+        } : null);
+      });
+    } catch (e) {
+      clearTimeout(timer);
+      resolve(null);
     }
+  });
+}
 
-    const data = await res.json();
-    const cand = data.candidates && data.candidates[0];
-    if (!cand || !cand.content || !cand.content.parts) {
-      throw new Error("No content returned from Gemini.");
+// Ask the content script to click "Reject all" / "Accept all"; returns { clicked, label }
+async function requestConsentAction(tabId, action) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      const result = await chrome.tabs.sendMessage(tabId, { type: "consent-action", action });
+      if (result) return result;
+    } catch (e) {
+      await chrome.scripting.executeScript({
+        target: { tabId },
+        files: ['content/crawler.js']
+      }).catch(() => {});
+      await sleep(500);
     }
+  }
+  return { clicked: false, label: null, bannerFound: false };
+}
 
-    const text = cand.content.parts.map((p) => p.text || "").join("");
-    let cleanedText = text.trim();
-    
-    // More robust JSON extraction: find first '{' and last '}'
-    const firstBrace = cleanedText.indexOf('{');
-    const lastBrace = cleanedText.lastIndexOf('}');
-    
-    if (firstBrace !== -1 && lastBrace !== -1) {
-      cleanedText = cleanedText.substring(firstBrace, lastBrace + 1);
-    } else if (cleanedText.startsWith("```")) {
-      // Fallback to old logic just in case
-      cleanedText = cleanedText.replace(/^```(?:json)?\s*\n?/, "");
-      cleanedText = cleanedText.replace(/\n?```\s*$/, "");
-      cleanedText = cleanedText.trim();
-    }
-
-    const normalizeJson = (input) => {
-      let out = input;
-      // Convert stray backslash-newline combos into literal \n so JSON parse accepts them
-      out = out.replace(/\\\s*\r?\n/g, "\\n");
-      // Escape invalid backslashes (anything not a valid JSON escape)
-      out = out.replace(/\\(?!["\\/bfnrtu])/g, "\\\\");
-      // Strip control chars (except newline, tab, carriage return)
-      out = out.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, "");
-      // Replace smart quotes with straight quotes
-      out = out.replace(/[\u201c\u201d]/g, '"').replace(/[\u2018\u2019]/g, "'");
-      // Remove trailing commas before } or ]
-      out = out.replace(/,(\s*[}\]])/g, "$1");
-      return out;
-    };
+// Load pageUrl in one consent state and summarize what fired. The tracker hosts this pass calls join
+// scope.trackerUrls so the next pass can clear their cookies.
+async function runConsentPass(tabId, pageUrl, state, scope) {
+  await clearConsentStorage(tabId, pageUrl, scope);
+  const cookiesBefore = await snapshotCookies(tabId);
+
+  consentAuditPass = { state, pageUrl, calls: [] };
+  const loaded = waitForTabComplete(tabId, null, 30000);
+  await chrome.tabs.update(tabId, { url: pageUrl });
+  await loaded;
+  await sleep(CONSENT_SETTLE_MS);
+
+  let banner = null;
+  if (state !== 'none') {
+    banner = await withTimeout(requestConsentAction(tabId, state), 15000, 'Consent banner')
+      .catch(() => ({ clicked: false, label: null, bannerFound: false }));
+    if (banner.clicked) await sleep(CONSENT_SETTLE_MS);
+  }
 
-    // Parse with layered fallbacks for malformed escapes/control chars
+  const tcData = await withTimeout(chrome.scripting.executeScript({
+    target: { tabId },
+    world: 'MAIN',
+    func: readTcfData
+  }), 5000, 'TCF read').then(([injection]) => injection?.result || null).catch(() => null);
+
+  // Leave the page so its unload beacons land in this pass rather than the next one
+  const left = waitForTabComplete(tabId, null, 5000);
+  await chrome.tabs.update(tabId, { url: 'about:blank' });
+  await left;
+  const pass = consentAuditPass;
+  consentAuditPass = null;
+
+  // Only cookies the page's own requests could have set or read, not the rest of the browser's
+  const hosts = Array.from(new Set([new URL(pageUrl).hostname, ...pass.calls.map(call => call.host).filter(Boolean)]));
+  const cookiesAfter = await snapshotCookies(tabId, hosts);
+  const cookies = Array.from(cookiesAfter.entries())
+    .filter(([key, cookie]) => {
+      const before = cookiesBefore.get(key);
+      return !before || before.value !== cookie.value || before.expires !== cookie.expires;
+    })
+    .map(([, cookie]) => cookie);
+  pass.calls.forEach((call) => {
+    if (!self.CASTConsentAudit.isTrackerHost(call.host)) return;
     try {
-      return JSON.parse(cleanedText);
+      scope.trackerUrls.add(`${new URL(call.url).origin}/`);
     } catch (e) {
-      try {
-        const sanitized = normalizeJson(cleanedText);
-        return JSON.parse(sanitized);
-      } catch (e2) {
+      // Unparseable URLs were never stored
+    }
+  });
+
+  return self.CASTConsentAudit.summarizePass({ state, pageUrl, calls: pass.calls, cookies, tcData, banner });
+}
+
+function notifyConsentAuditProgress(progress) {
+  chrome.runtime.sendMessage({ type: "consent-audit-progress", ...progress }).catch(() => {
+    // Popup not open
+  });
+}
+
+// Audit the current session's pages (or just the active tab's page) into a new 'consent-audit' session.
+// Resolves once the run has started; progress and completion arrive as consent-audit-progress messages.
+async function startConsentAudit() {
+  if (consentAuditActive) throw new Error("A consent audit is already running.");
+  if (crawlActive || manualModeActive) throw new Error("Stop the crawl or Manual Mode before running a consent audit.");
+
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  if (!tab || !tab.url || !tab.url.startsWith("http")) throw new Error("Please navigate to a valid web page first.");
+  const siteOrigin = new URL(tab.url).origin;
+
+  // Pages of the same site from the current session, active page first
+  const { pageLimit: storedLimit } = await chrome.storage.local.get("pageLimit");
+  const limit = Math.min(storedLimit === "all" ? MAX_CONSENT_AUDIT_PAGES : parseInt(storedLimit, 10) || 10, MAX_CONSENT_AUDIT_PAGES);
+  const urlRecords = await getUniqueUrlsForSession(await getActiveSessionId()).catch(() => []);
+  const pages = [normalizeUrl(tab.url)];
+  urlRecords.forEach((record) => {
+    try {
+      if (new URL(record.url).origin === siteOrigin && !pages.includes(record.url)) pages.push(record.url);
+    } catch (e) {
+      // Skip malformed URLs
+    }
+  });
+  pages.splice(limit);
+
+  await attachDebuggerToTab(tab.id);
+  const previousSession = await getSessionRecord(await getActiveSessionId()).catch(() => null);
+  if (previousSession && !previousSession.endTime) await finalizeSession(previousSession.id);
+  currentSessionId = generateSessionId();
+  origin = siteOrigin;
+  activeTabId = tab.id;
+  logs = {};
+  await ensureSessionRecord(currentSessionId, { origin, mode: 'consent-audit' });
+  chrome.storage.local.set({ CAST_currentSessionId: currentSessionId });
+  pages.forEach(url => saveUniqueUrlToDB(currentSessionId, url, 'consent-audit'));
+
+  consentAuditActive = true;
+  consentAuditCancelRequested = false;
+  runConsentAudit(tab.id, currentSessionId, pages);
+  return { started: true, pages: pages.length, sessionId: currentSessionId };
+}
+
+async function runConsentAudit(tabId, sessionId, pages) {
+  let violationCount = 0;
+  let processed = 0;
+  let cookieScope = null;
+  try {
+    cookieScope = createConsentCookieScope(new URL(pages[0]).hostname, await getAllBrowserCookies(tabId));
+    for (const pageUrl of pages) {
+      if (consentAuditCancelRequested) break;
+      const passes = {};
+      for (const state of self.CASTConsentAudit.STATES) {
+        if (consentAuditCancelRequested) break;
+        notifyConsentAuditProgress({
+          processed,
+          total: pages.length,
+          currentUrl: pageUrl,
+          stage: `${self.CASTConsentAudit.STATE_LABELS[state]} (${processed + 1}/${pages.length})`
+        });
         try {
-          // Last resort: strip any remaining stray backslashes and control chars
-          const stripped = normalizeJson(cleanedText)
-            .replace(/\\(?!["\\/bfnrtu])/g, "")
-            .replace(/[\x00-\x1F]/g, " ");
-          return JSON.parse(stripped);
-        } catch (finalErr) {
-          console.error("CAST: JSON parse failed after normalization", finalErr, cleanedText.slice(0, 2000));
-          throw finalErr;
+          passes[state] = await runConsentPass(tabId, pageUrl, state, cookieScope);
+        } catch (error) {
+          consentAuditPass = null;
+          console.warn(`CAST: Consent audit pass '${state}' failed for ${pageUrl}:`, error);
         }
       }
+      if (consentAuditCancelRequested) break;
+
+      const report = self.CASTConsentAudit.buildPageReport(pageUrl, passes);
+      violationCount += report.violations.filter(item => item.severity !== 'low').length;
+      await addEntriesToStore('consentAudit', [{ sessionId, ...report, timestamp: Date.now() }]);
+      processed++;
+    }
+  } catch (error) {
+    console.error('CAST: Consent audit failed:', error);
+  } finally {
+    consentAuditActive = false;
+    consentAuditPass = null;
+    if (cookieScope) {
+      await restoreConsentCookies(tabId, cookieScope)
+        .catch(error => console.warn('CAST: Could not restore cookies after the consent audit:', error.message));
+    }
+    chrome.debugger.detach({ tabId }, () => {
+      if (chrome.runtime.lastError) {
+        console.warn('Debugger detach warning:', chrome.runtime.lastError.message);
+      }
+    });
+    await finalizeSession(sessionId);
+    notifyConsentAuditProgress({
+      processed,
+      total: pages.length,
+      done: true,
+      cancelled: consentAuditCancelRequested,
+      stage: `Consent audit ${consentAuditCancelRequested ? 'stopped' : 'complete'}: ${processed} page${processed === 1 ? '' : 's'}, ${violationCount} violation${violationCount === 1 ? '' : 's'}.`
+    });
+  }
+}
+
+// Everything one session's client report needs, from the stored records
+async function buildClientReport(sessionId) {
+  const session = sessionId ? await getSessionRecord(sessionId) : null;
+  if (!session) throw new Error("No session selected. Run a crawl or open a session first.");
+  const [calls, stored, recommendations, uniqueUrls, pageSnapshots] = await Promise.all([
+    fetchStoreRecords('networkCalls', sessionId),
+    getAllStoredResults(sessionId),
+    fetchStoreRecords('strategyRecommendations', sessionId),
+    fetchStoreRecords('uniqueUrls', sessionId),
+    fetchStoreRecords('pageSnapshots', sessionId)
+  ]);
+  return self.CASTReport.buildReport({
+    session,
+    calls,
+    techStack: stored.techStack,
+    analyticsEvents: stored.analyticsEvents,
+    recommendations,
+    uniqueUrls,
+    pageSnapshots,
+    templates: self.CASTTemplates.summarizeTemplates(self.CASTTemplates.buildTemplateIndex(uniqueUrls, pageSnapshots))
+  });
+}
+
+// Check the session's GA4, Segment and Adobe hits against the imported tracking plan
+async function validateTrackingPlan(sessionId) {
+  const { trackingPlan } = await chrome.storage.local.get("trackingPlan");
+  if (!trackingPlan || !Array.isArray(trackingPlan.events)) throw new Error("No tracking plan imported. Import a plan first.");
+  if (!sessionId) throw new Error("No session selected. Run a crawl or open a session first.");
+  const calls = await fetchStoreRecords('networkCalls', sessionId);
+  if (!calls.length) throw new Error("No network calls captured in this session yet.");
+  const hits = calls.flatMap(call => self.CASTTrackingPlan.hitsFromDecodedEvents(call, self.CASTAnalyticsParser.decodeCall(call)));
+  const pages = Array.from(new Set(calls.map(call => call.pageUrl).filter(pageUrl => pageUrl && pageUrl.startsWith("http"))));
+  return self.CASTTrackingPlan.validatePlan(trackingPlan, { hits, pages });
+}
+
+// content/datalayer-hook.js has to run in the page's main world before its inline scripts, so it is
+// a MAIN-world document_start content script, registered only while a crawl or Manual Mode is
+// capturing: the data layer globals of everything else the user browses are left alone.
+const DATALAYER_HOOK_SCRIPT_ID = 'cast-datalayer-hook';
+const DATALAYER_STORE_CHUNK = 500;
+let dataLayerHookSync = Promise.resolve();
+
+// Register or unregister the hook to match crawlActive / manualModeActive; calls are serialized
+function syncDataLayerHook() {
+  dataLayerHookSync = dataLayerHookSync.then(async () => {
+    const wanted = crawlActive || manualModeActive;
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [DATALAYER_HOOK_SCRIPT_ID] });
+    if (wanted && !registered.length) {
+      await chrome.scripting.registerContentScripts([{
+        id: DATALAYER_HOOK_SCRIPT_ID,
+        matches: ['<all_urls>'],
+        js: ['content/datalayer-hook.js'],
+        runAt: 'document_start',
+        world: 'MAIN',
+        persistAcrossSessions: false
+      }]);
+    } else if (!wanted && registered.length) {
+      await chrome.scripting.unregisterContentScripts({ ids: [DATALAYER_HOOK_SCRIPT_ID] });
+    }
+  }).catch(error => console.warn('CAST: Could not update the data layer hook registration:', error.message || error));
+  return dataLayerHookSync;
+}
+
+// Drop a registration left by a service worker that stopped mid-crawl
+syncDataLayerHook();
+
+// Data layer pushes forwarded by crawler.js. Only the tab a crawl or Manual Mode is capturing is
+// recorded; consent audit passes reload pages with cleared storage and are left out.
+async function saveDataLayerPushes(sender, pushes) {
+  if (!currentSessionId || !(crawlActive || manualModeActive) || consentAuditActive) return 0;
+  if (!sender.tab || sender.tab.id !== activeTabId || sender.frameId) return 0;
+  const records = (Array.isArray(pushes) ? pushes : []).map(push => ({
+    sessionId: currentSessionId,
+    pageUrl: push.pageUrl || sender.tab.url || null,
+    source: String(push.source || ''),
+    method: String(push.method || 'push'),
+    data: push.data,
+    isArguments: !!push.isArguments,
+    timestamp: Number(push.timestamp) || Date.now(),
+    timeOrigin: Number(push.timeOrigin) || null,
+    offsetMs: Number.isFinite(push.offsetMs) ? push.offsetMs : null,
+    sequence: Number(push.sequence) || 0,
+    stackOrigin: push.stackOrigin || null,
+    beforeHook: !!push.beforeHook
+  }));
+  // Busy pages push thousands of entries; keep every one, in transactions of a bounded size
+  for (let i = 0; i < records.length; i += DATALAYER_STORE_CHUNK) {
+    await addEntriesToStore('dataLayerEvents', records.slice(i, i + DATALAYER_STORE_CHUNK));
+  }
+  return records.length;
+}
+
+async function buildDataLayerTimeline(sessionId) {
+  if (!sessionId) throw new Error("No session selected. Run a crawl or open a session first.");
+  const [pushes, calls] = await Promise.all([
+    fetchStoreRecords('dataLayerEvents', sessionId),
+    fetchStoreRecords('networkCalls', sessionId)
+  ]);
+  const hits = calls.flatMap(call => self.CASTDataLayer.ga4HitsFromDecodedEvents(call, self.CASTAnalyticsParser.decodeCall(call)));
+  return self.CASTDataLayer.buildTimeline(pushes, hits);
+}
+
+// Keep-alive connection handling
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name === "cast-popup-connection") {
+    console.log("CAST: Popup connected, keeping service worker alive");
+    port.onDisconnect.addListener(() => {
+      console.log("CAST: Popup disconnected");
+    });
+  }
+});
+
+// Replace a page's stored strategy recommendations with the latest run
+async function saveStrategyRecommendations(sessionId, pageUrl, recommendations) {
+  if (!networkCallsDB) await initNetworkCallsDB();
+  await new Promise((resolve, reject) => {
+    const transaction = networkCallsDB.transaction(['strategyRecommendations'], 'readwrite');
+    const request = transaction.objectStore('strategyRecommendations').index('sessionPage').openCursor(IDBKeyRange.only([sessionId, pageUrl]));
+    request.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      cursor.delete();
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+  const timestamp = Date.now();
+  await addEntriesToStore('strategyRecommendations', recommendations.map(rec => ({ ...rec, sessionId, pageUrl, timestamp })));
+}
+
+// Generate analytics strategy recommendation
+// usageContext ({ sessionId, pageUrl }) ties the recorded token usage to the session;
+// with both set, the recommendations are also stored for the client report. signal aborts the model request.
+async function generateAnalyticsStrategy(modelConfig, domData, usageContext = {}, signal = null) {
+  const { system: systemPrompt, version: promptVersion } = await loadPrompt('strategy', usageContext.pageUrl);
+
+  try {
+    const result = await generateStructured(modelConfig, {
+      system: systemPrompt,
+      prompt: "DOM Structure:\n" + JSON.stringify(domData, null, 2),
+      schemaName: 'StrategyRecommendations',
+      usageContext: { task: 'strategy', promptVersion, ...usageContext },
+      signal
+    });
+    // Every recommendation carries the prompt version that produced it
+    const recommendations = result.recommendations.map(rec => ({ ...rec, promptVersion }));
+    if (usageContext.sessionId && usageContext.pageUrl) {
+      await saveStrategyRecommendations(usageContext.sessionId, usageContext.pageUrl, recommendations)
+        .catch(error => console.warn('CAST: Failed to store strategy recommendations:', error));
     }
+    return { ...result, promptVersion, recommendations };
   } catch (error) {
     console.error('CAST: Error generating analytics strategy:', error);
     throw error;
@@ -1293,10 +3268,10 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   if (msg.type === "recommend-strategy") {
     (async () => {
       try {
-        // 1. Get API Key
-        const { geminiApiKey } = await chrome.storage.local.get("geminiApiKey");
-        if (!geminiApiKey) {
-          sendResponse({ error: "No API key found. Please configure it first." });
+        // 1. Get the strategy model
+        const modelConfig = await getModelConfig('strategy');
+        if (!self.CASTProviders.isConfigured(modelConfig)) {
+          sendResponse({ error: describeMissingModelConfig(modelConfig) });
           return;
         }
 
@@ -1333,8 +3308,11 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
           return;
         }
 
-        // 3. Call Gemini
-        const strategy = await generateAnalyticsStrategy(geminiApiKey, domResponse.dom);
+        // 3. Call the strategy model
+        const strategy = await generateAnalyticsStrategy(modelConfig, domResponse.dom, {
+          sessionId: await ensureCurrentSessionId(),
+          pageUrl: tab.url
+        });
         
         // 4. Return results
         sendResponse({ success: true, strategy });
@@ -1415,11 +3393,47 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
       ? msg.depth 
       : 2;
     pageLimit = typeof msg.pageLimit === 'number' && msg.pageLimit > 0 ? msg.pageLimit : null;
+    crawlMode = msg.mode === 'sample' ? 'sample' : 'full';
+    samplesPerTemplate = typeof msg.samplesPerTemplate === 'number' && msg.samplesPerTemplate >= 1
+      ? Math.min(Math.floor(msg.samplesPerTemplate), 20)
+      : 3;
     startCrawl();
     // No response needed for crawl-start, popup doesn't wait for it
     return false;
   }
 
+  if (msg.type === "crawl-pause") {
+    sendResponse(pauseCrawl() ? { success: true } : { error: "No running crawl to pause." });
+    return false;
+  }
+
+  if (msg.type === "crawl-stop") {
+    sendResponse(stopCrawl() ? { success: true } : { error: "No crawl is running." });
+    return false;
+  }
+
+  if (msg.type === "crawl-resume") {
+    // In-memory pause: continue with the next queued page (or let the in-flight page finish)
+    if (crawlActive && crawlPaused) {
+      crawlPaused = false;
+      notifyPopupStatus(`Crawl resumed (${visited.size} visited, ${queue.length} queued).`);
+      if (!currentTask) processNext();
+      sendResponse({ success: true, visited: visited.size, queued: queue.length });
+      return false;
+    }
+    // Otherwise restore a crawl interrupted by a service-worker restart
+    (async () => {
+      try {
+        const result = await resumeCrawl();
+        sendResponse({ success: true, ...result });
+      } catch (error) {
+        console.error('Crawl resume failed:', error);
+        sendResponse({ error: error.message || String(error) });
+      }
+    })();
+    return true;
+  }
+
   if (msg.type === "manual-start") {
     startManualMode();
     sendResponse({ success: true });
@@ -1439,20 +3453,143 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     return false;
   }
 
-  if (msg.type === "recommend-strategy-auto-cancel") {
-    autopilotCancelRequested = true;
-    sendResponse({ cancelled: true });
-    return false;
+  if (msg.type === "recommend-strategy-auto-cancel") {
+    autopilotCancelRequested = true;
+    sendResponse({ cancelled: true });
+    return false;
+  }
+
+  if (msg.type === "consent-audit-start") {
+    (async () => {
+      try {
+        sendResponse(await startConsentAudit());
+      } catch (error) {
+        sendResponse({ error: error.message || String(error) });
+      }
+    })();
+    return true;
+  }
+
+  if (msg.type === "consent-audit-cancel") {
+    consentAuditCancelRequested = true;
+    sendResponse({ cancelled: consentAuditActive });
+    return false;
+  }
+
+  if (msg.type === "get-consent-audit") {
+    (async () => {
+      try {
+        const sessionId = await getActiveSessionId();
+        const reports = sessionId ? await fetchStoreRecords('consentAudit', sessionId) : [];
+        sendResponse({ reports, active: consentAuditActive });
+      } catch (error) {
+        sendResponse({ error: error.message || String(error) });
+      }
+    })();
+    return true;
+  }
+
+  if (msg.type === "export-consent-audit-csv") {
+    (async () => {
+      try {
+        const sessionId = await getActiveSessionId();
+        const reports = sessionId ? await fetchStoreRecords('consentAudit', sessionId) : [];
+        if (!reports.length) {
+          sendResponse({ error: "No consent audit in this session. Run a consent audit first." });
+          return;
+        }
+        sendResponse({ rows: self.CASTConsentAudit.buildReportRows(reports), filename: "CAST_consent_audit.csv" });
+      } catch (error) {
+        console.error('Consent audit export error:', error);
+        sendResponse({ error: error.message || String(error) });
+      }
+    })();
+    return true;
+  }
+
+  if (msg.type === "report-export") {
+    (async () => {
+      try {
+        const format = self.CASTReport.FORMATS[msg.format];
+        if (!format) {
+          sendResponse({ error: `Unknown report format: ${msg.format}` });
+          return;
+        }
+        const sessionId = await getActiveSessionId();
+        const report = await buildClientReport(sessionId);
+        const downloadId = await downloadTextFile(format.render(report), `CAST_report_${sessionId}.${format.extension}`, format.mimeType);
+        sendResponse({ success: true, downloadId });
+      } catch (error) {
+        console.error('Report export error:', error);
+        sendResponse({ error: error.message || String(error) });
+      }
+    })();
+    return true;
+  }
+
+  if (msg.type === "validate-tracking-plan") {
+    (async () => {
+      try {
+        const report = await validateTrackingPlan(await getActiveSessionId());
+        sendResponse({ report });
+      } catch (error) {
+        sendResponse({ error: error.message || String(error) });
+      }
+    })();
+    return true;
+  }
+
+  if (msg.type === "export-tracking-plan-csv") {
+    (async () => {
+      try {
+        const report = await validateTrackingPlan(await getActiveSessionId());
+        sendResponse({ rows: self.CASTTrackingPlan.buildReportRows(report), filename: "CAST_tracking_plan_qa.csv" });
+      } catch (error) {
+        console.error('Tracking plan export error:', error);
+        sendResponse({ error: error.message || String(error) });
+      }
+    })();
+    return true;
+  }
+
+  if (msg.type === "datalayer-pushes") {
+    saveDataLayerPushes(sender, msg.pushes).catch(err => console.warn('CAST: Failed to store data layer pushes:', err));
+    return false;
+  }
+
+  if (msg.type === "datalayer-timeline") {
+    (async () => {
+      try {
+        const timeline = await buildDataLayerTimeline(await getActiveSessionId());
+        sendResponse({ timeline });
+      } catch (error) {
+        sendResponse({ error: error.message || String(error) });
+      }
+    })();
+    return true;
+  }
+
+  if (msg.type === "export-datalayer-csv") {
+    (async () => {
+      try {
+        const timeline = await buildDataLayerTimeline(await getActiveSessionId());
+        sendResponse({ rows: self.CASTDataLayer.buildTimelineRows(timeline), filename: "CAST_datalayer_timeline.csv" });
+      } catch (error) {
+        console.error('Data layer export error:', error);
+        sendResponse({ error: error.message || String(error) });
+      }
+    })();
+    return true;
   }
 
   if (msg.type === "recommend-strategy-auto") {
     (async () => {
       autopilotCancelRequested = false;
       try {
-        // 1. Get API Key
-        const { geminiApiKey } = await chrome.storage.local.get("geminiApiKey");
-        if (!geminiApiKey) {
-          sendResponse({ error: "No API key found. Please configure it first." });
+        // 1. Get the strategy model
+        const modelConfig = await getModelConfig('strategy');
+        if (!self.CASTProviders.isConfigured(modelConfig)) {
+          sendResponse({ error: describeMissingModelConfig(modelConfig) });
           return;
         }
 
@@ -1557,7 +3694,7 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
               if (autopilotCancelRequested) break;
               try {
                 strategy = await withTimeout(
-                  generateAnalyticsStrategy(geminiApiKey, domResponse.dom),
+                  signal => generateAnalyticsStrategy(modelConfig, domResponse.dom, { sessionId, pageUrl: url }, signal),
                   timeoutPlan[attempt],
                   `Strategy generation timeout for ${url} (attempt ${attempt + 1})`
                 );
@@ -1627,6 +3764,7 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
 
   if (msg.type === "page-scanned") {
     handlePageScanned(msg);
+    if (sender.tab) capturePageSnapshot(sender.tab.id, msg.url, { structure: msg.structure || null });
     // No response needed for page-scanned
     return false;
   }
@@ -1665,18 +3803,185 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     return true; // Indicate async response - keep channel open
   }
   
+  if (msg.type === "session-list") {
+    (async () => {
+      try {
+        const sessions = await listSessions();
+        sendResponse({ sessions });
+      } catch (error) {
+        sendResponse({ error: error.message || String(error) });
+      }
+    })();
+    return true;
+  }
+
+  if (msg.type === "session-open") {
+    (async () => {
+      try {
+        if (crawlActive || manualModeActive) {
+          sendResponse({ error: "Stop the active crawl or manual mode before opening another session." });
+          return;
+        }
+        const session = await getSessionRecord(msg.sessionId);
+        if (!session) {
+          sendResponse({ error: "Session not found." });
+          return;
+        }
+        currentSessionId = session.id;
+        origin = session.origin;
+        logs = {}; // In-memory calls belong to the previous session
+        chrome.storage.local.set({ CAST_currentSessionId: session.id });
+        sendResponse({ success: true, session });
+      } catch (error) {
+        sendResponse({ error: error.message || String(error) });
+      }
+    })();
+    return true;
+  }
+
+  if (msg.type === "session-rename") {
+    (async () => {
+      try {
+        const session = await getSessionRecord(msg.sessionId);
+        const name = (msg.name || "").trim();
+        if (!session || !name) {
+          sendResponse({ error: session ? "Session name cannot be empty." : "Session not found." });
+          return;
+        }
+        await saveSessionRecord({ ...session, name });
+        sendResponse({ success: true });
+      } catch (error) {
+        sendResponse({ error: error.message || String(error) });
+      }
+    })();
+    return true;
+  }
+
+  if (msg.type === "session-delete") {
+    (async () => {
+      try {
+        if ((crawlActive || manualModeActive) && msg.sessionId === currentSessionId) {
+          sendResponse({ error: "Cannot delete the session that is currently recording." });
+          return;
+        }
+        await deleteSession(msg.sessionId);
+        sendResponse({ success: true });
+      } catch (error) {
+        sendResponse({ error: error.message || String(error) });
+      }
+    })();
+    return true;
+  }
+
+  if (msg.type === "session-export") {
+    (async () => {
+      try {
+        const data = await buildSessionExport(msg.sessionId);
+        const downloadId = await downloadTextFile(JSON.stringify(data, null, 2), `CAST_${msg.sessionId}.json`, "application/json");
+        sendResponse({ success: true, downloadId });
+      } catch (error) {
+        console.error('Session export error:', error);
+        sendResponse({ error: error.message || String(error) });
+      }
+    })();
+    return true;
+  }
+
+  if (msg.type === "session-export-har") {
+    (async () => {
+      try {
+        const har = await buildSessionHar(msg.sessionId);
+        const downloadId = await downloadTextFile(JSON.stringify(har, null, 2), `CAST_${msg.sessionId}.har`, "application/json");
+        sendResponse({ success: true, downloadId, entries: har.log.entries.length });
+      } catch (error) {
+        console.error('HAR export error:', error);
+        sendResponse({ error: error.message || String(error) });
+      }
+    })();
+    return true;
+  }
+
+  if (msg.type === "session-import-har") {
+    (async () => {
+      try {
+        if (crawlActive || manualModeActive || consentAuditActive) {
+          sendResponse({ error: "Stop the active crawl, Manual Mode or consent audit before importing a HAR file." });
+          return;
+        }
+        const result = await importHarSession(msg.har, msg.fileName);
+        sendResponse({ success: true, ...result });
+      } catch (error) {
+        console.error('HAR import error:', error);
+        sendResponse({ error: error.message || String(error) });
+      }
+    })();
+    return true;
+  }
+
+  if (msg.type === "session-compare") {
+    (async () => {
+      try {
+        const sessionIds = msg.sessionIds || [];
+        if (sessionIds.length !== 2) {
+          sendResponse({ error: "Select exactly two sessions to compare." });
+          return;
+        }
+        const sessions = await Promise.all(sessionIds.map(async (sessionId) => {
+          const session = await getSessionRecord(sessionId);
+          if (!session) throw new Error("Session not found.");
+          const [stats, activity] = await Promise.all([
+            getDatabaseStats(sessionId),
+            countSessionActivity(sessionId)
+          ]);
+          return { ...session, ...activity, ...stats };
+        }));
+        const diff = await buildSessionDiff(sessionIds);
+        sessions.sort((a, b) => (a.startTime || 0) - (b.startTime || 0));
+        sendResponse({ sessions, diff });
+      } catch (error) {
+        sendResponse({ error: error.message || String(error) });
+      }
+    })();
+    return true;
+  }
+
+  // Session Q&A: answer a question about the active session, citing request IDs and page URLs
+  if (msg.type === "session-question") {
+    (async () => {
+      try {
+        const question = String(msg.question || "").trim();
+        if (!question) {
+          sendResponse({ error: "Ask a question first." });
+          return;
+        }
+        sendResponse(await answerSessionQuestion(question, msg.history || []));
+      } catch (error) {
+        console.error('Session Q&A error:', error);
+        sendResponse({ error: error.message || String(error) });
+      }
+    })();
+    return true;
+  }
+
   if (msg.type === "get-crawl-status") {
     // Return current crawl status for popup restoration
-    sendResponse({
-      active: crawlActive,
-      manualMode: manualModeActive,
-      status: crawlActive ? `Crawling... (${visited.size} visited, ${queue.length} queued)` 
-             : manualModeActive ? "Manual Mode Active" 
-             : "No active crawl",
-      visited: visited.size,
-      queued: queue.length
-    });
-    return false; // Synchronous response, no need to keep channel open
+    (async () => {
+      const resumable = await getResumableCrawl().catch(() => null);
+      sendResponse({
+        active: crawlActive,
+        paused: crawlPaused,
+        manualMode: manualModeActive,
+        status: crawlPaused ? `Crawl paused (${visited.size} visited, ${queue.length} queued)`
+               : crawlActive ? `Crawling... (${visited.size} visited, ${queue.length} queued)` 
+               : manualModeActive ? "Manual Mode Active" 
+               : resumable ? `Crawl interrupted (${resumable.visited.length} visited, ${resumable.queue.length} queued)`
+               : "No active crawl",
+        visited: visited.size,
+        queued: queue.length,
+        resumable: !!resumable
+      });
+    })();
+    return true;
   }
 
   if (msg.type === "get-db-stats") {
@@ -1736,6 +4041,45 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     return true;
   }
 
+  if (msg.type === "get-templates") {
+    (async () => {
+      try {
+        const sessionId = await getActiveSessionId();
+        if (!sessionId) {
+          sendResponse({ templates: [] });
+          return;
+        }
+        const index = await getTemplateIndex(sessionId);
+        sendResponse({ templates: self.CASTTemplates.summarizeTemplates(index), sampling: crawlMode === 'sample' ? samplesPerTemplate : null });
+      } catch (error) {
+        sendResponse({ error: error.message || String(error) });
+      }
+    })();
+    return true;
+  }
+
+  if (msg.type === "export-templates-csv") {
+    (async () => {
+      try {
+        const sessionId = await getActiveSessionId();
+        if (!sessionId) {
+          sendResponse({ error: "No session data available. Run a crawl first." });
+          return;
+        }
+        const summary = self.CASTTemplates.summarizeTemplates(await getTemplateIndex(sessionId));
+        if (!summary.length) {
+          sendResponse({ error: "No page templates found. Run a crawl first." });
+          return;
+        }
+        sendResponse({ rows: self.CASTTemplates.buildTemplateRows(summary), filename: "CAST_page_templates.csv" });
+      } catch (error) {
+        console.error('Template export error:', error);
+        sendResponse({ error: error.message || String(error) });
+      }
+    })();
+    return true;
+  }
+
   if (msg.type === "download-network-csv") {
     (async () => {
       try {
@@ -1744,13 +4088,14 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
           sendResponse({ error: "No session data available. Run a crawl first." });
           return;
         }
-        const { flat: networkCalls } = await collectNetworkCalls();
+        const { flat: networkCalls, byPage: networkCallsByPage } = await collectNetworkCalls();
         if (!networkCalls.length) {
           sendResponse({ error: "No network calls captured yet. Run a crawl first." });
           return;
         }
 
-        const rows = [["Page URL", "Request URL", "Method", "Host", "Pathname", "Query Params", "Has POST Data", "POST Data Preview"]];
+        const pageTemplates = await getTemplateIndex(sessionId);
+        const rows = [["Page URL", "Page Template", "Request URL", "Method", "Host", "Pathname", "Query Params", "Has POST Data", "POST Data Preview", "Status", "Error", "Resource Type", "Duration (ms)"]];
         networkCalls.forEach(call => {
           const queryParamsStr = call.queryParams ? JSON.stringify(call.queryParams) : "";
           const postDataPreview = call.postData 
@@ -1759,13 +4104,18 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
           const hasPostData = call.postData ? "Yes" : "No";
           rows.push([
             call.pageUrl || "",
+            call.pageUrl ? self.CASTTemplates.templateKeyForUrl(pageTemplates, call.pageUrl) : "",
             call.url || "",
             call.method || "GET",
             call.host || "",
             call.pathname || "",
             queryParamsStr,
             hasPostData,
-            postDataPreview
+            postDataPreview,
+            call.status ?? "",
+            call.failed ? (call.blockedReason ? `blocked: ${call.blockedReason}` : (call.errorText || "failed")) : "",
+            call.resourceType || "",
+            call.durationMs ?? ""
           ]);
         });
 
@@ -1779,24 +4129,8 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
           }).join(',')
         ).join('\n');
 
-        const blob = new Blob([csvContent], { type: "text/csv;charset=utf-8;" });
-        
-        // Use FileReader to generate a Data URL, as URL.createObjectURL is sometimes unavailable in Service Workers
-        const reader = new FileReader();
-        reader.onload = function() {
-          chrome.downloads.download({
-            url: reader.result,
-            filename: "CAST_network_calls.csv",
-            saveAs: true
-          }, (downloadId) => {
-            if (chrome.runtime.lastError) {
-              sendResponse({ error: chrome.runtime.lastError.message });
-            } else {
-              sendResponse({ success: true, count: networkCalls.length, downloadId });
-            }
-          });
-        };
-        reader.readAsDataURL(blob);
+        const downloadId = await downloadTextFile(csvContent, "CAST_network_calls.csv", "text/csv;charset=utf-8;");
+        sendResponse({ success: true, count: networkCalls.length, downloadId });
       } catch (error) {
         console.error('Network CSV export error:', error);
         sendResponse({ error: error.message || String(error) });
@@ -1805,13 +4139,43 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     return true;
   }
 
-  if (msg.type === "ai-summary") {
-    chrome.storage.local.get(["geminiApiKey", "CAST_currentSessionId"], async (res) => {
-      const apiKey = res.geminiApiKey;
-      if (!apiKey) {
-        sendResponse({ error: "No Gemini API key saved. Please save it first." });
-        return;
+  // Pre-flight: how many batches/tokens an ai-summary run would send, and what it would cost
+  if (msg.type === "ai-summary-estimate") {
+    (async () => {
+      try {
+        const modelConfig = await getModelConfig('analysis');
+        if (!self.CASTProviders.isConfigured(modelConfig)) {
+          sendResponse({ aiEnabled: false });
+          return;
+        }
+        await ensureCurrentSessionId();
+        await initNetworkCallsDB();
+        const { flat: networkCalls } = await collectNetworkCalls();
+        const { decodedCalls } = self.CASTAnalyticsParser.decodeCalls(networkCalls);
+        const mode = await getAnalysisMode();
+        const calls = await selectCallsForAI(networkCalls, decodedCalls);
+        const estimate = await estimateAIRun(modelConfig, calls, currentSessionId, !!msg.retryFailedOnly, mode);
+        sendResponse({
+          aiEnabled: true,
+          mode,
+          provider: modelConfig.label,
+          model: modelConfig.model,
+          calls: calls.length,
+          ...estimate,
+          needsConfirmation: estimate.totalTokens >= AI_PREFLIGHT_CONFIRM_TOKENS
+        });
+      } catch (error) {
+        sendResponse({ error: error.message || String(error) });
       }
+    })();
+    return true;
+  }
+
+  if (msg.type === "ai-summary") {
+    chrome.storage.local.get(["CAST_currentSessionId"], async (res) => {
+      // Without a configured model we still decode known analytics hits locally
+      const modelConfig = await getModelConfig('analysis');
+      const aiEnabled = self.CASTProviders.isConfigured(modelConfig);
       aiCancelRequested = false;
       
       // Restore session ID if not set (e.g., after extension reload)
@@ -1836,8 +4200,9 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         
         // Use existing session ID or create new one if none exists
         if (!currentSessionId) {
-          currentSessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+          currentSessionId = generateSessionId();
           chrome.storage.local.set({ CAST_currentSessionId: currentSessionId });
+          await ensureSessionRecord(currentSessionId, { origin });
         }
 
         // Check if we already have results stored
@@ -1870,108 +4235,19 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
           } catch (e) {}
         };
         
-        // Check which network calls have already been processed
-        // Get all processed batch IDs to track what's been done
-        const processedBatches = await new Promise((resolve) => {
-          const transaction = networkCallsDB.transaction(['techStackResults'], 'readonly');
-          const store = transaction.objectStore('techStackResults');
-          const index = store.index('sessionId');
-          const request = index.getAll(currentSessionId);
-          request.onsuccess = () => {
-            const batches = new Set((request.result || []).map(r => r.batchId).filter(Boolean));
-            resolve(batches);
-          };
-          request.onerror = () => resolve(new Set());
-        });
-        
-        // Force reprocessing if requested or if we're in a debugging state
-        // The previous logic might skip processing if it sees ANY results, even incomplete ones.
-        // We want to ensure it processes ALL batches if they aren't fully done.
-        // For now, let's simplify: if we are running AI analysis, we should probably just run it on whatever data we have
-        // that hasn't been processed yet, OR just re-run it if the user asks.
-        
-        // However, the user issue is that it's NOT running through all data.
-        // Let's modify the condition to be more aggressive about processing.
-        // If we have network calls but no/partial results, we should process.
-        
-        // Let's check if we have ANY processed batches.
-        const hasProcessedBatches = processedBatches.size > 0;
-        
-        // If the user clicks "Run AI", they likely expect it to run on the current set of network calls.
-        // If we already have results for this session, we might want to skip ALREADY PROCESSED batches,
-        // but we shouldn't skip the whole thing just because *some* results exist.
+        // Batches already analyzed are skipped via the batch ledger; retryFailedOnly re-runs only failed ones
+        const retryFailedOnly = !!msg.retryFailedOnly;
         
-        // The critical fix: We will calculate the batches first, then check which are done.
-        // But `processBatchesDirect` handles the splitting. 
-        // So we should pass the `processedBatches` set to `processBatchesDirect` and let it skip internally?
-        // OR, just for now, to ensure it runs, let's force it to run if there are network calls.
+        const needsProcessing = aiEnabled; // The AI pass needs a configured model; deduplication handles the rest.
+        const analysisMode = await getAnalysisMode();
         
-        const needsProcessing = true; // FORCE processing to ensure we loop through data. deduplication handles the rest.
+        // Deterministic pass first: decoded hits need no tokens and can't be hallucinated
+        const offline = await runOfflineAnalysis(currentSessionId, networkCalls);
         
+        let batchErrors = [];
+        let batchRun = null;
         if (needsProcessing) {
-          // Get company domain from current tab or from network calls
-          let companyDomain = null;
-          let companyBaseDomain = null; // e.g., "applydigital.com" from "www.applydigital.com" or "app.applydigital.com"
-          
-          try {
-            const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
-            if (tab && tab.url) {
-              const tabUrl = new URL(tab.url);
-              companyDomain = tabUrl.hostname.replace(/^www\./, ''); // Remove www. prefix
-              // Extract base domain (e.g., "applydigital.com" from "app.applydigital.com")
-              const parts = companyDomain.split('.');
-              if (parts.length >= 2) {
-                companyBaseDomain = parts.slice(-2).join('.'); // Last two parts
-              } else {
-                companyBaseDomain = companyDomain;
-              }
-            }
-          } catch (e) {
-            console.warn('Could not get company domain from tab, trying from network calls');
-            // Fallback: extract domain from first network call's pageUrl
-            if (networkCalls.length > 0 && networkCalls[0].pageUrl) {
-              try {
-                const pageUrl = new URL(networkCalls[0].pageUrl);
-                companyDomain = pageUrl.hostname.replace(/^www\./, '');
-                const parts = companyDomain.split('.');
-                if (parts.length >= 2) {
-                  companyBaseDomain = parts.slice(-2).join('.');
-                } else {
-                  companyBaseDomain = companyDomain;
-                }
-              } catch (e2) {
-                console.warn('Could not extract company domain from pageUrl');
-              }
-            }
-          }
-          
-          // Helper function to check if a host belongs to company domain
-          const isCompanyDomain = (host) => {
-            if (!companyBaseDomain) return false;
-            const hostDomain = host.replace(/^www\./, '').split(':')[0]; // Remove www. and port
-            // Check exact match or if host ends with company domain
-            return hostDomain === companyDomain || hostDomain === companyBaseDomain || hostDomain.endsWith('.' + companyBaseDomain);
-          };
-          
-          // Filter to ONLY analytics-related network calls AND exclude company domain
-          const analyticsPattern = /(google-analytics|analytics\.google|googletagmanager|gtag|gtm|segment|mixpanel|amplitude|hotjar|clarity|hubspot|adroll|facebook|meta|tiktok|linkedin|twitter|pinterest|reddit|quora|bing|microsoft|sentry|datadog|newrelic|fullstory|heap|pendo|optimizely|vwo|ab-tasty|doubleclick|googleadservices|googlesyndication)/i;
-          
-          const filteredCalls = networkCalls.filter(call => {
-            const url = call.url || '';
-            const host = call.host || '';
-            const pathname = call.pathname || '';
-            
-            // Exclude calls to company domain (including subdomains)
-            if (isCompanyDomain(host)) {
-              return false;
-            }
-            
-            // Only keep analytics-related requests (external domains)
-            return analyticsPattern.test(host) || analyticsPattern.test(pathname) || analyticsPattern.test(url);
-          });
-          
-          console.log(`CAST: Company domain: ${companyDomain || 'unknown'} (base: ${companyBaseDomain || 'unknown'})`);
-          console.log(`CAST: Filtered to ${filteredCalls.length} external analytics network calls (from ${networkCalls.length} total, excluding ${companyBaseDomain || 'company domain'})`);
+          const filteredCalls = await selectCallsForAI(networkCalls, offline.decodedCalls);
           
           // Update progress
           chrome.storage.local.set({
@@ -1979,25 +4255,29 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
               processed: 0,
               total: filteredCalls.length,
               percentage: 0,
-              current: 'Preparing batches...',
-              stage: 'AI Analysis'
+              current: analysisMode === 'retrieval' ? 'Preparing embeddings...' : 'Preparing batches...',
+              stage: analysisMode === 'retrieval' ? 'Embedding' : 'AI Analysis'
             }
           });
           
-          // Process in batches and store results
-          const result = await processBatchesDirect(apiKey, filteredCalls, currentSessionId, progressCallback);
+          // Process in batches (or one retrieved payload) and store results
+          const result = analysisMode === 'retrieval'
+            ? await processRetrievalAnalysis(modelConfig, filteredCalls, networkCallsByPage, currentSessionId, progressCallback, { retryFailedOnly })
+            : await processBatchesDirect(modelConfig, filteredCalls, currentSessionId, progressCallback, { retryFailedOnly });
           if (result?.cancelled) {
             sendResponse({ error: "AI analysis cancelled." });
             return;
           }
+          batchErrors = result?.batchErrors || [];
+          batchRun = result;
         } else {
-          console.log('CAST: Using existing results from previous analysis');
+          console.log(`CAST: ${modelConfig.label} not configured, using locally decoded results only`);
           chrome.storage.local.set({
             CAST_ragProgress: {
               processed: 100,
               total: 100,
               percentage: 100,
-              current: 'Using existing results',
+              current: 'Decoded analytics hits and matched tech signatures locally (no AI model configured)',
               stage: 'Complete'
             }
           });
@@ -2018,7 +4298,10 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
               name: item.name,
               category: item.category,
               confidence: item.confidence,
-              evidence: item.evidence
+              evidence: item.evidence,
+              accountId: item.accountId || null,
+              source: item.source || 'ai',
+              promptVersion: item.promptVersion || null
             });
           }
         }
@@ -2032,7 +4315,10 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
               event_name: item.event_name,
               page_url: item.page_url,
               request_url: item.request_url,
-              notes: item.notes
+              notes: item.notes,
+              account_id: item.account_id || null,
+              source: item.source || 'ai',
+              promptVersion: item.promptVersion || null
             });
           }
         }
@@ -2042,13 +4328,31 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         const analyticsEvents = Array.from(analyticsMap.values());
         
         const summary = `# CAST Analysis Summary\n\n` +
-          `**Tech Stack Found:** ${techStack.length} technologies\n` +
-          `**Analytics Events Found:** ${analyticsEvents.length} events\n\n` +
-          `Analysis completed using direct batch processing (no RAG).`;
+          `**Tech Stack Found:** ${techStack.length} technologies ` +
+          `(${offline.techStack.length} matched by signatures)\n` +
+          `**Analytics Events Found:** ${analyticsEvents.length} events ` +
+          `(${offline.events.length} decoded locally from ${offline.decodedCalls.length} hits)\n\n` +
+          (aiEnabled
+            ? (analysisMode === 'retrieval'
+              ? `Analysis completed with ${modelConfig.label} (${modelConfig.model}) in retrieval mode` +
+                (batchRun && batchRun.callsSkipped
+                  ? ` (run skipped: ${retryFailedOnly ? 'the last retrieval run did not fail' : 'these calls were already analyzed with the same queries'}).`
+                  : (batchRun ? ` (${batchRun.retrievedCalls || 0} of ${batchRun.totalCalls} calls retrieved).` : '.'))
+              : `Analysis completed with ${modelConfig.label} (${modelConfig.model}) using direct batch processing.`) +
+              (analysisMode !== 'retrieval' && batchRun && batchRun.callsSkipped
+                ? ` ${batchRun.callsSkipped} of ${batchRun.totalCalls} calls skipped (${retryFailedOnly ? 'only calls from failed batches were retried' : 'already analyzed'}).`
+                : '')
+            : `No AI model configured - results come from the local decoder and tech signatures only.`) +
+          (batchErrors.length
+            ? `\n\n**Failed Batches:** ${batchErrors.length}\n` +
+              batchErrors.map(failure => `- Batch ${failure.batch} (${failure.calls} calls): ${failure.error}` +
+                (failure.validationErrors.length ? `\n  - ${failure.validationErrors.slice(0, 5).join('\n  - ')}` : '')).join('\n')
+            : '');
         
         // Return results in expected format
         sendResponse({
           summary_markdown: summary,
+          batch_errors: batchErrors,
           tech_stack: techStack,
           analytics_events: analyticsEvents
         });
@@ -2064,6 +4368,10 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
 });
 
 async function startCrawl() {
+  if (consentAuditActive) {
+    notifyPopupStatus("A consent audit is running. Stop it before starting a crawl.");
+    return;
+  }
   chrome.tabs.query({ active: true, lastFocusedWindow: true }, async ([tab]) => {
     if (!tab || !tab.url || !tab.url.startsWith("http")) {
       return;
@@ -2072,14 +4380,19 @@ async function startCrawl() {
     const u = new URL(tab.url);
     origin = u.origin;
     activeTabId = tab.id;
+    await loadCrawlRules(origin);
 
     logs = {};
     const seedUrl = normalizeUrl(u.href);
     queue = [{ url: u.href, depth: 1 }]; // Seed page is depth 1
     visited = new Set();
     allDiscoveredLinks = new Set([seedUrl]); // Initialize with seed URL
+    templateIndex = self.CASTTemplates.createTemplateIndex();
+    self.CASTTemplates.addDiscoveredUrl(templateIndex, seedUrl);
     crawlActive = true;
+    crawlPaused = false;
     currentTask = null;
+    await syncDataLayerHook(); // Before the first page loads
 
     // Initialize IndexedDB for network calls persistence
     try {
@@ -2088,21 +4401,19 @@ async function startCrawl() {
       console.warn('Failed to initialize IndexedDB, will use memory storage only:', error);
     }
     
-    // Restore or create session ID
+    // Every crawl starts a new session; previous sessions stay in history
     chrome.storage.local.get(['CAST_currentSessionId'], async (res) => {
-      const oldSessionId = res.CAST_currentSessionId;
-      
-      // Create new session ID
-      currentSessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      
-      // Clear old session data if starting a new crawl (not a resume)
-      if (oldSessionId && oldSessionId !== currentSessionId) {
-        try {
-          await clearNetworkCallsForSession(oldSessionId);
-          await clearStoreEntriesForSession('uniqueUrls', oldSessionId);
-        } catch (error) {
-          console.warn('Failed to clear old session data:', error);
-        }
+      // Close out a session left open (e.g. manual mode or an interrupted crawl)
+      const previousSession = await getSessionRecord(res.CAST_currentSessionId).catch(() => null);
+      if (previousSession && !previousSession.endTime) await finalizeSession(previousSession.id);
+      // Starting over abandons any interrupted crawl of the previous session
+      clearCrawlState(res.CAST_currentSessionId);
+
+      currentSessionId = generateSessionId();
+      try {
+        await ensureSessionRecord(currentSessionId, { origin, mode: 'crawl' });
+      } catch (error) {
+        console.warn('CAST: Failed to record session:', error);
       }
       
       // Store new session ID for persistence across reloads
@@ -2114,18 +4425,31 @@ async function startCrawl() {
       } catch (e) {
         console.warn('CAST: Failed to save seed URL:', e);
       }
+
+      // Optional robots.txt / sitemap seeding before the first page
+      const seedOptions = await chrome.storage.local.get(['seedFromSitemap', 'obeyRobots']);
+      try {
+        const robots = await withTimeout(loadRobotsForCrawl(origin, seedOptions), 20000, 'robots.txt');
+        if (seedOptions.seedFromSitemap) {
+          await withTimeout(signal => seedQueueFromSitemaps(robots, signal), 60000, 'Sitemap seeding');
+        }
+      } catch (e) {
+        console.warn('CAST: Sitemap/robots seeding skipped:', e.message);
+      }
+      saveCrawlState();
       
       // Store crawl state for popup persistence
+      const modeLabel = crawlMode === 'sample' ? `, ${samplesPerTemplate} per template` : '';
+      const startStatus = `Starting crawl (depth ${maxDepth}, limit ${pageLimit ? pageLimit : 'all'}${modeLabel})… browser will navigate within this domain.`;
       chrome.storage.local.set({
         CAST_crawlActive: true,
-        CAST_crawlStatus: `Starting crawl (depth ${maxDepth}, limit ${pageLimit ? pageLimit : 'all'})… browser will navigate within this domain.`,
+        CAST_crawlStatus: startStatus,
         CAST_crawlStartTime: Date.now(),
         CAST_crawlDepth: maxDepth,
         CAST_pageLimit: pageLimit ?? "all"
       });
       
       // Notify popup if open
-      const startStatus = `Starting crawl (depth ${maxDepth}, limit ${pageLimit ? pageLimit : 'all'})… browser will navigate within this domain.`;
       notifyPopupStatus(startStatus);
       
       // Clear submitted forms and searched inputs for new crawl session
@@ -2177,11 +4501,18 @@ function processNext() {
       clearTimeout(pageTimeout);
       pageTimeout = null;
     }
-    // Update storage when crawl stops
+    // stopCrawl already recorded the stop and its status; don't overwrite either
+    if (endedCrawlSessionId === currentSessionId) return;
     chrome.storage.local.set({
       CAST_crawlActive: false,
       CAST_crawlStatus: "Crawl stopped."
     });
+    endCrawlSession(currentSessionId);
+    return;
+  }
+
+  if (crawlPaused) {
+    console.log(`Crawl paused (${queue.length} queued)`);
     return;
   }
 
@@ -2198,6 +4529,7 @@ function processNext() {
       CAST_crawlStatus: limitStatus
     });
     notifyPopupStatus(limitStatus);
+    endCrawlSession(currentSessionId);
     return;
   }
   
@@ -2214,10 +4546,11 @@ function processNext() {
       CAST_crawlStatus: `Crawl complete. Visited ${visited.size} pages.`
     });
     notifyPopupStatus(`Crawl complete. Visited ${visited.size} pages.`);
+    endCrawlSession(currentSessionId);
     return;
   }
 
-  const task = queue.shift();
+  const task = takeNextTask();
   
   // Safety check: ensure task is valid
   if (!task || !task.url) {
@@ -2249,6 +4582,12 @@ function processNext() {
     setTimeout(() => processNext(), 0);
     return;
   }
+
+  if (isTemplateSampled(normalizedUrl)) {
+    console.log(`Skipping ${task.url}: template ${self.CASTTemplates.templateKeyForUrl(templateIndex, normalizedUrl)} already has ${samplesPerTemplate} sampled pages`);
+    setTimeout(() => processNext(), 0);
+    return;
+  }
   
   console.log(`Processing: ${task.url} (depth ${task.depth}, queue: ${queue.length} remaining)`);
   
@@ -2258,7 +4597,9 @@ function processNext() {
   notifyPopupStatus(statusMsg);
 
   visited.add(normalizedUrl);
+  self.CASTTemplates.addVisitedPage(templateIndex, normalizedUrl, null);
   currentTask = task;
+  saveCrawlState();
   const taskStartTime = Date.now();
 
   // Safety check: ensure activeTabId is valid
@@ -2291,8 +4632,11 @@ function processNext() {
 
   // If navigating to the same URL (initial page), trigger scan directly
   chrome.tabs.get(activeTabId, (tab) => {
-    if (chrome.runtime.lastError) {
-      console.error('Error getting tab:', chrome.runtime.lastError.message);
+    const lookupError = chrome.runtime.lastError; // Read first, or a stale callback logs it as unchecked
+    // Stopped (or timed out and moved on) while the tab lookup was pending: this task is no longer current
+    if (!crawlActive || currentTask !== task) return;
+    if (lookupError) {
+      console.error('Error getting tab:', lookupError.message);
       currentTask = null;
       if (pageTimeout) clearTimeout(pageTimeout);
       processNext();
@@ -2311,7 +4655,7 @@ function processNext() {
       // Already on this page, trigger scan directly
       console.log(`Already on page ${task?.url || 'unknown'}, triggering scan directly`);
       setTimeout(() => {
-        sendScanMessageToTab(activeTabId, task?.depth || 0);
+        if (crawlActive && currentTask === task) sendScanMessageToTab(activeTabId, task?.depth || 0);
       }, 500);
       return;
     }
@@ -2394,6 +4738,10 @@ function sendScanMessageToTab(tabId, depth) {
 }
 
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  // Manual mode has no scan step, so page signals are captured on each load
+  if (manualModeActive && tabId === activeTabId && changeInfo.status === "complete" && tab.url && tab.url.startsWith("http")) {
+    capturePageSnapshot(tabId, tab.url);
+  }
   if (!crawlActive) return;
   if (tabId !== activeTabId) return;
   if (changeInfo.status !== "complete") return;
@@ -2434,7 +4782,7 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
 });
 
 function handlePageScanned(msg) {
-  const { url, depth, dom, clicks, internalLinks } = msg;
+  const { url, depth, dom, structure, clicks, internalLinks } = msg;
   
   // Only process if this matches the current task (prevent processing old messages)
   // But be flexible - if no current task, still process it (might be from a redirect)
@@ -2468,6 +4816,7 @@ function handlePageScanned(msg) {
   logs[url].dom = dom;
   logs[url].clicks = clicks;
   logs[url].internalLinks = internalLinks || [];
+  self.CASTTemplates.addVisitedPage(templateIndex, normalizeUrl(url), structure || null);
 
   if (depth < maxDepth && internalLinks && internalLinks.length) {
     // Index and deduplicate links before adding to queue
@@ -2475,12 +4824,13 @@ function handlePageScanned(msg) {
     for (const href of internalLinks) {
       try {
         const u = new URL(href);
-        if (u.origin === origin) {
+        if (isCrawlableUrl(u)) {
           const normalized = normalizeUrl(u.href);
           
           // Check if we've already discovered this link (even if not visited yet)
           if (!allDiscoveredLinks.has(normalized) && !visited.has(normalized)) {
             allDiscoveredLinks.add(normalized);
+            self.CASTTemplates.addDiscoveredUrl(templateIndex, normalized);
             newLinks.push({ url: u.href, depth: depth + 1 });
             // Persist unique URL
             saveUniqueUrlToDB(currentSessionId, normalized, 'discovered').catch(() => {});
@@ -2513,6 +4863,7 @@ function handlePageScanned(msg) {
 
   // Clear current task
   currentTask = null;
+  saveCrawlState();
 
   // Wait briefly to capture analytics events before moving to next page
   setTimeout(() => {
@@ -2523,6 +4874,13 @@ function handlePageScanned(msg) {
 chrome.debugger.onEvent.addListener((src, method, params) => {
   if (!activeTabId || src.tabId !== activeTabId) return;
 
+  // Consent audit passes keep their own copy of each request; stored calls are tagged with the state
+  const auditPass = consentAuditPass;
+  if (auditPass && method === "Network.requestWillBeSent") {
+    const record = buildRequestRecord(currentSessionId, auditPass.pageUrl, params);
+    if (record) auditPass.calls.push(record);
+  }
+
   chrome.tabs.get(activeTabId, (tab) => {
     const url = tab?.url;
     if (!url) return;
@@ -2536,7 +4894,7 @@ chrome.debugger.onEvent.addListener((src, method, params) => {
     
     // Save to IndexedDB incrementally (non-blocking)
     if (currentSessionId) {
-      saveNetworkCallToDB(currentSessionId, url, { method, params }).catch(err => {
+      saveNetworkCallToDB(currentSessionId, url, { method, params }, auditPass ? { consentState: auditPass.state } : {}).catch(err => {
         // Error already logged in saveNetworkCallToDB, continue silently
       });
     }
@@ -2714,213 +5072,131 @@ async function collectNetworkCalls() {
   // Fallback to in-memory logs (for backward compatibility and active crawls)
   const flat = [];
   const byPage = {};
+  const callsByRequestId = new Map();
   for (const [pageUrl, entry] of Object.entries(logs)) {
     const networkEvents = entry.network || [];
     for (const event of networkEvents) {
-      if (event.method !== "Network.requestWillBeSent") continue;
-      const req = event.params?.request;
-      if (!req || !req.url) continue;
-      let urlObj;
-      try {
-        urlObj = new URL(req.url);
-      } catch (e) {
+      const params = event.params || {};
+      if (event.method !== "Network.requestWillBeSent") {
+        // Join responses onto the request they belong to
+        const record = callsByRequestId.get(params.requestId);
+        if (!record) continue;
+        if (event.method === "Network.responseReceived") {
+          applyResponseToRecord(record, params.response);
+        } else if (event.method === "Network.loadingFailed") {
+          record.failed = true;
+          record.errorText = params.errorText || '';
+          record.blockedReason = params.blockedReason || null;
+        }
         continue;
       }
-      const call = {
-        pageUrl,
-        url: req.url,
-        method: req.method || "GET",
-        host: urlObj.host,
-        pathname: urlObj.pathname,
-        queryParams: Object.fromEntries(urlObj.searchParams.entries()),
-        headerValues: req.headers || {},
-        postData: req.postData || null,
-        requestId: event.params?.requestId || null
-      };
-      flat.push(call);
+      const record = buildRequestRecord(null, pageUrl, params);
+      if (!record) continue;
+      if (params.redirectResponse && callsByRequestId.has(params.requestId)) {
+        applyResponseToRecord(callsByRequestId.get(params.requestId), params.redirectResponse);
+      }
+      if (record.requestId) callsByRequestId.set(record.requestId, record);
+      flat.push(record);
       if (!byPage[pageUrl]) {
         byPage[pageUrl] = [];
       }
-      byPage[pageUrl].push(call);
+      byPage[pageUrl].push(record);
     }
   }
-  return { flat, byPage };
+  for (const pageUrl of Object.keys(byPage)) {
+    byPage[pageUrl] = byPage[pageUrl].map(formatNetworkCall);
+  }
+  return { flat: flat.map(formatNetworkCall), byPage };
+}
+
+// ---- Structured model call: native JSON mode, schema validation, one repair re-prompt ----
+
+// Returns the validated object. Throws an Error carrying validationErrors when the repaired
+// response still doesn't match the schema. Token usage of both calls is recorded under usageContext.
+// limiter: the rate limiter the call was scheduled on; the repair re-prompt counts against its budgets too.
+// signal aborts whichever request is in flight.
+async function generateStructured(modelConfig, { system, prompt, schemaName, usageContext = {}, limiter = null, signal = null }) {
+  const schema = { name: schemaName, schema: self.CASTSchemas.SCHEMAS[schemaName] };
+  const first = await self.CASTProviders.generate(modelConfig, { system, prompt, schema, signal });
+  await recordAIUsage(modelConfig, first.usage, usageContext);
+  const checked = self.CASTSchemas.checkResponse(schemaName, first.text);
+  if (!checked.errors.length) return checked.value;
+
+  console.warn(`CAST: ${schemaName} response failed validation, asking ${modelConfig.label} to repair it:`, checked.errors.slice(0, 5));
+  const repairPrompt = self.CASTSchemas.buildRepairPrompt(schemaName, first.text, checked.errors);
+  if (limiter) await limiter.reserve(Math.ceil(repairPrompt.length / 4));
+  if (signal?.aborted) throw new Error(`${schemaName} repair cancelled`);
+  const repair = await self.CASTProviders.generate(modelConfig, { system, prompt: repairPrompt, schema, signal });
+  await recordAIUsage(modelConfig, repair.usage, { ...usageContext, repair: true });
+  const repaired = self.CASTSchemas.checkResponse(schemaName, repair.text);
+  if (!repaired.errors.length) return repaired.value;
+
+  const error = new Error(`${schemaName} response failed validation after repair: ${repaired.errors.slice(0, 3).join('; ')}`);
+  error.validationErrors = repaired.errors;
+  throw error;
 }
 
-// ---- Gemini 2.5 Flash call ----
+// ---- Batch analysis call (provider and model from Configuration) ----
 
-async function callGemini(apiKey, networkPayload, attempt = 1) {
+// options: { limiter, estimatedTokens, label, usageContext, prompt } (prompt from loadPrompt('recon')). Each attempt runs through the rate limiter with its own
+// timeout; 429/quota errors wait for Retry-After (or back off) and don't count as failures.
+async function callReconModel(modelConfig, networkPayload, options = {}) {
   const MAX_RETRIES = 3;
-  const endpoint =
-    "https://generativelanguage.googleapis.com/v1beta/models/gemini-3-flash-preview:generateContent?key=" +
-    encodeURIComponent(apiKey);
-
-  const systemPrompt = `
-You are CAST, a web reconnaissance analyst.
-
-You will receive JSON data containing network requests captured from a website crawl. This is a batch of network traffic data.
-
-The data includes:
-- Network requests organized by page URL
-- Each request includes: url, method, host, pathname, queryParams, postData
-- Analytics requests: Google Analytics, GTM, Segment, Mixpanel, HubSpot, etc. with FULL data
-- Tech stack requests: CDN, hosting, CMS, frameworks with FULL data
-- All other network requests
-
-Each request includes:
-- url, method, host, pathname, pageUrl
-- query parameter KEYS and VALUES (full data)
-- postData (full POST body when present)
-
-This is a batch of network traffic. Analyze ALL requests in this batch comprehensively. Extract ALL analytics events and complete tech stack information from this data.
-
-From ONLY that evidence, you must infer:
-
-1) The web technology stack:
-   - Frameworks (e.g., Next.js, React, Vue, Angular, etc.)
-   - Hosting/CDN (e.g., Vercel, Cloudflare, Netlify, Akamai, etc.)
-   - CMS or content platforms (e.g., Contentful, WordPress, Shopify, etc.)
-   - Other notable infrastructure / APIs (auth, search, experimentation, etc.)
-
-2) Analytics and tracking tools & events:
-   - Identify providers (Google Analytics, GTM, Segment, Mixpanel, Amplitude, Meta Pixel, TikTok, Hotjar, Clarity, HubSpot, etc.)
-   - For each provider, generate a comprehensive list of event types based on URL paths, query keys, and request patterns:
-     * Page view events: "page_view", "pageview", "pv", etc.
-     * Scroll events: "scroll", "scroll_depth", "scroll_percentage", etc. (look for scroll-related query params or paths)
-     * Click events: "click", "button_click", "link_click", "cta_click", etc.
-     * Form events: "form_submit", "form_view", "form_start", "email_submit", "newsletter_signup", etc.
-     * Search events: "search", "search_query", "site_search", etc.
-     * Engagement events: "engagement", "time_on_page", "video_play", etc.
-     * Custom events: infer from query parameter names, URL paths, or request bodies
-   - Be thorough: if you see multiple requests to the same analytics provider, list each distinct event pattern
-   - Include events even if the exact event name isn't clear - infer from context (e.g., if you see a HubSpot form script, include "form_view" and "form_submit" events)
-
-You MUST respond with valid JSON ONLY, matching this TypeScript interface exactly:
-
-interface AIReconResult {
-  summary_markdown: string;
-  tech_stack: {
-    name: string;
-    category: string;    // "framework", "cdn", "cms", "analytics", "infrastructure", "other"
-    confidence: number;  // 0.0 - 1.0
-    evidence: string[];  // short strings explaining why you believe this
-    account_id?: string; // include if you detect account/property/site IDs for analytics tools
-  }[];
-  analytics_events: {
-    provider: string;
-    event_name: string | null;
-    page_url: string | null;
-    request_url: string | null;
-    notes: string | null;
-  }[];
-}
-
-Rules:
-- Analyze ALL pages and ALL requests - this is comprehensive data with no limits.
-- Do NOT hallucinate technologies that you cannot reasonably tie to evidence.
-- The "evidence" field should quote hostnames, URL paths, or recognizable header/query keys/values.
-- For analytics events: use FULL query parameter VALUES and postData when available to extract actual event names.
-- For GA4 specifically: Look for parameters like "en" (event_name), "ep" (event_parameters), "_p" (page), "epn" (event parameter name), "epv" (event parameter value).
-- Common GA4 event patterns: "en=click", "en=page_view", "en=scroll", "en=form_submit", "en=button_click", "en=link_click", "en=scroll_milestone", etc.
-- CRITICAL: GA4 often batches multiple events in a single POST body, separated by spaces or newlines. Each event starts with "en=" (event name).
-  Example: "en=scroll_milestone&ep.percent_scrolled=25% en=scroll_milestone&ep.percent_scrolled=50% en=click&ep.button_id=submit"
-  You MUST extract EACH event separately from batched POST data. Split on spaces/newlines and parse each event individually.
-- For batched events: Parse each "en=..." segment as a separate event, even if they're in the same POST request.
-- Look for scroll-related parameters (scroll, scroll_depth, scroll_percentage, scroll_pct, etc.) to identify scroll events.
-- Look for form-related parameters (form_id, form_name, email, form_submit, etc.) to identify form submission events.
-- Look for search-related parameters (q, query, search_term, search_query, etc.) to identify search events.
-- Look for click/interaction parameters (click, button_click, link_click, cta_click, interaction, element_click, etc.).
-- Extract event names from POST body data when present (often JSON or form-encoded) - GA4 often sends events in POST bodies.
-- GA4 BATCHED EVENTS: GA4 frequently sends multiple events in a single POST body, separated by spaces.
-  Format: "en=event1&params... en=event2&params... en=event3&params..."
-  You MUST split the POST body on spaces/newlines and extract EACH event separately.
-  Example: "en=scroll_milestone&ep.percent_scrolled=25% en=scroll_milestone&ep.percent_scrolled=50%"
-  Should produce 2 separate events: scroll_milestone (25%) and scroll_milestone (50%).
-- Match requests with their responses when requestId matches to get complete picture.
-- Be EXHAUSTIVE: list EVERY distinct event you find, even if similar. If you see 10 different button clicks, list all 10.
-- For GA4: Each request to /g/collect or /collect may contain multiple batched events - extract ALL of them as separate events.
-- Event parameters: Extract event parameters (ep.*) like ep.percent_scrolled, ep.button_id, ep.link_url, etc. and include in notes.
-- Include the page_url and request_url for each event to show where it was captured.
-- It is OK to leave event_name or URLs null when not available, but be thorough in extracting event names from available data.
-- IMPORTANT: Don't group similar events - list each unique event separately with its specific parameters.
-- Return ONLY a single JSON object, no prose before or after.
-`.trim();
+  const MAX_RATE_LIMIT_RETRIES = 5;
+  const ATTEMPT_TIMEOUT = 120000;
+  const limiter = options.limiter || self.CASTRateLimit.createRateLimiter();
+  const label = options.label || 'AI batch';
+
+  const { system: systemPrompt, version: promptVersion } = options.prompt || await loadPrompt('recon');
 
   const payloadText = "\\n\\nSlim network payload JSON:\\n" + JSON.stringify(networkPayload, null, 2);
   const payloadSize = payloadText.length;
   const estimatedTokens = Math.ceil(payloadSize / 4);
   
   // Log payload info for debugging
-  console.log(`CAST: Calling Gemini API - Model: gemini-3-flash-preview, Payload size: ${payloadSize} chars (~${estimatedTokens} tokens)`);
+  console.log(`CAST: Calling ${modelConfig.label} - Model: ${modelConfig.model}, Payload size: ${payloadSize} chars (~${estimatedTokens} tokens)`);
   if (networkPayload.pages) {
     console.log(`CAST: Payload contains ${networkPayload.pages.length} pages with network requests`);
   }
   
-  const body = {
-    contents: [
-      {
-        parts: [
-          { text: systemPrompt },
-          { text: payloadText }
-        ]
-      }
-    ]
-  };
-
-  try {
-  const res = await fetch(endpoint, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(body)
-  });
-
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error("Gemini API error: " + text);
-  }
-
-  const data = await res.json();
-  const cand = data.candidates && data.candidates[0];
-  if (!cand || !cand.content || !cand.content.parts) {
-    throw new Error("No content returned from Gemini.");
-  }
+  let failures = 0;
+  let rateLimited = 0;
+  for (;;) {
+    try {
+      return await limiter.schedule(options.estimatedTokens || estimatedTokens, () => withTimeout(
+        signal => generateStructured(modelConfig, {
+          system: systemPrompt,
+          prompt: payloadText,
+          schemaName: 'AIReconResult',
+          usageContext: { task: 'analysis', promptVersion, ...options.usageContext },
+          limiter,
+          signal
+        }),
+        ATTEMPT_TIMEOUT,
+        `${label} timeout`
+      ));
+    } catch (error) {
+      // A response that failed validation was already re-prompted once; sending it again won't help
+      const kind = self.CASTRateLimit.classifyError(error);
+      if (kind === 'fatal') throw error;
+
+      if (kind === 'rate-limit') {
+        rateLimited++;
+        if (rateLimited > MAX_RATE_LIMIT_RETRIES) {
+          throw new Error(`${modelConfig.label} kept rate-limiting after ${MAX_RATE_LIMIT_RETRIES} retries: ${error.message || error}`);
+        }
+        const delay = self.CASTRateLimit.retryDelayFromError(error) ?? self.CASTRateLimit.backoffDelay(rateLimited, 5000);
+        limiter.noteRateLimited(delay);
+        console.warn(`CAST: ${modelConfig.label} rate limit on ${label}; waiting ${Math.round(delay / 1000)}s, concurrency now ${limiter.concurrency}`);
+        continue; // The limiter holds every worker until the pause ends
+      }
 
-  const text = cand.content.parts.map((p) => p.text || "").join("");
-    
-    // Strip markdown code blocks if present (Gemini sometimes wraps JSON in ```json ... ```)
-    let cleanedText = text.trim();
-    
-    // Find JSON object start and end
-    const firstBrace = cleanedText.indexOf('{');
-    const lastBrace = cleanedText.lastIndexOf('}');
-    
-    if (firstBrace !== -1 && lastBrace !== -1) {
-      cleanedText = cleanedText.substring(firstBrace, lastBrace + 1);
-    } else if (cleanedText.startsWith("```")) {
-      // Remove opening ```json or ```
-      cleanedText = cleanedText.replace(/^```(?:json)?\s*\n?/, "");
-      // Remove closing ```
-      cleanedText = cleanedText.replace(/\n?```\s*$/, "");
-      cleanedText = cleanedText.trim();
-    }
-    
-  let parsed;
-  try {
-      parsed = JSON.parse(cleanedText);
-  } catch (e) {
-      throw new Error("Failed to parse Gemini JSON: " + cleanedText.slice(0, 200));
-  }
-  return parsed;
-  } catch (error) {
-    const isLastAttempt = attempt >= MAX_RETRIES;
-    const isNetworkError = error.message.includes('Failed to fetch') || error.message.includes('NetworkError');
-    const delay = isNetworkError ? 2000 * attempt : 500 * attempt; // Longer backoff for network errors
-    
-    console.warn(`CAST: Gemini request failed on attempt ${attempt}/${MAX_RETRIES}:`, error);
-    if (!isLastAttempt) {
-      await sleep(delay);
-      return callGemini(apiKey, networkPayload, attempt + 1);
+      failures++;
+      console.warn(`CAST: ${modelConfig.label} request failed on attempt ${failures}/${MAX_RETRIES}:`, error);
+      if (failures >= MAX_RETRIES) {
+        throw new Error(`${modelConfig.label} request failed after ${MAX_RETRIES} attempts: ${error.message || error}`);
+      }
+      await sleep(self.CASTRateLimit.backoffDelay(failures));
     }
-    throw new Error(`Gemini request failed after ${MAX_RETRIES} attempts: ${error.message || error}`);
   }
 }
@@ -0,0 +1,370 @@
+// Consent audit for CAST
+// Each page is loaded three times from clean storage: with no banner interaction, after "Reject all"
+// and after "Accept all". For every pass this module classifies the trackers and cookies that fired,
+// decodes the consent signals they carried (Google Consent Mode gcs/gcd, IAB TCF v2 strings from
+// __tcfapi and gdpr_consent) and turns the three passes into a per-page violation report.
+(function () {
+  const STATES = ['none', 'reject', 'accept'];
+  const STATE_LABELS = { none: 'No interaction', reject: 'Reject all', accept: 'Accept all' };
+
+  // Trackers that need consent. consentMode: Google tags that read Consent Mode, so a hit whose gcs
+  // denies the storage it needs is a cookieless ping rather than tracking. storage: the gcs signal checked.
+  const TRACKERS = [
+    { name: 'Google Analytics 4', category: 'analytics', host: /(^|\.)(google-analytics\.com|analytics\.google\.com)$/, path: /\/g\/collect/, consentMode: true, storage: 'analytics_storage' },
+    { name: 'Universal Analytics', category: 'analytics', host: /(^|\.)google-analytics\.com$/, path: /^\/(r\/|j\/)?collect/, consentMode: true, storage: 'analytics_storage' },
+    { name: 'Google Ads', category: 'advertising', host: /(^|\.)(googleadservices\.com|googleads\.g\.doubleclick\.net|googlesyndication\.com)$|^www\.google\.[a-z.]+$/, path: /\/pagead\/|\/ccm\/|\/conversion\//, consentMode: true, storage: 'ad_storage' },
+    { name: 'Google Floodlight', category: 'advertising', host: /(^|\.)(ad|fls)\.doubleclick\.net$/, consentMode: true, storage: 'ad_storage' },
+    { name: 'Meta Pixel', category: 'advertising', host: /(^|\.)(facebook\.com|connect\.facebook\.net)$/, path: /^\/(tr|signals|[a-z]{2}_[A-Z]{2}\/fbevents)/ },
+    { name: 'TikTok Pixel', category: 'advertising', host: /(^|\.)analytics\.tiktok\.com$/ },
+    { name: 'LinkedIn Insight', category: 'advertising', host: /(^|\.)(px\.ads\.linkedin\.com|snap\.licdn\.com)$/ },
+    { name: 'Microsoft Advertising', category: 'advertising', host: /(^|\.)bat\.bing\.com$/ },
+    { name: 'Pinterest Tag', category: 'advertising', host: /(^|\.)(ct\.pinterest\.com|s\.pinimg\.com)$/, path: /^\/(v3|user|ct)/ },
+    { name: 'Snap Pixel', category: 'advertising', host: /(^|\.)(tr\.snapchat\.com|sc-static\.net)$/ },
+    { name: 'X Pixel', category: 'advertising', host: /(^|\.)(analytics\.twitter\.com|static\.ads-twitter\.com|ads-api\.twitter\.com)$/ },
+    { name: 'Criteo', category: 'advertising', host: /(^|\.)(criteo\.com|criteo\.net)$/ },
+    { name: 'Microsoft Clarity', category: 'analytics', host: /(^|\.)clarity\.ms$/ },
+    { name: 'Hotjar', category: 'analytics', host: /(^|\.)(hotjar\.com|hotjar\.io)$/ },
+    { name: 'Segment', category: 'analytics', host: /(^|\.)(api\.segment\.io|cdn\.segment\.com)$/ },
+    { name: 'Adobe Analytics', category: 'analytics', host: /(^|\.)(omtrdc\.net|2o7\.net|adobedc\.net)$/ },
+    { name: 'HubSpot', category: 'analytics', host: /(^|\.)(hs-analytics\.net|track\.hubspot\.com|hs-scripts\.com)$/ },
+    { name: 'Amplitude', category: 'analytics', host: /(^|\.)api2?\.amplitude\.com$/ },
+    { name: 'Mixpanel', category: 'analytics', host: /(^|\.)api(-js)?\.mixpanel\.com$/ }
+  ];
+
+  // Cookie names that belong to a tracker above
+  const TRACKING_COOKIES = [
+    { tracker: 'Google Analytics 4', name: /^(_ga|_ga_[A-Z0-9]+|_gid|_gat.*)$/ },
+    { tracker: 'Google Ads', name: /^(_gcl_.+|IDE|test_cookie|__gads|__gpi|DSID)$/ },
+    { tracker: 'Meta Pixel', name: /^(_fbp|_fbc|fr)$/ },
+    { tracker: 'TikTok Pixel', name: /^(_ttp|_tt_enable_cookie|ttcsid.*)$/ },
+    { tracker: 'LinkedIn Insight', name: /^(li_fat_id|bcookie|lidc|UserMatchHistory|AnalyticsSyncHistory|li_sugr)$/ },
+    { tracker: 'Microsoft Advertising', name: /^(_uetsid|_uetvid|MUID)$/ },
+    { tracker: 'Microsoft Clarity', name: /^(_clck|_clsk|CLID)$/ },
+    { tracker: 'Hotjar', name: /^_hj/ },
+    { tracker: 'Pinterest Tag', name: /^(_pin_unauth|_pinterest_.+)$/ },
+    { tracker: 'Snap Pixel', name: /^(_scid.*|sc_at)$/ },
+    { tracker: 'Segment', name: /^ajs_/ },
+    { tracker: 'Adobe Analytics', name: /^(s_cc|s_sq|s_vi|s_fid|s_ecid|AMCVS?_.+)$/ },
+    { tracker: 'HubSpot', name: /^(hubspotutk|__hstc|__hssrc|__hssc)$/ },
+    { tracker: 'Criteo', name: /^(cto_bundle|cto_bidid)$/ },
+    { tracker: 'Amplitude', name: /^(amp_|AMP_)/ },
+    { tracker: 'Mixpanel', name: /^mp_/ }
+  ];
+
+  const GCS_SIGNALS = ['ad_storage', 'analytics_storage'];
+  const GCD_SIGNALS = ['ad_storage', 'analytics_storage', 'ad_user_data', 'ad_personalization'];
+  // gcd letters: the default and the update state of each signal
+  const GCD_STATES = {
+    l: 'not set',
+    p: 'denied (default)',
+    q: 'denied (default and update)',
+    t: 'granted (default)',
+    r: 'granted (update after denied default)',
+    m: 'denied (update)',
+    n: 'granted (update)',
+    u: 'denied (update after granted default)',
+    v: 'granted (default and update)'
+  };
+
+  // "G101" -> { raw, ad_storage: 'denied', analytics_storage: 'granted' }
+  function decodeGcs(value) {
+    const match = /^G1([01-])([01-])$/.exec(String(value || '').trim());
+    if (!match) return null;
+    const state = char => (char === '1' ? 'granted' : char === '0' ? 'denied' : 'not set');
+    return { raw: match[0], ad_storage: state(match[1]), analytics_storage: state(match[2]) };
+  }
+
+  // "13r3r3r2r5l1" -> { raw, ad_storage: 'granted (update ...)', ... }; the letters follow GCD_SIGNALS order
+  function decodeGcd(value) {
+    const raw = String(value || '').trim();
+    const letters = raw.match(/[lpqtrmnuv]/g);
+    if (!/^1\d/.test(raw) || !letters || letters.length < GCD_SIGNALS.length) return null;
+    const decoded = { raw };
+    GCD_SIGNALS.forEach((signal, i) => {
+      decoded[signal] = GCD_STATES[letters[i]];
+    });
+    return decoded;
+  }
+
+  function isGranted(state) {
+    return /^granted/.test(state || '');
+  }
+
+  function readBits(bits, start, length) {
+    let value = 0;
+    for (let i = start; i < start + length; i++) value = value * 2 + (bits[i] === '1' ? 1 : 0);
+    return value;
+  }
+
+  // IAB TCF v2 core segment: CMP, creation time, purpose consents and vendor consents.
+  // Returns null for strings that aren't v2 or are cut short.
+  function decodeTcString(value) {
+    const core = String(value || '').trim().split('.')[0];
+    if (!core || /[^A-Za-z0-9_-]/.test(core)) return null;
+    let bits = '';
+    try {
+      const binary = atob(core.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(core.length / 4) * 4, '='));
+      for (let i = 0; i < binary.length; i++) bits += binary.charCodeAt(i).toString(2).padStart(8, '0');
+    } catch (e) {
+      return null;
+    }
+    if (bits.length < 230 || readBits(bits, 0, 6) !== 2) return null;
+
+    const flags = (start, length) => Array.from({ length }, (_, i) => i + 1).filter(id => bits[start + id - 1] === '1');
+    const decoded = {
+      version: 2,
+      created: new Date(readBits(bits, 6, 36) * 100).toISOString(),
+      cmpId: readBits(bits, 78, 12),
+      purposeConsents: flags(152, 24),
+      purposeLegitimateInterests: flags(176, 24),
+      vendorConsents: []
+    };
+
+    const maxVendorId = readBits(bits, 213, 16);
+    if (bits[229] === '1') {
+      const entries = readBits(bits, 230, 12);
+      let offset = 242;
+      for (let i = 0; i < entries && offset < bits.length; i++) {
+        const isRange = bits[offset] === '1';
+        const startId = readBits(bits, offset + 1, 16);
+        const endId = isRange ? readBits(bits, offset + 17, 16) : startId;
+        offset += isRange ? 33 : 17;
+        for (let id = startId; id <= endId && id <= maxVendorId; id++) decoded.vendorConsents.push(id);
+      }
+    } else {
+      decoded.vendorConsents = flags(230, maxVendorId);
+    }
+    return decoded;
+  }
+
+  function trackerForCall(call) {
+    const host = String(call.host || '').toLowerCase();
+    const path = call.pathname || '';
+    return TRACKERS.find(tracker => tracker.host.test(host) && (!tracker.path || tracker.path.test(path))) || null;
+  }
+
+  // Hosts of the tracking services above, whose cookies the audit clears between passes
+  function isTrackerHost(host) {
+    const value = String(host || '').toLowerCase();
+    return TRACKERS.some(tracker => tracker.host.test(value));
+  }
+
+  // Whether a browser would send the cookie to host (host-only and domain cookies alike)
+  function cookieAppliesToHost(cookie, host) {
+    const domain = String(cookie.domain || '').toLowerCase().replace(/^\./, '');
+    const value = String(host || '').toLowerCase();
+    return !!domain && (value === domain || value.endsWith('.' + domain));
+  }
+
+  // "www.shop.example.co.uk" -> "example.co.uk", so cookies on sibling subdomains count as first-party
+  function siteOf(host) {
+    const labels = String(host || '').toLowerCase().replace(/^\./, '').split('.');
+    const count = labels.length > 2 && /^(co|com|org|net|ac|gov|edu)\.[a-z]{2}$/.test(labels.slice(-2).join('.')) ? 3 : 2;
+    return labels.slice(-count).join('.');
+  }
+
+  function classifyCookie(cookie, siteHost) {
+    const match = TRACKING_COOKIES.find(entry => entry.name.test(cookie.name));
+    return {
+      name: cookie.name,
+      domain: cookie.domain,
+      tracker: match ? match.tracker : null,
+      thirdParty: siteOf(cookie.domain) !== siteOf(siteHost)
+    };
+  }
+
+  // Consent signals carried by one call's query string
+  function consentSignalsOf(call) {
+    const params = call.queryParams || {};
+    return {
+      gcs: decodeGcs(params.gcs),
+      gcd: decodeGcd(params.gcd),
+      gdpr: params.gdpr ?? null,
+      tcf: params.gdpr_consent ? decodeTcString(params.gdpr_consent) : null
+    };
+  }
+
+  // One pass: { state, pageUrl, calls, cookies, tcData, banner } -> what fired and what consent it carried.
+  // tcData is the __tcfapi getTCData result; banner is { clicked, label, bannerFound } from the content script.
+  function summarizePass({ state, pageUrl, calls = [], cookies = [], tcData = null, banner = null }) {
+    let siteHost = '';
+    try {
+      siteHost = new URL(pageUrl).hostname;
+    } catch (e) {
+      // Leave cookies unclassified by party
+    }
+
+    const trackers = new Map();
+    const gcs = new Map();
+    const gcd = new Map();
+    const gdprConsent = new Map();
+    calls.forEach((call) => {
+      const signals = consentSignalsOf(call);
+      if (signals.gcs) gcs.set(signals.gcs.raw, signals.gcs);
+      if (signals.gcd) gcd.set(signals.gcd.raw, signals.gcd);
+      if (signals.tcf) gdprConsent.set(call.queryParams.gdpr_consent, signals.tcf);
+
+      const tracker = trackerForCall(call);
+      if (!tracker) return;
+      if (!trackers.has(tracker.name)) {
+        trackers.set(tracker.name, { name: tracker.name, category: tracker.category, requests: 0, cookieless: 0, requestIds: [], gcs: [] });
+      }
+      const entry = trackers.get(tracker.name);
+      entry.requests++;
+      if (call.requestId && entry.requestIds.length < 20) entry.requestIds.push(call.requestId);
+      if (signals.gcs && !entry.gcs.includes(signals.gcs.raw)) entry.gcs.push(signals.gcs.raw);
+      if (tracker.consentMode && signals.gcs && !isGranted(signals.gcs[tracker.storage])) entry.cookieless++;
+    });
+
+    const seenCookies = new Set();
+    const classifiedCookies = [];
+    cookies.forEach((cookie) => {
+      const key = `${cookie.name}|${cookie.domain}`;
+      if (seenCookies.has(key)) return;
+      seenCookies.add(key);
+      classifiedCookies.push(classifyCookie(cookie, siteHost));
+    });
+
+    const tcString = tcData && typeof tcData.tcString === 'string' ? tcData.tcString : null;
+    return {
+      state,
+      pageUrl,
+      banner: banner || null,
+      requestCount: calls.length,
+      trackers: Array.from(trackers.values()).sort((a, b) => a.name.localeCompare(b.name)),
+      cookies: classifiedCookies.sort((a, b) => a.name.localeCompare(b.name)),
+      consent: {
+        gcs: Array.from(gcs.values()),
+        gcd: Array.from(gcd.values()),
+        gdprConsent: Array.from(gdprConsent.values()),
+        tcf: tcData ? {
+          cmpId: tcData.cmpId ?? null,
+          gdprApplies: tcData.gdprApplies ?? null,
+          eventStatus: tcData.eventStatus || null,
+          decoded: tcString ? decodeTcString(tcString) : null
+        } : null
+      }
+    };
+  }
+
+  function violation(state, severity, tracker, issue, evidence = '') {
+    return { state, severity, tracker, issue, evidence };
+  }
+
+  // Trackers, cookies and consent signals that must not appear in a pass without consent
+  function preConsentViolations(pass, when) {
+    const { state } = pass;
+    const found = [];
+    pass.trackers.forEach((tracker) => {
+      const evidence = `${tracker.requests} request${tracker.requests === 1 ? '' : 's'}` +
+        (tracker.gcs.length ? `, gcs ${tracker.gcs.join('/')}` : '') +
+        (tracker.requestIds.length ? `, e.g. ${tracker.requestIds.slice(0, 3).join(', ')}` : '');
+      if (tracker.cookieless === tracker.requests) {
+        found.push(violation(state, 'low', tracker.name, `${tracker.name} sent Consent Mode cookieless pings ${when}`, evidence));
+      } else {
+        found.push(violation(state, 'high', tracker.name, `${tracker.name} fired ${when}`, evidence));
+      }
+    });
+    pass.cookies.filter(cookie => cookie.tracker || cookie.thirdParty).forEach((cookie) => {
+      const owner = cookie.tracker || 'third-party';
+      found.push(violation(state, cookie.tracker ? 'high' : 'medium', cookie.tracker || '',
+        `Cookie ${cookie.name} (${owner}) set ${when}`, `domain ${cookie.domain}`));
+    });
+    pass.consent.gcs.forEach((gcs) => {
+      GCS_SIGNALS.filter(signal => isGranted(gcs[signal])).forEach((signal) => {
+        found.push(violation(state, 'high', 'Google Consent Mode', `Consent Mode reports ${signal} granted ${when}`, `gcs ${gcs.raw}`));
+      });
+    });
+    const tcf = pass.consent.tcf?.decoded;
+    if (tcf && tcf.purposeConsents.includes(1)) {
+      found.push(violation(state, 'high', 'IAB TCF', `TCF string grants purpose 1 (store/access information on a device) ${when}`,
+        `CMP ${tcf.cmpId}, purposes ${tcf.purposeConsents.join(',')}`));
+    }
+    pass.consent.gdprConsent.filter(decoded => decoded.purposeConsents.includes(1)).slice(0, 1).forEach((decoded) => {
+      found.push(violation(state, 'high', 'IAB TCF', `gdpr_consent on ad requests grants purpose 1 ${when}`,
+        `CMP ${decoded.cmpId}, ${decoded.vendorConsents.length} vendors`));
+    });
+    return found;
+  }
+
+  // passes: { none, reject, accept } from summarizePass -> [{ state, severity, tracker, issue, evidence }]
+  function findViolations(passes) {
+    const violations = [];
+    if (passes.none) violations.push(...preConsentViolations(passes.none, 'before consent'));
+
+    // Without a detected banner the reject pass is just another no-interaction load, which the
+    // none pass already covers; the accept pass reports the missing banner once
+    const reject = passes.reject;
+    if (reject) {
+      if (reject.banner && !reject.banner.clicked) {
+        if (reject.banner.bannerFound) {
+          violations.push(violation('reject', 'medium', '', 'No "Reject all" button found on the consent banner', 'Rejecting must be as easy as accepting'));
+        }
+      } else {
+        violations.push(...preConsentViolations(reject, 'after Reject all'));
+      }
+    }
+
+    const accept = passes.accept;
+    if (accept) {
+      if (accept.banner && !accept.banner.clicked) {
+        violations.push(violation('accept', 'low', '', accept.banner.bannerFound
+          ? 'No "Accept all" button found on the consent banner'
+          : 'No consent banner detected', ''));
+      } else {
+        const stillDenied = accept.consent.gcs.length && accept.consent.gcs.every(gcs => !GCS_SIGNALS.some(signal => isGranted(gcs[signal])));
+        if (stillDenied) {
+          violations.push(violation('accept', 'medium', 'Google Consent Mode', 'Consent Mode stayed denied after Accept all: the consent update is not reaching Google tags',
+            `gcs ${accept.consent.gcs.map(gcs => gcs.raw).join('/')}`));
+        }
+      }
+    }
+
+    const order = { high: 0, medium: 1, low: 2 };
+    return violations.sort((a, b) => order[a.severity] - order[b.severity] || STATES.indexOf(a.state) - STATES.indexOf(b.state));
+  }
+
+  function buildPageReport(pageUrl, passes) {
+    return { pageUrl, passes, violations: findViolations(passes) };
+  }
+
+  function summarizePassCell(pass) {
+    if (!pass) return '';
+    const trackers = pass.trackers.map(tracker => `${tracker.name} (${tracker.requests})`).join(', ') || 'none';
+    const cookies = pass.cookies.filter(cookie => cookie.tracker || cookie.thirdParty).map(cookie => cookie.name).join(', ') || 'none';
+    return `trackers: ${trackers}; tracking cookies: ${cookies}`;
+  }
+
+  // CSV rows: one per violation, plus a clean row for pages without any so coverage is visible
+  function buildReportRows(reports) {
+    const rows = [['Page URL', 'State', 'Severity', 'Tracker', 'Issue', 'Evidence', 'No Interaction', 'Reject All', 'Accept All']];
+    reports.forEach((report) => {
+      const cells = STATES.map(state => summarizePassCell(report.passes[state]));
+      if (!report.violations.length) {
+        rows.push([report.pageUrl, '', 'ok', '', 'No violations found', '', ...cells]);
+        return;
+      }
+      report.violations.forEach((item) => {
+        rows.push([report.pageUrl, STATE_LABELS[item.state] || item.state, item.severity, item.tracker, item.issue, item.evidence, ...cells]);
+      });
+    });
+    return rows;
+  }
+
+  // Make available globally for service worker and side panel
+  self.CASTConsentAudit = {
+    STATES,
+    STATE_LABELS,
+    decodeGcs,
+    decodeGcd,
+    decodeTcString,
+    trackerForCall,
+    isTrackerHost,
+    cookieAppliesToHost,
+    siteOf,
+    summarizePass,
+    findViolations,
+    buildPageReport,
+    buildReportRows
+  };
+})();
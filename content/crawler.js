@@ -6,6 +6,59 @@
 
   const origin = location.origin;
 
+  // Data layer capture: datalayer-hook.js runs in the page's own world (content scripts can't see
+  // page globals), registered by the background while a crawl or Manual Mode is active, and buffers
+  // pushes until we tell it whether this page is being captured. The background only keeps pushes
+  // from the tab it is capturing.
+  const DATALAYER_FLUSH_MS = 500;
+  const DATALAYER_MESSAGE_CHUNK = 500;
+  let dataLayerQueue = [];
+  let dataLayerFlushTimer = null;
+
+  function flushDataLayerPushes() {
+    clearTimeout(dataLayerFlushTimer);
+    dataLayerFlushTimer = null;
+    if (!dataLayerQueue.length) return;
+    const pushes = dataLayerQueue;
+    dataLayerQueue = [];
+    try {
+      for (let i = 0; i < pushes.length; i += DATALAYER_MESSAGE_CHUNK) {
+        chrome.runtime.sendMessage({ type: "datalayer-pushes", pushes: pushes.slice(i, i + DATALAYER_MESSAGE_CHUNK) }, () => void chrome.runtime.lastError);
+      }
+    } catch (e) {
+      // Extension reloaded; this page's pushes are lost
+    }
+  }
+
+  function listenForDataLayerHook() {
+    const sendCaptureState = () => {
+      chrome.storage.local.get(["CAST_crawlActive", "CAST_manualModeActive"], (res) => {
+        const capture = !!(res.CAST_crawlActive || res.CAST_manualModeActive);
+        window.postMessage({ source: "cast-datalayer-control", capture }, "*");
+      });
+    };
+
+    window.addEventListener("message", (event) => {
+      if (event.source !== window || !event.data || event.data.source !== "cast-datalayer-hook") return;
+      // The hook announces itself once it listens; which of us ran first at document_start varies
+      if (event.data.ready) {
+        sendCaptureState();
+        return;
+      }
+      dataLayerQueue.push(...(event.data.pushes || []));
+      if (!dataLayerFlushTimer) dataLayerFlushTimer = setTimeout(flushDataLayerPushes, DATALAYER_FLUSH_MS);
+    });
+    window.addEventListener("pagehide", flushDataLayerPushes);
+
+    sendCaptureState();
+    // Capture can stop while the page is open
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === "local" && (changes.CAST_crawlActive || changes.CAST_manualModeActive)) sendCaptureState();
+    });
+  }
+
+  listenForDataLayerHook();
+
   function isClickable(el) {
     try {
       const style = getComputedStyle(el);
@@ -98,6 +151,81 @@
     return false;
   }
 
+  // Consent audit: click the banner's "Reject all" or "Accept all" button and report which one.
+  // Known CMP buttons first (OneTrust, Cookiebot, Didomi, Quantcast, TrustArc), then button text
+  // inside the detected banner, so a "Decline" or "Got it" elsewhere on the page is never clicked.
+  const CONSENT_BUTTONS = {
+    accept: {
+      selectors: ['#onetrust-accept-btn-handler', '#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll', '#CybotCookiebotDialogBodyButtonAccept', '#didomi-notice-agree-button', '.qc-cmp2-summary-buttons button[mode="primary"]', '#truste-consent-button'],
+      text: /^(accept|allow|agree|i agree|got it)\b|accept all|allow all|agree to all/i
+    },
+    reject: {
+      selectors: ['#onetrust-reject-all-handler', '#CybotCookiebotDialogBodyButtonDecline', '#didomi-notice-disagree-button', '.qc-cmp2-summary-buttons button[mode="secondary"]', '#truste-consent-required'],
+      text: /reject|decline|deny|refuse|disagree|necessary only|only necessary|essential only|only essential|continue without accepting/i
+    }
+  };
+
+  // Known CMP containers, then generic cookie / consent dialogs that mention cookies or consent
+  const CONSENT_CONTAINERS = ['#onetrust-banner-sdk', '#onetrust-consent-sdk', '#CybotCookiebotDialog', '#didomi-host', '.qc-cmp2-container', '#truste-consent-track', '#usercentrics-root', '#cmpbox'];
+  const CONSENT_CONTAINER_CANDIDATES = '[id*="cookie" i], [class*="cookie" i], [id*="consent" i], [class*="consent" i], [id*="gdpr" i], [class*="gdpr" i], [role="dialog"], [role="alertdialog"], [aria-modal="true"]';
+  const CONSENT_CONTROLS = 'button, [role="button"], a[href="#"], input[type="button"], input[type="submit"]';
+
+  function isVisible(el) {
+    return !!el && el.offsetParent !== null;
+  }
+
+  // Banners are usually position: fixed, which leaves offsetParent null even when they are shown
+  function isDisplayed(el) {
+    try {
+      return !!el && el.getClientRects().length > 0 && getComputedStyle(el).visibility !== 'hidden';
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function findConsentBanners() {
+    const known = CONSENT_CONTAINERS.map(selector => document.querySelector(selector)).filter(isDisplayed);
+    if (known.length) return known;
+    const candidates = Array.from(document.querySelectorAll(CONSENT_CONTAINER_CANDIDATES)).filter(el =>
+      el !== document.body && el !== document.documentElement && isDisplayed(el) && el.querySelector(CONSENT_CONTROLS) && /cookie|consent|privacy|gdpr|tracking/i.test((el.textContent || '').slice(0, 5000)));
+    // Outermost matches only: a banner's inner wrappers would otherwise count as banners of their own
+    return candidates.filter(el => !candidates.some(other => other !== el && other.contains(el)));
+  }
+
+  async function applyConsentChoice(action) {
+    const buttons = CONSENT_BUTTONS[action];
+    if (!buttons) return { clicked: false, label: null, bannerFound: false };
+
+    let target = null;
+    for (const selector of buttons.selectors) {
+      const el = await waitForElement(selector, 300);
+      if (isVisible(el)) {
+        target = el;
+        break;
+      }
+    }
+    const banners = target ? [] : findConsentBanners();
+    if (!target) {
+      target = banners
+        .flatMap(banner => Array.from(banner.querySelectorAll(CONSENT_CONTROLS)))
+        .filter(isVisible)
+        .find((el) => {
+          const text = (el.textContent || el.value || el.getAttribute('aria-label') || '').trim();
+          return text.length < 50 && buttons.text.test(text);
+        }) || null;
+    }
+    const bannerFound = !!target || banners.length > 0;
+    if (!target) return { clicked: false, label: null, bannerFound };
+
+    const label = (target.textContent || target.value || target.getAttribute('aria-label') || '').trim().slice(0, 60);
+    try {
+      target.click();
+    } catch (e) {
+      return { clicked: false, label, bannerFound };
+    }
+    return { clicked: true, label, bannerFound };
+  }
+
   // Interact with search boxes
   async function interactWithSearch() {
     // Skip if already on a search results page
@@ -522,6 +650,7 @@
       url: location.href,
       depth,
       dom: document.documentElement.outerHTML.slice(0, 20000),
+      structure: getStructureSignature(),
       clicks: clickable.length,
       internalLinks: Array.from(internalLinks)
     });
@@ -1025,6 +1154,18 @@
     return elements.slice(0, 500); // Limit to ~500 elements to keep token count reasonable
   }
 
+  // Compact structure signature for template clustering: counts of context:tag tokens from the
+  // simplified DOM, ignoring the header, footer and navigation that every page shares
+  function getStructureSignature() {
+    const signature = {};
+    getSimplifiedDOM().forEach((el) => {
+      if (el.navigation || ['header', 'footer', 'nav'].includes(el.context)) return;
+      const token = el.formType ? `form:${el.formType}` : `${el.context}:${el.tag}`;
+      signature[token] = (signature[token] || 0) + 1;
+    });
+    return signature;
+  }
+
   chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     if (msg.type === "scan-page") {
       console.log('CAST: Received scan-page message, depth:', msg.depth || 0);
@@ -1033,6 +1174,11 @@
       return true; // Keep channel open for async response
     }
     
+    if (msg.type === "consent-action") {
+      applyConsentChoice(msg.action).then(sendResponse);
+      return true;
+    }
+
     if (msg.type === "get-page-structure") {
         const dom = getSimplifiedDOM();
         sendResponse({ dom });
@@ -0,0 +1,212 @@
+// Main-world content script, registered by background.js at document_start only while a crawl or
+// Manual Mode is capturing: records every push to the site's data layers before tag managers (or
+// inline head snippets) read them. Covers window.dataLayer and adobeDataLayer pushes (including
+// gtag() calls), digitalData.event pushes, utag_data / digitalData assignments, utag.view /
+// utag.link and _satellite.track calls. Entries are buffered until crawler.js says whether this tab
+// is being captured, then posted to it with window.postMessage.
+(function () {
+  if (window.__CAST_DATALAYER_HOOK__) return;
+  window.__CAST_DATALAYER_HOOK__ = true;
+
+  const HOOK_SOURCE = 'cast-datalayer-hook';
+  const CONTROL_SOURCE = 'cast-datalayer-control';
+  const MAX_DEPTH = 6;
+  const MAX_KEYS = 100;
+  const MAX_STRING = 1000;
+  const MAX_BUFFERED = 500;
+
+  let capture = null; // null until crawler.js answers, then true / false
+  let buffer = [];
+  let dropped = 0; // Oldest entries shifted out of a full buffer before crawler.js answered
+  let sequence = 0;
+  const recorded = new WeakSet(); // Tag managers re-wrap push; record each pushed object once
+  const hookedArrays = new WeakSet();
+
+  // First stack frame outside the extension: which of the page's scripts made the push
+  function stackOrigin() {
+    const lines = String(new Error().stack || '').split('\n').slice(1);
+    for (const line of lines) {
+      const match = line.match(/\(?((?:https?|chrome-extension|blob|file):[^\s()]+?):(\d+):(\d+)\)?\s*$/);
+      if (!match || match[1].startsWith('chrome-extension:')) continue;
+      return `${match[1]}:${match[2]}:${match[3]}`;
+    }
+    return null;
+  }
+
+  // Copy a pushed value into something postMessage and IndexedDB accept, with size limits
+  function serialize(value, depth, seen) {
+    if (value === null || value === undefined || typeof value === 'boolean') return value;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : String(value);
+    if (typeof value === 'string') return value.length > MAX_STRING ? value.slice(0, MAX_STRING) + '...[truncated]' : value;
+    if (typeof value === 'function') return '[function]';
+    if (typeof value !== 'object') return String(value);
+    if (typeof Element !== 'undefined' && value instanceof Element) {
+      return `<${value.tagName.toLowerCase()}${value.id ? '#' + value.id : ''}${typeof value.className === 'string' && value.className ? '.' + value.className.trim().split(/\s+/).join('.') : ''}>`;
+    }
+    if (value === window || value === document) return value === window ? '[window]' : '[document]';
+    if (depth >= MAX_DEPTH) return '[…]';
+    if (seen.has(value)) return '[circular]';
+    seen.add(value);
+    try {
+      if (Array.isArray(value) || Object.prototype.toString.call(value) === '[object Arguments]') {
+        return Array.prototype.slice.call(value, 0, MAX_KEYS).map(item => serialize(item, depth + 1, seen));
+      }
+      if (value instanceof Date) return value.toISOString();
+      const copy = {};
+      Object.keys(value).slice(0, MAX_KEYS).forEach((key) => {
+        try {
+          copy[key] = serialize(value[key], depth + 1, seen);
+        } catch (e) {
+          copy[key] = '[unreadable]';
+        }
+      });
+      return copy;
+    } finally {
+      seen.delete(value);
+    }
+  }
+
+  function flush() {
+    if (!capture || !buffer.length) return;
+    const pushes = buffer;
+    buffer = [];
+    if (dropped) {
+      // Reported in the timeline rather than silently missing
+      pushes.unshift({
+        source: 'cast',
+        method: 'dropped',
+        data: { dropped },
+        timestamp: pushes[0].timestamp,
+        timeOrigin: Math.round(performance.timeOrigin),
+        offsetMs: pushes[0].offsetMs,
+        sequence: -1,
+        pageUrl: location.href
+      });
+      dropped = 0;
+    }
+    window.postMessage({ source: HOOK_SOURCE, pushes }, '*');
+  }
+
+  // source: the data layer ('dataLayer', 'digitalData', ...); method: push, assign, track, view, link
+  function record(source, method, value, extra = {}) {
+    if (capture === false) return;
+    if (value && typeof value === 'object') {
+      if (recorded.has(value)) return;
+      recorded.add(value);
+    }
+    let data;
+    try {
+      data = serialize(value, 0, new Set());
+    } catch (e) {
+      data = '[unserializable]';
+    }
+    buffer.push({
+      source,
+      method,
+      data,
+      isArguments: Object.prototype.toString.call(value) === '[object Arguments]',
+      timestamp: Date.now(),
+      timeOrigin: Math.round(performance.timeOrigin),
+      offsetMs: Math.round(performance.now()),
+      sequence: sequence++,
+      pageUrl: location.href,
+      stackOrigin: stackOrigin(),
+      ...extra
+    });
+    if (buffer.length > MAX_BUFFERED) {
+      buffer.shift();
+      dropped++;
+    }
+    if (capture) setTimeout(flush, 0);
+  }
+
+  // Wrap push through an accessor, so a tag manager replacing push (GTM does) gets wrapped too
+  function hookArray(source, array) {
+    if (!Array.isArray(array) || hookedArrays.has(array)) return;
+    hookedArrays.add(array);
+    // Entries pushed before the hook ran (inline snippets that beat this script to the page)
+    array.forEach(item => record(source, 'push', item, { beforeHook: true }));
+    const wrap = fn => function (...items) {
+      items.forEach(item => record(source, 'push', item));
+      return fn.apply(this, items);
+    };
+    let wrapped = wrap(array.push);
+    try {
+      Object.defineProperty(array, 'push', {
+        configurable: true,
+        enumerable: false,
+        get() {
+          return wrapped;
+        },
+        set(fn) {
+          wrapped = typeof fn === 'function' ? wrap(fn) : fn;
+        }
+      });
+    } catch (e) {
+      // Frozen or non-extensible array: leave it alone
+    }
+  }
+
+  function hookMethod(source, target, name) {
+    if (!target || typeof target[name] !== 'function' || target[name].__castHooked) return;
+    const original = target[name];
+    const hooked = function (...args) {
+      record(source, name, args.length === 1 ? args[0] : args);
+      return original.apply(this, args);
+    };
+    hooked.__castHooked = true;
+    target[name] = hooked;
+  }
+
+  // Hook a global now if it exists, and again whenever the page assigns it
+  function watchGlobal(name, onValue) {
+    let current = window[name];
+    if (current !== undefined) onValue(current, true);
+    const descriptor = Object.getOwnPropertyDescriptor(window, name);
+    if (descriptor && !descriptor.configurable) return;
+    try {
+      Object.defineProperty(window, name, {
+        configurable: true,
+        enumerable: true,
+        get() {
+          return current;
+        },
+        set(value) {
+          current = value;
+          onValue(value, false);
+        }
+      });
+    } catch (e) {
+      // Property locked by the page
+    }
+  }
+
+  watchGlobal('dataLayer', value => hookArray('dataLayer', value));
+  watchGlobal('adobeDataLayer', value => hookArray('adobeDataLayer', value));
+  watchGlobal('digitalData', (value, existing) => {
+    if (!value || typeof value !== 'object') return;
+    record('digitalData', 'assign', value, existing ? { beforeHook: true } : {});
+    hookArray('digitalData.event', value.event);
+  });
+  watchGlobal('utag_data', (value, existing) => {
+    if (value && typeof value === 'object') record('utag_data', 'assign', value, existing ? { beforeHook: true } : {});
+  });
+  // utag and _satellite get their methods after the global is assigned; retry once the page has loaded
+  const hookMethodsSoon = (source, target, names) => {
+    const hookAll = () => names.forEach(name => hookMethod(source, target, name));
+    hookAll();
+    document.addEventListener('DOMContentLoaded', hookAll, { once: true });
+    window.addEventListener('load', hookAll, { once: true });
+  };
+  watchGlobal('utag', value => hookMethodsSoon('utag', value, ['view', 'link']));
+  watchGlobal('_satellite', value => hookMethodsSoon('_satellite', value, ['track']));
+
+  window.addEventListener('message', (event) => {
+    if (event.source !== window || !event.data || event.data.source !== CONTROL_SOURCE) return;
+    capture = !!event.data.capture;
+    if (capture) flush();
+    else buffer = [];
+  });
+  // crawler.js may have sent the capture state before this listener existed; ask for it again
+  window.postMessage({ source: HOOK_SOURCE, ready: true }, '*');
+})();
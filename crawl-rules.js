@@ -0,0 +1,120 @@
+// Crawl scoping rules for CAST
+// Include/exclude patterns, a path prefix and query-parameter stripping, saved per site.
+//
+// Patterns are globs matched against the URL path + query ("/blog/page/*", "**/logout*"), or
+// case-insensitive regular expressions after a "re:" prefix ("re:^/page/\d+"). A pattern starting
+// with "http" is matched against the full URL instead.
+(function () {
+  const EMPTY_RULES = { include: [], exclude: [], pathPrefix: '', stripParams: [] };
+  const REGEX_PREFIX = 're:';
+
+  function escapeRegex(text) {
+    return text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // "**" crosses path segments, "*" stays within one, "?" is a single character
+  function globToRegex(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+      const char = glob[i];
+      if (char === '*' && glob[i + 1] === '*') {
+        source += '.*';
+        i++;
+      } else if (char === '*') {
+        source += '[^/]*';
+      } else if (char === '?') {
+        source += '.';
+      } else {
+        source += escapeRegex(char);
+      }
+    }
+    return new RegExp(`^${source}$`, 'i');
+  }
+
+  function compilePattern(pattern) {
+    const trimmed = String(pattern || '').trim();
+    if (!trimmed) return null;
+    // Only an explicit prefix makes a regex: "/products/" is a path, not /products/ the regex
+    if (trimmed.toLowerCase().startsWith(REGEX_PREFIX)) {
+      const source = trimmed.slice(REGEX_PREFIX.length).trim();
+      if (!source) throw new Error('empty regular expression');
+      return { pattern: trimmed, full: source.includes('://'), regex: new RegExp(source, 'i') };
+    }
+    return { pattern: trimmed, full: /^https?:/i.test(trimmed), regex: globToRegex(trimmed) };
+  }
+
+  // Split textarea / comma input into a clean list
+  function parseRuleList(text) {
+    if (Array.isArray(text)) return text.map(item => String(item).trim()).filter(Boolean);
+    return String(text || '').split(/[\n,]/).map(item => item.trim()).filter(Boolean);
+  }
+
+  // Returns { rules, errors }; invalid patterns are reported and dropped
+  function compileCrawlRules(raw) {
+    const rules = { ...EMPTY_RULES, ...(raw || {}) };
+    const errors = [];
+    const compileList = (list) => parseRuleList(list).map((pattern) => {
+      try {
+        return compilePattern(pattern);
+      } catch (e) {
+        errors.push(`Invalid pattern "${pattern}": ${e.message}`);
+        return null;
+      }
+    }).filter(Boolean);
+
+    let pathPrefix = String(rules.pathPrefix || '').trim();
+    if (pathPrefix && !pathPrefix.startsWith('/')) pathPrefix = `/${pathPrefix}`;
+
+    return {
+      rules: {
+        include: compileList(rules.include),
+        exclude: compileList(rules.exclude),
+        pathPrefix,
+        stripParams: parseRuleList(rules.stripParams).map(name => globToRegex(name))
+      },
+      errors
+    };
+  }
+
+  function matchesAny(compiled, url) {
+    const pathAndQuery = `${url.pathname}${url.search}`;
+    return compiled.some(({ regex, full }) => regex.test(full ? url.href : pathAndQuery));
+  }
+
+  // Should this URL be queued? Exclude wins over include; no include patterns means everything
+  function isUrlAllowed(href, compiledRules) {
+    if (!compiledRules) return true;
+    let url;
+    try {
+      url = new URL(href);
+    } catch (e) {
+      return false;
+    }
+    const { include, exclude, pathPrefix } = compiledRules;
+    if (pathPrefix && !url.pathname.toLowerCase().startsWith(pathPrefix.toLowerCase())) return false;
+    if (exclude.length && matchesAny(exclude, url)) return false;
+    if (include.length && !matchesAny(include, url)) return false;
+    return true;
+  }
+
+  // Remove query parameters whose names match the strip list (operates on a URL object)
+  function stripQueryParams(url, compiledRules) {
+    if (!compiledRules || !compiledRules.stripParams.length) return url;
+    for (const key of Array.from(url.searchParams.keys())) {
+      if (compiledRules.stripParams.some(regex => regex.test(key))) {
+        url.searchParams.delete(key);
+      }
+    }
+    return url;
+  }
+
+  // Make available globally for service worker and side panel
+  self.CASTCrawlRules = {
+    EMPTY_RULES,
+    REGEX_PREFIX,
+    compileCrawlRules,
+    isUrlAllowed,
+    stripQueryParams,
+    parseRuleList
+  };
+})();
@@ -0,0 +1,210 @@
+// Data layer timeline for CAST
+// content/datalayer-hook.js records every push to the page's data layers (dataLayer, adobeDataLayer,
+// digitalData, utag_data, _satellite) with its time, page and the script that made it. This module
+// groups the stored pushes by page load and ties each GA4 hit to the push that triggered it: the
+// latest earlier push with the same event name, or failing that the latest event push just before it.
+(function () {
+  const CORRELATION_WINDOW_MS = 5000; // GA4 batches events for a few seconds before sending
+  const CLOCK_SLACK_MS = 100; // Page and network timestamps come from different processes
+  const GA4_PROVIDER = 'Google Analytics 4';
+
+  function pageKey(url) {
+    try {
+      const u = new URL(url);
+      return `${u.origin}${u.pathname}`;
+    } catch (e) {
+      return url || '';
+    }
+  }
+
+  // The event a push announces: dataLayer { event }, gtag('event', name) or its command,
+  // _satellite.track(name), utag.link / view data, CEDDL digitalData.event entries
+  function pushEventName(push) {
+    const data = push.data;
+    if (push.source === '_satellite') {
+      return Array.isArray(data) ? String(data[0] ?? '') || null : typeof data === 'string' ? data : null;
+    }
+    if (push.isArguments && Array.isArray(data)) {
+      if (data[0] === 'event') return data[1] != null ? String(data[1]) : null;
+      return typeof data[0] === 'string' ? data[0] : null;
+    }
+    const object = Array.isArray(data) ? data[0] : data;
+    if (!object || typeof object !== 'object' || push.method === 'assign') return null;
+    if (push.source === 'utag') return object.tealium_event || object.event_name || push.method;
+    if (push.source === 'digitalData.event') return object.eventInfo?.eventName || object.eventName || null;
+    return typeof object.event === 'string' ? object.event : null;
+  }
+
+  // The hook's note that its buffer overflowed before capture started: { source: 'cast', method: 'dropped', data: { dropped } }
+  function isDroppedNotice(push) {
+    return push.source === 'cast' && push.method === 'dropped';
+  }
+
+  // GTM's own lifecycle pushes (gtm.js, gtm.dom, gtm.load, gtm.click, ...)
+  function isInternalEvent(eventName) {
+    return /^gtm\./.test(eventName || '');
+  }
+
+  function ga4HitsFromDecodedEvents(call, events) {
+    const time = typeof call.wallTime === 'number' ? Math.round(call.wallTime * 1000) : call.timestamp;
+    return events.filter(event => event.provider === GA4_PROVIDER && event.event_name).map(event => ({
+      eventName: event.event_name,
+      time,
+      pageUrl: call.pageUrl || null,
+      hitUrl: event.page_url || null,
+      requestId: call.requestId || null,
+      url: call.url
+    }));
+  }
+
+  // pushes: stored dataLayerEvents records; hits: ga4HitsFromDecodedEvents output for the session.
+  // Returns { loads: [{ pageUrl, timeOrigin, pushes, unmatchedHits, summary }], summary }, one load per
+  // document (pushes from a single-page app's route changes stay with the document that made them).
+  // Pushes the hook had to drop are counted in summary.droppedPushes.
+  function buildTimeline(pushes, hits) {
+    const loadsByOrigin = new Map();
+    pushes.slice()
+      .sort((a, b) => a.timestamp - b.timestamp || a.sequence - b.sequence)
+      .forEach((push) => {
+        const timeOrigin = push.timeOrigin || 0;
+        if (!loadsByOrigin.has(timeOrigin)) {
+          loadsByOrigin.set(timeOrigin, { pageUrl: push.pageUrl, timeOrigin, pageKeys: new Set(), pushes: [], unmatchedHits: [], droppedPushes: 0 });
+        }
+        const load = loadsByOrigin.get(timeOrigin);
+        load.pageKeys.add(pageKey(push.pageUrl));
+        if (isDroppedNotice(push)) {
+          load.droppedPushes += Number(push.data?.dropped) || 0;
+          return;
+        }
+        const eventName = pushEventName(push);
+        load.pushes.push({
+          id: push.id ?? null,
+          source: push.source,
+          method: push.method,
+          eventName,
+          internal: isInternalEvent(eventName),
+          data: push.data,
+          timestamp: push.timestamp,
+          offsetMs: push.offsetMs ?? (push.timestamp - timeOrigin),
+          pageUrl: push.pageUrl,
+          stackOrigin: push.stackOrigin || null,
+          beforeHook: !!push.beforeHook,
+          ga4Hits: []
+        });
+      });
+    const loads = Array.from(loadsByOrigin.values()).sort((a, b) => a.timeOrigin - b.timeOrigin);
+
+    hits.slice().sort((a, b) => a.time - b.time).forEach((hit) => {
+      const keys = [pageKey(hit.pageUrl), pageKey(hit.hitUrl)];
+      let load = null;
+      for (const candidate of loads) {
+        if (candidate.timeOrigin > hit.time + CLOCK_SLACK_MS) break;
+        if (keys.some(key => candidate.pageKeys.has(key))) load = candidate;
+      }
+      if (!load) return; // Page without captured pushes
+
+      const candidates = load.pushes.filter(push => push.eventName &&
+        push.timestamp <= hit.time + CLOCK_SLACK_MS && hit.time - push.timestamp <= CORRELATION_WINDOW_MS);
+      let push = null;
+      let match = 'name';
+      for (let i = candidates.length - 1; i >= 0 && !push; i--) {
+        if (candidates[i].eventName === hit.eventName) push = candidates[i];
+      }
+      if (!push && candidates.length) {
+        const before = candidates.filter(candidate => candidate.timestamp <= hit.time);
+        push = before.length ? before[before.length - 1] : candidates[candidates.length - 1];
+        match = 'timing';
+      }
+      const link = {
+        eventName: hit.eventName,
+        requestId: hit.requestId,
+        time: hit.time,
+        offsetMs: hit.time - load.timeOrigin
+      };
+      if (push) push.ga4Hits.push({ ...link, delayMs: Math.max(0, hit.time - push.timestamp), match });
+      else load.unmatchedHits.push(link);
+    });
+
+    const summary = { loads: loads.length, pushes: 0, eventPushes: 0, correlatedPushes: 0, ga4Hits: 0, unmatchedHits: 0, droppedPushes: 0 };
+    const result = loads.map((load) => {
+      const eventPushes = load.pushes.filter(push => push.eventName);
+      const loadSummary = {
+        pushes: load.pushes.length,
+        eventPushes: eventPushes.length,
+        correlatedPushes: eventPushes.filter(push => push.ga4Hits.length).length,
+        ga4Hits: load.pushes.reduce((total, push) => total + push.ga4Hits.length, 0) + load.unmatchedHits.length,
+        unmatchedHits: load.unmatchedHits.length,
+        droppedPushes: load.droppedPushes
+      };
+      Object.keys(summary).forEach((key) => {
+        if (key !== 'loads') summary[key] += loadSummary[key];
+      });
+      return {
+        pageUrl: load.pageUrl,
+        timeOrigin: load.timeOrigin,
+        pushes: load.pushes,
+        unmatchedHits: load.unmatchedHits,
+        summary: loadSummary
+      };
+    });
+    return { loads: result, summary };
+  }
+
+  function previewData(data, maxLength = 300) {
+    let text;
+    try {
+      text = typeof data === 'string' ? data : JSON.stringify(data);
+    } catch (e) {
+      text = String(data);
+    }
+    text = text || '';
+    return text.length > maxLength ? text.slice(0, maxLength) + '…' : text;
+  }
+
+  // One row per push and per GA4 hit no push explains, in time order within each page load
+  function buildTimelineRows(timeline) {
+    const rows = [['Page URL', 'Load Started', 'Offset (ms)', 'Type', 'Source', 'Event', 'Stack Origin', 'GA4 Hits', 'Match', 'Delay (ms)', 'Request IDs', 'Data']];
+    timeline.loads.forEach((load) => {
+      const loadStarted = load.timeOrigin ? new Date(load.timeOrigin).toISOString() : '';
+      if (load.summary.droppedPushes) {
+        rows.push([load.pageUrl, loadStarted, '', `${load.summary.droppedPushes} pushes dropped (capture buffer full)`, '', '', '', '', '', '', '', '']);
+      }
+      const entries = [
+        ...load.pushes.map(push => ({ offsetMs: push.offsetMs, push })),
+        ...load.unmatchedHits.map(hit => ({ offsetMs: hit.offsetMs, hit }))
+      ].sort((a, b) => a.offsetMs - b.offsetMs);
+      entries.forEach(({ push, hit }) => {
+        if (hit) {
+          rows.push([load.pageUrl, loadStarted, hit.offsetMs, 'GA4 hit (no push)', '', '', '', hit.eventName, '', '', hit.requestId || '', '']);
+          return;
+        }
+        rows.push([
+          push.pageUrl,
+          loadStarted,
+          push.offsetMs,
+          push.beforeHook ? `${push.method} (before capture)` : push.method,
+          push.source,
+          push.eventName || '',
+          push.stackOrigin || '',
+          push.ga4Hits.map(link => link.eventName).join(', '),
+          Array.from(new Set(push.ga4Hits.map(link => link.match))).join(', '),
+          push.ga4Hits.map(link => link.delayMs).join(', '),
+          push.ga4Hits.map(link => link.requestId).filter(Boolean).join(' '),
+          previewData(push.data, 2000)
+        ]);
+      });
+    });
+    return rows;
+  }
+
+  // Make available globally for service worker and side panel
+  self.CASTDataLayer = {
+    CORRELATION_WINDOW_MS,
+    pushEventName,
+    isInternalEvent,
+    ga4HitsFromDecodedEvents,
+    buildTimeline,
+    previewData,
+    buildTimelineRows
+  };
+})();
@@ -0,0 +1,295 @@
+// GTM container export for CAST
+// Turns strategy recommendations (single page or Auto Pilot) into a Google Tag Manager container
+// that can be imported under Admin > Import Container: a click, form submission or element
+// visibility trigger per recommendation, Data Layer Variables for the parameters in its dataLayer
+// snippet, and one GA4 Event tag per event name sending to a configurable measurement ID.
+(function () {
+  const PLACEHOLDER_MEASUREMENT_ID = 'G-XXXXXXXXXX';
+  const MEASUREMENT_ID_VARIABLE = 'GA4 Measurement ID';
+
+  // GTM import ignores these IDs and assigns its own
+  const ACCOUNT_ID = '0';
+  const CONTAINER_ID = '0';
+
+  const BUILT_IN_VARIABLES = {
+    click: [['CLICK_ELEMENT', 'Click Element'], ['CLICK_TEXT', 'Click Text']],
+    form: [['FORM_ELEMENT', 'Form Element']],
+    visibility: [],
+    page: [['PAGE_PATH', 'Page Path']]
+  };
+
+  function isValidMeasurementId(value) {
+    return /^G-[A-Z0-9]{4,}$/i.test(String(value || '').trim());
+  }
+
+  function template(key, value) {
+    return { type: 'TEMPLATE', key, value: String(value) };
+  }
+
+  function boolean(key, value) {
+    return { type: 'BOOLEAN', key, value: value ? 'true' : 'false' };
+  }
+
+  function condition(type, variable, value) {
+    return { type, parameter: [template('arg0', variable), template('arg1', value)] };
+  }
+
+  function pagePath(url) {
+    try {
+      return new URL(url).pathname;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Which GTM trigger a recommendation needs, from its trigger type, event name and selector
+  function triggerKind(rec) {
+    const triggerType = String(rec.triggerType || '');
+    const eventName = String(rec.eventName || '');
+    const selector = String(rec.triggerValue || rec.selector || '');
+    if (/visib|impression|intersection|in view/i.test(triggerType) || /impression/i.test(eventName)) return 'visibility';
+    if (/form/i.test(triggerType) ||
+      (/(^|[\s>+~,])form\b|form[#.[]/i.test(selector) && /submit|lead|sign_?up|form|contact|subscribe/i.test(eventName))) return 'form';
+    if (/text/i.test(triggerType)) return 'text';
+    return 'click';
+  }
+
+  // Split a selector list on its top-level commas; commas inside (), [] or quotes belong to one selector
+  function splitSelectorList(selector) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let start = 0;
+    for (let i = 0; i < selector.length; i++) {
+      const char = selector[i];
+      if (char === '\\') {
+        i++;
+      } else if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '(' || char === '[') {
+        depth++;
+      } else if (char === ')' || char === ']') {
+        depth = Math.max(0, depth - 1);
+      } else if (char === ',' && !depth) {
+        parts.push(selector.slice(start, i));
+        start = i + 1;
+      }
+    }
+    parts.push(selector.slice(start));
+    return parts.map(part => part.trim()).filter(Boolean);
+  }
+
+  // Clicks land on the innermost element, so children of each selector in the list count too
+  function withDescendants(selector) {
+    return splitSelectorList(selector).flatMap(part => [part, `${part} *`]).join(', ');
+  }
+
+  function isUsableSelector(selector) {
+    return !!selector && !['window', 'document', 'body', 'html'].includes(selector.trim().toLowerCase());
+  }
+
+  // recommendations: strategy results ({ eventName, triggerType, triggerValue, selector, codeSnippet,
+  // isAutoCollected, pageUrl or url }). Returns { container, summary } where container is the import JSON.
+  function buildContainer(recommendations, { measurementId = '', containerName = 'CAST Recommendations' } = {}) {
+    let nextId = 1;
+    const id = () => String(nextId++);
+    const meta = { accountId: ACCOUNT_ID, containerId: CONTAINER_ID };
+    const skipped = [];
+    const usedBuiltIns = new Set();
+    const usedNames = new Set();
+    const uniqueName = (name) => {
+      let candidate = name.slice(0, 100);
+      for (let n = 2; usedNames.has(candidate); n++) candidate = `${name.slice(0, 95)} (${n})`;
+      usedNames.add(candidate);
+      return candidate;
+    };
+
+    // One trigger per event / kind / selector; recommendations repeated across Auto Pilot pages
+    // collect their page paths, and a trigger seen on more than one page fires site-wide
+    const triggerSpecs = new Map();
+    const events = new Map(); // eventName -> { params: Map(path -> name), ecommerce, triggerKeys: Set }
+    recommendations.forEach((rec) => {
+      const eventName = String(rec.eventName || '').trim();
+      if (!eventName) return;
+      const selector = String(rec.triggerValue || rec.selector || '').trim();
+      if (rec.isAutoCollected) {
+        skipped.push({ eventName, reason: 'collected automatically by GA4 Enhanced Measurement' });
+        return;
+      }
+      const kind = triggerKind(rec);
+      if (kind === 'text' ? !selector : !isUsableSelector(selector)) {
+        skipped.push({ eventName, reason: 'no element selector or text to trigger on' });
+        return;
+      }
+
+      const key = `${eventName}|${kind}|${selector}`;
+      if (!triggerSpecs.has(key)) triggerSpecs.set(key, { eventName, kind, selector, paths: new Set(), anyPage: false });
+      const spec = triggerSpecs.get(key);
+      const pageUrl = rec.pageUrl || rec.url;
+      const path = pageUrl ? pagePath(pageUrl) : null;
+      if (path) spec.paths.add(path);
+      else spec.anyPage = true;
+
+      if (!events.has(eventName)) events.set(eventName, { params: new Map(), ecommerce: false, triggerKeys: new Set() });
+      const event = events.get(eventName);
+      event.triggerKeys.add(key);
+      self.CASTTrackingPlan.extractSnippetParams(self.CASTTrackingPlan.eventPush(rec.codeSnippet)).forEach((param) => {
+        const dataLayerPath = param.path || param.name;
+        if (dataLayerPath.startsWith('ecommerce.')) event.ecommerce = true;
+        else if (!event.params.has(dataLayerPath)) event.params.set(dataLayerPath, param.name.replace(/\./g, '_'));
+      });
+    });
+
+    const variables = [];
+    const measurementVariable = {
+      ...meta,
+      variableId: id(),
+      name: uniqueName(MEASUREMENT_ID_VARIABLE),
+      type: 'c',
+      parameter: [template('value', isValidMeasurementId(measurementId) ? measurementId.trim().toUpperCase() : PLACEHOLDER_MEASUREMENT_ID)]
+    };
+    variables.push(measurementVariable);
+
+    const dataLayerVariables = new Map(); // data layer path -> variable name
+    events.forEach((event) => {
+      event.params.forEach((paramName, dataLayerPath) => {
+        if (dataLayerVariables.has(dataLayerPath)) return;
+        const variable = {
+          ...meta,
+          variableId: id(),
+          name: uniqueName(`DLV - ${dataLayerPath}`),
+          type: 'v',
+          parameter: [
+            { type: 'INTEGER', key: 'dataLayerVersion', value: '2' },
+            boolean('setDefaultValue', false),
+            template('name', dataLayerPath)
+          ]
+        };
+        variables.push(variable);
+        dataLayerVariables.set(dataLayerPath, variable.name);
+      });
+    });
+
+    const triggers = [];
+    const triggerIds = new Map(); // spec key -> triggerId
+    triggerSpecs.forEach((spec, key) => {
+      const filter = [];
+      let trigger;
+      if (spec.kind === 'visibility') {
+        trigger = {
+          type: 'ELEMENT_VISIBILITY',
+          parameter: [
+            template('selectorType', 'CSS'),
+            template('elementSelector', spec.selector),
+            template('firingFrequency', 'ONCE_PER_ELEMENT'),
+            boolean('useOnScreenDuration', false),
+            boolean('useDomChangeListener', true),
+            template('onScreenRatio', '50')
+          ]
+        };
+      } else if (spec.kind === 'form') {
+        usedBuiltIns.add('form');
+        filter.push(condition('CSS_SELECTOR', '{{Form Element}}', spec.selector));
+        trigger = { type: 'FORM_SUBMISSION', waitForTags: boolean('waitForTags', false), checkValidation: boolean('checkValidation', true), waitForTagsTimeout: template('waitForTagsTimeout', '2000') };
+      } else {
+        usedBuiltIns.add('click');
+        filter.push(spec.kind === 'text'
+          ? condition('EQUALS', '{{Click Text}}', spec.selector)
+          : condition('CSS_SELECTOR', '{{Click Element}}', withDescendants(spec.selector)));
+        trigger = { type: 'CLICK' };
+      }
+      const paths = spec.anyPage ? [] : Array.from(spec.paths);
+      if (paths.length === 1) {
+        usedBuiltIns.add('page');
+        filter.push(condition('EQUALS', '{{Page Path}}', paths[0]));
+      }
+      const label = { click: 'Click', text: 'Click Text', form: 'Form', visibility: 'Visibility' }[spec.kind];
+      const triggerId = id();
+      triggers.push({
+        ...meta,
+        triggerId,
+        name: uniqueName(`CAST - ${label} - ${spec.eventName}${paths.length === 1 ? ` - ${paths[0]}` : ''}`),
+        ...trigger,
+        ...(filter.length ? { filter } : {})
+      });
+      triggerIds.set(key, triggerId);
+    });
+
+    const tags = [];
+    events.forEach((event, eventName) => {
+      const parameter = [
+        boolean('sendEcommerceData', event.ecommerce),
+        ...(event.ecommerce ? [template('getEcommerceDataFrom', 'dataLayer')] : []),
+        template('eventName', eventName),
+        template('measurementIdOverride', `{{${measurementVariable.name}}}`)
+      ];
+      if (event.params.size) {
+        parameter.push({
+          type: 'LIST',
+          key: 'eventSettingsTable',
+          list: Array.from(event.params.entries()).map(([dataLayerPath, paramName]) => ({
+            type: 'MAP',
+            map: [template('parameter', paramName), template('parameterValue', `{{${dataLayerVariables.get(dataLayerPath)}}}`)]
+          }))
+        });
+      }
+      tags.push({
+        ...meta,
+        tagId: id(),
+        name: uniqueName(`GA4 Event - ${eventName}`),
+        type: 'gaawe',
+        parameter,
+        firingTriggerId: Array.from(event.triggerKeys).map(key => triggerIds.get(key)),
+        tagFiringOption: 'ONCE_PER_EVENT',
+        monitoringMetadata: { type: 'MAP' },
+        consentSettings: { consentStatus: 'NOT_SET' }
+      });
+    });
+
+    const builtInVariable = Array.from(usedBuiltIns).flatMap(group => BUILT_IN_VARIABLES[group])
+      .map(([type, name]) => ({ ...meta, type, name }));
+
+    const now = new Date();
+    const container = {
+      exportFormatVersion: 2,
+      exportTime: now.toISOString().replace('T', ' ').slice(0, 19),
+      containerVersion: {
+        path: `accounts/${ACCOUNT_ID}/containers/${CONTAINER_ID}/versions/0`,
+        ...meta,
+        containerVersionId: '0',
+        container: {
+          path: `accounts/${ACCOUNT_ID}/containers/${CONTAINER_ID}`,
+          ...meta,
+          name: containerName,
+          publicId: 'GTM-XXXXXXX',
+          usageContext: ['WEB']
+        },
+        tag: tags,
+        trigger: triggers,
+        variable: variables,
+        builtInVariable,
+        fingerprint: String(now.getTime())
+      }
+    };
+
+    return {
+      container,
+      summary: {
+        tags: tags.length,
+        triggers: triggers.length,
+        variables: variables.length,
+        skipped,
+        placeholderMeasurementId: !isValidMeasurementId(measurementId)
+      }
+    };
+  }
+
+  // Make available globally for service worker and side panel
+  self.CASTGtmExport = {
+    PLACEHOLDER_MEASUREMENT_ID,
+    isValidMeasurementId,
+    buildContainer
+  };
+})();
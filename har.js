@@ -0,0 +1,286 @@
+// HAR 1.2 export and import for CAST sessions
+// Stored networkCalls become HAR entries grouped into pages by pageUrl (openable in DevTools,
+// Charles or Fiddler), and HAR files recorded elsewhere (a mobile proxy, a Playwright run) become
+// networkCalls records that the analysis, exports and Q&A treat like captured traffic.
+(function () {
+  const HAR_VERSION = '1.2';
+
+  // CDP resource types as stored by CAST; HAR files carry them lowercased in _resourceType
+  const RESOURCE_TYPES = ['Document', 'Stylesheet', 'Image', 'Media', 'Font', 'Script', 'TextTrack', 'XHR', 'Fetch',
+    'Prefetch', 'EventSource', 'WebSocket', 'Manifest', 'SignedExchange', 'Ping', 'CSPViolationReport', 'Preflight', 'Other'];
+  const RESOURCE_TYPE_BY_NAME = new Map(RESOURCE_TYPES.map(type => [type.toLowerCase(), type]));
+
+  function toNameValueList(object) {
+    return Object.entries(object || {}).map(([name, value]) => ({ name, value: String(value) }));
+  }
+
+  // Repeated headers are joined the way Chrome joins them in CDP events
+  function fromNameValueList(list, lowercase = false) {
+    const object = {};
+    (Array.isArray(list) ? list : []).forEach(({ name, value }) => {
+      if (!name) return;
+      const key = lowercase ? String(name).toLowerCase() : String(name);
+      object[key] = key in object ? `${object[key]}${key.toLowerCase() === 'set-cookie' ? '\n' : ', '}${value}` : String(value ?? '');
+    });
+    return object;
+  }
+
+  function headerValue(headers, name) {
+    const match = Object.keys(headers || {}).find(key => key.toLowerCase() === name);
+    return match ? String(headers[match]) : '';
+  }
+
+  function parseCookieHeader(value) {
+    return String(value || '').split(';').map(pair => pair.trim()).filter(Boolean).map((pair) => {
+      const index = pair.indexOf('=');
+      return index === -1 ? { name: pair, value: '' } : { name: pair.slice(0, index), value: pair.slice(index + 1) };
+    });
+  }
+
+  function parseSetCookieHeader(value) {
+    return String(value || '').split('\n').filter(Boolean).map((line) => {
+      const [pair] = line.split(';');
+      const index = pair.indexOf('=');
+      return index === -1 ? { name: pair.trim(), value: '' } : { name: pair.slice(0, index).trim(), value: pair.slice(index + 1).trim() };
+    });
+  }
+
+  function httpVersion(protocol) {
+    const value = String(protocol || '').toLowerCase();
+    if (value === 'h2') return 'HTTP/2';
+    if (value === 'h3' || value.startsWith('h3-')) return 'HTTP/3';
+    return value ? value.toUpperCase() : 'HTTP/1.1';
+  }
+
+  function protocolOf(version) {
+    const value = String(version || '').toLowerCase();
+    if (value === 'http/2' || value === 'http/2.0' || value === 'h2') return 'h2';
+    if (value === 'http/3' || value === 'h3') return 'h3';
+    return value || null;
+  }
+
+  function startedMs(call) {
+    return typeof call.wallTime === 'number' ? Math.round(call.wallTime * 1000) : (call.timestamp || 0);
+  }
+
+  // CDP ResourceTiming (ms offsets from requestTime) -> HAR timings; -1 marks phases that didn't happen
+  function buildTimings(call) {
+    const total = Math.max(0, call.durationMs || 0);
+    const timing = call.timing;
+    if (!timing || typeof timing.sendStart !== 'number' || timing.sendStart < 0) {
+      return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: total, receive: 0 };
+    }
+    const phase = (start, end) => (start >= 0 && end >= start ? end - start : -1);
+    const firstStart = [timing.dnsStart, timing.connectStart, timing.sendStart].find(value => value >= 0);
+    const headersEnd = Math.max(timing.receiveHeadersEnd ?? timing.sendEnd, timing.sendEnd);
+    return {
+      blocked: firstStart > 0 ? firstStart : -1,
+      dns: phase(timing.dnsStart, timing.dnsEnd),
+      connect: phase(timing.connectStart, timing.connectEnd),
+      ssl: phase(timing.sslStart, timing.sslEnd),
+      send: Math.max(0, timing.sendEnd - timing.sendStart),
+      wait: Math.max(0, headersEnd - timing.sendEnd),
+      receive: Math.max(0, total - headersEnd)
+    };
+  }
+
+  function buildEntry(call, pageref) {
+    const requestHeaders = call.headerValues || {};
+    const responseHeaders = call.responseHeaders || {};
+    const queryString = [];
+    try {
+      new URL(call.url).searchParams.forEach((value, name) => queryString.push({ name, value }));
+    } catch (e) {
+      // Keep the entry without a parsed query string
+    }
+    const postData = typeof call.postData === 'string' ? call.postData : (call.postData ? JSON.stringify(call.postData) : null);
+    const body = typeof call.responseBody === 'string' ? call.responseBody : null;
+    const timings = buildTimings(call);
+    const entry = {
+      pageref,
+      startedDateTime: new Date(startedMs(call)).toISOString(),
+      // HAR 1.2: the sum of the timings, leaving out -1 phases and ssl (already part of connect)
+      time: Object.entries(timings).filter(([key, value]) => key !== 'ssl' && value > 0).reduce((sum, [, value]) => sum + value, 0),
+      request: {
+        method: call.method || 'GET',
+        url: call.url,
+        httpVersion: httpVersion(call.protocol),
+        cookies: parseCookieHeader(headerValue(requestHeaders, 'cookie')),
+        headers: toNameValueList(requestHeaders),
+        queryString,
+        headersSize: -1,
+        bodySize: postData ? postData.length : 0,
+        ...(postData ? { postData: { mimeType: headerValue(requestHeaders, 'content-type') || 'text/plain', text: postData } } : {})
+      },
+      response: {
+        status: call.status ?? 0,
+        statusText: call.statusText || '',
+        httpVersion: httpVersion(call.protocol),
+        cookies: parseSetCookieHeader(headerValue(responseHeaders, 'set-cookie')),
+        headers: toNameValueList(responseHeaders),
+        content: {
+          size: body ? body.length : 0,
+          mimeType: call.mimeType || headerValue(responseHeaders, 'content-type') || 'x-unknown',
+          ...(body ? { text: body } : {})
+        },
+        redirectURL: call.redirectURL || '',
+        headersSize: -1,
+        bodySize: call.encodedDataLength ?? -1,
+        ...(call.failed ? { _error: call.blockedReason ? `blocked:${call.blockedReason}` : (call.errorText || 'failed') } : {})
+      },
+      cache: {},
+      timings,
+      _requestId: call.requestId || undefined,
+      _resourceType: call.resourceType ? call.resourceType.toLowerCase() : undefined,
+      _fromCache: call.fromCache ? 'disk' : undefined,
+      _consentState: call.consentState || undefined
+    };
+    if (call.remoteIPAddress) entry.serverIPAddress = call.remoteIPAddress;
+    return entry;
+  }
+
+  // calls: stored networkCalls records; session: the sessions record (name and id go in the comment)
+  function buildHar(calls, { session = null, creatorVersion = '' } = {}) {
+    const sorted = calls.slice().sort((a, b) => startedMs(a) - startedMs(b) || (a.id || 0) - (b.id || 0));
+    const pages = new Map(); // pageUrl -> HAR page
+    const entries = sorted.filter(call => call.url).map((call) => {
+      const pageUrl = call.pageUrl || '';
+      if (!pages.has(pageUrl)) {
+        pages.set(pageUrl, {
+          startedDateTime: new Date(startedMs(call)).toISOString(),
+          id: `page_${pages.size + 1}`,
+          title: pageUrl || '(unknown page)',
+          pageTimings: { onContentLoad: -1, onLoad: -1 }
+        });
+      }
+      return buildEntry(call, pages.get(pageUrl).id);
+    });
+    return {
+      log: {
+        version: HAR_VERSION,
+        creator: { name: 'CAST', version: creatorVersion || '' },
+        ...(session ? { comment: `${session.name || session.id} (${session.id})` } : {}),
+        pages: Array.from(pages.values()),
+        entries
+      }
+    };
+  }
+
+  function isHttpUrl(value) {
+    return /^https?:\/\//i.test(String(value || ''));
+  }
+
+  function isDocumentEntry(entry) {
+    const type = String(entry._resourceType || '').toLowerCase();
+    if (type) return type === 'document';
+    return (entry.request?.method || 'GET') === 'GET' && /text\/html/i.test(entry.response?.content?.mimeType || '');
+  }
+
+  function formText(postData) {
+    if (typeof postData.text === 'string') return postData.text;
+    if (!Array.isArray(postData.params)) return null;
+    return postData.params.map(({ name, value }) => `${encodeURIComponent(name)}=${encodeURIComponent(value ?? '')}`).join('&');
+  }
+
+  // Page each entry belongs to: the HAR page title when it is a URL, else the page's first document;
+  // entries outside pages follow the last document loaded, then their Referer, then their own origin
+  function assignPages(entries, harPages) {
+    const pageUrlByRef = new Map();
+    harPages.forEach((page) => {
+      if (isHttpUrl(page.title)) pageUrlByRef.set(page.id, page.title);
+    });
+    entries.forEach((entry) => {
+      if (entry.pageref && !pageUrlByRef.has(entry.pageref) && isDocumentEntry(entry)) pageUrlByRef.set(entry.pageref, entry.request.url);
+    });
+
+    let currentDocument = null;
+    return entries.map((entry) => {
+      if (entry.pageref && pageUrlByRef.has(entry.pageref)) return pageUrlByRef.get(entry.pageref);
+      if (isDocumentEntry(entry)) {
+        currentDocument = entry.request.url;
+        return currentDocument;
+      }
+      if (currentDocument) return currentDocument;
+      const referer = (entry.request.headers || []).find(header => String(header.name).toLowerCase() === 'referer');
+      if (referer && isHttpUrl(referer.value)) return referer.value;
+      try {
+        return `${new URL(entry.request.url).origin}/`;
+      } catch (e) {
+        return null;
+      }
+    });
+  }
+
+  // HAR object or JSON text -> { calls, pages, creator } with calls shaped like stored networkCalls.
+  // options.keepResponseBody(url) decides which response bodies are kept; maxBodySize truncates them;
+  // normalizePageUrl(url) maps page URLs the way the crawler stores them.
+  function parseHar(input, sessionId, { keepResponseBody = () => true, maxBodySize = Infinity, normalizePageUrl = url => url } = {}) {
+    const har = typeof input === 'string' ? JSON.parse(input) : input;
+    const log = har && har.log;
+    if (!log || !Array.isArray(log.entries)) throw new Error('Not a HAR file: missing log.entries.');
+
+    const entries = log.entries
+      .filter(entry => entry && entry.request && isHttpUrl(entry.request.url))
+      .sort((a, b) => Date.parse(a.startedDateTime || 0) - Date.parse(b.startedDateTime || 0));
+    const pageUrls = assignPages(entries, Array.isArray(log.pages) ? log.pages : [])
+      .map(pageUrl => (isHttpUrl(pageUrl) ? normalizePageUrl(pageUrl) : pageUrl));
+
+    const calls = entries.map((entry, i) => {
+      const request = entry.request;
+      const response = entry.response || {};
+      const url = new URL(request.url);
+      const started = Date.parse(entry.startedDateTime) || Date.now();
+      const content = response.content || {};
+      let responseBody = null;
+      if (typeof content.text === 'string' && content.encoding !== 'base64' && keepResponseBody(request.url)) {
+        responseBody = content.text.length > maxBodySize ? `${content.text.slice(0, maxBodySize)}...[truncated]` : content.text;
+      }
+      const error = response._error || null;
+      const status = typeof response.status === 'number' && response.status > 0 ? response.status : null;
+      const blocked = typeof error === 'string' && error.startsWith('blocked:') ? error.slice('blocked:'.length) : null;
+      const resourceType = String(entry._resourceType || '').toLowerCase();
+      return {
+        sessionId,
+        pageUrl: pageUrls[i],
+        url: request.url,
+        method: request.method || 'GET',
+        host: url.host,
+        pathname: url.pathname,
+        queryParams: Object.fromEntries(url.searchParams.entries()),
+        headerValues: fromNameValueList(request.headers),
+        postData: request.postData ? formText(request.postData) : null,
+        requestId: entry._requestId ? String(entry._requestId) : `har-${i + 1}`,
+        resourceType: RESOURCE_TYPE_BY_NAME.get(resourceType) || (isDocumentEntry(entry) ? 'Document' : null),
+        requestTimestamp: null,
+        wallTime: started / 1000,
+        status,
+        statusText: response.statusText || '',
+        mimeType: content.mimeType === 'x-unknown' ? '' : String(content.mimeType || '').split(';')[0].trim(),
+        protocol: protocolOf(response.httpVersion || request.httpVersion),
+        remoteIPAddress: entry.serverIPAddress || null,
+        responseHeaders: fromNameValueList(response.headers, true),
+        responseBody,
+        redirectURL: response.redirectURL || null,
+        fromCache: !!entry._fromCache,
+        timing: null,
+        durationMs: typeof entry.time === 'number' && entry.time >= 0 ? Math.round(entry.time) : null,
+        encodedDataLength: response._transferSize ?? (response.bodySize >= 0 ? response.bodySize : null),
+        failed: !status && !!(error || response.status === 0),
+        errorText: blocked ? '' : error,
+        blockedReason: blocked,
+        ...(entry._consentState ? { consentState: entry._consentState } : {}),
+        timestamp: started
+      };
+    });
+
+    const pages = Array.from(new Set(calls.map(call => call.pageUrl).filter(isHttpUrl)));
+    return { calls, pages, creator: log.creator || null };
+  }
+
+  // Make available globally for service worker
+  self.CASTHar = {
+    HAR_VERSION,
+    buildHar,
+    parseHar
+  };
+})();
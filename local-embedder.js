@@ -0,0 +1,101 @@
+// Local embeddings for CAST's retrieval mode
+// A hashed TF-IDF vectoriser: request text is split into words (URL parts, parameter names,
+// camelCase pieces) and their character trigrams, hashed into a fixed number of signed buckets
+// and weighted by inverse document frequency fitted on the session. Runs in the extension with
+// no network or key.
+(function () {
+  const DIMENSIONS = 1024;
+  const MODEL_ID = `local:hashed-tfidf-${DIMENSIONS}`;
+  const MAX_TOKEN_LENGTH = 32;
+
+  // "/g/collect" -> ["g", "collect", "#co", "col", "oll", ...]. Character trigrams let compound hosts
+  // ("googletagmanager", "cloudflareinsights") match the separate words of a query.
+  function tokenize(text) {
+    const words = String(text || '')
+      .replace(/([a-z])([A-Z])/g, '$1 $2')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      // Long tokens and long numbers are IDs, hashes and timestamps: they only add noise
+      .filter(word => word && word.length <= MAX_TOKEN_LENGTH && !/^\d{5,}$/.test(word));
+    const tokens = words.slice();
+    words.forEach((word) => {
+      if (word.length < 4 || /\d/.test(word)) return;
+      const padded = `#${word}#`;
+      for (let i = 0; i + 3 <= padded.length; i++) tokens.push(padded.slice(i, i + 3));
+    });
+    return tokens;
+  }
+
+  // FNV-1a; the low bits pick the bucket and the top bit the sign, which keeps collisions unbiased
+  function hashToken(token) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < token.length; i++) {
+      hash ^= token.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  function bucketCounts(text) {
+    const counts = new Map();
+    tokenize(text).forEach((token) => {
+      const hash = hashToken(token);
+      const bucket = hash % DIMENSIONS;
+      const entry = counts.get(bucket) || { count: 0, sign: 0 };
+      entry.count++;
+      entry.sign += hash & 0x80000000 ? -1 : 1;
+      counts.set(bucket, entry);
+    });
+    return counts;
+  }
+
+  // Embedder for rag.js. fit() learns IDF weights from a session's texts; exportState() /
+  // importState() persist them so later calls and queries are weighted the same way.
+  function createEmbedder() {
+    let idf = new Float32Array(DIMENSIONS).fill(1);
+    let documents = 0;
+
+    function vectorize(text) {
+      const vector = new Array(DIMENSIONS).fill(0);
+      bucketCounts(text).forEach(({ count, sign }, bucket) => {
+        vector[bucket] = Math.sign(sign || 1) * (1 + Math.log(count)) * idf[bucket];
+      });
+      const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+      return norm > 0 ? vector.map(value => value / norm) : vector;
+    }
+
+    return {
+      id: MODEL_ID,
+      local: true,
+      async embed(texts) {
+        return texts.map(vectorize);
+      },
+      fit(texts) {
+        const frequency = new Uint32Array(DIMENSIONS);
+        texts.forEach(text => bucketCounts(text).forEach((entry, bucket) => frequency[bucket]++));
+        documents = texts.length;
+        idf = Float32Array.from(frequency, df => Math.log((1 + documents) / (1 + df)) + 1);
+      },
+      get fitted() {
+        return documents > 0;
+      },
+      exportState() {
+        return { model: MODEL_ID, documents, idf: Array.from(idf) };
+      },
+      importState(state) {
+        if (!state || state.model !== MODEL_ID || !Array.isArray(state.idf) || state.idf.length !== DIMENSIONS) return false;
+        idf = Float32Array.from(state.idf);
+        documents = state.documents || 0;
+        return true;
+      }
+    };
+  }
+
+  // Make available globally for service worker and side panel
+  self.CASTLocalEmbedder = {
+    DIMENSIONS,
+    MODEL_ID,
+    tokenize,
+    createEmbedder
+  };
+})();
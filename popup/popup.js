@@ -5,8 +5,50 @@ const reportBox = document.getElementById("reportBox");
 const apiKeyInput = document.getElementById("apiKey");
 const depthInput = document.getElementById("crawlDepth");
 const pageLimitSelect = document.getElementById("pageLimit");
+const crawlModeSelect = document.getElementById("crawlMode");
+const samplesPerTemplateInput = document.getElementById("samplesPerTemplate");
+const captureResponseBodiesInput = document.getElementById("captureResponseBodies");
+const customTechSignaturesInput = document.getElementById("customTechSignatures");
+const seedFromSitemapInput = document.getElementById("seedFromSitemap");
+const obeyRobotsInput = document.getElementById("obeyRobots");
 const inputToggle = document.getElementById("inputToggle");
 const inputContent = document.getElementById("inputContent");
+const sessionsToggle = document.getElementById("sessionsToggle");
+const sessionsContent = document.getElementById("sessionsContent");
+const sessionList = document.getElementById("sessionList");
+const compareSessionsButton = document.getElementById("compareSessions");
+const downloadSessionDiffButton = document.getElementById("downloadSessionDiff");
+const templatesToggle = document.getElementById("templatesToggle");
+const templatesContent = document.getElementById("templatesContent");
+const templateList = document.getElementById("templateList");
+const consentAuditToggle = document.getElementById("consentAuditToggle");
+const consentAuditContent = document.getElementById("consentAuditContent");
+const consentAuditList = document.getElementById("consentAuditList");
+const runConsentAuditButton = document.getElementById("runConsentAudit");
+const stopConsentAuditButton = document.getElementById("stopConsentAudit");
+const trackingPlanToggle = document.getElementById("trackingPlanToggle");
+const trackingPlanContent = document.getElementById("trackingPlanContent");
+const trackingPlanInfo = document.getElementById("trackingPlanInfo");
+const trackingPlanResults = document.getElementById("trackingPlanResults");
+const dataLayerToggle = document.getElementById("dataLayerToggle");
+const dataLayerContent = document.getElementById("dataLayerContent");
+const dataLayerPageSelect = document.getElementById("dataLayerPage");
+const dataLayerTimelineList = document.getElementById("dataLayerTimeline");
+const clientReportToggle = document.getElementById("clientReportToggle");
+const clientReportContent = document.getElementById("clientReportContent");
+const qaToggle = document.getElementById("qaToggle");
+const qaContent = document.getElementById("qaContent");
+const qaMessages = document.getElementById("qaMessages");
+const qaQuestionInput = document.getElementById("qaQuestion");
+const askQuestionButton = document.getElementById("askQuestion");
+const sessionRetentionSelect = document.getElementById("sessionRetention");
+const crawlRulesSite = document.getElementById("crawlRulesSite");
+const crawlRuleInputs = {
+  include: document.getElementById("crawlInclude"),
+  exclude: document.getElementById("crawlExclude"),
+  pathPrefix: document.getElementById("crawlPathPrefix"),
+  stripParams: document.getElementById("crawlStripParams")
+};
 const progressContainer = document.getElementById("progressContainer");
 const progressStage = document.getElementById("progressStage");
 const progressText = document.getElementById("progressText");
@@ -18,10 +60,17 @@ const statNetwork = document.getElementById("statNetwork");
 const statTech = document.getElementById("statTech");
 const statAnalytics = document.getElementById("statAnalytics");
 const statUrls = document.getElementById("statUrls");
+const statTokens = document.getElementById("statTokens");
+const statCost = document.getElementById("statCost");
 const stopAIButton = document.getElementById("stopAI");
+const retryFailedBatchesButton = document.getElementById("retryFailedBatches");
 const stopAutoButton = document.getElementById("stopAuto");
 const downloadAutoStrategyButton = document.getElementById("downloadStrategyAuto");
+const downloadAutoGtmButton = document.getElementById("downloadGtmAuto");
 const recommendStrategyAutoButton = document.getElementById("recommendStrategyAuto");
+const resumeCrawlButton = document.getElementById("resumeCrawl");
+const pauseCrawlButton = document.getElementById("pauseCrawl");
+const stopCrawlButton = document.getElementById("stopCrawl");
 let autoStrategyResults = [];
 let statusHideTimeout = null;
 
@@ -55,25 +104,37 @@ if (statusClose) {
   statusClose.addEventListener("click", () => showStatus("", 0));
 }
 
-function setCollapsibleState(expanded) {
-  if (!inputContent) return;
-  inputToggle.classList.toggle("open", expanded);
-  inputContent.classList.toggle("open", expanded);
+function setCollapsibleState(toggle, content, expanded) {
+  if (!content) return;
+  toggle.classList.toggle("open", expanded);
+  content.classList.toggle("open", expanded);
   if (expanded) {
-    inputContent.style.maxHeight = inputContent.scrollHeight + "px";
+    content.style.maxHeight = content.scrollHeight + "px";
   } else {
-    inputContent.style.maxHeight = "0px";
+    content.style.maxHeight = "0px";
   }
 }
 
-if (inputToggle && inputContent) {
-  setCollapsibleState(false); // Default to closed
-  inputToggle.addEventListener("click", () => {
-    const isOpen = inputContent.classList.contains("open");
-    setCollapsibleState(!isOpen);
+function setupCollapsible(toggle, content, onOpen) {
+  if (!toggle || !content) return;
+  setCollapsibleState(toggle, content, false); // Default to closed
+  toggle.addEventListener("click", () => {
+    const isOpen = content.classList.contains("open");
+    setCollapsibleState(toggle, content, !isOpen);
+    if (!isOpen && onOpen) onOpen();
   });
 }
 
+setupCollapsible(inputToggle, inputContent);
+setupCollapsible(sessionsToggle, sessionsContent, () => loadSessions());
+setupCollapsible(templatesToggle, templatesContent, () => loadTemplates());
+setupCollapsible(consentAuditToggle, consentAuditContent, () => loadConsentAudit());
+setupCollapsible(trackingPlanToggle, trackingPlanContent, () => loadTrackingPlanInfo());
+setupCollapsible(dataLayerToggle, dataLayerContent, () => loadDataLayerTimeline());
+setupCollapsible(clientReportToggle, clientReportContent);
+setupCollapsible(qaToggle, qaContent, () => renderQaMessages());
+setupCollapsible(document.getElementById("promptsToggle"), document.getElementById("promptsContent"), () => loadPromptLibrary());
+
 // Establish long-lived connection to keep service worker alive
 const port = chrome.runtime.connect({ name: "cast-popup-connection" });
 port.onDisconnect.addListener(() => {
@@ -90,6 +151,8 @@ function restoreCrawlState() {
     "CAST_visitedCount",
     "CAST_queuedCount",
     "CAST_pageLimit",
+    "CAST_crawlMode",
+    "CAST_samplesPerTemplate",
     "CAST_ragProgress" // Fetch progress too
   ], (res) => {
     // Restore Progress Bar if analyzing
@@ -129,8 +192,13 @@ function restoreCrawlState() {
         pageLimitSelect.value = String(res.CAST_pageLimit);
       }
     }
+    if (res.CAST_crawlMode) crawlModeSelect.value = res.CAST_crawlMode;
+    if (res.CAST_samplesPerTemplate) samplesPerTemplateInput.value = res.CAST_samplesPerTemplate;
+    samplesPerTemplateInput.style.display = crawlModeSelect.value === "sample" ? "block" : "none";
   });
   
+  checkResumableCrawl();
+
   // Set up polling for status updates (in case popup stays open)
   if (window.statusPollInterval) {
     clearInterval(window.statusPollInterval);
@@ -145,10 +213,27 @@ function restoreCrawlState() {
   }, 1000); // Poll every second
 }
 
+// Pause/Stop while a crawl runs; Resume when paused or when the background has a saved
+// frontier but no running crawl (e.g. the service worker was restarted mid-crawl)
+function updateCrawlControls({ active = false, paused = false, resumable = false } = {}) {
+  pauseCrawlButton.style.display = active && !paused ? "block" : "none";
+  resumeCrawlButton.style.display = (active && paused) || (!active && resumable) ? "block" : "none";
+  stopCrawlButton.style.display = active ? "block" : "none";
+}
+
+function checkResumableCrawl() {
+  chrome.runtime.sendMessage({ type: "get-crawl-status" }, (response) => {
+    if (!response) return;
+    updateCrawlControls(response);
+    if (response.resumable || response.paused) showStatus(response.status, 0);
+  });
+}
+
 // Listen for status updates from background
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   if (msg.type === "crawl-status-update") {
     showStatus(msg.status || "Crawling...");
+    updateCrawlControls({ active: msg.active, paused: msg.paused });
     // Update stored status
     chrome.storage.local.set({
       CAST_crawlStatus: msg.status,
@@ -160,6 +245,17 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     updateProgressBar(msg.progress);
   }
 
+  if (msg.type === "consent-audit-progress") {
+    if (msg.done) {
+      showStatus(msg.stage);
+      updateConsentAuditControls(false);
+      loadConsentAudit();
+    } else {
+      showStatus(`Consent audit ${msg.processed}/${msg.total}: ${msg.stage} · ${msg.currentUrl || ""}`, 0);
+      updateConsentAuditControls(true);
+    }
+  }
+
   if (msg.type === "autopilot-progress") {
     const { processed, total, currentUrl, stage } = msg;
     const pct = total ? Math.round((processed / total) * 100) : 0;
@@ -184,12 +280,26 @@ function showStatsPanel(stats) {
     statTech.textContent = stats.techCount ?? 0;
     statAnalytics.textContent = stats.analyticsCount ?? 0;
     if (statUrls) statUrls.textContent = stats.uniqueUrlCount ?? 0;
+    renderUsageStats(stats.aiUsage);
     progressCurrent.textContent = "Ready for AI analysis.";
   } else {
     progressCurrent.textContent = "Fetching database stats…";
   }
 }
 
+// Running token totals and estimated cost for the session's AI calls
+function renderUsageStats(usage) {
+  if (!statTokens || !statCost) return;
+  const totals = usage || { calls: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0, unpricedCalls: 0, byTask: {} };
+  statTokens.textContent = totals.totalTokens.toLocaleString();
+  statTokens.title = `${totals.calls} calls: ${totals.inputTokens.toLocaleString()} prompt + ${totals.outputTokens.toLocaleString()} output tokens` +
+    Object.entries(totals.byTask || {}).map(([task, t]) => `\n${task}: ${t.totalTokens.toLocaleString()} tokens`).join("");
+  statCost.textContent = self.CASTUsage.formatCost(totals.cost) + (totals.unpricedCalls ? "*" : "");
+  statCost.title = totals.unpricedCalls
+    ? `${totals.unpricedCalls} call(s) used a model without a price and are not included.`
+    : "Estimated from the AI price table in Configuration.";
+}
+
 function refreshStats() {
   if (isAnalyzing) return;
   showStatsPanel(null);
@@ -201,8 +311,11 @@ function refreshStats() {
         techCount: res.techCount,
         analyticsCount: res.analyticsCount,
         uniqueUrlCount: res.uniqueUrlCount,
+        aiUsage: res.aiUsage,
         updatedLabel
       });
+      retryFailedBatchesButton.style.display = res.failedBatchCount ? "block" : "none";
+      retryFailedBatchesButton.textContent = `Retry Failed Batches (${res.failedBatchCount || 0})`;
     } else {
       progressStage.textContent = "Data Stats";
       progressText.textContent = "Unavailable";
@@ -258,9 +371,8 @@ statsInterval = setInterval(() => {
   }
 }, 10000);
 
-function downloadCSV(filename, rows) {
-  const csvContent = rows.map(r => r.map(v => `"${String(v ?? "").replace(/"/g,'""')}"`).join(",")).join("\n");
-  const blob = new Blob([csvContent], { type: "text/csv" });
+function downloadFile(filename, content, type) {
+  const blob = new Blob([content], { type });
   const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
   a.href = url;
@@ -268,6 +380,11 @@ function downloadCSV(filename, rows) {
   a.click();
 }
 
+function downloadCSV(filename, rows) {
+  const csvContent = rows.map(r => r.map(v => `"${String(v ?? "").replace(/"/g,'""')}"`).join(",")).join("\n");
+  downloadFile(filename, csvContent, "text/csv");
+}
+
 const apiKeyCheckmark = document.getElementById("apiKeyCheckmark");
 
 // Load saved key
@@ -304,6 +421,1239 @@ apiKeyInput.addEventListener("input", () => {
   }, 500);
 });
 
+const openaiBaseUrlInput = document.getElementById("openaiBaseUrl");
+const openaiApiKeyInput = document.getElementById("openaiApiKey");
+const anthropicApiKeyInput = document.getElementById("anthropicApiKey");
+const taskModelInputs = Object.fromEntries(Object.keys(self.CASTProviders.TASKS).map(task => [task, {
+  provider: document.getElementById(`${task}Provider`),
+  model: document.getElementById(`${task}Model`)
+}]));
+
+// Show the provider's default model as the placeholder for a blank model field
+function updateModelPlaceholders() {
+  Object.entries(taskModelInputs).forEach(([task, inputs]) => {
+    // The local embedder has a single built-in model
+    inputs.model.disabled = inputs.provider.value === "local";
+    if (inputs.model.disabled) {
+      inputs.model.placeholder = "Built in: hashed TF-IDF";
+      return;
+    }
+    const defaults = self.CASTProviders.PROVIDERS[inputs.provider.value];
+    // Tasks without their own default use the analysis model, as in resolveModelConfig
+    const model = defaults && (task in defaults.models ? defaults.models[task] : defaults.models.analysis);
+    if (!defaults) inputs.model.placeholder = "";
+    else inputs.model.placeholder = model ? `Default: ${model}` : "No default model for this task";
+  });
+}
+
+chrome.storage.local.get(["openaiCompatible", "anthropicApiKey", "aiTaskModels"], (res) => {
+  const openai = res.openaiCompatible || {};
+  openaiBaseUrlInput.value = openai.baseUrl || "";
+  openaiApiKeyInput.value = openai.apiKey || "";
+  anthropicApiKeyInput.value = res.anthropicApiKey || "";
+  const taskModels = res.aiTaskModels || {};
+  Object.entries(taskModelInputs).forEach(([task, inputs]) => {
+    if (taskModels[task]?.provider) inputs.provider.value = taskModels[task].provider;
+    inputs.model.value = taskModels[task]?.model || "";
+  });
+  updateModelPlaceholders();
+});
+
+function saveOpenAICompatible() {
+  chrome.storage.local.set({
+    openaiCompatible: { baseUrl: openaiBaseUrlInput.value.trim(), apiKey: openaiApiKeyInput.value.trim() }
+  });
+}
+openaiBaseUrlInput.addEventListener("change", saveOpenAICompatible);
+openaiApiKeyInput.addEventListener("change", saveOpenAICompatible);
+
+anthropicApiKeyInput.addEventListener("change", () => {
+  const val = anthropicApiKeyInput.value.trim();
+  if (val) chrome.storage.local.set({ anthropicApiKey: val });
+  else chrome.storage.local.remove(["anthropicApiKey"]);
+});
+
+function saveTaskModels() {
+  const aiTaskModels = Object.fromEntries(Object.entries(taskModelInputs).map(([task, inputs]) => [task, {
+    provider: inputs.provider.value,
+    model: inputs.model.value.trim()
+  }]));
+  chrome.storage.local.set({ aiTaskModels });
+}
+Object.values(taskModelInputs).forEach((inputs) => {
+  inputs.provider.addEventListener("change", () => {
+    // A model name from another provider would not resolve; fall back to the new default
+    inputs.model.value = "";
+    updateModelPlaceholders();
+    saveTaskModels();
+  });
+  inputs.model.addEventListener("change", saveTaskModels);
+});
+
+const aiAnalysisModeInput = document.getElementById("aiAnalysisMode");
+const ragQueriesInput = document.getElementById("ragQueries");
+ragQueriesInput.placeholder = self.CASTRAG.DEFAULT_QUERIES.join("\n");
+
+chrome.storage.local.get(["aiAnalysisMode", "ragQueries"], (res) => {
+  aiAnalysisModeInput.value = res.aiAnalysisMode === "retrieval" ? "retrieval" : "batch";
+  ragQueriesInput.value = (res.ragQueries || []).join("\n");
+});
+
+aiAnalysisModeInput.addEventListener("change", () => {
+  chrome.storage.local.set({ aiAnalysisMode: aiAnalysisModeInput.value });
+});
+
+// Blank falls back to the built-in queries in rag.js
+ragQueriesInput.addEventListener("change", () => {
+  const ragQueries = ragQueriesInput.value.split("\n").map(line => line.trim()).filter(Boolean);
+  if (ragQueries.length) chrome.storage.local.set({ ragQueries });
+  else chrome.storage.local.remove(["ragQueries"]);
+});
+
+const rateLimitInputs = {
+  concurrency: document.getElementById("aiConcurrency"),
+  requestsPerMinute: document.getElementById("aiRequestsPerMinute"),
+  tokensPerMinute: document.getElementById("aiTokensPerMinute")
+};
+
+chrome.storage.local.get(["aiRateLimits"], (res) => {
+  const limits = res.aiRateLimits || {};
+  Object.entries(rateLimitInputs).forEach(([key, input]) => {
+    input.value = limits[key] ?? "";
+  });
+});
+
+// Blank fields fall back to the defaults in rate-limit.js
+function saveRateLimits() {
+  const aiRateLimits = {};
+  Object.entries(rateLimitInputs).forEach(([key, input]) => {
+    const value = parseInt(input.value, 10);
+    if (!isNaN(value) && value >= 0) aiRateLimits[key] = value;
+  });
+  chrome.storage.local.set({ aiRateLimits });
+}
+Object.values(rateLimitInputs).forEach(input => input.addEventListener("change", saveRateLimits));
+
+const aiPriceTableInput = document.getElementById("aiPriceTable");
+
+chrome.storage.local.get(["aiPriceTable"], (res) => {
+  if (res.aiPriceTable && Object.keys(res.aiPriceTable).length) {
+    aiPriceTableInput.value = JSON.stringify(res.aiPriceTable, null, 2);
+  }
+});
+
+// Validate and save price overrides: { "model": { "input": USD per 1M, "output": USD per 1M } }
+aiPriceTableInput.addEventListener("change", () => {
+  const raw = aiPriceTableInput.value.trim();
+  if (!raw) {
+    chrome.storage.local.remove(["aiPriceTable"], () => {
+      showStatus("AI prices reset to defaults.");
+      refreshStats();
+    });
+    return;
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (e) {
+    showStatus("AI prices are not valid JSON: " + e.message);
+    return;
+  }
+  const invalid = Object.entries(parsed && typeof parsed === "object" ? parsed : { "": null })
+    .filter(([, price]) => !price || !Number.isFinite(Number(price.input)) || !Number.isFinite(Number(price.output)))
+    .map(([model]) => model || "(table)");
+  if (invalid.length) {
+    showStatus(`AI prices not saved: each model needs numeric "input" and "output" (${invalid.join(", ")}).`);
+    return;
+  }
+  const aiPriceTable = Object.fromEntries(Object.entries(parsed).map(([model, price]) => [
+    model.toLowerCase(),
+    { input: Number(price.input), output: Number(price.output) }
+  ]));
+  chrome.storage.local.set({ aiPriceTable }, () => {
+    showStatus(`Saved prices for ${Object.keys(aiPriceTable).length} model(s).`);
+    refreshStats();
+  });
+});
+
+chrome.storage.local.get(["captureResponseBodies"], (res) => {
+  captureResponseBodiesInput.checked = res.captureResponseBodies !== false;
+});
+
+captureResponseBodiesInput.addEventListener("change", () => {
+  chrome.storage.local.set({ captureResponseBodies: captureResponseBodiesInput.checked });
+});
+
+chrome.storage.local.get(["seedFromSitemap", "obeyRobots"], (res) => {
+  seedFromSitemapInput.checked = !!res.seedFromSitemap;
+  obeyRobotsInput.checked = !!res.obeyRobots;
+});
+
+seedFromSitemapInput.addEventListener("change", () => {
+  chrome.storage.local.set({ seedFromSitemap: seedFromSitemapInput.checked });
+});
+
+obeyRobotsInput.addEventListener("change", () => {
+  chrome.storage.local.set({ obeyRobots: obeyRobotsInput.checked });
+});
+
+chrome.storage.local.get(["customTechSignatures"], (res) => {
+  if (Array.isArray(res.customTechSignatures) && res.customTechSignatures.length) {
+    customTechSignaturesInput.value = JSON.stringify(res.customTechSignatures, null, 2);
+  }
+});
+
+// Validate and save custom signatures when the field loses focus
+customTechSignaturesInput.addEventListener("change", () => {
+  const raw = customTechSignaturesInput.value.trim();
+  if (!raw) {
+    chrome.storage.local.remove(["customTechSignatures"], () => showStatus("Custom tech signatures cleared."));
+    return;
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (e) {
+    showStatus("Custom signatures are not valid JSON: " + e.message);
+    return;
+  }
+  const { signatures, errors } = self.CASTTechFingerprint.validateSignatures(parsed);
+  if (errors.length) {
+    showStatus("Custom signatures not saved: " + errors.join(" "));
+    return;
+  }
+  chrome.storage.local.set({ customTechSignatures: signatures }, () => {
+    showStatus(`Saved ${signatures.length} custom tech signature${signatures.length === 1 ? "" : "s"}.`);
+  });
+});
+
+// Prompt library: edited prompts are saved as versions in chrome.storage (see prompts.js)
+const promptSelect = document.getElementById("promptSelect");
+const promptVersionSelect = document.getElementById("promptVersion");
+const promptTemplateInput = document.getElementById("promptTemplate");
+const promptNoteInput = document.getElementById("promptNote");
+const promptVariableInputs = {
+  siteName: document.getElementById("promptSiteName"),
+  vertical: document.getElementById("promptVertical"),
+  taxonomy: document.getElementById("promptTaxonomy")
+};
+let promptLibrary = self.CASTPrompts.normalizeLibrary(null);
+// Unsaved template edits by "promptId|version", so re-rendering the editor (e.g. after a variable change) keeps them
+const promptDrafts = new Map();
+
+Object.entries(self.CASTPrompts.DEFAULT_PROMPTS).forEach(([id, prompt]) => {
+  const option = document.createElement("option");
+  option.value = id;
+  option.textContent = prompt.label;
+  promptSelect.appendChild(option);
+});
+
+function savePromptLibrary(library, message) {
+  promptLibrary = library;
+  chrome.storage.local.set({ [self.CASTPrompts.STORAGE_KEY]: library }, () => {
+    renderPromptEditor();
+    if (message) showStatus(message);
+  });
+}
+
+function loadPromptLibrary() {
+  chrome.storage.local.get([self.CASTPrompts.STORAGE_KEY], (res) => {
+    promptLibrary = self.CASTPrompts.normalizeLibrary(res[self.CASTPrompts.STORAGE_KEY]);
+    Object.entries(promptVariableInputs).forEach(([name, input]) => {
+      input.value = promptLibrary.variables[name] || "";
+    });
+    renderPromptEditor();
+  });
+}
+
+// Version list and template for the selected prompt; the active version is preselected
+function renderPromptEditor() {
+  const id = promptSelect.value;
+  const entry = promptLibrary.prompts[id];
+  const active = self.CASTPrompts.getActivePrompt(promptLibrary, id);
+  const shown = active.version;
+  promptVersionSelect.innerHTML = "";
+  const options = [{ value: "default", label: `Built-in default${active.version === "default" ? " (active)" : ""}` }]
+    .concat(entry.versions.slice().reverse().map(item => ({
+      value: String(item.version),
+      label: `v${item.version} – ${new Date(item.savedAt).toLocaleString()}${item.note ? ` – ${item.note}` : ""}${item.version === active.version ? " (active)" : ""}`
+    })));
+  options.forEach(({ value, label }) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    promptVersionSelect.appendChild(option);
+  });
+  promptVersionSelect.value = String(shown);
+  const selected = shown === "default" ? null : entry.versions.find(item => item.version === shown);
+  const draftKey = `${id}|${shown}`;
+  promptTemplateInput.value = promptDrafts.has(draftKey)
+    ? promptDrafts.get(draftKey)
+    : selected ? selected.template : self.CASTPrompts.DEFAULT_PROMPTS[id].template;
+  const content = document.getElementById("promptsContent");
+  if (content.classList.contains("open")) content.style.maxHeight = content.scrollHeight + "px";
+}
+
+promptSelect.addEventListener("change", () => renderPromptEditor());
+
+promptTemplateInput.addEventListener("input", () => {
+  const id = promptSelect.value;
+  promptDrafts.set(`${id}|${self.CASTPrompts.getActivePrompt(promptLibrary, id).version}`, promptTemplateInput.value);
+});
+
+// Picking a version makes it the active one
+promptVersionSelect.addEventListener("change", () => {
+  const value = promptVersionSelect.value === "default" ? "default" : parseInt(promptVersionSelect.value, 10);
+  const library = self.CASTPrompts.activateVersion(promptLibrary, promptSelect.value, value);
+  savePromptLibrary(library, `Using ${self.CASTPrompts.getActivePrompt(library, promptSelect.value).label}.`);
+});
+
+document.getElementById("savePromptVersion").onclick = () => {
+  const template = promptTemplateInput.value.trim();
+  if (!template) {
+    showStatus("The prompt is empty.");
+    return;
+  }
+  const { library, version } = self.CASTPrompts.saveVersion(promptLibrary, promptSelect.value, template, promptNoteInput.value.trim());
+  promptNoteInput.value = "";
+  promptDrafts.delete(`${promptSelect.value}|${self.CASTPrompts.getActivePrompt(promptLibrary, promptSelect.value).version}`);
+  savePromptLibrary(library, `Saved ${self.CASTPrompts.versionLabel(promptSelect.value, version)}.`);
+};
+
+document.getElementById("resetPrompt").onclick = () => {
+  const library = self.CASTPrompts.resetToDefault(promptLibrary, promptSelect.value);
+  savePromptLibrary(library, "Prompt reset to the built-in default. Saved versions are kept.");
+};
+
+Object.entries(promptVariableInputs).forEach(([name, input]) => {
+  input.addEventListener("change", () => {
+    savePromptLibrary(self.CASTPrompts.setVariables(promptLibrary, { [name]: input.value.trim() }));
+  });
+});
+
+document.getElementById("exportPrompts").onclick = () => {
+  const data = self.CASTPrompts.exportLibrary(promptLibrary);
+  downloadFile("CAST_prompt_library.json", JSON.stringify(data, null, 2), "application/json");
+};
+
+const importPromptsFile = document.getElementById("importPromptsFile");
+document.getElementById("importPrompts").onclick = () => importPromptsFile.click();
+importPromptsFile.addEventListener("change", async () => {
+  const file = importPromptsFile.files[0];
+  importPromptsFile.value = "";
+  if (!file) return;
+  try {
+    const { library, added } = self.CASTPrompts.importLibrary(promptLibrary, JSON.parse(await file.text()));
+    savePromptLibrary(library, `Imported ${added} prompt version${added === 1 ? "" : "s"}.`);
+    Object.entries(promptVariableInputs).forEach(([name, input]) => {
+      input.value = library.variables[name] || "";
+    });
+  } catch (e) {
+    showStatus("Prompt library not imported: " + e.message);
+  }
+});
+
+// Crawl rules are saved per site (origin of the active tab)
+let crawlRulesOrigin = null;
+
+function loadCrawlRulesForActiveTab() {
+  chrome.tabs.query({ active: true, lastFocusedWindow: true }, ([tab]) => {
+    if (!tab || !tab.url || !tab.url.startsWith("http")) {
+      crawlRulesOrigin = null;
+      crawlRulesSite.textContent = "(open a website to edit)";
+      Object.values(crawlRuleInputs).forEach((input) => { input.disabled = true; });
+      return;
+    }
+    crawlRulesOrigin = new URL(tab.url).origin;
+    crawlRulesSite.textContent = `for ${new URL(tab.url).hostname}`;
+    chrome.storage.local.get(["CAST_crawlRules"], (res) => {
+      const rules = (res.CAST_crawlRules || {})[crawlRulesOrigin] || {};
+      crawlRuleInputs.include.value = (rules.include || []).join("\n");
+      crawlRuleInputs.exclude.value = (rules.exclude || []).join("\n");
+      crawlRuleInputs.pathPrefix.value = rules.pathPrefix || "";
+      crawlRuleInputs.stripParams.value = (rules.stripParams || []).join(", ");
+      Object.values(crawlRuleInputs).forEach((input) => { input.disabled = false; });
+    });
+  });
+}
+
+function saveCrawlRules() {
+  if (!crawlRulesOrigin) return;
+  const rules = {
+    include: self.CASTCrawlRules.parseRuleList(crawlRuleInputs.include.value.split("\n")),
+    exclude: self.CASTCrawlRules.parseRuleList(crawlRuleInputs.exclude.value.split("\n")),
+    pathPrefix: crawlRuleInputs.pathPrefix.value.trim(),
+    stripParams: self.CASTCrawlRules.parseRuleList(crawlRuleInputs.stripParams.value)
+  };
+  const { errors } = self.CASTCrawlRules.compileCrawlRules(rules);
+  if (errors.length) {
+    showStatus("Crawl rules not saved: " + errors.join(" "));
+    return;
+  }
+  const siteOrigin = crawlRulesOrigin;
+  chrome.storage.local.get(["CAST_crawlRules"], (res) => {
+    const allRules = res.CAST_crawlRules || {};
+    const isEmpty = !rules.include.length && !rules.exclude.length && !rules.pathPrefix && !rules.stripParams.length;
+    if (isEmpty) {
+      delete allRules[siteOrigin];
+    } else {
+      allRules[siteOrigin] = rules;
+    }
+    chrome.storage.local.set({ CAST_crawlRules: allRules }, () => {
+      showStatus(isEmpty ? "Crawl rules cleared for this site." : "Crawl rules saved for this site.");
+    });
+  });
+}
+
+Object.values(crawlRuleInputs).forEach((input) => input.addEventListener("change", saveCrawlRules));
+loadCrawlRulesForActiveTab();
+// The side panel stays open across tabs; follow the active site
+chrome.tabs.onActivated.addListener(() => loadCrawlRulesForActiveTab());
+
+chrome.storage.local.get(["sessionRetention"], (res) => {
+  sessionRetentionSelect.value = res.sessionRetention || "startup";
+});
+
+sessionRetentionSelect.addEventListener("change", () => {
+  chrome.storage.local.set({ sessionRetention: sessionRetentionSelect.value });
+});
+
+// Session history
+const selectedSessionIds = new Set();
+let lastSessionDiff = null;
+
+function formatSessionTime(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : "in progress";
+}
+
+function createSessionActionButton(label, onClick) {
+  const button = document.createElement("button");
+  button.textContent = label;
+  button.style.fontSize = "10px";
+  button.style.padding = "2px 6px";
+  button.style.width = "auto";
+  button.style.background = "#e2e8f0";
+  button.style.color = "#334155";
+  button.style.border = "1px solid #cbd5e1";
+  button.style.boxShadow = "none";
+  button.onclick = (e) => {
+    e.stopPropagation();
+    onClick();
+  };
+  return button;
+}
+
+function updateCompareButton() {
+  compareSessionsButton.disabled = selectedSessionIds.size !== 2;
+}
+
+function loadSessions() {
+  chrome.runtime.sendMessage({ type: "session-list" }, (res) => {
+    if (!res || res.error) {
+      sessionList.textContent = res?.error || "Unable to load sessions.";
+      return;
+    }
+    renderSessions(res.sessions || []);
+  });
+}
+
+function renderSessions(sessions) {
+  sessionList.innerHTML = "";
+  const ids = new Set(sessions.map(session => session.id));
+  Array.from(selectedSessionIds).forEach((id) => {
+    if (!ids.has(id)) selectedSessionIds.delete(id);
+  });
+
+  if (!sessions.length) {
+    const empty = document.createElement("div");
+    empty.style.fontSize = "12px";
+    empty.style.color = "#64748b";
+    empty.style.padding = "8px 0";
+    empty.textContent = "No sessions yet. Start a crawl or manual mode to record one.";
+    sessionList.appendChild(empty);
+  }
+
+  sessions.forEach((session) => {
+    const item = document.createElement("div");
+    item.style.padding = "8px 0";
+    item.style.borderBottom = "1px solid #e2e8f0";
+    item.style.display = "flex";
+    item.style.flexDirection = "column";
+    item.style.gap = "4px";
+
+    const header = document.createElement("label");
+    header.style.display = "flex";
+    header.style.alignItems = "center";
+    header.style.gap = "6px";
+    header.style.margin = "0";
+    header.style.cursor = "pointer";
+
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = selectedSessionIds.has(session.id);
+    checkbox.title = "Select for comparison";
+    checkbox.onchange = () => {
+      if (checkbox.checked) selectedSessionIds.add(session.id);
+      else selectedSessionIds.delete(session.id);
+      updateCompareButton();
+    };
+
+    const title = document.createElement("span");
+    title.style.fontWeight = "600";
+    title.style.fontSize = "12px";
+    title.style.color = "#1e293b";
+    title.style.flex = "1";
+    title.textContent = session.name || session.id;
+
+    header.appendChild(checkbox);
+    header.appendChild(title);
+
+    if (session.active) {
+      const badge = document.createElement("span");
+      badge.style.fontSize = "9px";
+      badge.style.padding = "2px 6px";
+      badge.style.borderRadius = "4px";
+      badge.style.backgroundColor = "#dcfce7";
+      badge.style.color = "#166534";
+      badge.textContent = "Open";
+      header.appendChild(badge);
+    }
+
+    const meta = document.createElement("div");
+    meta.style.fontSize = "11px";
+    meta.style.color = "#64748b";
+    meta.textContent = `${session.mode || "crawl"} · ${formatSessionTime(session.startTime)} → ${formatSessionTime(session.endTime)} · ` +
+      `${session.pageCount ?? 0} pages · ${session.callCount ?? 0} calls`;
+
+    const actions = document.createElement("div");
+    actions.style.display = "flex";
+    actions.style.gap = "4px";
+
+    if (!session.active) {
+      actions.appendChild(createSessionActionButton("Open", () => {
+        chrome.runtime.sendMessage({ type: "session-open", sessionId: session.id }, (res) => {
+          if (res?.error) {
+            showStatus(res.error);
+            return;
+          }
+          showStatus(`Opened session "${session.name}".`);
+          reportBox.textContent = "";
+          qaTurns = [];
+          renderQaMessages();
+          refreshStats();
+          loadSessions();
+        });
+      }));
+    }
+    actions.appendChild(createSessionActionButton("Rename", () => {
+      const name = prompt("Session name", session.name || "");
+      if (name === null) return;
+      chrome.runtime.sendMessage({ type: "session-rename", sessionId: session.id, name }, (res) => {
+        if (res?.error) showStatus(res.error);
+        loadSessions();
+      });
+    }));
+    actions.appendChild(createSessionActionButton("Export", () => {
+      chrome.runtime.sendMessage({ type: "session-export", sessionId: session.id }, (res) => {
+        if (res?.error) showStatus("Export failed: " + res.error);
+      });
+    }));
+    actions.appendChild(createSessionActionButton("HAR", () => {
+      chrome.runtime.sendMessage({ type: "session-export-har", sessionId: session.id }, (res) => {
+        if (res?.error) showStatus("HAR export failed: " + res.error);
+      });
+    }));
+    actions.appendChild(createSessionActionButton("Delete", () => {
+      if (!confirm(`Delete session "${session.name}" and all of its data?`)) return;
+      chrome.runtime.sendMessage({ type: "session-delete", sessionId: session.id }, (res) => {
+        if (res?.error) {
+          showStatus(res.error);
+          return;
+        }
+        showStatus("Session deleted.");
+        refreshStats();
+        loadSessions();
+      });
+    }));
+
+    item.appendChild(header);
+    item.appendChild(meta);
+    item.appendChild(actions);
+    sessionList.appendChild(item);
+  });
+
+  if (sessionsContent.classList.contains("open")) {
+    sessionsContent.style.maxHeight = sessionsContent.scrollHeight + "px";
+  }
+  updateCompareButton();
+}
+
+const importHarFile = document.getElementById("importHarFile");
+document.getElementById("importHar").onclick = () => importHarFile.click();
+importHarFile.addEventListener("change", async () => {
+  const file = importHarFile.files[0];
+  importHarFile.value = "";
+  if (!file) return;
+  let har;
+  try {
+    har = JSON.parse(await file.text());
+  } catch (e) {
+    showStatus("HAR not imported: " + e.message);
+    return;
+  }
+  showStatus(`Importing ${file.name}...`, 0);
+  chrome.runtime.sendMessage({ type: "session-import-har", har, fileName: file.name }, (res) => {
+    if (!res || res.error) {
+      showStatus("HAR not imported: " + (res?.error || "no response"));
+      return;
+    }
+    showStatus(`Imported ${res.callCount} calls across ${res.pageCount} pages into "${res.session.name}".`);
+    reportBox.textContent = "";
+    qaTurns = [];
+    renderQaMessages();
+    refreshStats();
+    loadSessions();
+  });
+});
+
+compareSessionsButton.onclick = () => {
+  chrome.runtime.sendMessage({ type: "session-compare", sessionIds: Array.from(selectedSessionIds) }, (res) => {
+    if (!res || res.error) {
+      showStatus(res?.error || "Unable to compare sessions.");
+      return;
+    }
+    const [a, b] = res.sessions; // Oldest first: A is the baseline
+    const diff = res.diff;
+    const metrics = [
+      ["Pages", "pageCount"],
+      ["Network calls", "networkCount"],
+      ["Unique URLs", "uniqueUrlCount"],
+      ["Tech stack records", "techCount"],
+      ["Analytics events", "analyticsCount"]
+    ];
+    const lines = [
+      `# Session Comparison`,
+      ``,
+      `A: ${a.name} (${formatSessionTime(a.startTime)})`,
+      `B: ${b.name} (${formatSessionTime(b.startTime)})`,
+      ``,
+      ...metrics.map(([label, key]) => {
+        const delta = (b[key] || 0) - (a[key] || 0);
+        return `${label}: ${a[key] || 0} → ${b[key] || 0} (${delta >= 0 ? "+" : ""}${delta})`;
+      })
+    ];
+
+    lines.push(``, `## Changes: ${diff.summary.added} added, ${diff.summary.removed} removed, ${diff.summary.changed} changed`);
+    if (!diff.analyzed) {
+      lines.push(`Run analysis on both sessions to compare tech stack, events and page coverage.`);
+    }
+    const markers = { added: "+", removed: "-", changed: "~" };
+    let section = null;
+    diff.items.forEach((item) => {
+      if (item.section !== section) {
+        section = item.section;
+        lines.push(``, `### ${section}`);
+      }
+      const values = item.change === "changed" ? `${item.before} → ${item.after}` : (item.after || item.before);
+      lines.push(`${markers[item.change]} ${item.item}${values ? ` (${values})` : ""}${item.detail ? ` — ${item.detail}` : ""}`);
+    });
+    reportBox.textContent = lines.join("\n");
+
+    lastSessionDiff = diff;
+    downloadSessionDiffButton.style.display = "block";
+    if (sessionsContent.classList.contains("open")) {
+      sessionsContent.style.maxHeight = sessionsContent.scrollHeight + "px";
+    }
+  });
+};
+
+crawlModeSelect.addEventListener("change", () => {
+  samplesPerTemplateInput.style.display = crawlModeSelect.value === "sample" ? "block" : "none";
+  if (inputContent.classList.contains("open")) {
+    inputContent.style.maxHeight = inputContent.scrollHeight + "px";
+  }
+});
+
+function loadTemplates() {
+  chrome.runtime.sendMessage({ type: "get-templates" }, (res) => {
+    if (!res || res.error) {
+      templateList.textContent = res?.error || "Unable to load page templates.";
+      return;
+    }
+    renderTemplates(res.templates || []);
+  });
+}
+
+function renderTemplates(templates) {
+  templateList.innerHTML = "";
+
+  if (!templates.length) {
+    const empty = document.createElement("div");
+    empty.style.fontSize = "12px";
+    empty.style.color = "#64748b";
+    empty.style.padding = "8px 0";
+    empty.textContent = "No page templates yet. Start a crawl to group pages by template.";
+    templateList.appendChild(empty);
+  }
+
+  templates.forEach((template) => {
+    const item = document.createElement("div");
+    item.style.padding = "8px 0";
+    item.style.borderBottom = "1px solid #e2e8f0";
+    item.style.display = "flex";
+    item.style.flexDirection = "column";
+    item.style.gap = "4px";
+
+    const title = document.createElement("span");
+    title.style.fontWeight = "600";
+    title.style.fontSize = "12px";
+    title.style.color = "#1e293b";
+    title.style.wordBreak = "break-all";
+    title.textContent = template.key;
+
+    const meta = document.createElement("div");
+    meta.style.fontSize = "11px";
+    meta.style.color = "#64748b";
+    meta.textContent = `${template.discoveredCount} URLs · ${template.visitedCount} visited` +
+      (template.patterns.length > 1 ? ` · also ${template.patterns.filter(pattern => pattern !== template.key).join(", ")}` : "");
+
+    item.appendChild(title);
+    item.appendChild(meta);
+
+    template.sampleUrls.slice(0, 3).forEach((url) => {
+      const sample = document.createElement("div");
+      sample.style.fontSize = "10px";
+      sample.style.color = "#94a3b8";
+      sample.style.wordBreak = "break-all";
+      sample.textContent = url;
+      item.appendChild(sample);
+    });
+
+    templateList.appendChild(item);
+  });
+
+  if (templatesContent.classList.contains("open")) {
+    templatesContent.style.maxHeight = templatesContent.scrollHeight + "px";
+  }
+}
+
+document.getElementById("downloadTemplates").onclick = () => {
+  chrome.runtime.sendMessage({ type: "export-templates-csv" }, (res) => {
+    if (!res || res.error) {
+      showStatus(res?.error || "Unable to export page templates.");
+      return;
+    }
+    downloadCSV(res.filename || "CAST_page_templates.csv", res.rows || []);
+    showStatus(`Page template export ready (${(res.rows?.length || 0) - 1} templates).`);
+  });
+};
+
+const CONSENT_SEVERITY_COLORS = { high: "#b91c1c", medium: "#c2410c", low: "#64748b" };
+
+function updateConsentAuditControls(active) {
+  runConsentAuditButton.style.display = active ? "none" : "block";
+  stopConsentAuditButton.style.display = active ? "block" : "none";
+}
+
+function loadConsentAudit() {
+  chrome.runtime.sendMessage({ type: "get-consent-audit" }, (res) => {
+    if (!res || res.error) {
+      consentAuditList.textContent = res?.error || "Unable to load the consent audit.";
+      return;
+    }
+    updateConsentAuditControls(res.active);
+    renderConsentAudit(res.reports || []);
+  });
+}
+
+function renderConsentAudit(reports) {
+  consentAuditList.innerHTML = "";
+
+  if (!reports.length) {
+    const empty = document.createElement("div");
+    empty.style.fontSize = "12px";
+    empty.style.color = "#64748b";
+    empty.style.padding = "8px 0";
+    empty.textContent = "No consent audit in this session yet. Open a page of the site and run one.";
+    consentAuditList.appendChild(empty);
+  }
+
+  reports.forEach((report) => {
+    const item = document.createElement("div");
+    item.style.padding = "8px 0";
+    item.style.borderBottom = "1px solid #e2e8f0";
+    item.style.display = "flex";
+    item.style.flexDirection = "column";
+    item.style.gap = "4px";
+
+    const title = document.createElement("span");
+    title.style.fontWeight = "600";
+    title.style.fontSize = "12px";
+    title.style.color = "#1e293b";
+    title.style.wordBreak = "break-all";
+    title.textContent = report.pageUrl;
+
+    const counts = ["high", "medium", "low"]
+      .map(severity => [severity, report.violations.filter(item => item.severity === severity).length])
+      .filter(([, count]) => count)
+      .map(([severity, count]) => `${count} ${severity}`);
+    const meta = document.createElement("div");
+    meta.style.fontSize = "11px";
+    meta.style.color = counts.length ? "#64748b" : "#15803d";
+    meta.textContent = counts.length ? counts.join(" · ") : "No violations found";
+
+    item.appendChild(title);
+    item.appendChild(meta);
+
+    report.violations.forEach((violation) => {
+      const line = document.createElement("div");
+      line.style.fontSize = "11px";
+      line.style.color = CONSENT_SEVERITY_COLORS[violation.severity] || "#334155";
+      line.style.wordBreak = "break-word";
+      line.textContent = `[${self.CASTConsentAudit.STATE_LABELS[violation.state] || violation.state}] ${violation.issue}`;
+      line.title = violation.evidence || "";
+      item.appendChild(line);
+    });
+
+    consentAuditList.appendChild(item);
+  });
+
+  if (consentAuditContent.classList.contains("open")) {
+    consentAuditContent.style.maxHeight = consentAuditContent.scrollHeight + "px";
+  }
+}
+
+runConsentAuditButton.onclick = () => {
+  if (!confirm("The consent audit reloads each page three times. Between passes it clears:\n" +
+    "- this site's cookies, local storage, IndexedDB, cache and service workers\n" +
+    "- cookies of the known tracking services the pages call (Google Analytics and Ads, Meta, TikTok, LinkedIn, ...)\n\n" +
+    "Cookies are backed up and restored when the audit ends. The site's other storage is not restored, so you may be logged out of it. Continue?")) return;
+  chrome.runtime.sendMessage({ type: "consent-audit-start" }, (res) => {
+    if (!res || res.error) {
+      showStatus(res?.error || "Unable to start the consent audit.");
+      return;
+    }
+    updateConsentAuditControls(true);
+    renderConsentAudit([]);
+    showStatus(`Consent audit started for ${res.pages} page${res.pages === 1 ? "" : "s"}…`, 0);
+  });
+};
+
+stopConsentAuditButton.onclick = () => {
+  chrome.runtime.sendMessage({ type: "consent-audit-cancel" }, () => {
+    showStatus("Stopping consent audit after the current pass…");
+  });
+};
+
+document.getElementById("downloadConsentAudit").onclick = () => {
+  chrome.runtime.sendMessage({ type: "export-consent-audit-csv" }, (res) => {
+    if (!res || res.error) {
+      showStatus(res?.error || "Unable to export the consent audit.");
+      return;
+    }
+    downloadCSV(res.filename || "CAST_consent_audit.csv", res.rows || []);
+    showStatus(`Consent audit export ready (${(res.rows?.length || 0) - 1} rows).`);
+  });
+};
+
+function loadTrackingPlanInfo() {
+  chrome.storage.local.get(["trackingPlan"], (res) => {
+    const plan = res.trackingPlan;
+    trackingPlanInfo.textContent = plan
+      ? `${plan.name}: ${plan.events.length} event${plan.events.length === 1 ? "" : "s"}, imported ${new Date(plan.importedAt).toLocaleString()}`
+      : "No tracking plan imported.";
+  });
+}
+
+function renderTrackingPlanReport(report) {
+  trackingPlanResults.innerHTML = "";
+  const { summary } = report;
+  const header = document.createElement("div");
+  header.style.fontSize = "12px";
+  header.style.fontWeight = "600";
+  header.style.color = summary.failed || report.sessionIssues.length ? "#b91c1c" : "#15803d";
+  header.style.padding = "4px 0";
+  header.textContent = `${summary.passed}/${summary.pages} pages pass · ${summary.hits} hits checked`;
+  trackingPlanResults.appendChild(header);
+
+  const groups = [
+    ...(report.sessionIssues.length ? [{ pageUrl: "Whole session", status: "fail", issues: report.sessionIssues, hitCount: summary.hits }] : []),
+    ...report.pages.slice().sort((a, b) => (a.status === b.status ? 0 : a.status === "fail" ? -1 : 1))
+  ];
+  groups.forEach((page) => {
+    const item = document.createElement("div");
+    item.style.padding = "8px 0";
+    item.style.borderBottom = "1px solid #e2e8f0";
+    item.style.display = "flex";
+    item.style.flexDirection = "column";
+    item.style.gap = "4px";
+
+    const title = document.createElement("div");
+    title.style.display = "flex";
+    title.style.gap = "6px";
+    title.style.alignItems = "flex-start";
+
+    const badge = document.createElement("span");
+    badge.style.fontSize = "9px";
+    badge.style.padding = "2px 6px";
+    badge.style.borderRadius = "4px";
+    badge.style.backgroundColor = page.status === "pass" ? "#dcfce7" : "#fee2e2";
+    badge.style.color = page.status === "pass" ? "#166534" : "#991b1b";
+    badge.textContent = page.status.toUpperCase();
+
+    const url = document.createElement("span");
+    url.style.fontWeight = "600";
+    url.style.fontSize = "12px";
+    url.style.color = "#1e293b";
+    url.style.wordBreak = "break-all";
+    url.textContent = page.pageUrl;
+
+    title.appendChild(badge);
+    title.appendChild(url);
+    item.appendChild(title);
+
+    if (!page.issues.length) {
+      const meta = document.createElement("div");
+      meta.style.fontSize = "11px";
+      meta.style.color = "#64748b";
+      meta.textContent = page.hitCount ? `${page.hitCount} hits: ${page.eventNames.join(", ")}` : "No analytics hits";
+      item.appendChild(meta);
+    }
+
+    page.issues.forEach((issue) => {
+      const line = document.createElement("div");
+      line.style.fontSize = "11px";
+      line.style.color = CONSENT_SEVERITY_COLORS[issue.severity] || "#334155";
+      line.style.wordBreak = "break-word";
+      const detail = issue.param
+        ? `${issue.param} (${issue.actual ? `${issue.actual}, expected ${issue.expected}` : issue.expected})`
+        : issue.type === "wrong_page" ? `expected on ${issue.expected}` : "";
+      line.textContent = `${self.CASTTrackingPlan.ISSUE_LABELS[issue.type]}: ${issue.eventName}${detail ? ` · ${detail}` : ""}` +
+        (issue.occurrences > 1 ? ` ×${issue.occurrences}` : "");
+      line.title = issue.requestIds.length ? `Requests: ${issue.requestIds.join(", ")}` : "";
+      item.appendChild(line);
+    });
+
+    trackingPlanResults.appendChild(item);
+  });
+
+  if (trackingPlanContent.classList.contains("open")) {
+    trackingPlanContent.style.maxHeight = trackingPlanContent.scrollHeight + "px";
+  }
+}
+
+const importTrackingPlanFile = document.getElementById("importTrackingPlanFile");
+document.getElementById("importTrackingPlan").onclick = () => importTrackingPlanFile.click();
+importTrackingPlanFile.addEventListener("change", async () => {
+  const file = importTrackingPlanFile.files[0];
+  importTrackingPlanFile.value = "";
+  if (!file) return;
+  try {
+    const plan = self.CASTTrackingPlan.parsePlanFile(await file.text(), file.name);
+    chrome.storage.local.set({ trackingPlan: plan }, () => {
+      loadTrackingPlanInfo();
+      trackingPlanResults.innerHTML = "";
+      showStatus(`Tracking plan imported: ${plan.events.length} event${plan.events.length === 1 ? "" : "s"}.`);
+    });
+  } catch (e) {
+    showStatus("Tracking plan not imported: " + e.message);
+  }
+});
+
+document.getElementById("validateTrackingPlan").onclick = () => {
+  chrome.runtime.sendMessage({ type: "validate-tracking-plan" }, (res) => {
+    if (!res || res.error) {
+      showStatus(res?.error || "Unable to validate the tracking plan.");
+      return;
+    }
+    renderTrackingPlanReport(res.report);
+  });
+};
+
+document.getElementById("downloadTrackingPlanReport").onclick = () => {
+  chrome.runtime.sendMessage({ type: "export-tracking-plan-csv" }, (res) => {
+    if (!res || res.error) {
+      showStatus(res?.error || "Unable to export the tracking plan report.");
+      return;
+    }
+    downloadCSV(res.filename || "CAST_tracking_plan_qa.csv", res.rows || []);
+    showStatus(`Tracking plan QA report ready (${(res.rows?.length || 0) - 1} rows).`);
+  });
+};
+
+// Data layer timeline of the current session, one page load at a time
+let dataLayerTimeline = null;
+
+function loadDataLayerTimeline() {
+  chrome.runtime.sendMessage({ type: "datalayer-timeline" }, (res) => {
+    if (!res || res.error) {
+      dataLayerTimeline = null;
+      dataLayerPageSelect.innerHTML = "";
+      dataLayerTimelineList.textContent = res?.error || "Unable to load the data layer timeline.";
+      return;
+    }
+    const previous = dataLayerPageSelect.value;
+    dataLayerTimeline = res.timeline;
+    dataLayerPageSelect.innerHTML = "";
+    dataLayerTimeline.loads.forEach((load, index) => {
+      const option = document.createElement("option");
+      option.value = String(index);
+      option.textContent = `${load.pageUrl} (${load.summary.pushes} push${load.summary.pushes === 1 ? "" : "es"}, ${new Date(load.timeOrigin).toLocaleTimeString()})`;
+      dataLayerPageSelect.appendChild(option);
+    });
+    if (previous && dataLayerTimeline.loads[Number(previous)]) dataLayerPageSelect.value = previous;
+    renderDataLayerTimeline();
+  });
+}
+
+function renderDataLayerTimeline() {
+  dataLayerTimelineList.innerHTML = "";
+  const load = dataLayerTimeline?.loads[Number(dataLayerPageSelect.value)];
+  if (!load) {
+    const empty = document.createElement("div");
+    empty.style.fontSize = "12px";
+    empty.style.color = "#64748b";
+    empty.style.padding = "8px 0";
+    empty.textContent = "No data layer pushes captured in this session. Run a crawl or Manual Mode to record them.";
+    dataLayerTimelineList.appendChild(empty);
+    return;
+  }
+
+  const header = document.createElement("div");
+  header.style.fontSize = "12px";
+  header.style.fontWeight = "600";
+  header.style.color = "#334155";
+  header.style.padding = "4px 0";
+  header.textContent = `${load.summary.pushes} pushes · ${load.summary.correlatedPushes}/${load.summary.eventPushes} events led to a GA4 hit` +
+    (load.summary.unmatchedHits ? ` · ${load.summary.unmatchedHits} GA4 hit${load.summary.unmatchedHits === 1 ? "" : "s"} without a push` : "") +
+    (load.summary.droppedPushes ? ` · ${load.summary.droppedPushes} early push${load.summary.droppedPushes === 1 ? "" : "es"} dropped (capture buffer full)` : "");
+  dataLayerTimelineList.appendChild(header);
+
+  const entries = [
+    ...load.pushes.map(push => ({ offsetMs: push.offsetMs, push })),
+    ...load.unmatchedHits.map(hit => ({ offsetMs: hit.offsetMs, hit }))
+  ].sort((a, b) => a.offsetMs - b.offsetMs);
+
+  entries.forEach(({ offsetMs, push, hit }) => {
+    const item = document.createElement("div");
+    item.style.padding = "6px 0";
+    item.style.borderBottom = "1px solid #e2e8f0";
+    item.style.display = "flex";
+    item.style.flexDirection = "column";
+    item.style.gap = "3px";
+
+    const title = document.createElement("div");
+    title.style.display = "flex";
+    title.style.gap = "6px";
+    title.style.alignItems = "baseline";
+
+    const time = document.createElement("span");
+    time.style.fontSize = "10px";
+    time.style.color = "#64748b";
+    time.style.fontFamily = "monospace";
+    time.style.minWidth = "56px";
+    time.textContent = `+${Math.max(0, Math.round(offsetMs))} ms`;
+    title.appendChild(time);
+
+    const name = document.createElement("span");
+    name.style.fontSize = "12px";
+    name.style.fontWeight = "600";
+    name.style.wordBreak = "break-all";
+
+    if (hit) {
+      name.style.color = CONSENT_SEVERITY_COLORS.medium;
+      name.textContent = `GA4 hit: ${hit.eventName} (no data layer push)`;
+      title.appendChild(name);
+      item.appendChild(title);
+      dataLayerTimelineList.appendChild(item);
+      return;
+    }
+
+    name.style.color = push.internal ? "#64748b" : "#1e293b";
+    name.textContent = push.eventName || (push.method === "assign" ? `${push.source} set` : "(no event)");
+    title.appendChild(name);
+
+    const source = document.createElement("span");
+    source.style.fontSize = "9px";
+    source.style.padding = "1px 5px";
+    source.style.borderRadius = "4px";
+    source.style.backgroundColor = "#e0f2fe";
+    source.style.color = "#075985";
+    source.textContent = push.beforeHook ? `${push.source} · before capture` : push.source;
+    title.appendChild(source);
+    item.appendChild(title);
+
+    const data = document.createElement("div");
+    data.style.fontSize = "10px";
+    data.style.fontFamily = "monospace";
+    data.style.color = "#334155";
+    data.style.wordBreak = "break-all";
+    data.textContent = self.CASTDataLayer.previewData(push.data);
+    data.title = self.CASTDataLayer.previewData(push.data, 5000);
+    item.appendChild(data);
+
+    if (push.stackOrigin) {
+      const origin = document.createElement("div");
+      origin.style.fontSize = "10px";
+      origin.style.color = "#64748b";
+      origin.style.wordBreak = "break-all";
+      origin.textContent = `from ${push.stackOrigin}`;
+      item.appendChild(origin);
+    }
+
+    if (push.ga4Hits.length) {
+      const hits = document.createElement("div");
+      hits.style.fontSize = "11px";
+      hits.style.color = "#15803d";
+      hits.textContent = "→ GA4: " + push.ga4Hits
+        .map(link => `${link.eventName} (+${link.delayMs} ms${link.match === "timing" ? ", by timing" : ""})`)
+        .join(", ");
+      item.appendChild(hits);
+    } else if (push.eventName && !push.internal) {
+      const none = document.createElement("div");
+      none.style.fontSize = "11px";
+      none.style.color = "#94a3b8";
+      none.textContent = "No GA4 hit followed";
+      item.appendChild(none);
+    }
+
+    dataLayerTimelineList.appendChild(item);
+  });
+
+  if (dataLayerContent.classList.contains("open")) {
+    dataLayerContent.style.maxHeight = dataLayerContent.scrollHeight + "px";
+  }
+}
+
+dataLayerPageSelect.addEventListener("change", () => renderDataLayerTimeline());
+document.getElementById("refreshDataLayer").onclick = () => loadDataLayerTimeline();
+
+document.getElementById("downloadDataLayer").onclick = () => {
+  chrome.runtime.sendMessage({ type: "export-datalayer-csv" }, (res) => {
+    if (!res || res.error) {
+      showStatus(res?.error || "Unable to export the data layer timeline.");
+      return;
+    }
+    downloadCSV(res.filename || "CAST_datalayer_timeline.csv", res.rows || []);
+    showStatus(`Data layer timeline ready (${(res.rows?.length || 0) - 1} rows).`);
+  });
+};
+
+document.getElementById("downloadClientReport").onclick = () => {
+  const format = document.getElementById("clientReportFormat").value;
+  showStatus("Building report…", 0);
+  chrome.runtime.sendMessage({ type: "report-export", format }, (res) => {
+    if (!res || res.error) {
+      showStatus(res?.error || "Unable to build the report.");
+      return;
+    }
+    showStatus("Report ready.");
+  });
+};
+
+// Session Q&A turns: { question, answer, citations, error, pending }; answered turns go back as history
+let qaTurns = [];
+
+function renderQaMessages() {
+  qaMessages.innerHTML = "";
+
+  if (!qaTurns.length) {
+    const empty = document.createElement("div");
+    empty.style.fontSize = "12px";
+    empty.style.color = "#64748b";
+    empty.style.padding = "8px 0";
+    empty.textContent = "Ask a question about the current session's network calls, tech stack or analytics events.";
+    qaMessages.appendChild(empty);
+  }
+
+  qaTurns.forEach((turn) => {
+    const item = document.createElement("div");
+    item.style.padding = "8px 0";
+    item.style.borderBottom = "1px solid #e2e8f0";
+    item.style.display = "flex";
+    item.style.flexDirection = "column";
+    item.style.gap = "4px";
+
+    const question = document.createElement("span");
+    question.style.fontWeight = "600";
+    question.style.fontSize = "12px";
+    question.style.color = "#1e293b";
+    question.textContent = turn.question;
+    item.appendChild(question);
+
+    const answer = document.createElement("div");
+    answer.style.fontSize = "12px";
+    answer.style.color = turn.error ? "#b91c1c" : "#334155";
+    answer.style.whiteSpace = "pre-wrap";
+    answer.style.wordBreak = "break-word";
+    answer.textContent = turn.pending ? "Thinking…" : (turn.error || turn.answer);
+    item.appendChild(answer);
+
+    (turn.citations || []).forEach((citation) => {
+      const source = document.createElement("div");
+      source.style.fontSize = "10px";
+      source.style.color = "#94a3b8";
+      source.style.wordBreak = "break-all";
+      source.textContent = `[${citation.ref}] request ${citation.requestId || "n/a"} · ${citation.pageUrl || "unknown page"} · ${citation.url || ""}`;
+      source.title = "Click to copy the request ID";
+      source.style.cursor = "pointer";
+      source.onclick = () => {
+        navigator.clipboard.writeText(citation.requestId || "").then(() => showStatus(`Copied request ID ${citation.requestId}.`, 3000));
+      };
+      item.appendChild(source);
+    });
+
+    qaMessages.appendChild(item);
+  });
+
+  qaMessages.scrollTop = qaMessages.scrollHeight;
+  if (qaContent.classList.contains("open")) {
+    qaContent.style.maxHeight = qaContent.scrollHeight + "px";
+  }
+}
+
+function askSessionQuestion() {
+  const question = qaQuestionInput.value.trim();
+  if (!question || askQuestionButton.disabled) return;
+  const history = qaTurns.filter(turn => turn.answer).map(turn => ({ question: turn.question, answer: turn.answer }));
+  const turn = { question, pending: true };
+  qaTurns.push(turn);
+  qaQuestionInput.value = "";
+  askQuestionButton.disabled = true;
+  renderQaMessages();
+
+  chrome.runtime.sendMessage({ type: "session-question", question, history }, (res) => {
+    askQuestionButton.disabled = false;
+    turn.pending = false;
+    if (!res || res.error) {
+      turn.error = res?.error || "No response from background.";
+    } else {
+      turn.answer = res.answer;
+      turn.citations = res.citations || [];
+      refreshStats();
+    }
+    renderQaMessages();
+  });
+}
+
+askQuestionButton.onclick = askSessionQuestion;
+qaQuestionInput.addEventListener("keydown", (event) => {
+  if (event.key === "Enter" && (event.ctrlKey || event.metaKey)) {
+    event.preventDefault();
+    askSessionQuestion();
+  }
+});
+
+document.getElementById("clearQa").onclick = () => {
+  qaTurns = [];
+  renderQaMessages();
+};
+
+downloadSessionDiffButton.onclick = () => {
+  if (!lastSessionDiff) return;
+  downloadCSV(`CAST_session_diff_${lastSessionDiff.baseId}_vs_${lastSessionDiff.compareId}.csv`, lastSessionDiff.rows);
+};
+
 document.getElementById("start").onclick = () => {
   const depth = parseInt(depthInput.value, 10);
   if (isNaN(depth) || depth < 0 || depth > 5) {
@@ -313,13 +1663,56 @@ document.getElementById("start").onclick = () => {
   const limitValue = pageLimitSelect.value;
   const pageLimit = limitValue === "all" ? null : parseInt(limitValue, 10);
   const limitLabel = limitValue === "all" ? "all pages" : `${limitValue} pages`;
-  showStatus(`Starting crawl (depth ${depth}, limit ${limitLabel})… browser will navigate within this domain.`);
+  const mode = crawlModeSelect.value;
+  const samples = parseInt(samplesPerTemplateInput.value, 10);
+  if (mode === "sample" && (isNaN(samples) || samples < 1 || samples > 20)) {
+    showStatus("Please enter a valid number of pages per template (1-20).");
+    return;
+  }
+  const modeLabel = mode === "sample" ? `, ${samples} per template` : "";
+  showStatus(`Starting crawl (depth ${depth}, limit ${limitLabel}${modeLabel})… browser will navigate within this domain.`);
   reportBox.textContent = "";
   chrome.storage.local.set({ 
     CAST_crawlDepth: depth,
-    CAST_pageLimit: limitValue === "all" ? "all" : pageLimit
+    CAST_pageLimit: limitValue === "all" ? "all" : pageLimit,
+    CAST_crawlMode: mode,
+    CAST_samplesPerTemplate: isNaN(samples) ? 3 : samples
+  });
+  updateCrawlControls({ active: true });
+  chrome.runtime.sendMessage({ type: "crawl-start", depth: depth, pageLimit, mode, samplesPerTemplate: samples });
+};
+
+resumeCrawlButton.onclick = () => {
+  showStatus("Resuming crawl…");
+  chrome.runtime.sendMessage({ type: "crawl-resume" }, (res) => {
+    if (!res || res.error) {
+      showStatus("Resume failed: " + (res?.error || "no response"));
+      checkResumableCrawl();
+      return;
+    }
+    updateCrawlControls({ active: true, paused: !!res.paused });
+    showStatus(res.paused
+      ? `Crawl restored and still paused (${res.visited} visited, ${res.queued} queued). Resume to continue.`
+      : `Resuming crawl (${res.visited} visited, ${res.queued} queued)…`);
+  });
+};
+
+pauseCrawlButton.onclick = () => {
+  chrome.runtime.sendMessage({ type: "crawl-pause" }, (res) => {
+    if (res?.error) {
+      showStatus(res.error);
+      return;
+    }
+    updateCrawlControls({ active: true, paused: true });
+  });
+};
+
+stopCrawlButton.onclick = () => {
+  chrome.runtime.sendMessage({ type: "crawl-stop" }, (res) => {
+    if (res?.error) showStatus(res.error);
+    updateCrawlControls();
+    refreshStats();
   });
-  chrome.runtime.sendMessage({ type: "crawl-start", depth: depth, pageLimit });
 };
 
 document.getElementById("startManual").onclick = () => {
@@ -540,7 +1933,7 @@ document.getElementById("downloadStrategy").onclick = () => {
     return;
   }
   
-  const rows = [["Event Name", "Category", "Reasoning", "Priority", "Trigger Type", "Trigger Value", "Selector", "Code Snippet"]];
+  const rows = [["Event Name", "Category", "Reasoning", "Priority", "Trigger Type", "Trigger Value", "Selector", "Code Snippet", "Prompt Version"]];
   window.currentStrategy.forEach(rec => {
     rows.push([
       rec.eventName || "",
@@ -550,13 +1943,42 @@ document.getElementById("downloadStrategy").onclick = () => {
       rec.triggerType || "CSS Selector",
       rec.triggerValue || rec.selector || "",
       rec.selector || "",
-      rec.codeSnippet || ""
+      rec.codeSnippet || "",
+      rec.promptVersion || ""
     ]);
   });
   
   downloadCSV("CAST_analytics_strategy.csv", rows);
 };
 
+// Builds a GTM container from recommendations after asking for the GA4 measurement ID (remembered)
+async function downloadGtmContainer(recommendations, filename) {
+  if (!recommendations || !recommendations.length) return;
+  const { gtmMeasurementId } = await chrome.storage.local.get("gtmMeasurementId");
+  const measurementId = prompt("GA4 measurement ID for the event tags (leave blank for a placeholder)", gtmMeasurementId || "");
+  if (measurementId === null) return;
+  if (measurementId.trim() && !self.CASTGtmExport.isValidMeasurementId(measurementId)) {
+    showStatus("Measurement ID should look like G-XXXXXXXXXX.");
+    return;
+  }
+  await chrome.storage.local.set({ gtmMeasurementId: measurementId.trim() });
+
+  const { container, summary } = self.CASTGtmExport.buildContainer(recommendations, { measurementId });
+  if (!summary.tags) {
+    showStatus("No recommendations with a selector to build GTM triggers from.");
+    return;
+  }
+  downloadFile(filename, JSON.stringify(container, null, 2), "application/json");
+  const notes = [];
+  if (summary.skipped.length) notes.push(`${summary.skipped.length} skipped (auto-collected or no selector)`);
+  if (summary.placeholderMeasurementId) notes.push(`set the measurement ID in the "GA4 Measurement ID" variable`);
+  showStatus(`GTM container downloaded: ${summary.tags} tags, ${summary.triggers} triggers, ${summary.variables} variables.${notes.length ? " " + notes.join("; ") + "." : ""}`, 8000);
+}
+
+document.getElementById("downloadStrategyGtm").onclick = () => {
+  downloadGtmContainer(window.currentStrategy, "CAST_gtm_container.json");
+};
+
 document.getElementById("downloadJSON").onclick = () => {
   showStatus("Preparing raw network export…");
   chrome.runtime.sendMessage({ type: "download-network-csv" }, (res) => {
@@ -611,7 +2033,8 @@ if (downloadAutoStrategyButton) {
         "Platform",
         "URL",
         "Component / Selector",
-        "Data layer snippet"
+        "Data layer snippet",
+        "Prompt Version"
       ]
     ];
     autoStrategyResults.forEach(rec => {
@@ -639,7 +2062,8 @@ if (downloadAutoStrategyButton) {
         rec.platform || "Web",
         rec.url || rec.pageUrl || "",
         rec.selector || "",
-        rec.codeSnippet || ""
+        rec.codeSnippet || "",
+        rec.promptVersion || ""
       ]);
     });
     downloadCSV("CAST_auto_pilot_strategy.csv", rows);
@@ -647,6 +2071,12 @@ if (downloadAutoStrategyButton) {
   };
 }
 
+if (downloadAutoGtmButton) {
+  downloadAutoGtmButton.onclick = () => {
+    downloadGtmContainer(autoStrategyResults, "CAST_auto_pilot_gtm_container.json");
+  };
+}
+
 function handleAnalysisComplete() {
   isAnalyzing = false;
   progressBarWrapper.style.display = "none";
@@ -661,10 +2091,41 @@ function resetAutoStrategyState() {
   if (stopAutoButton) stopAutoButton.style.display = "none";
   autoStrategyResults = [];
   if (downloadAutoStrategyButton) downloadAutoStrategyButton.style.display = "none";
+  if (downloadAutoGtmButton) downloadAutoGtmButton.style.display = "none";
+}
+
+// Large runs show their estimated batches, tokens and cost and wait for confirmation
+function confirmAIRun(retryFailedOnly, onConfirmed) {
+  chrome.runtime.sendMessage({ type: "ai-summary-estimate", retryFailedOnly }, (estimate) => {
+    if (!estimate || estimate.error || !estimate.aiEnabled || !estimate.needsConfirmation) {
+      onConfirmed();
+      return;
+    }
+    const payloads = estimate.mode === "retrieval"
+      ? "one retrieved payload"
+      : `${estimate.batches} batch${estimate.batches === 1 ? "" : "es"}`;
+    const message = `This run will send ${payloads} ` +
+      `(${estimate.calls} calls) to ${estimate.provider} ${estimate.model}.\n\n` +
+      `Estimated tokens: ~${estimate.totalTokens.toLocaleString()} ` +
+      `(${estimate.inputTokens.toLocaleString()} prompt + ${estimate.outputTokens.toLocaleString()} output)\n` +
+      `Estimated cost: ${self.CASTUsage.formatCost(estimate.cost)}` +
+      (estimate.embeddingTokens
+        ? `\nIncludes ~${estimate.embeddingTokens.toLocaleString()} embedding tokens (${self.CASTUsage.formatCost(estimate.embeddingCost)}).`
+        : "") +
+      (estimate.skippedCalls ? `\n${estimate.skippedCalls} call(s) already analyzed will be skipped.` : "") +
+      "\n\nContinue?";
+    if (confirm(message)) onConfirmed();
+    else showStatus("AI analysis not started.");
+  });
+}
+
+function runAIAnalysis({ retryFailedOnly = false } = {}) {
+  showStatus("Estimating AI run…", 0);
+  confirmAIRun(retryFailedOnly, () => startAIAnalysis({ retryFailedOnly }));
 }
 
-document.getElementById("runAI").onclick = () => {
-  showStatus("Running AI network recon…");
+function startAIAnalysis({ retryFailedOnly = false } = {}) {
+  showStatus(retryFailedOnly ? "Retrying failed AI batches…" : "Running AI network recon…");
   reportBox.textContent = "";
   isAnalyzing = true;
   progressBarWrapper.style.display = "block";
@@ -672,7 +2133,7 @@ document.getElementById("runAI").onclick = () => {
   if (stopAIButton) stopAIButton.style.display = "block";
   updateProgressBar({ stage: "Preparing batches…", percentage: 0, processed: 0, total: 100, current: "Initializing AI analysis" });
   
-  chrome.runtime.sendMessage({ type: "ai-summary" }, (res) => {
+  chrome.runtime.sendMessage({ type: "ai-summary", retryFailedOnly }, (res) => {
     handleAnalysisComplete();
     if (!res) {
       showStatus("No response from background.");
@@ -691,33 +2152,42 @@ document.getElementById("runAI").onclick = () => {
     reportBox.textContent = summaryMarkdown;
 
     if (tech.length) {
-      const techRows = [["Technology","Category","Confidence","Evidence"]];
+      const techRows = [["Technology","Category","Confidence","Evidence","Account ID","Source","Prompt Version"]];
       tech.forEach(t => {
         techRows.push([
           t.name || "",
           t.category || "",
           typeof t.confidence === "number" ? t.confidence : "",
-          (t.evidence || []).join(" | ")
+          (t.evidence || []).join(" | "),
+          t.accountId || "",
+          t.source || "",
+          t.promptVersion || ""
         ]);
       });
       downloadCSV("CAST_tech_stack.csv", techRows);
     }
 
     if (analytics.length) {
-      const aRows = [["Provider","Event Name","Page URL","Request URL","Notes"]];
+      const aRows = [["Provider","Event Name","Page URL","Request URL","Notes","Account ID","Source","Prompt Version"]];
       analytics.forEach(a =>
         aRows.push([
           a.provider || "",
           a.event_name || "",
           a.page_url || "",
           a.request_url || "",
-          a.notes || ""
+          a.notes || "",
+          a.account_id || "",
+          a.source || "",
+          a.promptVersion || ""
         ])
       );
       downloadCSV("CAST_analytics_events.csv", aRows);
     }
   });
-};
+}
+
+document.getElementById("runAI").onclick = () => runAIAnalysis();
+retryFailedBatchesButton.onclick = () => runAIAnalysis({ retryFailedOnly: true });
 
 if (stopAIButton) {
   stopAIButton.addEventListener("click", () => {
@@ -749,6 +2219,7 @@ if (recommendStrategyAutoButton) {
     isAutoPilotRunning = true;
     if (stopAutoButton) stopAutoButton.style.display = "block";
     if (downloadAutoStrategyButton) downloadAutoStrategyButton.style.display = "none";
+    if (downloadAutoGtmButton) downloadAutoGtmButton.style.display = "none";
     window.autopilotStrategy = [];
 
     // Safety timeout: 3 minutes overall
@@ -790,6 +2261,7 @@ if (recommendStrategyAutoButton) {
       // Store for CSV download
       autoStrategyResults = recommendations;
       if (downloadAutoStrategyButton) downloadAutoStrategyButton.style.display = "block";
+      if (downloadAutoGtmButton) downloadAutoGtmButton.style.display = "block";
       showStatus(`Auto Pilot complete. ${recommendations.length} recommendations ready for download.`);
     });
   };
@@ -0,0 +1,355 @@
+// Prompt library for CAST's AI tasks
+// Built-in system prompts for batch analysis (recon), strategy and session Q&A, user-edited versions kept in
+// chrome.storage, {{variable}} / {{#variable}}...{{/variable}} rendering, and import/export.
+(function () {
+  const STORAGE_KEY = 'CAST_promptLibrary';
+  const MAX_VERSIONS = 20;
+  // Bump when a built-in template changes so stored results show which default produced them
+  const BUILTIN_REVISION = 1;
+
+  const VARIABLES = {
+    siteName: 'Site name (defaults to the crawled hostname)',
+    vertical: 'Vertical, e.g. e-commerce, SaaS, publisher',
+    taxonomy: 'Event taxonomy / naming convention to use instead of the built-in names'
+  };
+
+  const RECON_PROMPT = `
+You are CAST, a web reconnaissance analyst.
+{{#siteName}}
+The site being audited is {{siteName}}{{#vertical}} (vertical: {{vertical}}){{/vertical}}.
+{{/siteName}}
+
+You will receive JSON data containing network requests captured from a website crawl. This is a batch of network traffic data.
+
+The data includes:
+- Network requests organized by page URL
+- Each request includes: url, method, host, pathname, queryParams, postData
+- Analytics requests: Google Analytics, GTM, Segment, Mixpanel, HubSpot, etc. with FULL data
+- Tech stack requests: CDN, hosting, CMS, frameworks with FULL data
+- All other network requests
+
+Each request includes:
+- url, method, host, pathname, pageUrl
+- query parameter KEYS and VALUES (full data)
+- postData (full POST body when present)
+- response (when captured): HTTP status, failed/blocked flag, and headers such as server, x-powered-by, cf-ray, via
+
+This is a batch of network traffic. Analyze ALL requests in this batch comprehensively. Extract ALL analytics events and complete tech stack information from this data.
+
+From ONLY that evidence, you must infer:
+
+1) The web technology stack:
+   - Frameworks (e.g., Next.js, React, Vue, Angular, etc.)
+   - Hosting/CDN (e.g., Vercel, Cloudflare, Netlify, Akamai, etc.)
+   - CMS or content platforms (e.g., Contentful, WordPress, Shopify, etc.)
+   - Other notable infrastructure / APIs (auth, search, experimentation, etc.)
+
+2) Analytics and tracking tools & events:
+   - Identify providers (Google Analytics, GTM, Segment, Mixpanel, Amplitude, Meta Pixel, TikTok, Hotjar, Clarity, HubSpot, etc.)
+   - For each provider, generate a comprehensive list of event types based on URL paths, query keys, and request patterns:
+     * Page view events: "page_view", "pageview", "pv", etc.
+     * Scroll events: "scroll", "scroll_depth", "scroll_percentage", etc. (look for scroll-related query params or paths)
+     * Click events: "click", "button_click", "link_click", "cta_click", etc.
+     * Form events: "form_submit", "form_view", "form_start", "email_submit", "newsletter_signup", etc.
+     * Search events: "search", "search_query", "site_search", etc.
+     * Engagement events: "engagement", "time_on_page", "video_play", etc.
+     * Custom events: infer from query parameter names, URL paths, or request bodies
+   - Be thorough: if you see multiple requests to the same analytics provider, list each distinct event pattern
+   - Include events even if the exact event name isn't clear - infer from context (e.g., if you see a HubSpot form script, include "form_view" and "form_submit" events)
+
+You MUST respond with valid JSON ONLY, matching this TypeScript interface exactly:
+
+interface AIReconResult {
+  summary_markdown: string;
+  tech_stack: {
+    name: string;
+    category: string;    // "framework", "cdn", "cms", "analytics", "infrastructure", "other"
+    confidence: number;  // 0.0 - 1.0
+    evidence: string[];  // short strings explaining why you believe this
+    account_id?: string; // include if you detect account/property/site IDs for analytics tools
+  }[];
+  analytics_events: {
+    provider: string;
+    event_name: string | null;
+    page_url: string | null;
+    request_url: string | null;
+    notes: string | null;
+  }[];
+}
+
+Rules:
+- Analyze ALL pages and ALL requests - this is comprehensive data with no limits.
+- Do NOT hallucinate technologies that you cannot reasonably tie to evidence.
+- The "evidence" field should quote hostnames, URL paths, or recognizable header/query keys/values.
+- For analytics events: use FULL query parameter VALUES and postData when available to extract actual event names.
+- For GA4 specifically: Look for parameters like "en" (event_name), "ep" (event_parameters), "_p" (page), "epn" (event parameter name), "epv" (event parameter value).
+- Common GA4 event patterns: "en=click", "en=page_view", "en=scroll", "en=form_submit", "en=button_click", "en=link_click", "en=scroll_milestone", etc.
+- CRITICAL: GA4 often batches multiple events in a single POST body, separated by spaces or newlines. Each event starts with "en=" (event name).
+  Example: "en=scroll_milestone&ep.percent_scrolled=25% en=scroll_milestone&ep.percent_scrolled=50% en=click&ep.button_id=submit"
+  You MUST extract EACH event separately from batched POST data. Split on spaces/newlines and parse each event individually.
+- For batched events: Parse each "en=..." segment as a separate event, even if they're in the same POST request.
+- Look for scroll-related parameters (scroll, scroll_depth, scroll_percentage, scroll_pct, etc.) to identify scroll events.
+- Look for form-related parameters (form_id, form_name, email, form_submit, etc.) to identify form submission events.
+- Look for search-related parameters (q, query, search_term, search_query, etc.) to identify search events.
+- Look for click/interaction parameters (click, button_click, link_click, cta_click, interaction, element_click, etc.).
+- Extract event names from POST body data when present (often JSON or form-encoded) - GA4 often sends events in POST bodies.
+- GA4 BATCHED EVENTS: GA4 frequently sends multiple events in a single POST body, separated by spaces.
+  Format: "en=event1&params... en=event2&params... en=event3&params..."
+  You MUST split the POST body on spaces/newlines and extract EACH event separately.
+  Example: "en=scroll_milestone&ep.percent_scrolled=25% en=scroll_milestone&ep.percent_scrolled=50%"
+  Should produce 2 separate events: scroll_milestone (25%) and scroll_milestone (50%).
+- Use the response object on each request: a 2xx/204 status means the hit was accepted; 4xx/5xx or failed/blocked means it did not reach the provider - say so in notes.
+- Use response headers (server, x-powered-by, cf-ray, via, x-vercel-id, etc.) as tech-stack evidence.
+- Be EXHAUSTIVE: list EVERY distinct event you find, even if similar. If you see 10 different button clicks, list all 10.
+- For GA4: Each request to /g/collect or /collect may contain multiple batched events - extract ALL of them as separate events.
+- Event parameters: Extract event parameters (ep.*) like ep.percent_scrolled, ep.button_id, ep.link_url, etc. and include in notes.
+- Include the page_url and request_url for each event to show where it was captured.
+- It is OK to leave event_name or URLs null when not available, but be thorough in extracting event names from available data.
+- IMPORTANT: Don't group similar events - list each unique event separately with its specific parameters.
+{{#taxonomy}}
+- Client event taxonomy - when a captured event matches one of these, use the taxonomy name as event_name and put the raw provider name in notes:
+{{taxonomy}}
+{{/taxonomy}}
+- Return ONLY a single JSON object, no prose before or after.
+`.trim();
+
+  const STRATEGY_PROMPT = `
+You are an expert in digital analytics, and data architecture.
+{{#siteName}}
+The site is {{siteName}}{{#vertical}} (vertical: {{vertical}}){{/vertical}}.
+{{/siteName}}
+
+Your job is to generate a complete analytics recommendation for a modern website, focusing ONLY on the "Recommend Strategy" output. Keep the JSON output schema the same:
+{
+  "recommendations": [
+    {
+      "selector": "string (unique CSS selector)",
+      "eventName": "string (snake_case, GA4-friendly)",
+      "category": "string (e.g., Navigation, Conversion, User Journey, Engagement, E-commerce, Lead Generation, Content, Utility)",
+      "reasoning": "string (why this matters in the journey; note if auto-collected by GA4 Enhanced Measurement)",
+      "priority": "High" | "Medium" | "Low",
+      "codeSnippet": "string (JavaScript dataLayer.push code using the data layer schema below)",
+      "triggerType": "string (CSS Selector or Text Match)",
+      "triggerValue": "string (selector or text for GTM)",
+      "isAutoCollected": boolean
+    }
+  ]
+}
+
+Apply this prompt when generating recommendations:
+
+1) User Experience + Journey Understanding
+- Identify core audience types and jobs-to-be-done.
+- Map the journey: awareness → exploration → evaluation → conversion → retention.
+- Identify friction points and critical interaction moments.
+
+2) Component-Based Product Interaction Model
+- Analyze UI components/blocks: navigation (header, mega menu, mobile nav, footer), content blocks (hero, promo, FAQ, grids, carousels), forms and micro-interactions (field interactions, progress, errors), product/service cards, pricing, search/filters/sorting, checkout or lead paths, utility (chat, sticky CTA, account actions).
+
+3) Analytics Naming Conventions
+- Event names: snake_case (e.g., navigation_interaction, content_block_impression).
+- Parameters: dot.notation namespaces (e.g., navigation.item_label, form.field_name).
+- Component names: short, semantic (e.g., hero_banner, product_grid, faq_section).
+- Every event must include: page_type, page_path, component_id (when applicable), component_type.
+
+4) Event Taxonomy Design (GA4-ready)
+- For each event: event name, description, trigger conditions, parameters (name + type + description), example payload.
+- Group events by: Navigation interactions; Content block interactions & impressions; Search; Forms; Conversions; Product engagement; Utility interactions (chat, sticky CTA, account actions).
+
+5) Data Layer Schema (use in codeSnippet)
+{
+  "event": "",
+  "page": { "type": "", "path": "", "language": "" },
+  "component": { "id": "", "type": "", "position": "", "metadata": {} },
+  "interaction": { "type": "", "value": "", "target": "" }
+}
+- Include rules for: component impressions (IntersectionObserver), component clicks, form start/field interaction/submit success-failure, nav hierarchy (level 1–3), scroll depth, personalization experiments (variant, algorithm).
+
+6) User Journey KPIs
+- KPIs for: navigation discoverability, block engagement, content depth, conversion & form drop-off, product evaluation patterns, retention & repeat engagement.
+
+7) Recommendations
+- Provide implementation notes, suggested event consolidation, how to push to GA4 + BigQuery, personalization insights, and dashboard outline (Looker Studio/PowerBI) – embed the most relevant notes into reasoning.
+
+Additional rules to fit our DOM and navigation detection:
+- Use navigation metadata when present: navigation.location ('header' | 'footer' | 'dropdown'), navigation.hasDropdown, navigation.parentNav, navigation.dropdownItems.
+- Track ALL header and footer navigation links, and ALL dropdown/popup menu items. Parents and children each get their own event.
+- DO NOT use select_content for navigation. Use navigation-specific events: navigation_click (or nav_item_click), navigation_menu_open, navigation_menu_close, navigation_section_impression where appropriate. Include parameters navigation.location, navigation.parent (if dropdown), navigation.item_label, navigation.link_url.
+- For forms: form_start, field interaction, generate_lead/sign_up submit success/failure with form_id, form_name, error/message when relevant.
+- For impressions: use IntersectionObserver-driven component impressions (content_block_impression) with component_id/component_type.
+- For search: search event with search_term; for filters/sorting: filter_interaction, sort_interaction.
+- For e-commerce: view_item_list, select_item, view_item, add_to_cart, begin_checkout, purchase with items array; keep GA4 alignment.
+- For auto-collected events (page_view, scroll, file_download, outbound_click, site_search): set isAutoCollected: true and explain when a custom layer is still helpful (e.g., virtual page views, scroll milestones, segmented file types).
+- ALWAYS include the core GA4 Enhanced Measurement autos as individual recommendations (one per event, NOT grouped), each marked isAutoCollected: true: page_view, scroll, outbound_click, file_download, site_search, video_start, video_progress, video_complete. Treat them like other events: one per line with its own selector/trigger and reasoning. Make clear these fire when the GA4 base tag is present; include a short codeSnippet showing how to extend/segment if needed (e.g., virtual page views, scroll depth thresholds, file type filtering).
+- Consolidate redundant interactions: do NOT emit multiple near-duplicate events for the same UI component. Group cookie/consent banners into a single event (e.g., consent_interaction) with parameters: consent_action (accept/reject/preferences), consent_provider, consent_area (banner/modal), and link_text if applicable. Prefer GA4-aligned parameter naming (snake_case) even if event is custom.
+
+{{#taxonomy}}
+Client event taxonomy (takes precedence over the naming conventions and event names above; use these names and parameters wherever they fit):
+{{taxonomy}}
+
+{{/taxonomy}}Implementation expectations for codeSnippet:
+- Use dataLayer.push with the schema above.
+- Include page_type, page_path, component_id, component_type, and relevant parameters per event.
+- Use snake_case for event and dot.notation for parameters where helpful (e.g., navigation.item_label, form.field_name).
+- Keep payload concise and production-ready.
+`.trim();
+
+  const QA_PROMPT = `
+You are CAST, a web analytics QA assistant answering questions about one captured crawl session{{#siteName}} of {{siteName}}{{/siteName}}.
+
+You receive the session's tech stack results, analytics event results and the network requests most relevant to the question. Requests are grouped by page in capture order, numbered [R1], [R2]..., and show the time since the first listed request on that page, the method and URL, the response status, and any locally decoded analytics hit (provider, event name, account ID, parameters).
+
+Rules:
+- Answer ONLY from this data. If it does not contain enough to answer, say what is missing and what to check (e.g. crawl the checkout pages, run AI Analysis).
+- Cite every request you rely on inline as [R#] and list the same labels in citations. Never cite a label that is not in the data.
+- Name pages by URL. When asked about ordering (e.g. consent before config), compare the listed times on the same page.
+- GA4 consent: gcs (e.g. G100 denied, G111 granted) and gcd carry Consent Mode state. A request without them was sent without consent signals.
+- Keep answers short: a direct answer first, then the supporting evidence as a list.
+`.trim();
+
+  const DEFAULT_PROMPTS = {
+    recon: { label: 'Batch analysis', template: RECON_PROMPT },
+    strategy: { label: 'Strategy', template: STRATEGY_PROMPT },
+    qa: { label: 'Session Q&A', template: QA_PROMPT }
+  };
+
+  function createLibrary() {
+    return {
+      variables: Object.fromEntries(Object.keys(VARIABLES).map(name => [name, ''])),
+      prompts: Object.fromEntries(Object.keys(DEFAULT_PROMPTS).map(id => [id, { active: 'default', versions: [] }]))
+    };
+  }
+
+  // Fill in anything missing from a stored (or older) library
+  function normalizeLibrary(raw) {
+    const library = createLibrary();
+    if (!raw || typeof raw !== 'object') return library;
+    Object.keys(VARIABLES).forEach((name) => {
+      if (typeof raw.variables?.[name] === 'string') library.variables[name] = raw.variables[name];
+    });
+    Object.keys(DEFAULT_PROMPTS).forEach((id) => {
+      const stored = raw.prompts?.[id];
+      if (!stored) return;
+      const versions = (Array.isArray(stored.versions) ? stored.versions : [])
+        .filter(entry => entry && typeof entry.template === 'string' && Number.isInteger(entry.version));
+      const active = versions.some(entry => entry.version === stored.active) ? stored.active : 'default';
+      library.prompts[id] = { active, versions };
+    });
+    return library;
+  }
+
+  // "recon@builtin-1" or "recon@v3", recorded on every result the prompt produced
+  function versionLabel(id, version) {
+    return version === 'default' ? `${id}@builtin-${BUILTIN_REVISION}` : `${id}@v${version}`;
+  }
+
+  function getActivePrompt(library, id) {
+    const entry = library.prompts[id];
+    const custom = entry && entry.active !== 'default'
+      ? entry.versions.find(version => version.version === entry.active)
+      : null;
+    return {
+      id,
+      template: custom ? custom.template : DEFAULT_PROMPTS[id].template,
+      version: custom ? custom.version : 'default',
+      label: versionLabel(id, custom ? custom.version : 'default')
+    };
+  }
+
+  // {{name}} is replaced; {{#name}}...{{/name}} is kept only when the variable is non-empty
+  function renderPrompt(template, variables = {}) {
+    const value = name => String(variables[name] ?? '').trim();
+    let text = String(template);
+    // Sections can nest, so resolve them until none are left
+    for (let previous = null; previous !== text;) {
+      previous = text;
+      text = text.replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}\n?/g, (match, name, body) => (value(name) ? body : ''));
+    }
+    return text
+      .replace(/\{\{(\w+)\}\}/g, (match, name) => value(name))
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  // The library helpers below return a new library; callers save it under STORAGE_KEY
+  function saveVersion(library, id, template, note = '') {
+    const next = normalizeLibrary(library);
+    const entry = next.prompts[id];
+    const version = entry.versions.reduce((max, item) => Math.max(max, item.version), 0) + 1;
+    entry.versions.push({ version, template, note: String(note || ''), savedAt: Date.now() });
+    entry.versions = entry.versions.slice(-MAX_VERSIONS);
+    entry.active = version;
+    return { library: next, version };
+  }
+
+  function activateVersion(library, id, version) {
+    const next = normalizeLibrary(library);
+    const entry = next.prompts[id];
+    entry.active = version !== 'default' && entry.versions.some(item => item.version === version) ? version : 'default';
+    return next;
+  }
+
+  // History is kept, so a reset can be undone by activating the previous version
+  function resetToDefault(library, id) {
+    return activateVersion(library, id, 'default');
+  }
+
+  function setVariables(library, variables) {
+    const next = normalizeLibrary(library);
+    Object.keys(VARIABLES).forEach((name) => {
+      if (typeof variables?.[name] === 'string') next.variables[name] = variables[name];
+    });
+    return next;
+  }
+
+  function exportLibrary(library) {
+    return { type: 'cast-prompt-library', exportedAt: new Date().toISOString(), ...normalizeLibrary(library) };
+  }
+
+  // Imported versions are appended as new versions, so nothing already saved is overwritten; a template
+  // identical to a saved version reuses that version. Imported variables are merged: only the ones the
+  // export actually sets replace local values. A prompt switches to the imported active version only
+  // when the export customizes it; otherwise the local active version stays.
+  function importLibrary(library, data) {
+    if (!data || data.type !== 'cast-prompt-library') {
+      throw new Error('Not a CAST prompt library export.');
+    }
+    const imported = normalizeLibrary(data);
+    let next = setVariables(library, Object.fromEntries(Object.entries(imported.variables).filter(([, value]) => value.trim())));
+    let added = 0;
+    Object.entries(imported.prompts).forEach(([id, entry]) => {
+      if (!entry.versions.length) return;
+      const localActive = next.prompts[id].active;
+      let activeVersion = null;
+      entry.versions.forEach((item) => {
+        let version = next.prompts[id].versions.find(existing => existing.template === item.template)?.version;
+        if (version === undefined) {
+          const result = saveVersion(next, id, item.template, item.note ? `Imported: ${item.note}` : `Imported v${item.version}`);
+          next = result.library;
+          version = result.version;
+          added++;
+        }
+        if (item.version === entry.active) activeVersion = version;
+      });
+      next = activateVersion(next, id, activeVersion ?? localActive);
+    });
+    return { library: next, added };
+  }
+
+  // Make available globally for service worker and side panel
+  self.CASTPrompts = {
+    STORAGE_KEY,
+    VARIABLES,
+    DEFAULT_PROMPTS,
+    normalizeLibrary,
+    versionLabel,
+    getActivePrompt,
+    renderPrompt,
+    saveVersion,
+    activateVersion,
+    resetToDefault,
+    setVariables,
+    exportLibrary,
+    importLibrary
+  };
+})();
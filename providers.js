@@ -0,0 +1,278 @@
+// LLM provider adapters for CAST
+// One generate() / embed() call over Gemini, OpenAI-compatible endpoints (OpenAI, a local Ollama or
+// llama.cpp server) and Anthropic, so each AI task can run on its own provider and model.
+(function () {
+  const PROVIDERS = {
+    gemini: {
+      label: 'Google Gemini',
+      baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+      requiresKey: true,
+      models: { analysis: 'gemini-3-flash-preview', strategy: 'gemini-3-pro-preview', embedding: 'text-embedding-004' }
+    },
+    openai: {
+      label: 'OpenAI-compatible',
+      baseUrl: 'http://localhost:11434/v1', // Ollama; llama.cpp's server listens on :8080/v1
+      requiresKey: false,
+      models: { analysis: 'llama3.1', strategy: 'llama3.1', embedding: 'nomic-embed-text' }
+    },
+    anthropic: {
+      label: 'Anthropic',
+      baseUrl: 'https://api.anthropic.com/v1',
+      requiresKey: true,
+      models: { analysis: 'claude-sonnet-4-5', strategy: 'claude-opus-4-1', embedding: null } // No embeddings API
+    }
+  };
+
+  // Tasks that pick their own provider/model in Configuration
+  const TASKS = {
+    analysis: 'Batch analysis',
+    strategy: 'Strategy',
+    qa: 'Session Q&A',
+    embedding: 'Retrieval embeddings'
+  };
+
+  const ANTHROPIC_VERSION = '2023-06-01';
+  const DEFAULT_MAX_OUTPUT_TOKENS = 16384;
+
+  // settings: { geminiApiKey, openaiCompatible: { baseUrl, apiKey }, anthropicApiKey, aiTaskModels }
+  function resolveModelConfig(settings = {}, task = 'analysis') {
+    const choice = (settings.aiTaskModels || {})[task] || {};
+    const provider = PROVIDERS[choice.provider] ? choice.provider : 'gemini';
+    const defaults = PROVIDERS[provider];
+    const config = {
+      task,
+      provider,
+      label: defaults.label,
+      model: String(choice.model || '').trim() || (task in defaults.models ? defaults.models[task] : defaults.models.analysis) || '',
+      baseUrl: defaults.baseUrl,
+      apiKey: null
+    };
+    if (provider === 'gemini') {
+      config.apiKey = settings.geminiApiKey || null;
+    } else if (provider === 'openai') {
+      const openai = settings.openaiCompatible || {};
+      config.baseUrl = String(openai.baseUrl || '').trim() || defaults.baseUrl;
+      config.apiKey = openai.apiKey || null;
+    } else if (provider === 'anthropic') {
+      config.apiKey = settings.anthropicApiKey || null;
+    }
+    config.baseUrl = config.baseUrl.replace(/\/+$/, '');
+    return config;
+  }
+
+  function isConfigured(config) {
+    if (!config || !config.model || !config.baseUrl) return false;
+    return !PROVIDERS[config.provider].requiresKey || !!config.apiKey;
+  }
+
+  // Gemini's responseSchema is an OpenAPI subset: no type unions (nullable instead), no minLength
+  function toGeminiSchema(schema) {
+    const out = {};
+    if (Array.isArray(schema.type)) {
+      out.type = schema.type.find(type => type !== 'null');
+      if (schema.type.includes('null')) out.nullable = true;
+    } else if (schema.type) {
+      out.type = schema.type;
+    }
+    ['description', 'enum', 'required', 'minimum', 'maximum'].forEach((key) => {
+      if (schema[key] !== undefined) out[key] = schema[key];
+    });
+    if (schema.properties) {
+      out.properties = Object.fromEntries(Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)]));
+    }
+    if (schema.items) out.items = toGeminiSchema(schema.items);
+    return out;
+  }
+
+  // Response headers kept on errors so the caller can honour Retry-After / quota resets
+  const RATE_LIMIT_HEADERS = ['retry-after', 'retry-after-ms', 'x-ratelimit-reset-requests', 'x-ratelimit-reset-tokens'];
+
+  function providerError(config, message, status, headers) {
+    const error = new Error(`${config.label} API error: ${message}`);
+    error.provider = config.provider;
+    if (status) error.status = status;
+    if (headers) {
+      error.responseHeaders = {};
+      RATE_LIMIT_HEADERS.forEach((name) => {
+        const value = headers.get(name);
+        if (value) error.responseHeaders[name] = value;
+      });
+    }
+    return error;
+  }
+
+  async function postJson(config, url, headers, body, signal) {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal
+    });
+    if (!res.ok) {
+      const text = await res.text().catch(() => '');
+      throw providerError(config, text || res.statusText, res.status, res.headers);
+    }
+    return res.json();
+  }
+
+  // Name used for the structured-output schema / tool
+  function schemaToolName(schema) {
+    return String(schema.name || 'result').replace(/[^a-zA-Z0-9_-]/g, '_');
+  }
+
+  const adapters = {
+    async gemini(config, { system, prompt, schema, signal }) {
+      const url = `${config.baseUrl}/models/${encodeURIComponent(config.model)}:generateContent?key=${encodeURIComponent(config.apiKey)}`;
+      const data = await postJson(config, url, {}, {
+        contents: [{ parts: [{ text: system }, { text: prompt }] }],
+        ...(schema ? {
+          generationConfig: { responseMimeType: 'application/json', responseSchema: toGeminiSchema(schema.schema) }
+        } : {})
+      }, signal);
+      const cand = data.candidates && data.candidates[0];
+      if (!cand || !cand.content || !cand.content.parts) {
+        throw providerError(config, 'No content returned.');
+      }
+      return {
+        text: cand.content.parts.map(p => p.text || '').join(''),
+        usage: {
+          inputTokens: data.usageMetadata?.promptTokenCount || 0,
+          outputTokens: data.usageMetadata?.candidatesTokenCount || 0,
+          totalTokens: data.usageMetadata?.totalTokenCount || 0
+        }
+      };
+    },
+
+    async openai(config, { system, prompt, maxOutputTokens, schema, signal }) {
+      const headers = config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {};
+      const request = (responseFormat) => postJson(config, `${config.baseUrl}/chat/completions`, headers, {
+        model: config.model,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: prompt }
+        ],
+        ...(maxOutputTokens ? { max_tokens: maxOutputTokens } : {}),
+        ...(responseFormat ? { response_format: responseFormat } : {})
+      }, signal);
+      let data;
+      try {
+        data = await request(schema ? {
+          type: 'json_schema',
+          json_schema: { name: schemaToolName(schema), schema: schema.schema }
+        } : null);
+      } catch (error) {
+        // Older local servers only know plain JSON mode
+        if (!schema || error.status !== 400 || !/response_format|json_schema/i.test(error.message)) throw error;
+        data = await request({ type: 'json_object' });
+      }
+      const message = data.choices && data.choices[0] && data.choices[0].message;
+      if (!message || typeof message.content !== 'string') {
+        throw providerError(config, 'No content returned.');
+      }
+      return {
+        text: message.content,
+        usage: {
+          inputTokens: data.usage?.prompt_tokens || 0,
+          outputTokens: data.usage?.completion_tokens || 0,
+          totalTokens: data.usage?.total_tokens || 0
+        }
+      };
+    },
+
+    async anthropic(config, { system, prompt, maxOutputTokens, schema, signal }) {
+      // Structured output goes through a forced tool call whose input_schema is the response schema
+      const toolName = schema ? schemaToolName(schema) : null;
+      const data = await postJson(config, `${config.baseUrl}/messages`, {
+        'x-api-key': config.apiKey,
+        'anthropic-version': ANTHROPIC_VERSION,
+        // Required for calls made from an extension origin
+        'anthropic-dangerous-direct-browser-access': 'true'
+      }, {
+        model: config.model,
+        max_tokens: maxOutputTokens || DEFAULT_MAX_OUTPUT_TOKENS,
+        system,
+        messages: [{ role: 'user', content: prompt }],
+        ...(schema ? {
+          tools: [{ name: toolName, description: 'Record the structured result.', input_schema: schema.schema }],
+          tool_choice: { type: 'tool', name: toolName }
+        } : {})
+      }, signal);
+      const usage = {
+        inputTokens: data.usage?.input_tokens || 0,
+        outputTokens: data.usage?.output_tokens || 0
+      };
+      usage.totalTokens = usage.inputTokens + usage.outputTokens;
+      const toolUse = schema && Array.isArray(data.content) ? data.content.find(block => block.type === 'tool_use') : null;
+      if (toolUse) return { text: JSON.stringify(toolUse.input), usage };
+      const blocks = Array.isArray(data.content) ? data.content.filter(block => block.type === 'text') : [];
+      if (!blocks.length) {
+        throw providerError(config, 'No content returned.');
+      }
+      return { text: blocks.map(block => block.text).join(''), usage };
+    }
+  };
+
+  // Embedding adapters: texts -> { vectors, usage }
+  const embedAdapters = {
+    async gemini(config, texts) {
+      const model = `models/${config.model}`;
+      const url = `${config.baseUrl}/${model}:batchEmbedContents?key=${encodeURIComponent(config.apiKey)}`;
+      const data = await postJson(config, url, {}, {
+        requests: texts.map(text => ({ model, content: { parts: [{ text }] } }))
+      });
+      const vectors = (data.embeddings || []).map(embedding => embedding.values);
+      // batchEmbedContents reports no usage; count the usual ~4 characters per token
+      const inputTokens = Math.ceil(texts.reduce((sum, text) => sum + text.length, 0) / 4);
+      return { vectors, usage: { inputTokens, outputTokens: 0, totalTokens: inputTokens } };
+    },
+
+    async openai(config, texts) {
+      const headers = config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {};
+      const data = await postJson(config, `${config.baseUrl}/embeddings`, headers, { model: config.model, input: texts });
+      const vectors = (data.data || []).slice().sort((a, b) => a.index - b.index).map(item => item.embedding);
+      const inputTokens = data.usage?.prompt_tokens || 0;
+      return { vectors, usage: { inputTokens, outputTokens: 0, totalTokens: data.usage?.total_tokens || inputTokens } };
+    }
+  };
+
+  function supportsEmbeddings(config) {
+    return !!config && !!embedAdapters[config.provider];
+  }
+
+  // Returns { vectors: number[][] (one per text), usage, provider, model }
+  async function embed(config, texts) {
+    if (!supportsEmbeddings(config)) {
+      throw new Error(`${config?.label || 'This provider'} has no embeddings API. Pick Google Gemini or an OpenAI-compatible endpoint for Retrieval embeddings.`);
+    }
+    if (!isConfigured(config)) {
+      throw new Error(`${config.label} is not configured. Add an API key or endpoint in Configuration.`);
+    }
+    const result = await embedAdapters[config.provider](config, texts);
+    if (result.vectors.length !== texts.length || result.vectors.some(vector => !Array.isArray(vector))) {
+      throw providerError(config, `Expected ${texts.length} embeddings, got ${result.vectors.length}.`);
+    }
+    return { ...result, provider: config.provider, model: config.model };
+  }
+
+  // Returns { text, usage: { inputTokens, outputTokens, totalTokens }, provider, model }.
+  // schema ({ name, schema }) switches on the provider's native JSON / response-schema mode.
+  // signal (AbortSignal) cancels the request, e.g. when the caller's timeout fires.
+  async function generate(config, { system, prompt, maxOutputTokens, schema, signal } = {}) {
+    if (!isConfigured(config)) {
+      throw new Error(`${config?.label || 'AI provider'} is not configured. Add an API key or endpoint in Configuration.`);
+    }
+    const result = await adapters[config.provider](config, { system, prompt, maxOutputTokens, schema, signal });
+    return { ...result, provider: config.provider, model: config.model };
+  }
+
+  // Make available globally for service worker and side panel
+  self.CASTProviders = {
+    PROVIDERS,
+    TASKS,
+    resolveModelConfig,
+    isConfigured,
+    supportsEmbeddings,
+    generate,
+    embed
+  };
+})();
@@ -1,6 +1,15 @@
 // RAG (Retrieval-Augmented Generation) module for CAST
-// Uses Gemini embeddings to create a searchable vector store of network requests
+// Embeds network requests with the configured provider's embedding endpoint into a searchable vector store
 // This allows analyzing unlimited data without hitting token limits
+//
+// An embedder is { id, embed(texts) -> Promise<number[][]> }; id (e.g. "gemini:text-embedding-004")
+// keeps vectors from different models apart in the cache and the store. Local embedders
+// (local-embedder.js) also have fit() / exportState() / importState(): their IDF weights are fitted
+// on a session's first run and saved with the session's vector index.
+//
+// Each session + model has an HNSW index (vector-index.js), so search doesn't scan every stored
+// embedding: its header and embedder state in the vectorIndexes store, one vectorIndexNodes record
+// per node. Saves write only the nodes an add changed.
 
 // Min-heap to keep only top-K results (more efficient than sorting all)
 class MinHeap {
@@ -52,9 +61,24 @@ class MinHeap {
 }
 
 class CASTRAG {
+  // Retrieval queries used when none are configured
+  static DEFAULT_QUERIES = [
+    'analytics tracking pageview event collect',
+    'google analytics ga4 gtag measurement event',
+    'google tag manager container gtm.js',
+    'facebook meta pixel tiktok linkedin advertising conversion',
+    'segment mixpanel amplitude hotjar clarity hubspot',
+    'consent cookie banner privacy',
+    'cdn hosting server framework vercel cloudflare netlify',
+    'cms ecommerce platform shopify wordpress contentful'
+  ];
+
+  // Loaded vector indexes by session + model, shared by every instance in this context
+  static vectorIndexes = new Map();
+
   constructor() {
     this.dbName = 'CAST_RAG_DB';
-    this.dbVersion = 1;
+    this.dbVersion = 3;
     this.db = null;
     this.embeddingCache = new Map(); // Cache embeddings to avoid duplicate API calls
   }
@@ -72,6 +96,7 @@ class CASTRAG {
 
       request.onupgradeneeded = (event) => {
         const db = event.target.result;
+        const transaction = event.target.transaction;
         
         // Store for network request embeddings
         if (!db.objectStoreNames.contains('embeddings')) {
@@ -92,20 +117,78 @@ class CASTRAG {
           const cacheStore = db.createObjectStore('embeddingCache', { keyPath: 'cacheKey' });
           cacheStore.createIndex('timestamp', 'timestamp', { unique: false });
         }
+
+        // v2: HNSW index (and local embedder state) per session + embedding model
+        if (!db.objectStoreNames.contains('vectorIndexes')) {
+          const indexStore = db.createObjectStore('vectorIndexes', { keyPath: 'key' });
+          indexStore.createIndex('sessionId', 'sessionId', { unique: false });
+        }
+
+        // v3: index nodes stored one per record, so a save writes only what changed
+        if (!db.objectStoreNames.contains('vectorIndexNodes')) {
+          const nodeStore = db.createObjectStore('vectorIndexNodes', { keyPath: 'nodeKey' });
+          nodeStore.createIndex('indexKey', 'indexKey', { unique: false });
+          nodeStore.createIndex('sessionId', 'sessionId', { unique: false });
+        }
+        if (event.oldVersion >= 1 && event.oldVersion < 3) this.migrateToV3(transaction);
       };
     });
   }
 
-  // Create embedding for a network request using Gemini
-  async createEmbedding(apiKey, requestData) {
-    // Create a text representation of the request for embedding
-    const text = this.requestToText(requestData);
-    
-    // Check in-memory cache first
-    const cacheKey = this.hashText(text);
-    if (this.embeddingCache.has(cacheKey)) {
-      return this.embeddingCache.get(cacheKey);
-    }
+  // Before v3 a failed embedding request stored a hash of the text's characters under the real
+  // model id: 768 non-negative values. Model embeddings always have negative components.
+  static isLegacyFallbackVector(vector) {
+    return Array.isArray(vector) && vector.length === 768 && vector.every(value => value >= 0);
+  }
+
+  // Drop legacy fallback vectors (cache and store) so those calls are embedded again, drop remote
+  // models' whole-index records (rebuilt from the embeddings on load) and split local ones into nodes
+  migrateToV3(transaction) {
+    const isFallback = CASTRAG.isLegacyFallbackVector;
+    const eachRecord = (storeName, visit) => {
+      transaction.objectStore(storeName).openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        visit(cursor);
+        cursor.continue();
+      };
+    };
+    eachRecord('embeddingCache', (cursor) => {
+      if (isFallback(cursor.value.embedding)) cursor.delete();
+    });
+    eachRecord('embeddings', (cursor) => {
+      if (isFallback(cursor.value.embedding)) cursor.delete();
+    });
+    const nodeStore = transaction.objectStore('vectorIndexNodes');
+    eachRecord('vectorIndexes', (cursor) => {
+      const record = cursor.value;
+      if (!String(record.embeddingModel || '').startsWith('local:') || !record.index || !record.index.nodes) {
+        cursor.delete();
+        return;
+      }
+      const { nodes, ...header } = record.index;
+      nodes.forEach(node => nodeStore.put(this.nodeRecord(record, node)));
+      cursor.update({ ...record, index: header });
+    });
+  }
+
+  nodeRecord(entry, [id, level, vector, neighbors]) {
+    return { nodeKey: `${entry.key}|${id}`, indexKey: entry.key, sessionId: entry.sessionId, id, level, vector, neighbors };
+  }
+
+  // Create embedding for a network request (or a query, passed as { host: query })
+  async createEmbedding(embedder, requestData) {
+    const [embedding] = await this.createEmbeddings(embedder, [requestData]);
+    return embedding;
+  }
+
+  // Embed several requests in one call; cached texts are not sent again
+  async createEmbeddings(embedder, requestDataList) {
+    const texts = requestDataList.map(requestData => this.requestToText(requestData));
+    // Local vectors depend on the session's fitted weights and cost nothing to recompute
+    if (embedder.local) return embedder.embed(texts);
+    const cacheKeys = texts.map(text => `${embedder.id}|${this.hashText(text)}`);
+    const embeddings = new Array(texts.length).fill(null);
     
     // Ensure DB is initialized for persistent cache check
     if (!this.db) {
@@ -116,54 +199,45 @@ class CASTRAG {
       }
     }
     
-    // Check persistent cache in IndexedDB
-    if (this.db) {
-      try {
-        const cacheStore = this.db.transaction(['embeddingCache'], 'readonly').objectStore('embeddingCache');
-        const cached = await new Promise((resolve, reject) => {
-          const request = cacheStore.get(cacheKey);
-          request.onsuccess = () => resolve(request.result);
-          request.onerror = () => reject(request.error);
-        });
-        
-        if (cached && cached.embedding) {
-          // Update in-memory cache
-          this.embeddingCache.set(cacheKey, cached.embedding);
-          return cached.embedding;
+    for (let i = 0; i < texts.length; i++) {
+      // Check in-memory cache first
+      if (this.embeddingCache.has(cacheKeys[i])) {
+        embeddings[i] = this.embeddingCache.get(cacheKeys[i]);
+        continue;
+      }
+      // Check persistent cache in IndexedDB
+      if (this.db) {
+        try {
+          const cacheStore = this.db.transaction(['embeddingCache'], 'readonly').objectStore('embeddingCache');
+          const cached = await new Promise((resolve, reject) => {
+            const request = cacheStore.get(cacheKeys[i]);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+          });
+          if (cached && cached.embedding) {
+            // Update in-memory cache
+            this.embeddingCache.set(cacheKeys[i], cached.embedding);
+            embeddings[i] = cached.embedding;
+          }
+        } catch (error) {
+          // Cache read failed, continue to API call
+          console.warn('Cache read failed:', error);
         }
-      } catch (error) {
-        // Cache read failed, continue to API call
-        console.warn('Cache read failed:', error);
       }
     }
 
-    try {
-      const endpoint = `https://generativelanguage.googleapis.com/v1beta/models/text-embedding-004:embedContent?key=${encodeURIComponent(apiKey)}`;
-      
-      const response = await fetch(endpoint, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          model: 'models/text-embedding-004',
-          content: {
-            parts: [{ text }]
-          }
-        })
-      });
-
-      if (!response.ok) {
-        throw new Error(`Embedding API error: ${await response.text()}`);
-      }
+    const missing = embeddings.map((embedding, i) => (embedding ? -1 : i)).filter(i => i !== -1);
+    if (!missing.length) return embeddings;
 
-      const data = await response.json();
-      const embedding = data.embedding?.values;
-      
-      if (!embedding) {
-        throw new Error('No embedding returned');
-      }
+    // A failed request throws: nothing is cached or stored for these texts, so the next run retries them
+    const vectors = await embedder.embed(missing.map(i => texts[i]));
 
+    for (let n = 0; n < missing.length; n++) {
+      const i = missing[n];
+      const embedding = vectors[n];
+      embeddings[i] = embedding;
       // Cache the embedding in memory
-      this.embeddingCache.set(cacheKey, embedding);
+      this.embeddingCache.set(cacheKeys[i], embedding);
       
       // Cache the embedding in IndexedDB (persistent)
       if (this.db) {
@@ -171,9 +245,9 @@ class CASTRAG {
           const cacheStore = this.db.transaction(['embeddingCache'], 'readwrite').objectStore('embeddingCache');
           await new Promise((resolve, reject) => {
             const request = cacheStore.put({
-              cacheKey,
+              cacheKey: cacheKeys[i],
               embedding,
-              text: text.substring(0, 500), // Store text preview for debugging
+              text: texts[i].substring(0, 500), // Store text preview for debugging
               timestamp: Date.now()
             });
             request.onsuccess = () => resolve();
@@ -184,13 +258,9 @@ class CASTRAG {
           console.warn('Cache write failed:', error);
         }
       }
-      
-      return embedding;
-    } catch (error) {
-      console.error('Embedding creation failed:', error);
-      // Fallback: return a simple hash-based vector (not ideal but works)
-      return this.fallbackEmbedding(text);
     }
+    
+    return embeddings;
   }
 
   // Convert network request to text for embedding
@@ -243,17 +313,6 @@ class CASTRAG {
     return hash.toString();
   }
 
-  // Fallback embedding if API fails (simple hash-based)
-  fallbackEmbedding(text) {
-    const vector = new Array(768).fill(0);
-    for (let i = 0; i < text.length; i++) {
-      vector[i % 768] += text.charCodeAt(i);
-    }
-    // Normalize
-    const magnitude = Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0));
-    return vector.map(val => magnitude > 0 ? val / magnitude : 0);
-  }
-
   // Cosine similarity between two vectors
   cosineSimilarity(vecA, vecB) {
     if (vecA.length !== vecB.length) return 0;
@@ -272,7 +331,7 @@ class CASTRAG {
   }
 
   // Store embedding in IndexedDB
-  async storeEmbedding(requestData, embedding, sessionId) {
+  async storeEmbedding(requestData, embedding, sessionId, embeddingModel = null) {
     if (!this.db) await this.initDB();
 
     const store = this.db.transaction(['embeddings'], 'readwrite').objectStore('embeddings');
@@ -284,6 +343,7 @@ class CASTRAG {
       host: requestData.host,
       requestData,
       embedding,
+      embeddingModel,
       timestamp: Date.now()
     };
 
@@ -294,9 +354,118 @@ class CASTRAG {
     });
   }
 
+  vectorIndexKey(sessionId, embeddingModel) {
+    return `${sessionId}|${embeddingModel}`;
+  }
+
+  async getSessionEmbeddings(sessionId, embeddingModel = null) {
+    if (!this.db) await this.initDB();
+    const records = await new Promise((resolve, reject) => {
+      const request = this.db.transaction(['embeddings'], 'readonly').objectStore('embeddings').index('sessionId').getAll(sessionId);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return embeddingModel ? records.filter(record => record.embeddingModel === embeddingModel) : records;
+  }
+
+  // Index entry { key, sessionId, embeddingModel, index, embedderState } from memory or IndexedDB
+  async loadVectorIndex(sessionId, embeddingModel) {
+    const key = this.vectorIndexKey(sessionId, embeddingModel);
+    if (CASTRAG.vectorIndexes.has(key)) return CASTRAG.vectorIndexes.get(key);
+    if (!this.db) await this.initDB();
+    const transaction = this.db.transaction(['vectorIndexes', 'vectorIndexNodes'], 'readonly');
+    const [saved, nodes] = await Promise.all([
+      new Promise((resolve, reject) => {
+        const request = transaction.objectStore('vectorIndexes').get(key);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }),
+      new Promise((resolve, reject) => {
+        const request = transaction.objectStore('vectorIndexNodes').index('indexKey').getAll(key);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      })
+    ]);
+    if (!saved) return null;
+    const index = saved.index && self.CASTVectorIndex.deserialize({
+      ...saved.index,
+      nodes: nodes.map(node => [node.id, node.level, node.vector, node.neighbors])
+    });
+    const entry = { ...saved, index: index || self.CASTVectorIndex.createIndex() };
+    CASTRAG.vectorIndexes.set(key, entry);
+    return entry;
+  }
+
+  // Load the index, or build it from the stored embeddings (sessions embedded before v2 had none)
+  async ensureVectorIndex(sessionId, embeddingModel) {
+    const existing = await this.loadVectorIndex(sessionId, embeddingModel);
+    if (existing) return existing;
+    const entry = {
+      key: this.vectorIndexKey(sessionId, embeddingModel),
+      sessionId,
+      embeddingModel,
+      index: self.CASTVectorIndex.createIndex(),
+      embedderState: null
+    };
+    const records = await this.getSessionEmbeddings(sessionId, embeddingModel);
+    records.forEach(record => entry.index.add(record.id, record.embedding));
+    CASTRAG.vectorIndexes.set(entry.key, entry);
+    if (records.length) await this.saveVectorIndex(entry);
+    return entry;
+  }
+
+  // Writes the index header, embedder state and the nodes changed since the last save
+  async saveVectorIndex(entry) {
+    if (!this.db) await this.initDB();
+    const { nodes, ...header } = entry.index.pendingChanges();
+    await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['vectorIndexes', 'vectorIndexNodes'], 'readwrite');
+      transaction.objectStore('vectorIndexes').put({
+        key: entry.key,
+        sessionId: entry.sessionId,
+        embeddingModel: entry.embeddingModel,
+        index: header,
+        embedderState: entry.embedderState,
+        updatedAt: Date.now()
+      });
+      const nodeStore = transaction.objectStore('vectorIndexNodes');
+      nodes.forEach(node => nodeStore.put(this.nodeRecord(entry, node)));
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+    entry.index.markSaved(nodes.map(([id]) => id));
+  }
+
+  // Restore a local embedder's fitted weights for the session, or fit them on these requests
+  async prepareEmbedder(embedder, sessionId, requestDataList = []) {
+    if (!embedder.fit) return;
+    const entry = await this.ensureVectorIndex(sessionId, embedder.id);
+    if (entry.embedderState && embedder.importState(entry.embedderState)) return;
+    if (!requestDataList.length) return;
+    embedder.fit(requestDataList.map(requestData => this.requestToText(requestData)));
+    entry.embedderState = embedder.exportState();
+    await this.saveVectorIndex(entry);
+  }
+
+  // Nearest records from the session's HNSW index, shaped like the linear scan's results
+  async searchVectorIndex(queryEmbedding, sessionId, limit, embeddingModel) {
+    const entry = await this.ensureVectorIndex(sessionId, embeddingModel);
+    if (!entry.index.size) return [];
+    const hits = entry.index.search(queryEmbedding, limit);
+    const store = this.db.transaction(['embeddings'], 'readonly').objectStore('embeddings');
+    const records = await Promise.all(hits.map(hit => new Promise((resolve, reject) => {
+      const request = store.get(hit.id);
+      request.onsuccess = () => resolve(request.result ? { ...request.result, similarity: hit.similarity } : null);
+      request.onerror = () => reject(request.error);
+    })));
+    return records.filter(Boolean);
+  }
+
   // Search for similar requests using semantic search (optimized for large datasets)
-  async searchSimilar(queryEmbedding, sessionId, limit = 50) {
+  // With an embeddingModel the session's HNSW index answers; without one every vector is scanned
+  async searchSimilar(queryEmbedding, sessionId, limit = 50, embeddingModel = null) {
     if (!this.db) await this.initDB();
+    if (embeddingModel) return this.searchVectorIndex(queryEmbedding, sessionId, limit, embeddingModel);
 
     return new Promise((resolve, reject) => {
       try {
@@ -329,7 +498,7 @@ class CASTRAG {
           processed++;
           
           // Calculate similarity if embedding exists
-          if (record.embedding && Array.isArray(record.embedding)) {
+          if (record.embedding && Array.isArray(record.embedding) && (!embeddingModel || record.embeddingModel === embeddingModel)) {
             try {
               const similarity = this.cosineSimilarity(queryEmbedding, record.embedding);
               batch.push({ ...record, similarity });
@@ -371,7 +540,7 @@ class CASTRAG {
   async clearSession(sessionId) {
     if (!this.db) await this.initDB();
 
-    return new Promise((resolve, reject) => {
+    await new Promise((resolve, reject) => {
       const store = this.db.transaction(['embeddings'], 'readwrite').objectStore('embeddings');
       const index = store.index('sessionId');
       const request = index.getAll(sessionId);
@@ -391,6 +560,36 @@ class CASTRAG {
 
       request.onerror = () => reject(request.error);
     });
+
+    await Promise.all(['vectorIndexes', 'vectorIndexNodes'].map(storeName => new Promise((resolve, reject) => {
+      const request = this.db.transaction([storeName], 'readwrite').objectStore(storeName)
+        .index('sessionId').openCursor(IDBKeyRange.only(sessionId));
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        if (storeName === 'vectorIndexes') CASTRAG.vectorIndexes.delete(cursor.value.key);
+        cursor.delete();
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    })));
+  }
+
+  // Remove every stored embedding, index, session and cached vector (used when the browser data is wiped)
+  async clearAll() {
+    if (!this.db) await this.initDB();
+    const storeNames = ['embeddings', 'sessions', 'embeddingCache', 'vectorIndexes', 'vectorIndexNodes'];
+    await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeNames, 'readwrite');
+      storeNames.forEach(name => transaction.objectStore(name).clear());
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+    this.embeddingCache.clear();
+    CASTRAG.vectorIndexes.clear();
   }
 
   // Create a unique signature for a network call to check if embedding exists
@@ -403,7 +602,7 @@ class CASTRAG {
   }
 
   // Get existing embeddings for a session to check what's already processed
-  async getExistingEmbeddings(sessionId) {
+  async getExistingEmbeddings(sessionId, embeddingModel = null) {
     if (!this.db) await this.initDB();
     
     return new Promise((resolve, reject) => {
@@ -416,7 +615,7 @@ class CASTRAG {
         // Create a set of signatures for quick lookup
         const signatures = new Set();
         records.forEach(record => {
-          if (record.requestData) {
+          if (record.requestData && (!embeddingModel || record.embeddingModel === embeddingModel)) {
             const sig = this.getRequestSignature(record.requestData);
             signatures.add(sig);
           }
@@ -428,15 +627,13 @@ class CASTRAG {
     });
   }
 
-  // Process network call list and create embeddings in parallel batches
-  // Only creates embeddings for new calls that don't already have embeddings
-  async processNetworkCalls(apiKey, networkCalls, sessionId, progressCallback = null) {
-    if (!this.db) await this.initDB();
-
+  // The requests processNetworkCalls would embed: calls without a stored embedding for this model,
+  // analytics and tech-stack calls first in priority (the rest capped at 5000)
+  async selectRequestsToEmbed(networkCalls, sessionId, embeddingModel) {
     // Get existing embeddings to avoid recreating
     let existingSignatures = new Set();
     try {
-      existingSignatures = await this.getExistingEmbeddings(sessionId);
+      existingSignatures = await this.getExistingEmbeddings(sessionId, embeddingModel);
       console.log(`CAST: Found ${existingSignatures.size} existing embeddings for session ${sessionId}`);
     } catch (error) {
       console.warn('Error getting existing embeddings, will process all:', error);
@@ -465,7 +662,8 @@ class CASTRAG {
             queryParams: call.queryParams || {},
             headerValues: call.headerValues || {},
             postData: call.postData || null,
-            pageUrl: call.pageUrl || null
+            pageUrl: call.pageUrl || null,
+            response: call.response || null
           };
           
           // Check if embedding already exists for this request
@@ -478,71 +676,83 @@ class CASTRAG {
         console.error('Error preparing request:', e);
       }
     }
-    
-    const totalExisting = existingSignatures.size;
+    return { requestsToProcess, existingCount: existingSignatures.size };
+  }
+
+  // Process network call list and create embeddings in parallel batches
+  // Only creates embeddings for new calls that don't already have embeddings. Batches whose
+  // embedding request fails are left unstored (counted in failed) so the next run retries them.
+  async processNetworkCalls(embedder, networkCalls, sessionId, progressCallback = null) {
+    if (!this.db) await this.initDB();
+
+    const { requestsToProcess, existingCount } = await this.selectRequestsToEmbed(networkCalls, sessionId, embedder.id);
+    const totalExisting = existingCount;
     
     if (requestsToProcess.length === 0) {
       console.log('CAST: All network calls already have embeddings, skipping processing');
-      return { processed: totalExisting, total: networkCalls.length, new: 0, skipped: true };
+      return { processed: totalExisting, total: networkCalls.length, new: 0, failed: 0, skipped: true };
     }
     
     console.log(`CAST: Processing ${requestsToProcess.length} new network calls (${totalExisting} already have embeddings)`);
 
+    await this.prepareEmbedder(embedder, sessionId, requestsToProcess);
+    const indexEntry = await this.ensureVectorIndex(sessionId, embedder.id);
+
     const totalNew = requestsToProcess.length;
     const totalAll = totalExisting + totalNew;
     let processed = 0;
-    const CONCURRENT_BATCH_SIZE = 15; // Process 15 embeddings in parallel
+    let failed = 0;
+    const EMBED_BATCH_SIZE = 50; // Texts per embedding request
 
-    // Process in parallel batches
-    for (let i = 0; i < requestsToProcess.length; i += CONCURRENT_BATCH_SIZE) {
-      const batch = requestsToProcess.slice(i, i + CONCURRENT_BATCH_SIZE);
-      
-      // Process batch in parallel
-      const batchPromises = batch.map(async (requestData) => {
-        try {
-          const embedding = await this.createEmbedding(apiKey, requestData);
-          await this.storeEmbedding(requestData, embedding, sessionId);
-          processed++;
-          
-          // Report progress (include existing in total)
-          if (progressCallback) {
-            const totalProcessed = totalExisting + processed;
-            progressCallback({
-              processed: totalProcessed,
-              total: totalAll,
-              newProcessed: processed,
-              newTotal: totalNew,
-              percentage: Math.round((totalProcessed / totalAll) * 100),
-              current: requestData.host + requestData.pathname
-            });
-          }
-          
-          return { success: true, requestData };
-        } catch (error) {
-          console.error('Error processing request in batch:', error);
-          return { success: false, error, requestData };
+    // Embed in batches: one request per batch instead of one per network call
+    for (let i = 0; i < requestsToProcess.length; i += EMBED_BATCH_SIZE) {
+      const batch = requestsToProcess.slice(i, i + EMBED_BATCH_SIZE);
+      try {
+        const embeddings = await this.createEmbeddings(embedder, batch);
+        for (let n = 0; n < batch.length; n++) {
+          const id = await this.storeEmbedding(batch[n], embeddings[n], sessionId, embedder.id);
+          indexEntry.index.add(id, embeddings[n]);
         }
-      });
-
-      // Wait for batch to complete
-      await Promise.allSettled(batchPromises);
+        processed += batch.length;
+      } catch (error) {
+        failed += batch.length;
+        console.error('Error processing embedding batch:', error);
+      }
+      
+      // Report progress (include existing in total)
+      if (progressCallback) {
+        const totalProcessed = totalExisting + processed;
+        progressCallback({
+          processed: totalProcessed,
+          total: totalAll,
+          newProcessed: processed,
+          newTotal: totalNew,
+          percentage: Math.round((totalProcessed / totalAll) * 100),
+          current: batch[batch.length - 1].host + batch[batch.length - 1].pathname
+        });
+      }
     }
 
-    return { processed: totalExisting + processed, total: totalAll, new: processed, skipped: false };
+    if (indexEntry.index.changed) await this.saveVectorIndex(indexEntry);
+
+    return { processed: totalExisting + processed, total: totalAll, new: processed, failed, skipped: false };
   }
 
-  // Retrieve relevant requests for analysis queries (parallel processing)
-  async retrieveForAnalysis(apiKey, queries, sessionId) {
+  // Retrieve relevant requests for analysis queries (parallel processing). Queries whose embedding
+  // request failed are listed in failedQueries.
+  async retrieveForAnalysis(embedder, queries, sessionId) {
     const results = {
       analytics: [],
       techStack: [],
-      allRelevant: []
+      allRelevant: [],
+      failedQueries: []
     };
+    await this.prepareEmbedder(embedder, sessionId);
 
     // Process all queries in parallel
     const queryPromises = queries.map(async (query) => {
       try {
-        const queryEmbedding = await this.createEmbedding(apiKey, { 
+        const queryEmbedding = await this.createEmbedding(embedder, { 
           host: query, 
           pathname: '', 
           method: 'GET' 
@@ -550,7 +760,7 @@ class CASTRAG {
 
         // Increase results for analytics queries, use much lower threshold for analytics
         const limit = query.toLowerCase().includes('analytics') ? 500 : 50; // Increased from 200 to 500
-        const similar = await this.searchSimilar(queryEmbedding, sessionId, limit);
+        const similar = await this.searchSimilar(queryEmbedding, sessionId, limit, embedder.id);
         
         const queryResults = {
           analytics: [],
@@ -561,7 +771,8 @@ class CASTRAG {
         for (const item of similar) {
           // Much lower threshold for analytics to capture ALL events
           const isAnalytics = /(google-analytics|analytics\.google|googletagmanager|gtag|gtm|segment|mixpanel|amplitude|hotjar|clarity|hubspot|adroll|facebook|meta|tiktok)/i.test(item.host);
-          const threshold = isAnalytics ? 0.1 : 0.4; // Much lower threshold (0.1 instead of 0.25) for analytics
+          // Sparse local TF-IDF vectors score lower than a model's dense embeddings
+          const threshold = isAnalytics ? 0.1 : (embedder.local ? 0.2 : 0.4); // Much lower threshold (0.1 instead of 0.25) for analytics
           
           if (item.similarity > threshold) {
             const isTechStack = /(vercel|netlify|cloudflare|aws|azure|gcp|contentful|wordpress|shopify|nextjs|react|vue)/i.test(item.host);
@@ -579,6 +790,7 @@ class CASTRAG {
         return queryResults;
       } catch (error) {
         console.error(`Error processing query "${query}":`, error);
+        results.failedQueries.push(query);
         return { analytics: [], techStack: [], allRelevant: [] };
       }
     });
@@ -0,0 +1,171 @@
+// Rate limiting for CAST's AI calls
+// A limiter with a bounded, adaptive concurrency pool and requests/tokens-per-minute budgets, plus
+// Retry-After / quota-error parsing so a 429 is backed off instead of retried like a parse error.
+(function () {
+  const WINDOW_MS = 60000;
+  const DEFAULT_LIMITS = { concurrency: 3, requestsPerMinute: 60, tokensPerMinute: 0 }; // 0 = no budget
+  const MAX_BACKOFF_MS = 120000;
+  const SUCCESSES_TO_GROW = 5;
+
+  // "1.5", "20ms", "1s", "6m0s", "1h2m3.5s" -> milliseconds
+  function parseDuration(value) {
+    if (value == null || value === '') return null;
+    const text = String(value).trim();
+    if (/^\d+(\.\d+)?$/.test(text)) return Math.round(parseFloat(text) * 1000);
+    const pattern = /(\d+(?:\.\d+)?)(ms|h|m|s)/g;
+    let total = 0;
+    let matched = false;
+    let match;
+    while ((match = pattern.exec(text))) {
+      matched = true;
+      const amount = parseFloat(match[1]);
+      total += match[2] === 'ms' ? amount : match[2] === 's' ? amount * 1000 : match[2] === 'm' ? amount * 60000 : amount * 3600000;
+    }
+    return matched ? Math.round(total) : null;
+  }
+
+  // How long the provider asked us to wait, from the error's response headers or quota message
+  function retryDelayFromError(error) {
+    const headers = error?.responseHeaders || {};
+    if (headers['retry-after-ms']) {
+      const ms = parseFloat(headers['retry-after-ms']);
+      if (!isNaN(ms)) return ms;
+    }
+    if (headers['retry-after']) {
+      const seconds = parseDuration(headers['retry-after']);
+      if (seconds != null) return seconds;
+      const date = Date.parse(headers['retry-after']);
+      if (!isNaN(date)) return Math.max(0, date - Date.now());
+    }
+    // OpenAI-style reset hints
+    const resets = ['x-ratelimit-reset-requests', 'x-ratelimit-reset-tokens']
+      .map(name => parseDuration(headers[name]))
+      .filter(ms => ms != null);
+    if (resets.length) return Math.max(...resets);
+    // Gemini puts RetryInfo in the error body: "retryDelay": "32s"
+    const bodyMatch = String(error?.message || '').match(/"retryDelay"\s*:\s*"([^"]+)"/);
+    if (bodyMatch) return parseDuration(bodyMatch[1]);
+    const textMatch = String(error?.message || '').match(/(?:retry|try again) in ([\d.]+)\s*(ms|s|seconds?)/i);
+    if (textMatch) return Math.round(parseFloat(textMatch[1]) * (textMatch[2] === 'ms' ? 1 : 1000));
+    return null;
+  }
+
+  // 'rate-limit' (back off and slow down), 'transient' (retry), or 'fatal' (don't retry)
+  function classifyError(error) {
+    if (error?.validationErrors) return 'fatal';
+    const status = error?.status;
+    if (status === 429 || status === 529) return 'rate-limit';
+    if (/quota|rate.?limit|resource.?exhausted|too many requests/i.test(error?.message || '') && (!status || status >= 400)) return 'rate-limit';
+    if (!status || status === 408 || status >= 500) return 'transient';
+    return 'fatal';
+  }
+
+  // Exponential backoff with jitter, used when the provider gives no Retry-After
+  function backoffDelay(attempt, base = 2000) {
+    const delay = Math.min(MAX_BACKOFF_MS, base * 2 ** (attempt - 1));
+    return Math.round(delay * (0.75 + Math.random() * 0.5));
+  }
+
+  function normalizeLimits(raw = {}) {
+    const toInt = (value, fallback, min) => {
+      const n = parseInt(value, 10);
+      return isNaN(n) || n < min ? fallback : n;
+    };
+    return {
+      concurrency: Math.min(toInt(raw.concurrency, DEFAULT_LIMITS.concurrency, 1), 10),
+      requestsPerMinute: toInt(raw.requestsPerMinute, DEFAULT_LIMITS.requestsPerMinute, 0),
+      tokensPerMinute: toInt(raw.tokensPerMinute, DEFAULT_LIMITS.tokensPerMinute, 0)
+    };
+  }
+
+  // schedule(estimatedTokens, fn) runs fn once a concurrency slot and the per-minute budgets allow it.
+  // A rate-limit response halves the concurrency and pauses everyone; steady successes grow it back.
+  function createRateLimiter(rawLimits) {
+    const limits = normalizeLimits(rawLimits);
+    const sent = []; // { time, tokens } within the last minute
+    let concurrency = limits.concurrency;
+    let active = 0;
+    let pausedUntil = 0;
+    let successStreak = 0;
+
+    const prune = (now) => {
+      while (sent.length && now - sent[0].time >= WINDOW_MS) sent.shift();
+    };
+
+    // Milliseconds until a request of this size may start (0 = now); inSlot: the caller already holds a slot
+    const waitTime = (tokens, inSlot = false) => {
+      const now = Date.now();
+      prune(now);
+      if (now < pausedUntil) return pausedUntil - now;
+      if (!inSlot && active >= concurrency) return 250;
+      if (limits.requestsPerMinute && sent.length >= limits.requestsPerMinute) {
+        return WINDOW_MS - (now - sent[0].time) + 10;
+      }
+      if (limits.tokensPerMinute && sent.length) {
+        const used = sent.reduce((sum, entry) => sum + entry.tokens, 0);
+        // An oversized request still runs once the window is empty
+        if (used + tokens > limits.tokensPerMinute) return WINDOW_MS - (now - sent[0].time) + 10;
+      }
+      return 0;
+    };
+
+    async function schedule(estimatedTokens, fn) {
+      const tokens = Math.max(0, Math.round(estimatedTokens || 0));
+      for (let wait = waitTime(tokens); wait > 0; wait = waitTime(tokens)) {
+        await new Promise(resolve => setTimeout(resolve, Math.min(wait, 5000)));
+      }
+      active++;
+      sent.push({ time: Date.now(), tokens });
+      try {
+        const result = await fn();
+        successStreak++;
+        if (successStreak >= SUCCESSES_TO_GROW && concurrency < limits.concurrency) {
+          concurrency++;
+          successStreak = 0;
+        }
+        return result;
+      } finally {
+        active--;
+      }
+    }
+
+    // Follow-up request made from inside a scheduled fn (e.g. a repair re-prompt): waits for the per-minute
+    // budgets and counts against them, without taking another concurrency slot
+    async function reserve(estimatedTokens) {
+      const tokens = Math.max(0, Math.round(estimatedTokens || 0));
+      for (let wait = waitTime(tokens, true); wait > 0; wait = waitTime(tokens, true)) {
+        await new Promise(resolve => setTimeout(resolve, Math.min(wait, 5000)));
+      }
+      sent.push({ time: Date.now(), tokens });
+    }
+
+    function noteRateLimited(delayMs) {
+      successStreak = 0;
+      concurrency = Math.max(1, Math.floor(concurrency / 2));
+      pausedUntil = Math.max(pausedUntil, Date.now() + delayMs);
+    }
+
+    return {
+      schedule,
+      reserve,
+      noteRateLimited,
+      get concurrency() {
+        return concurrency;
+      },
+      get active() {
+        return active;
+      },
+      limits
+    };
+  }
+
+  // Make available globally for service worker
+  self.CASTRateLimit = {
+    DEFAULT_LIMITS,
+    normalizeLimits,
+    createRateLimiter,
+    retryDelayFromError,
+    classifyError,
+    backoffDelay
+  };
+})();
@@ -0,0 +1,563 @@
+// Client report builder for CAST
+// Consolidates one session into the deliverable handed to clients: executive summary, tech stack
+// with evidence, analytics inventory by provider and page, strategy recommendations and crawl
+// coverage. Renders it as standalone printable HTML, Markdown, or a multi-sheet XLSX workbook
+// (written with a minimal stored-zip writer, no libraries).
+(function () {
+  const PRIORITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+  function baseDomain(host) {
+    const parts = String(host || '').split(':')[0].replace(/^www\./, '').split('.');
+    if (parts.length <= 2) return parts.join('.');
+    // example.co.uk, example.com.au
+    const keep = parts[parts.length - 1].length === 2 && parts[parts.length - 2].length <= 3 ? 3 : 2;
+    return parts.slice(-keep).join('.');
+  }
+
+  function hostOf(url) {
+    try {
+      return new URL(url).host;
+    } catch (e) {
+      return '';
+    }
+  }
+
+  function formatDate(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleString() : 'n/a';
+  }
+
+  function formatDuration(ms) {
+    if (!ms || ms < 0) return 'n/a';
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 1) return `${Math.round(ms / 1000)}s`;
+    return minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+  }
+
+  function plural(count, word, pluralWord = `${word}s`) {
+    return `${count} ${count === 1 ? word : pluralWord}`;
+  }
+
+  // Page identity for matching crawled pages to analytics hit URLs (no fragment or trailing slash)
+  function pageKey(url) {
+    return String(url || '').split('#')[0].replace(/\/+(\?|$)/, '$1');
+  }
+
+  // Highest-confidence record per technology, with every account ID seen
+  function consolidateTechStack(records) {
+    const byKey = new Map();
+    records.forEach((record) => {
+      const key = `${String(record.name || '').toLowerCase()}|${record.category || ''}`;
+      const existing = byKey.get(key);
+      const accountIds = new Set([...(existing ? existing.accountIds : []), ...String(record.accountId || '').split(/\s*\|\s*|,\s*/).filter(Boolean)]);
+      if (!existing || (record.confidence || 0) > (existing.confidence || 0)) {
+        byKey.set(key, {
+          name: record.name,
+          category: record.category || 'Other',
+          confidence: record.confidence ?? null,
+          evidence: record.evidence || '',
+          source: record.source || 'ai',
+          accountIds
+        });
+      } else {
+        existing.accountIds = accountIds;
+      }
+    });
+    return Array.from(byKey.values())
+      .map(item => ({ ...item, accountIds: Array.from(item.accountIds) }))
+      .sort((a, b) => a.category.localeCompare(b.category) || (b.confidence || 0) - (a.confidence || 0) || a.name.localeCompare(b.name));
+  }
+
+  // Events per provider (with pages and hit counts) and providers/events per page
+  function buildAnalyticsInventory(events) {
+    const providers = new Map();
+    const pages = new Map();
+    events.forEach((event) => {
+      const provider = event.provider || 'Unknown';
+      const eventName = event.event_name || '(no event name)';
+      const pageUrl = event.page_url || '(unknown page)';
+      const key = pageKey(pageUrl);
+      if (!providers.has(provider)) providers.set(provider, { provider, accountIds: new Set(), events: new Map() });
+      const entry = providers.get(provider);
+      String(event.account_id || '').split(/\s*\|\s*|,\s*/).filter(Boolean).forEach(id => entry.accountIds.add(id));
+      if (!entry.events.has(eventName)) entry.events.set(eventName, { eventName, hits: 0, pages: new Set() });
+      const eventEntry = entry.events.get(eventName);
+      eventEntry.hits += Number(event.occurrences) || 1; // Consolidated records stand for several hits
+      if (!eventEntry.examplePage) eventEntry.examplePage = pageUrl;
+      eventEntry.pages.add(key);
+
+      if (!pages.has(key)) pages.set(key, { pageUrl, providers: new Map() });
+      const pageProviders = pages.get(key).providers;
+      if (!pageProviders.has(provider)) pageProviders.set(provider, new Set());
+      pageProviders.get(provider).add(eventName);
+    });
+
+    return {
+      providers: Array.from(providers.values()).map(entry => ({
+        provider: entry.provider,
+        accountIds: Array.from(entry.accountIds),
+        events: Array.from(entry.events.values())
+          .map(item => ({ eventName: item.eventName, hits: item.hits, pageCount: item.pages.size, examplePage: item.examplePage }))
+          .sort((a, b) => b.hits - a.hits || a.eventName.localeCompare(b.eventName))
+      })).sort((a, b) => a.provider.localeCompare(b.provider)),
+      byPage: Array.from(pages.values()).map(({ pageUrl, providers: pageProviders }) => ({
+        pageUrl,
+        providers: Array.from(pageProviders.entries()).map(([provider, names]) => ({ provider, events: Array.from(names).sort() }))
+      })).sort((a, b) => a.pageUrl.localeCompare(b.pageUrl))
+    };
+  }
+
+  function buildCoverage({ session, calls, uniqueUrls, pageSnapshots, templates, analyticsPages }) {
+    const siteDomain = baseDomain(hostOf(session.origin || '') || (calls[0] && hostOf(calls[0].pageUrl)));
+    const pageUrls = new Set((pageSnapshots.length ? pageSnapshots : calls).map(record => record.pageUrl).filter(Boolean));
+    const hosts = new Set(calls.map(call => call.host || hostOf(call.url)).filter(Boolean));
+    const thirdPartyHosts = Array.from(hosts).filter(host => baseDomain(host) !== siteDomain);
+    const failed = calls.filter(call => call.failed).length;
+    const bySource = uniqueUrls.reduce((counts, record) => ({ ...counts, [record.source || 'discovered']: (counts[record.source || 'discovered'] || 0) + 1 }), {});
+    const callsByPage = new Map();
+    calls.forEach(call => callsByPage.set(pageKey(call.pageUrl), (callsByPage.get(pageKey(call.pageUrl)) || 0) + 1));
+    const pagesWithAnalytics = Array.from(pageUrls).filter(pageUrl => analyticsPages.has(pageKey(pageUrl))).length;
+
+    return {
+      stats: [
+        ['Session', session.name || session.id],
+        ['Mode', session.mode || 'crawl'],
+        ['Started', formatDate(session.startTime)],
+        ['Ended', session.endTime ? formatDate(session.endTime) : 'in progress'],
+        ['Duration', formatDuration((session.endTime || Date.now()) - (session.startTime || Date.now()))],
+        ['Pages visited', pageUrls.size],
+        ['URLs discovered', uniqueUrls.length],
+        ...Object.entries(bySource).sort((a, b) => b[1] - a[1]).map(([source, count]) => [`  from ${source}`, count]),
+        ['Page templates', templates.length],
+        ['Network requests', calls.length],
+        ['Failed or blocked requests', failed],
+        ['Hosts contacted', hosts.size],
+        ['Third-party hosts', thirdPartyHosts.length],
+        ['Pages with analytics hits', `${pagesWithAnalytics} of ${pageUrls.size}`]
+      ],
+      pages: Array.from(pageUrls).sort().map(pageUrl => ({
+        pageUrl,
+        requests: callsByPage.get(pageKey(pageUrl)) || 0,
+        hasAnalytics: analyticsPages.has(pageKey(pageUrl))
+      })),
+      templates: templates.map(template => ({
+        key: template.key,
+        discovered: template.discoveredCount,
+        visited: template.visitedCount,
+        sample: template.sampleUrls[0] || ''
+      })),
+      thirdPartyHosts: thirdPartyHosts.sort(),
+      pageCount: pageUrls.size,
+      pagesWithAnalytics,
+      requestCount: calls.length,
+      hostCount: hosts.size,
+      failed
+    };
+  }
+
+  function buildExecutiveSummary({ session, techStack, inventory, recommendations, coverage, failedAnalyticsHits }) {
+    const site = hostOf(session.origin || '') || session.name || 'the site';
+    const bullets = [
+      `Audited ${plural(coverage.pageCount, 'page')} of ${site}: ${plural(coverage.requestCount, 'network request')} to ` +
+        `${plural(coverage.hostCount, 'host')}, ${coverage.thirdPartyHosts.length} of them third-party.`
+    ];
+
+    const categories = new Map();
+    techStack.forEach(item => categories.set(item.category, (categories.get(item.category) || 0) + 1));
+    if (techStack.length) {
+      const confident = techStack.filter(item => (item.confidence ?? 1) >= 0.7).map(item => item.name);
+      bullets.push(`Detected ${plural(techStack.length, 'technology', 'technologies')} across ${plural(categories.size, 'category', 'categories')}` +
+        (confident.length ? `, including ${confident.slice(0, 8).join(', ')}${confident.length > 8 ? ` and ${confident.length - 8} more` : ''}.` : '.'));
+    } else {
+      bullets.push('No technologies identified yet. Run the analysis to fingerprint the tech stack.');
+    }
+
+    if (inventory.providers.length) {
+      inventory.providers.forEach((provider) => {
+        const ids = provider.accountIds.length ? ` (${provider.accountIds.slice(0, 3).join(', ')}${provider.accountIds.length > 3 ? ', ...' : ''})` : '';
+        bullets.push(`${provider.provider}${ids}: ${plural(provider.events.length, 'distinct event')}, ` +
+          `${plural(provider.events.reduce((sum, event) => sum + event.hits, 0), 'hit')}.`);
+      });
+    } else {
+      bullets.push('No analytics events recorded yet. Run the analysis to build the analytics inventory.');
+    }
+
+    const untracked = coverage.pageCount - coverage.pagesWithAnalytics;
+    if (coverage.pageCount && untracked > 0) {
+      bullets.push(`${plural(untracked, 'page')} (${Math.round((untracked / coverage.pageCount) * 100)}%) sent no recognised analytics hits.`);
+    }
+    if (failedAnalyticsHits) bullets.push(`${plural(failedAnalyticsHits, 'analytics request')} failed or ${failedAnalyticsHits === 1 ? 'was' : 'were'} blocked.`);
+
+    if (recommendations.length) {
+      const high = recommendations.filter(rec => String(rec.priority).toLowerCase() === 'high').length;
+      const recPages = new Set(recommendations.map(rec => rec.pageUrl).filter(Boolean));
+      bullets.push(`${plural(recommendations.length, 'tracking recommendation')} (${high} high priority) across ${plural(recPages.size, 'page')}.`);
+    }
+    return bullets;
+  }
+
+  // input: { session, calls, techStack, analyticsEvents, recommendations, uniqueUrls, pageSnapshots, templates }
+  // (stored records for one session; templates as summarized by templates.js)
+  function buildReport(input) {
+    const session = input.session || {};
+    const calls = input.calls || [];
+    const techStack = consolidateTechStack(input.techStack || []);
+    const analyticsEvents = input.analyticsEvents || [];
+    const inventory = buildAnalyticsInventory(analyticsEvents);
+    const analyticsPages = new Set(analyticsEvents.map(event => pageKey(event.page_url)).filter(Boolean));
+    const coverage = buildCoverage({
+      session,
+      calls,
+      uniqueUrls: input.uniqueUrls || [],
+      pageSnapshots: input.pageSnapshots || [],
+      templates: input.templates || [],
+      analyticsPages
+    });
+    const analyticsRequests = new Set(analyticsEvents.map(event => event.request_url).filter(Boolean));
+    const failedAnalyticsHits = calls.filter(call => call.failed && analyticsRequests.has(call.url)).length;
+    const recommendations = (input.recommendations || []).slice().sort((a, b) =>
+      String(a.pageUrl || '').localeCompare(String(b.pageUrl || '')) ||
+      (PRIORITY_ORDER[String(a.priority).toLowerCase()] ?? 3) - (PRIORITY_ORDER[String(b.priority).toLowerCase()] ?? 3));
+
+    return {
+      title: `Analytics & Tag Audit: ${hostOf(session.origin || '') || session.name || 'Session'}`,
+      generatedAt: Date.now(),
+      session,
+      executiveSummary: buildExecutiveSummary({ session, techStack, inventory, recommendations, coverage, failedAnalyticsHits }),
+      techStack,
+      inventory,
+      recommendations,
+      coverage
+    };
+  }
+
+  // Table definitions shared by all three formats: [title, header, rows]
+  function reportTables(report) {
+    return {
+      techStack: ['Tech Stack', ['Technology', 'Category', 'Confidence', 'Account IDs', 'Source', 'Evidence'],
+        report.techStack.map(item => [item.name, item.category, item.confidence ?? '', item.accountIds.join(', '), item.source, item.evidence])],
+      inventory: ['Analytics Inventory', ['Provider', 'Account IDs', 'Event', 'Hits', 'Pages', 'Example Page'],
+        report.inventory.providers.flatMap(provider => provider.events.map(event =>
+          [provider.provider, provider.accountIds.join(', '), event.eventName, event.hits, event.pageCount, event.examplePage]))],
+      byPage: ['Analytics by Page', ['Page', 'Provider', 'Events'],
+        report.inventory.byPage.flatMap(page => page.providers.map(provider => [page.pageUrl, provider.provider, provider.events.join(', ')]))],
+      recommendations: ['Strategy Recommendations', ['Page', 'Event', 'Priority', 'Category', 'Trigger Type', 'Trigger Value', 'Reasoning', 'Code Snippet', 'Prompt Version'],
+        report.recommendations.map(rec => [rec.pageUrl || '', rec.eventName || '', rec.priority || '', rec.category || '', rec.triggerType || '',
+          rec.triggerValue || rec.selector || '', rec.reasoning || '', rec.codeSnippet || '', rec.promptVersion || ''])],
+      coverage: ['Crawl Coverage', ['Metric', 'Value'], report.coverage.stats],
+      pages: ['Pages', ['Page', 'Requests', 'Analytics Hits'],
+        report.coverage.pages.map(page => [page.pageUrl, page.requests, page.hasAnalytics ? 'yes' : 'no'])],
+      templates: ['Page Templates', ['Template', 'Discovered URLs', 'Visited URLs', 'Sample URL'],
+        report.coverage.templates.map(template => [template.key, template.discovered, template.visited, template.sample])]
+    };
+  }
+
+  function truncate(value, max) {
+    const text = String(value ?? '');
+    return text.length > max ? `${text.slice(0, max)}…` : text;
+  }
+
+  // ---- Markdown ----
+
+  function markdownCell(value, max = 200) {
+    return truncate(value, max).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  }
+
+  function markdownTable(header, rows, max) {
+    if (!rows.length) return '_None recorded._';
+    return [
+      `| ${header.join(' | ')} |`,
+      `| ${header.map(() => '---').join(' | ')} |`,
+      ...rows.map(row => `| ${row.map(cell => markdownCell(cell, max)).join(' | ')} |`)
+    ].join('\n');
+  }
+
+  function renderMarkdown(report) {
+    const tables = reportTables(report);
+    const recHeader = tables.recommendations[1].slice(0, 7);
+    const recRows = tables.recommendations[2].map(row => row.slice(0, 7));
+    return [
+      `# ${report.title}`,
+      '',
+      `Generated ${formatDate(report.generatedAt)} from session "${report.session.name || report.session.id}".`,
+      '',
+      '## Executive Summary',
+      '',
+      ...report.executiveSummary.map(line => `- ${line}`),
+      '',
+      '## Tech Stack',
+      '',
+      markdownTable(tables.techStack[1], tables.techStack[2], 160),
+      '',
+      '## Analytics Inventory',
+      '',
+      markdownTable(tables.inventory[1], tables.inventory[2]),
+      '',
+      '### By Page',
+      '',
+      markdownTable(tables.byPage[1], tables.byPage[2]),
+      '',
+      '## Strategy Recommendations',
+      '',
+      markdownTable(recHeader, recRows, 240),
+      ...(recRows.length ? ['', '_Data layer snippets for each recommendation are in the HTML and XLSX reports._'] : []),
+      '',
+      '## Crawl Coverage',
+      '',
+      markdownTable(tables.coverage[1], tables.coverage[2]),
+      '',
+      '### Page Templates',
+      '',
+      markdownTable(tables.templates[1], tables.templates[2]),
+      '',
+      '### Pages',
+      '',
+      markdownTable(tables.pages[1], tables.pages[2]),
+      ''
+    ].join('\n');
+  }
+
+  // ---- HTML ----
+
+  function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+  }
+
+  function htmlTable(header, rows, { max = 400, codeColumn = -1 } = {}) {
+    if (!rows.length) return '<p class="empty">None recorded.</p>';
+    return `<table><thead><tr>${header.map(cell => `<th>${escapeHtml(cell)}</th>`).join('')}</tr></thead><tbody>` +
+      rows.map(row => `<tr>${row.map((cell, index) => (index === codeColumn
+        ? `<td>${cell ? `<pre>${escapeHtml(cell)}</pre>` : ''}</td>`
+        : `<td>${escapeHtml(truncate(cell, max))}</td>`)).join('')}</tr>`).join('') +
+      '</tbody></table>';
+  }
+
+  const HTML_STYLE = `
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #1e293b; margin: 32px auto; max-width: 1100px; padding: 0 24px; font-size: 13px; line-height: 1.5; }
+    h1 { font-size: 24px; margin-bottom: 4px; }
+    h2 { font-size: 18px; border-bottom: 2px solid #3498db; padding-bottom: 4px; margin-top: 32px; }
+    h3 { font-size: 14px; margin-top: 20px; }
+    .meta { color: #64748b; margin-top: 0; }
+    table { width: 100%; border-collapse: collapse; margin: 8px 0 16px; font-size: 12px; }
+    th, td { border: 1px solid #e2e8f0; padding: 4px 6px; text-align: left; vertical-align: top; word-break: break-word; }
+    th { background: #f1f5f9; }
+    tr:nth-child(even) td { background: #f8fafc; }
+    pre { margin: 0; font-size: 10px; white-space: pre-wrap; word-break: break-all; }
+    .empty { color: #64748b; font-style: italic; }
+    ul.summary li { margin-bottom: 4px; }
+    @page { size: A4; margin: 16mm; }
+    @media print {
+      body { margin: 0; max-width: none; padding: 0; font-size: 11px; }
+      h2 { break-before: page; }
+      h2.first { break-before: auto; }
+      thead { display: table-header-group; }
+      tr, pre { break-inside: avoid; }
+    }`;
+
+  function renderHtml(report) {
+    const tables = reportTables(report);
+    const section = (id, title, body, first = false) => `<h2 id="${id}"${first ? ' class="first"' : ''}>${escapeHtml(title)}</h2>\n${body}`;
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(report.title)}</title>
+<style>${HTML_STYLE}
+</style>
+</head>
+<body>
+<h1>${escapeHtml(report.title)}</h1>
+<p class="meta">Generated ${escapeHtml(formatDate(report.generatedAt))} from session "${escapeHtml(report.session.name || report.session.id)}"</p>
+${section('summary', 'Executive Summary', `<ul class="summary">${report.executiveSummary.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`, true)}
+${section('tech-stack', 'Tech Stack', htmlTable(tables.techStack[1], tables.techStack[2]))}
+${section('analytics', 'Analytics Inventory', htmlTable(tables.inventory[1], tables.inventory[2]) +
+  `<h3>By Page</h3>${htmlTable(tables.byPage[1], tables.byPage[2])}`)}
+${section('recommendations', 'Strategy Recommendations', htmlTable(tables.recommendations[1], tables.recommendations[2], { codeColumn: 7 }))}
+${section('coverage', 'Crawl Coverage', htmlTable(tables.coverage[1], tables.coverage[2]) +
+  `<h3>Page Templates</h3>${htmlTable(tables.templates[1], tables.templates[2])}` +
+  `<h3>Pages</h3>${htmlTable(tables.pages[1], tables.pages[2])}`)}
+</body>
+</html>
+`;
+  }
+
+  // ---- XLSX (SpreadsheetML in a stored zip) ----
+
+  const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  // Uncompressed zip archive from [{ name, content (string) }]
+  function buildZip(files) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+    files.forEach((file) => {
+      const name = encoder.encode(file.name);
+      const data = encoder.encode(file.content);
+      const crc = crc32(data);
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, 0x0800, true); // UTF-8 names
+      local.setUint16(8, 0, true); // stored
+      local.setUint16(10, 0, true);
+      local.setUint16(12, 0x21, true); // 1980-01-01
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true);
+      chunks.push(new Uint8Array(local.buffer), name, data);
+
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014b50, true);
+      entry.setUint16(4, 20, true);
+      entry.setUint16(6, 20, true);
+      entry.setUint16(8, 0x0800, true);
+      entry.setUint16(10, 0, true);
+      entry.setUint16(12, 0, true);
+      entry.setUint16(14, 0x21, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, data.length, true);
+      entry.setUint32(24, data.length, true);
+      entry.setUint16(28, name.length, true);
+      entry.setUint32(42, offset, true);
+      central.push(new Uint8Array(entry.buffer), name);
+      offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+    const out = new Uint8Array(parts.reduce((sum, chunk) => sum + chunk.length, 0));
+    let position = 0;
+    parts.forEach((chunk) => {
+      out.set(chunk, position);
+      position += chunk.length;
+    });
+    return out;
+  }
+
+  function escapeXml(value) {
+    // Drop characters XML 1.0 can't carry; Excel caps a cell at 32767 characters
+    return String(value ?? '').slice(0, 32767).replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+      .replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+  }
+
+  function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    return name;
+  }
+
+  function sheetXml(header, rows) {
+    const cell = (value, ref, style) => (typeof value === 'number' && isFinite(value)
+      ? `<c r="${ref}"${style}><v>${value}</v></c>`
+      : `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`);
+    const xmlRows = [header, ...rows].map((row, r) => `<row r="${r + 1}">${row.map((value, c) =>
+      cell(value, `${columnName(c)}${r + 1}`, r === 0 ? ' s="1"' : '')).join('')}</row>`);
+    const widths = header.map((title, c) => Math.min(60, Math.max(10, ...[header, ...rows].slice(0, 200).map(row => String(row[c] ?? '').length + 2))));
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+      `<cols>${widths.map((width, c) => `<col min="${c + 1}" max="${c + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>` +
+      `<sheetData>${xmlRows.join('')}</sheetData></worksheet>`;
+  }
+
+  function renderXlsx(report) {
+    const tables = reportTables(report);
+    const sheets = [
+      ['Summary', ['Executive Summary'], report.executiveSummary.map(line => [line])],
+      tables.techStack,
+      tables.inventory,
+      tables.byPage,
+      tables.recommendations,
+      tables.coverage,
+      tables.templates,
+      tables.pages
+    ].map(([name, header, rows]) => ({ name: name.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31), header, rows }));
+
+    const files = [
+      {
+        name: '[Content_Types].xml',
+        content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+          '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+          '<Default Extension="xml" ContentType="application/xml"/>' +
+          '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+          '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+          sheets.map((sheet, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+          '</Types>'
+      },
+      {
+        name: '_rels/.rels',
+        content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+          '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+          '</Relationships>'
+      },
+      {
+        name: 'xl/workbook.xml',
+        content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+          `<sheets>${sheets.map((sheet, i) => `<sheet name="${escapeXml(sheet.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets>` +
+          '</workbook>'
+      },
+      {
+        name: 'xl/_rels/workbook.xml.rels',
+        content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+          sheets.map((sheet, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+          `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+          '</Relationships>'
+      },
+      {
+        name: 'xl/styles.xml',
+        content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+          '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+          '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+          '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+          '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+          '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+          '</styleSheet>'
+      },
+      ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, content: sheetXml(sheet.header, sheet.rows) }))
+    ];
+    return buildZip(files);
+  }
+
+  const FORMATS = {
+    html: { extension: 'html', mimeType: 'text/html;charset=utf-8', render: renderHtml },
+    markdown: { extension: 'md', mimeType: 'text/markdown;charset=utf-8', render: renderMarkdown },
+    xlsx: { extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', render: renderXlsx }
+  };
+
+  // Make available globally for service worker
+  self.CASTReport = {
+    FORMATS,
+    buildReport,
+    renderMarkdown,
+    renderHtml,
+    renderXlsx
+  };
+})();
@@ -0,0 +1,213 @@
+// Response schemas for CAST's AI tasks
+// JSON Schemas for the batch analysis result (AIReconResult) and strategy recommendations, a small
+// validator for the subset of JSON Schema they use, and tolerant JSON extraction from model output.
+(function () {
+  const RECON_RESULT_SCHEMA = {
+    type: 'object',
+    required: ['summary_markdown', 'tech_stack', 'analytics_events'],
+    properties: {
+      summary_markdown: { type: 'string' },
+      tech_stack: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['name', 'category', 'confidence', 'evidence'],
+          properties: {
+            name: { type: 'string', minLength: 1 },
+            category: { type: 'string', description: 'framework, cdn, cms, analytics, infrastructure or other' },
+            confidence: { type: 'number', minimum: 0, maximum: 1 },
+            evidence: { type: 'array', items: { type: 'string' } },
+            account_id: { type: ['string', 'null'] }
+          }
+        }
+      },
+      analytics_events: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['provider', 'event_name', 'page_url', 'request_url', 'notes'],
+          properties: {
+            provider: { type: 'string', minLength: 1 },
+            event_name: { type: ['string', 'null'] },
+            page_url: { type: ['string', 'null'] },
+            request_url: { type: ['string', 'null'] },
+            notes: { type: ['string', 'null'] }
+          }
+        }
+      }
+    }
+  };
+
+  const STRATEGY_SCHEMA = {
+    type: 'object',
+    required: ['recommendations'],
+    properties: {
+      recommendations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['selector', 'eventName', 'category', 'reasoning', 'priority', 'codeSnippet', 'triggerType', 'triggerValue', 'isAutoCollected'],
+          properties: {
+            selector: { type: 'string' },
+            eventName: { type: 'string', minLength: 1 },
+            category: { type: 'string' },
+            reasoning: { type: 'string' },
+            priority: { type: 'string', enum: ['High', 'Medium', 'Low'] },
+            codeSnippet: { type: 'string' },
+            triggerType: { type: 'string' },
+            triggerValue: { type: 'string' },
+            isAutoCollected: { type: 'boolean' }
+          }
+        }
+      }
+    }
+  };
+
+  // Session Q&A: citations are the [R#] labels of the requests the answer relies on
+  const SESSION_ANSWER_SCHEMA = {
+    type: 'object',
+    required: ['answer', 'citations'],
+    properties: {
+      answer: { type: 'string', minLength: 1 },
+      citations: { type: 'array', items: { type: 'string' } }
+    }
+  };
+
+  const SCHEMAS = {
+    AIReconResult: RECON_RESULT_SCHEMA,
+    StrategyRecommendations: STRATEGY_SCHEMA,
+    SessionAnswer: SESSION_ANSWER_SCHEMA
+  };
+
+  function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+  }
+
+  function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+  }
+
+  // Validate value against schema; returns a list of "path: problem" strings (empty when valid)
+  function validate(schema, value, path = '$', errors = []) {
+    if (errors.length >= 50) return errors; // Enough to guide a repair
+    if (schema.type) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => matchesType(value, type))) {
+        errors.push(`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+        return errors;
+      }
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+    }
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+      if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+    if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: must not be empty`);
+    }
+    if (typeOf(value) === 'object') {
+      (schema.required || []).forEach((key) => {
+        if (!(key in value)) errors.push(`${path}.${key}: is required`);
+      });
+      Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+        if (key in value) validate(propertySchema, value[key], `${path}.${key}`, errors);
+      });
+    }
+    if (Array.isArray(value) && schema.items) {
+      value.forEach((item, i) => validate(schema.items, item, `${path}[${i}]`, errors));
+    }
+    return errors;
+  }
+
+  // Fix the usual model JSON slips: stray backslashes, control chars, smart quotes, trailing commas
+  function normalizeJson(input) {
+    let out = input;
+    // Convert stray backslash-newline combos into literal \n so JSON parse accepts them
+    out = out.replace(/\\\s*\r?\n/g, "\\n");
+    // Escape invalid backslashes (anything not a valid JSON escape)
+    out = out.replace(/\\(?!["\\/bfnrtu])/g, "\\\\");
+    // Strip control chars (except newline, tab, carriage return)
+    out = out.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, "");
+    // Replace smart quotes with straight quotes
+    out = out.replace(/[\u201c\u201d]/g, '"').replace(/[\u2018\u2019]/g, "'");
+    // Remove trailing commas before } or ]
+    out = out.replace(/,(\s*[}\]])/g, "$1");
+    return out;
+  }
+
+  // Parse the JSON object out of a model response (code fences and prose around it are ignored)
+  function parseModelJson(text) {
+    let cleanedText = String(text || '').trim();
+    const firstBrace = cleanedText.indexOf('{');
+    const lastBrace = cleanedText.lastIndexOf('}');
+    if (firstBrace !== -1 && lastBrace !== -1) {
+      cleanedText = cleanedText.substring(firstBrace, lastBrace + 1);
+    } else if (cleanedText.startsWith("```")) {
+      cleanedText = cleanedText.replace(/^```(?:json)?\s*\n?/, "").replace(/\n?```\s*$/, "").trim();
+    }
+
+    // Parse with layered fallbacks for malformed escapes/control chars
+    try {
+      return JSON.parse(cleanedText);
+    } catch (e) {
+      try {
+        return JSON.parse(normalizeJson(cleanedText));
+      } catch (e2) {
+        try {
+          // Last resort: strip any remaining stray backslashes and control chars
+          return JSON.parse(normalizeJson(cleanedText)
+            .replace(/\\(?!["\\/bfnrtu])/g, "")
+            .replace(/[\x00-\x1F]/g, " "));
+        } catch (finalErr) {
+          throw new Error(`Response is not valid JSON (${finalErr.message}): ${cleanedText.slice(0, 200)}`);
+        }
+      }
+    }
+  }
+
+  // Parse and validate in one step; returns { value, errors }
+  function checkResponse(schemaName, text) {
+    const schema = SCHEMAS[schemaName];
+    let value;
+    try {
+      value = parseModelJson(text);
+    } catch (e) {
+      return { value: null, errors: [e.message] };
+    }
+    return { value, errors: validate(schema, value) };
+  }
+
+  // Re-prompt for a response that failed validation: the invalid output, what's wrong, and the schema
+  function buildRepairPrompt(schemaName, text, errors) {
+    return [
+      `Your previous response did not match the required ${schemaName} JSON schema.`,
+      '',
+      'Validation errors:',
+      ...errors.slice(0, 30).map(error => `- ${error}`),
+      '',
+      'JSON schema:',
+      JSON.stringify(SCHEMAS[schemaName]),
+      '',
+      'Previous response:',
+      String(text || '').slice(0, 200000),
+      '',
+      'Return the corrected JSON object only. Keep every item that was valid; fix or drop the invalid ones. No prose.'
+    ].join('\n');
+  }
+
+  // Make available globally for service worker
+  self.CASTSchemas = {
+    SCHEMAS,
+    validate,
+    parseModelJson,
+    checkResponse,
+    buildRepairPrompt
+  };
+})();
@@ -0,0 +1,182 @@
+// Session diff for CAST
+// Compares two sessions' tech stack, analytics events, tracked hosts and per-page event coverage
+// and labels every difference added, removed or changed.
+(function () {
+  // Providers whose account IDs are worth calling out on their own (measurement IDs, pixel IDs, containers)
+  const ID_PROVIDERS = /google analytics|google tag manager|google ads|meta pixel|tiktok|linkedin|pinterest|microsoft advertising|segment|hotjar|clarity|adobe|tealium|hubspot/i;
+
+  // Turn export rows ([header, ...rows]) back into objects keyed by header
+  function rowsToObjects(rows = []) {
+    if (!rows.length) return [];
+    const [header, ...body] = rows;
+    return body.map(row => Object.fromEntries(header.map((column, i) => [column, row[i]])));
+  }
+
+  function splitIds(value) {
+    return String(value || '').split(/[,|]/).map(id => id.trim()).filter(Boolean);
+  }
+
+  function pageKey(url) {
+    if (!url) return '(unknown page)';
+    try {
+      const u = new URL(url);
+      return `${u.pathname}${u.search}`;
+    } catch (e) {
+      return url;
+    }
+  }
+
+  function formatSet(values) {
+    return Array.from(values).sort().join(', ');
+  }
+
+  function diffSets(before, after) {
+    return {
+      added: Array.from(after).filter(value => !before.has(value)).sort(),
+      removed: Array.from(before).filter(value => !after.has(value)).sort()
+    };
+  }
+
+  // Generic keyed diff: describe(before, after) returns a detail string when the item changed
+  function diffMaps(section, beforeMap, afterMap, { summarize, describe }) {
+    const items = [];
+    const keys = new Set([...beforeMap.keys(), ...afterMap.keys()]);
+    for (const key of Array.from(keys).sort()) {
+      const before = beforeMap.get(key);
+      const after = afterMap.get(key);
+      if (!before) {
+        items.push({ section, item: key, change: 'added', before: '', after: summarize(after), detail: '' });
+      } else if (!after) {
+        items.push({ section, item: key, change: 'removed', before: summarize(before), after: '', detail: '' });
+      } else {
+        const detail = describe ? describe(before, after) : '';
+        if (detail) {
+          items.push({ section, item: key, change: 'changed', before: summarize(before), after: summarize(after), detail });
+        }
+      }
+    }
+    return items;
+  }
+
+  // One row per tool; its account IDs (several when a site runs two properties or pixels) are a property of it
+  function indexTech(rows) {
+    const map = new Map();
+    for (const entry of rowsToObjects(rows)) {
+      map.set(`${entry['Technology']} (${entry['Category'] || 'other'})`, { ...entry, accountIds: new Set(splitIds(entry['Account ID'])) });
+    }
+    return map;
+  }
+
+  function indexAnalytics(rows) {
+    const events = new Map(); // provider: event -> { occurrences, accountIds }
+    const accountIds = new Map(); // provider -> Set of IDs
+    const coverage = new Map(); // page -> Set of provider: event
+    for (const entry of rowsToObjects(rows)) {
+      const provider = entry['Provider'] || 'Unknown';
+      const eventName = entry['Event Name'] || '(unnamed)';
+      const key = `${provider}: ${eventName}`;
+      const ids = splitIds(entry['Account ID']);
+
+      if (!events.has(key)) events.set(key, { occurrences: 0, accountIds: new Set() });
+      const event = events.get(key);
+      event.occurrences += Number(entry['Occurrences']) || 1;
+      ids.forEach(id => event.accountIds.add(id));
+
+      if (ids.length && ID_PROVIDERS.test(provider)) {
+        if (!accountIds.has(provider)) accountIds.set(provider, new Set());
+        ids.forEach(id => accountIds.get(provider).add(id));
+      }
+
+      const page = pageKey(entry['Page URL']);
+      if (!coverage.has(page)) coverage.set(page, new Set());
+      coverage.get(page).add(key);
+    }
+    return { events, accountIds, coverage };
+  }
+
+  function indexHosts(calls, siteOrigin) {
+    let siteHost = null;
+    try {
+      siteHost = siteOrigin ? new URL(siteOrigin).hostname : null;
+    } catch (e) {
+      // Compare every host
+    }
+    const hosts = new Map();
+    for (const call of calls) {
+      const host = (call.host || '').split(':')[0];
+      if (!host || host === siteHost) continue;
+      hosts.set(host, (hosts.get(host) || 0) + 1);
+    }
+    return hosts;
+  }
+
+  // base / compare: { session, techRows, analyticsRows, networkCalls }
+  function diffSessions(base, compare) {
+    const baseAnalytics = indexAnalytics(base.analyticsRows);
+    const compareAnalytics = indexAnalytics(compare.analyticsRows);
+
+    const tech = diffMaps('Tech Stack', indexTech(base.techRows), indexTech(compare.techRows), {
+      summarize: entry => [formatSet(entry.accountIds), `confidence ${entry['Top Confidence']}`].filter(Boolean).join(' · '),
+      describe: (before, after) => {
+        const notes = [];
+        const { added, removed } = diffSets(before.accountIds, after.accountIds);
+        if (added.length || removed.length) {
+          notes.push(`account ID ${formatSet(before.accountIds) || 'none'} → ${formatSet(after.accountIds) || 'none'}`);
+        }
+        const delta = Number(after['Top Confidence']) - Number(before['Top Confidence']);
+        if (Math.abs(delta) >= 0.2) notes.push(`confidence ${before['Top Confidence']} → ${after['Top Confidence']}`);
+        return notes.join('; ');
+      }
+    });
+
+    const ids = diffMaps('Account IDs', baseAnalytics.accountIds, compareAnalytics.accountIds, {
+      summarize: formatSet,
+      describe: (before, after) => {
+        const { added, removed } = diffSets(before, after);
+        if (!added.length && !removed.length) return '';
+        return [removed.length ? `- ${removed.join(', ')}` : '', added.length ? `+ ${added.join(', ')}` : ''].filter(Boolean).join(' ');
+      }
+    });
+
+    const events = diffMaps('Analytics Events', baseAnalytics.events, compareAnalytics.events, {
+      summarize: event => [`${event.occurrences}×`, formatSet(event.accountIds)].filter(Boolean).join(' · '),
+      describe: (before, after) => {
+        const { added, removed } = diffSets(before.accountIds, after.accountIds);
+        if (!added.length && !removed.length) return '';
+        return `account ID ${formatSet(before.accountIds) || 'none'} → ${formatSet(after.accountIds) || 'none'}`;
+      }
+    });
+
+    const hosts = diffMaps('Tracked Hosts', indexHosts(base.networkCalls || [], base.session?.origin), indexHosts(compare.networkCalls || [], compare.session?.origin), {
+      summarize: count => `${count} calls`
+    });
+
+    const coverage = diffMaps('Page Coverage', baseAnalytics.coverage, compareAnalytics.coverage, {
+      summarize: set => `${set.size} events`,
+      describe: (before, after) => {
+        const { added, removed } = diffSets(before, after);
+        if (!added.length && !removed.length) return '';
+        return [removed.length ? `- ${removed.join(', ')}` : '', added.length ? `+ ${added.join(', ')}` : ''].filter(Boolean).join(' ');
+      }
+    });
+
+    const items = [...ids, ...tech, ...events, ...hosts, ...coverage];
+    const summary = { added: 0, removed: 0, changed: 0 };
+    items.forEach(item => { summary[item.change] += 1; });
+    return { items, summary };
+  }
+
+  function buildDiffRows(diff) {
+    const rows = [["Section", "Item", "Change", "Before", "After", "Detail"]];
+    diff.items.forEach((item) => {
+      rows.push([item.section, item.item, item.change, item.before, item.after, item.detail]);
+    });
+    return rows;
+  }
+
+  // Make available globally for service worker
+  self.CASTSessionDiff = {
+    diffSessions,
+    buildDiffRows
+  };
+})();
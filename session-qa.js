@@ -0,0 +1,193 @@
+// Session Q&A for CAST
+// Grounds a natural-language question in one session: structured filters pulled from the question
+// (vendor, event name, parameter, page path) rank the captured calls, the best ones are numbered
+// [R1]..[Rn] in a compact context with the stored tech stack and analytics results, and the
+// model's citations are mapped back to request IDs and page URLs.
+(function () {
+  const MAX_CONTEXT_CALLS = 80;
+  const MAX_CONTEXT_RESULTS = 60;
+  const MAX_HISTORY_TURNS = 4;
+
+  // Vendors a question can name: words that mention them, and what identifies their calls
+  const VENDORS = [
+    { name: 'Google Analytics 4', question: /\b(ga4|google analytics|gtag|measurement id|g-[a-z0-9]+)\b/i, provider: /Google Analytics 4/, host: /google-analytics\.com|analytics\.google\.com/ },
+    { name: 'Universal Analytics', question: /\b(universal analytics|ua-\d+)\b/i, provider: /Universal Analytics/, host: /google-analytics\.com/ },
+    { name: 'Google Tag Manager', question: /\b(gtm|tag manager|container|gtag|config)\b/i, provider: /Google Tag Manager/, host: /googletagmanager\.com/ },
+    { name: 'Meta Pixel', question: /\b(meta|facebook|fb|fbq|pixel)\b/i, provider: /Meta Pixel/, host: /facebook\.(com|net)/ },
+    { name: 'Google Ads', question: /\b(google ads|adwords|doubleclick|conversion linker|gclid)\b/i, provider: null, host: /googleadservices\.com|doubleclick\.net|googlesyndication\.com/ },
+    { name: 'TikTok', question: /\btiktok\b/i, provider: null, host: /tiktok\.com/ },
+    { name: 'LinkedIn', question: /\blinkedin\b/i, provider: null, host: /linkedin\.com|licdn\.com/ },
+    { name: 'Segment', question: /\bsegment\b/i, provider: null, host: /segment\.(com|io)/ },
+    { name: 'Adobe Analytics', question: /\b(adobe|omniture|appmeasurement)\b/i, provider: null, host: /omtrdc\.net|2o7\.net|adobedc\.net/ },
+    { name: 'Hotjar', question: /\bhotjar\b/i, provider: null, host: /hotjar\.(com|io)/ },
+    { name: 'HubSpot', question: /\bhubspot\b/i, provider: null, host: /hubspot\.com|hs-analytics\.net|hs-scripts\.com/ }
+  ];
+
+  // Question words that point at specific hit parameters
+  const PARAM_TOPICS = [
+    { question: /\bconsent\b|\bgcs\b|\bgcd\b|\bcookie banner\b/i, params: ['gcs', 'gcd', 'consent_state', 'consent_defaults', 'gdpr', 'gdpr_consent'] },
+    { question: /\b(transaction|order id|revenue|value|currency)\b/i, params: ['transaction_id', 'value', 'currency', 'cu', 'ep.transaction_id', 'cd[value]', 'cd[currency]'] },
+    { question: /\b(client id|cid|user id|uid)\b/i, params: ['cid', 'uid', 'user_id'] }
+  ];
+
+  const STOP_WORDS = new Set(('a an and are as at be by does do for from fire fires firing how in is it its of on or '
+    + 'page pages sent send the this that to was were what when where which who why with any all before after '
+    + 'there their than then event events request requests call calls hit hits site').split(' '));
+
+  // { vendors, eventNames, params, pathTerms, terms } from the question; knownEventNames come from the session
+  function extractFilters(question, knownEventNames = []) {
+    const text = String(question || '');
+    const lower = text.toLowerCase();
+    const vendors = VENDORS.filter(vendor => vendor.question.test(text)).map(vendor => vendor.name);
+    const quoted = Array.from(text.matchAll(/["'`]([^"'`]{2,60})["'`]/g), match => match[1].toLowerCase());
+    const words = lower.split(/[^a-z0-9_./-]+/).filter(word => word.length > 1 && !STOP_WORDS.has(word));
+    const eventNames = Array.from(new Set(knownEventNames
+      .filter(Boolean)
+      .map(name => String(name))
+      .filter(name => quoted.includes(name.toLowerCase()) || words.includes(name.toLowerCase()))));
+    const params = PARAM_TOPICS.filter(topic => topic.question.test(text)).flatMap(topic => topic.params);
+    const pathTerms = Array.from(text.matchAll(/(?:^|\s)(\/[a-z0-9_\-./]*)/gi), match => match[1].toLowerCase())
+      .concat(words.filter(word => ['checkout', 'cart', 'product', 'products', 'search', 'login', 'account', 'home', 'blog', 'contact'].includes(word)));
+    return { vendors, eventNames, params, pathTerms: Array.from(new Set(pathTerms)), terms: Array.from(new Set([...quoted, ...words])) };
+  }
+
+  function vendorOf(call, events) {
+    const host = call.host || '';
+    const match = VENDORS.find(vendor => (vendor.provider && events.some(event => vendor.provider.test(event.provider))) || vendor.host.test(host));
+    return match ? match.name : null;
+  }
+
+  function callParamKeys(call, events) {
+    const keys = new Set(Object.keys(call.queryParams || {}));
+    events.forEach(event => Object.keys(event.params || {}).forEach(key => keys.add(key)));
+    const body = typeof call.postData === 'string' ? call.postData : '';
+    body.split(/[&\s]+/).forEach((pair) => {
+      const key = pair.split('=')[0];
+      if (key && key.length < 40) keys.add(key);
+    });
+    return keys;
+  }
+
+  // Score every call against the filters; returns [{ call, events, score }] best first, only matches
+  function rankCalls(calls, eventsByRequestId, filters) {
+    const ranked = [];
+    calls.forEach((call) => {
+      const events = eventsByRequestId.get(call.requestId) || [];
+      let score = 0;
+      const vendor = vendorOf(call, events);
+      if (filters.vendors.length && vendor && filters.vendors.includes(vendor)) score += 4;
+      if (filters.eventNames.length && events.some(event => filters.eventNames.some(name => String(event.event_name || '').toLowerCase() === name.toLowerCase()))) score += 6;
+      if (filters.params.length) {
+        const keys = callParamKeys(call, events);
+        if (filters.params.some(param => keys.has(param))) score += 3;
+      }
+      if (filters.pathTerms.length && filters.pathTerms.some(term => String(call.pageUrl || '').toLowerCase().includes(term))) score += 2;
+      if (!score && filters.terms.length) {
+        const url = String(call.url || '').toLowerCase();
+        if (filters.terms.some(term => term.length > 3 && url.includes(term))) score += 1;
+      }
+      if (score) ranked.push({ call, events, score });
+    });
+    return ranked.sort((a, b) => b.score - a.score || (a.call.timestamp || 0) - (b.call.timestamp || 0));
+  }
+
+  function truncate(value, max) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text && text.length > max ? `${text.slice(0, max)}…` : text;
+  }
+
+  // Stored analytics results that match the question's vendors or event names go first
+  function rankResults(analyticsEvents, filters) {
+    const matches = (item) => {
+      const eventName = String(item.event_name || '').toLowerCase();
+      return filters.eventNames.some(name => name.toLowerCase() === eventName) ||
+        VENDORS.some(vendor => filters.vendors.includes(vendor.name) && vendor.provider && vendor.provider.test(item.provider || ''));
+    };
+    return analyticsEvents.map(item => ({ item, match: matches(item) }))
+      .sort((a, b) => Number(b.match) - Number(a.match))
+      .map(entry => entry.item);
+  }
+
+  // Numbered context lines, grouped by page in capture order so "before/after" questions can be answered
+  function buildContext({ entries, techStack = [], analyticsEvents = [], filters = null }) {
+    if (filters) analyticsEvents = rankResults(analyticsEvents, filters);
+    const refs = new Map();
+    const byPage = new Map();
+    entries.forEach((entry) => {
+      const pageUrl = entry.call.pageUrl || '(unknown page)';
+      if (!byPage.has(pageUrl)) byPage.set(pageUrl, []);
+      byPage.get(pageUrl).push(entry);
+    });
+
+    const lines = [];
+    let n = 0;
+    byPage.forEach((pageEntries, pageUrl) => {
+      pageEntries.sort((a, b) => (a.call.timestamp || 0) - (b.call.timestamp || 0));
+      const start = pageEntries[0].call.timestamp || 0;
+      lines.push(`Page: ${pageUrl}`);
+      pageEntries.forEach(({ call, events }) => {
+        const ref = `R${++n}`;
+        refs.set(ref, { ref, requestId: call.requestId || null, pageUrl: call.pageUrl || null, url: call.url || null });
+        const parts = [
+          `[${ref}] +${Math.max(0, (call.timestamp || start) - start)}ms ${call.method || 'GET'} ${truncate(call.url, 300)}`,
+          call.failed ? `failed (${call.blockedReason || call.errorText || 'error'})` : (call.status != null ? `HTTP ${call.status}` : null)
+        ];
+        events.forEach((event) => {
+          parts.push(`decoded ${event.provider}: ${event.event_name || '(no event)'}` +
+            (event.account_id ? ` id=${event.account_id}` : '') +
+            (event.params && Object.keys(event.params).length ? ` params=${truncate(event.params, 400)}` : ''));
+        });
+        if (!events.length && call.postData) parts.push(`body=${truncate(call.postData, 400)}`);
+        lines.push(parts.filter(Boolean).join(' | '));
+      });
+    });
+
+    const techLines = techStack.slice(0, MAX_CONTEXT_RESULTS).map(item =>
+      `- ${item.name} (${item.category || 'other'}, confidence ${item.confidence ?? 'n/a'}${item.accountId ? `, id ${item.accountId}` : ''})`);
+    const eventLines = analyticsEvents.slice(0, MAX_CONTEXT_RESULTS).map(item =>
+      `- ${item.provider}: ${item.event_name || '(no event)'} on ${item.page_url || 'unknown page'}${item.notes ? ` (${truncate(item.notes, 160)})` : ''}`);
+
+    const text = [
+      `Tech stack results (${techStack.length}):`,
+      techLines.join('\n') || '- none',
+      '',
+      `Analytics event results (${analyticsEvents.length}${analyticsEvents.length > MAX_CONTEXT_RESULTS ? `, first ${MAX_CONTEXT_RESULTS}` : ''}):`,
+      eventLines.join('\n') || '- none',
+      '',
+      `Network requests (${n}, numbered for citation):`,
+      lines.join('\n') || '- none matched the question'
+    ].join('\n');
+    return { text, refs };
+  }
+
+  function buildQuestionPrompt(question, history = [], contextText) {
+    const turns = history.slice(-MAX_HISTORY_TURNS).map(turn => `Q: ${turn.question}\nA: ${truncate(turn.answer, 800)}`);
+    return [
+      ...(turns.length ? [`Earlier in this conversation:\n${turns.join('\n\n')}`, ''] : []),
+      'Session data:',
+      contextText,
+      '',
+      `Question: ${question}`
+    ].join('\n');
+  }
+
+  // Map the model's [R#] references (cited list and inline) to request IDs / page URLs; unknown refs are dropped
+  function resolveCitations(result, refs) {
+    const cited = new Set((result.citations || []).map(ref => String(ref).replace(/[[\]\s]/g, '').toUpperCase()));
+    Array.from(String(result.answer || '').matchAll(/\bR(\d+)\b/g), match => cited.add(`R${match[1]}`));
+    return Array.from(cited)
+      .filter(ref => refs.has(ref))
+      .sort((a, b) => Number(a.slice(1)) - Number(b.slice(1)))
+      .map(ref => refs.get(ref));
+  }
+
+  // Make available globally for service worker
+  self.CASTSessionQA = {
+    MAX_CONTEXT_CALLS,
+    extractFilters,
+    rankCalls,
+    buildContext,
+    buildQuestionPrompt,
+    resolveCitations
+  };
+})();
@@ -0,0 +1,180 @@
+// robots.txt and sitemap.xml support for CAST
+// Parses robots.txt (Sitemap lines, Allow/Disallow for our user agent) and walks sitemaps,
+// including sitemap indexes and gzip-compressed files, to seed the crawl frontier.
+(function () {
+  const FETCH_TIMEOUT = 15000;
+  const MAX_SITEMAPS = 50;
+
+  // signal: the caller's AbortSignal, which cancels the fetch as well as the per-request timeout
+  async function fetchWithTimeout(url, signal = null) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+    const abort = () => controller.abort();
+    if (signal) signal.addEventListener('abort', abort, { once: true });
+    try {
+      return await fetch(url, { signal: controller.signal, credentials: 'omit', cache: 'no-store' });
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', abort);
+    }
+  }
+
+  // Turn a robots path rule ("*" wildcards, "$" end anchor) into a regex
+  function robotsRuleToRegex(path) {
+    let source = '';
+    for (const char of path) {
+      if (char === '*') source += '.*';
+      else if (char === '$') source += '$';
+      else source += char.replace(/[.+?^{}()|[\]\\/]/g, '\\$&');
+    }
+    return new RegExp(`^${source}`);
+  }
+
+  // Parse robots.txt. Rules come from the most specific group matching userAgent, falling back to "*"
+  function parseRobots(text, userAgent = 'cast') {
+    const sitemaps = [];
+    const groups = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of String(text || '').split(/\r?\n/)) {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const separator = line.indexOf(':');
+      if (separator === -1) continue;
+      const field = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      if (field === 'sitemap') {
+        if (value) sitemaps.push(value);
+        continue;
+      }
+      if (field === 'user-agent') {
+        if (!current || !lastWasAgent) {
+          current = { agents: [], rules: [] };
+          groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+        lastWasAgent = true;
+        continue;
+      }
+      lastWasAgent = false;
+      if (!current || (field !== 'allow' && field !== 'disallow')) continue;
+      // An empty Disallow allows everything
+      if (!value) continue;
+      current.rules.push({ allow: field === 'allow', path: value, regex: robotsRuleToRegex(value) });
+    }
+
+    const agent = userAgent.toLowerCase();
+    const group = groups.find(g => g.agents.some(a => a !== '*' && agent.includes(a)))
+      || groups.find(g => g.agents.includes('*'));
+    return { sitemaps, rules: group ? group.rules : [] };
+  }
+
+  // Longest matching rule wins; Allow wins a tie
+  function isDisallowed(href, robots) {
+    if (!robots || !robots.rules.length) return false;
+    let url;
+    try {
+      url = new URL(href);
+    } catch (e) {
+      return false;
+    }
+    const target = `${url.pathname}${url.search}`;
+    let best = null;
+    for (const rule of robots.rules) {
+      if (!rule.regex.test(target)) continue;
+      if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+        best = rule;
+      }
+    }
+    return !!best && !best.allow;
+  }
+
+  async function fetchRobots(siteOrigin) {
+    try {
+      const response = await fetchWithTimeout(`${siteOrigin}/robots.txt`);
+      if (!response.ok) return { sitemaps: [], rules: [] };
+      return parseRobots(await response.text());
+    } catch (e) {
+      console.warn('CAST: Could not fetch robots.txt:', e.message);
+      return { sitemaps: [], rules: [] };
+    }
+  }
+
+  function decodeXmlText(text) {
+    return text
+      .replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, '$1')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&')
+      .trim();
+  }
+
+  // Service workers have no DOMParser, so <loc> values are read with a tolerant regex
+  function parseSitemap(xml) {
+    const isIndex = /<sitemapindex[\s>]/i.test(xml);
+    const locs = [];
+    const pattern = /<(?:[a-z0-9]+:)?loc>([\s\S]*?)<\/(?:[a-z0-9]+:)?loc>/gi;
+    let match;
+    while ((match = pattern.exec(xml))) {
+      const loc = decodeXmlText(match[1]);
+      if (loc) locs.push(loc);
+    }
+    return { isIndex, locs };
+  }
+
+  // Read a sitemap body, decompressing gzip when the server didn't already
+  async function readSitemapBody(response, url) {
+    const buffer = await response.arrayBuffer();
+    const bytes = new Uint8Array(buffer);
+    const isGzip = bytes.length > 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+    if (!isGzip) return new TextDecoder().decode(bytes);
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error(`Cannot decompress ${url}: DecompressionStream unavailable`);
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Response(stream).text();
+  }
+
+  // Walk sitemaps breadth-first. Returns page URLs (deduplicated) up to maxUrls; an aborted signal
+  // stops the walk and cancels the sitemap being fetched
+  async function collectSitemapUrls(sitemapUrls, { maxUrls = 5000, onProgress, signal = null } = {}) {
+    const pending = [...new Set(sitemapUrls)];
+    const seenSitemaps = new Set();
+    const pages = new Set();
+
+    while (pending.length && seenSitemaps.size < MAX_SITEMAPS && pages.size < maxUrls && !signal?.aborted) {
+      const sitemapUrl = pending.shift();
+      if (seenSitemaps.has(sitemapUrl)) continue;
+      seenSitemaps.add(sitemapUrl);
+      try {
+        const response = await fetchWithTimeout(sitemapUrl, signal);
+        if (!response.ok) continue;
+        const { isIndex, locs } = parseSitemap(await readSitemapBody(response, sitemapUrl));
+        if (isIndex) {
+          locs.forEach(loc => { if (!seenSitemaps.has(loc)) pending.push(loc); });
+        } else {
+          for (const loc of locs) {
+            if (pages.size >= maxUrls) break;
+            pages.add(loc);
+          }
+        }
+        if (onProgress) onProgress({ sitemaps: seenSitemaps.size, urls: pages.size });
+      } catch (e) {
+        console.warn('CAST: Could not read sitemap:', sitemapUrl, e.message);
+      }
+    }
+    return Array.from(pages);
+  }
+
+  // Make available globally for service worker
+  self.CASTSitemap = {
+    parseRobots,
+    fetchRobots,
+    isDisallowed,
+    parseSitemap,
+    collectSitemapUrls
+  };
+})();
@@ -0,0 +1,352 @@
+// Rule-based tech-stack fingerprinting for CAST
+// Wappalyzer-style signatures matched against captured network calls (hosts, URLs,
+// response headers, cookies) and page signals (script URLs, meta tags, window globals, DOM).
+//
+// Signature shape (all matchers optional, patterns are regex strings, "" means "present"):
+// {
+//   "name": "Shopify", "category": "cms", "confidence": 0.9,
+//   "hosts": ["cdn\\.shopify\\.com"], "urls": ["/cdn/shop/"], "scripts": ["shopify"],
+//   "headers": { "x-shopify-stage": "" }, "cookies": { "_shopify_y": "" },
+//   "meta": { "generator": "Shopify" }, "globals": { "Shopify.shop": "" }, "dom": ["#shopify-section-header"],
+//   "accountId": "[?&]id=(GTM-[A-Z0-9]+)"
+// }
+// A capture group in a pattern is reported as the version.
+(function () {
+  const DEFAULT_TECH_SIGNATURES = [
+    // Frameworks
+    { name: 'Next.js', category: 'framework', urls: ['/_next/static/'], headers: { 'x-powered-by': 'Next\\.js ?([\\d.]+)?' }, globals: { '__NEXT_DATA__': '', 'next.version': '([\\d.]+)' }, dom: ['#__next'] },
+    { name: 'Nuxt', category: 'framework', urls: ['/_nuxt/'], globals: { '__NUXT__': '', '$nuxt': '' }, dom: ['#__nuxt'] },
+    { name: 'Gatsby', category: 'framework', urls: ['/page-data/.*page-data\\.json'], meta: { generator: 'Gatsby ?([\\d.]+)?' }, dom: ['#___gatsby'] },
+    { name: 'React', category: 'framework', globals: { 'React.version': '([\\d.]+)' }, dom: ['[data-reactroot]'], scripts: ['react(\\.production)?(\\.min)?\\.js'] },
+    { name: 'Vue.js', category: 'framework', globals: { 'Vue.version': '([\\d.]+)', '__VUE__': '' }, dom: ['[data-v-app]'], scripts: ['vue(\\.runtime)?(\\.global)?(\\.prod)?(\\.min)?\\.js'] },
+    { name: 'Angular', category: 'framework', dom: ['[ng-version]'], globals: { 'ng': '', 'getAllAngularRootElements': '' } },
+    { name: 'Svelte', category: 'framework', dom: ['[class*="svelte-"]'] },
+    { name: 'Remix', category: 'framework', globals: { '__remixContext': '' } },
+    { name: 'Astro', category: 'framework', meta: { generator: 'Astro v?([\\d.]+)?' }, dom: ['astro-island'] },
+    { name: 'jQuery', category: 'framework', globals: { 'jQuery.fn.jquery': '([\\d.]+)' }, scripts: ['jquery[.-]([\\d.]+)?(\\.min)?\\.js'] },
+    { name: 'PHP', category: 'framework', headers: { 'x-powered-by': 'PHP/?([\\d.]+)?' }, cookies: { 'PHPSESSID': '' } },
+    { name: 'ASP.NET', category: 'framework', headers: { 'x-powered-by': 'ASP\\.NET', 'x-aspnet-version': '([\\d.]+)' }, cookies: { 'ASP.NET_SessionId': '' } },
+    { name: 'Express', category: 'framework', headers: { 'x-powered-by': '^Express$' } },
+
+    // CMS / content platforms
+    { name: 'WordPress', category: 'cms', urls: ['/wp-content/', '/wp-includes/', '/wp-json/'], meta: { generator: 'WordPress ?([\\d.]+)?' }, headers: { 'link': 'rel="https://api\\.w\\.org/"' } },
+    { name: 'Drupal', category: 'cms', meta: { generator: 'Drupal ?(\\d+)?' }, headers: { 'x-generator': 'Drupal ?(\\d+)?', 'x-drupal-cache': '' }, globals: { 'Drupal': '' } },
+    { name: 'Shopify', category: 'cms', hosts: ['cdn\\.shopify\\.com', 'shopifycloud\\.com'], headers: { 'x-shopify-stage': '', 'x-shopid': '' }, cookies: { '_shopify_y': '' }, globals: { 'Shopify.shop': '' } },
+    { name: 'Contentful', category: 'cms', hosts: ['ctfassets\\.net', 'cdn\\.contentful\\.com'] },
+    { name: 'Sanity', category: 'cms', hosts: ['cdn\\.sanity\\.io'] },
+    { name: 'Strapi', category: 'cms', headers: { 'x-powered-by': 'Strapi' } },
+    { name: 'Prismic', category: 'cms', hosts: ['prismic\\.io', 'images\\.prismic\\.io'] },
+    { name: 'Storyblok', category: 'cms', hosts: ['a\\.storyblok\\.com', 'api\\.storyblok\\.com'] },
+    { name: 'Webflow', category: 'cms', meta: { generator: 'Webflow' }, hosts: ['assets\\.website-files\\.com'], dom: ['html[data-wf-site]'] },
+    { name: 'Wix', category: 'cms', meta: { generator: 'Wix\\.com' }, headers: { 'x-wix-request-id': '' }, hosts: ['static\\.wixstatic\\.com'] },
+    { name: 'Squarespace', category: 'cms', hosts: ['static1\\.squarespace\\.com'], globals: { 'Squarespace': '' } },
+    { name: 'Adobe Experience Manager', category: 'cms', urls: ['/etc\\.clientlibs/', '/content/dam/'] },
+    { name: 'Salesforce Commerce Cloud', category: 'cms', urls: ['/on/demandware\\.(static|store)/'], cookies: { 'dwsid': '' } },
+    { name: 'Magento', category: 'cms', urls: ['/static/version\\d+/frontend/'], cookies: { 'X-Magento-Vary': '' }, globals: { 'Mage': '' } },
+
+    // CDN
+    { name: 'Cloudflare', category: 'cdn', headers: { 'cf-ray': '', 'server': '^cloudflare$', 'cf-cache-status': '' }, urls: ['/cdn-cgi/'], cookies: { '__cf_bm': '', '__cflb': '' } },
+    { name: 'Akamai', category: 'cdn', headers: { 'x-akamai-transformed': '', 'server': 'AkamaiGHost' }, hosts: ['akamaihd\\.net', 'akamaized\\.net'] },
+    { name: 'Fastly', category: 'cdn', headers: { 'x-served-by': 'cache-', 'via': 'varnish', 'x-fastly-request-id': '' } },
+    { name: 'Amazon CloudFront', category: 'cdn', headers: { 'x-amz-cf-id': '', 'via': 'CloudFront' }, hosts: ['cloudfront\\.net'] },
+    { name: 'jsDelivr', category: 'cdn', hosts: ['cdn\\.jsdelivr\\.net'] },
+    { name: 'unpkg', category: 'cdn', hosts: ['unpkg\\.com'] },
+
+    // Hosting / infrastructure
+    { name: 'Vercel', category: 'infrastructure', headers: { 'x-vercel-id': '', 'server': '^Vercel$', 'x-vercel-cache': '' } },
+    { name: 'Netlify', category: 'infrastructure', headers: { 'x-nf-request-id': '', 'server': '^Netlify$' } },
+    { name: 'Amazon S3', category: 'infrastructure', headers: { 'server': '^AmazonS3$' }, hosts: ['s3[.-]([a-z0-9-]+\\.)?amazonaws\\.com'] },
+    { name: 'Google Cloud', category: 'infrastructure', headers: { 'server': '^(Google Frontend|gws)$' }, hosts: ['storage\\.googleapis\\.com'] },
+    { name: 'Nginx', category: 'infrastructure', headers: { 'server': 'nginx/?([\\d.]+)?' } },
+    { name: 'Apache', category: 'infrastructure', headers: { 'server': 'Apache/?([\\d.]+)?' } },
+    { name: 'Microsoft IIS', category: 'infrastructure', headers: { 'server': 'Microsoft-IIS/?([\\d.]+)?' } },
+    { name: 'Varnish', category: 'infrastructure', headers: { 'x-varnish': '', 'via': 'varnish' } },
+    { name: 'Algolia', category: 'infrastructure', hosts: ['algolia\\.net', 'algolianet\\.com'] },
+    { name: 'Auth0', category: 'infrastructure', hosts: ['\\.auth0\\.com$'] },
+    { name: 'Stripe', category: 'infrastructure', hosts: ['js\\.stripe\\.com', 'api\\.stripe\\.com'] },
+    { name: 'reCAPTCHA', category: 'infrastructure', urls: ['google\\.com/recaptcha/', 'recaptcha\\.net'] },
+    { name: 'Sentry', category: 'infrastructure', hosts: ['sentry\\.io$', 'browser\\.sentry-cdn\\.com'], globals: { '__SENTRY__': '' } },
+    { name: 'Datadog RUM', category: 'infrastructure', hosts: ['browser-intake-datadoghq\\.(com|eu)'], globals: { 'DD_RUM': '' } },
+    { name: 'New Relic', category: 'infrastructure', hosts: ['js-agent\\.newrelic\\.com', 'bam\\.nr-data\\.net'], globals: { 'NREUM': '' } },
+
+    // Analytics, tag management, consent and marketing
+    { name: 'Google Tag Manager', category: 'analytics', urls: ['/gtm\\.js\\?id=GTM-'], globals: { 'google_tag_manager': '' }, accountId: '[?&]id=(GTM-[A-Z0-9]+)' },
+    { name: 'Google Analytics 4', category: 'analytics', urls: ['/g/collect\\?', 'gtag/js\\?id=G-'], cookies: { '_ga': '' }, accountId: '[?&](?:tid|id)=(G-[A-Z0-9]+)' },
+    { name: 'Universal Analytics', category: 'analytics', urls: ['google-analytics\\.com/(r/|j/)?collect\\?.*v=1', 'google-analytics\\.com/analytics\\.js'], accountId: '[?&]tid=(UA-\\d+-\\d+)' },
+    { name: 'Google Ads', category: 'analytics', hosts: ['googleadservices\\.com'], urls: ['gtag/js\\?id=AW-', 'googleads\\.g\\.doubleclick\\.net/pagead/'], accountId: '(AW-\\d+)' },
+    { name: 'DoubleClick / Floodlight', category: 'analytics', hosts: ['\\.doubleclick\\.net$', 'fls\\.doubleclick\\.net'], accountId: '[?&]src=(\\d+)' },
+    { name: 'Meta Pixel', category: 'analytics', urls: ['connect\\.facebook\\.net/.*/fbevents\\.js', 'facebook\\.com/tr/?\\?'], cookies: { '_fbp': '' }, globals: { 'fbq': '' }, accountId: 'facebook\\.com/tr/?\\?(?:.*&)?id=(\\d+)' },
+    { name: 'TikTok Pixel', category: 'analytics', hosts: ['analytics\\.tiktok\\.com'], globals: { 'ttq': '' }, accountId: '[?&]sdkid=([A-Z0-9]+)' },
+    { name: 'LinkedIn Insight Tag', category: 'analytics', hosts: ['snap\\.licdn\\.com', 'px\\.ads\\.linkedin\\.com'], globals: { '_linkedin_partner_id': '' }, accountId: '[?&]pid=(\\d+)' },
+    { name: 'X (Twitter) Pixel', category: 'analytics', hosts: ['static\\.ads-twitter\\.com', 'analytics\\.twitter\\.com', 't\\.co$'], globals: { 'twq': '' } },
+    { name: 'Pinterest Tag', category: 'analytics', hosts: ['ct\\.pinterest\\.com', 's\\.pinimg\\.com'], globals: { 'pintrk': '' } },
+    { name: 'Microsoft Advertising (UET)', category: 'analytics', hosts: ['bat\\.bing\\.com'], globals: { 'UET': '' }, accountId: '[?&]ti=(\\d+)' },
+    { name: 'Segment', category: 'analytics', hosts: ['cdn\\.segment\\.com', 'api\\.segment\\.io'], globals: { 'analytics.VERSION': '([\\d.]+)' }, cookies: { 'ajs_anonymous_id': '' }, accountId: 'cdn\\.segment\\.com/analytics\\.js/v1/([A-Za-z0-9]+)' },
+    { name: 'Mixpanel', category: 'analytics', hosts: ['api(-js)?\\.mixpanel\\.com', 'cdn\\.mxpnl\\.com'], globals: { 'mixpanel': '' } },
+    { name: 'Amplitude', category: 'analytics', hosts: ['api2?\\.amplitude\\.com', 'cdn\\.amplitude\\.com'], globals: { 'amplitude': '' } },
+    { name: 'Adobe Analytics', category: 'analytics', urls: ['/b/ss/'], hosts: ['\\.omtrdc\\.net$', '\\.2o7\\.net$'], globals: { 's_c_il': '' }, accountId: '/b/ss/([^/]+)/' },
+    { name: 'Adobe Launch', category: 'analytics', hosts: ['assets\\.adobedtm\\.com'], globals: { '_satellite': '' } },
+    { name: 'Tealium', category: 'analytics', hosts: ['tags\\.tiqcdn\\.com', 'collect\\.tealiumiq\\.com'], globals: { 'utag': '' }, accountId: 'tags\\.tiqcdn\\.com/utag/([^/]+/[^/]+)/' },
+    { name: 'HubSpot', category: 'analytics', hosts: ['js\\.hs-scripts\\.com', 'js\\.hs-analytics\\.net', 'track\\.hubspot\\.com', 'js\\.hsforms\\.net'], cookies: { 'hubspotutk': '' }, globals: { '_hsq': '' }, accountId: 'js\\.hs-scripts\\.com/(\\d+)\\.js' },
+    { name: 'Hotjar', category: 'analytics', hosts: ['static\\.hotjar\\.com', 'script\\.hotjar\\.com', 'vc\\.hotjar\\.io'], globals: { 'hj': '' }, accountId: 'hotjar-(\\d+)\\.js' },
+    { name: 'Microsoft Clarity', category: 'analytics', hosts: ['clarity\\.ms$', 'www\\.clarity\\.ms'], globals: { 'clarity': '' }, accountId: 'clarity\\.ms/tag/([a-z0-9]+)' },
+    { name: 'FullStory', category: 'analytics', hosts: ['fullstory\\.com', 'edge\\.fullstory\\.com'], globals: { 'FS': '' } },
+    { name: 'Heap', category: 'analytics', hosts: ['heapanalytics\\.com', 'cdn\\.heapanalytics\\.com'], globals: { 'heap': '' } },
+    { name: 'Pendo', category: 'analytics', hosts: ['cdn\\.pendo\\.io', 'app\\.pendo\\.io'], globals: { 'pendo': '' } },
+    { name: 'Optimizely', category: 'analytics', hosts: ['cdn\\.optimizely\\.com', 'logx\\.optimizely\\.com'], globals: { 'optimizely': '' } },
+    { name: 'VWO', category: 'analytics', hosts: ['dev\\.visualwebsiteoptimizer\\.com'], globals: { '_vwo_code': '' } },
+    { name: 'OneTrust', category: 'other', hosts: ['cdn\\.cookielaw\\.org', 'geolocation\\.onetrust\\.com'], cookies: { 'OptanonConsent': '' }, globals: { 'OneTrust': '' } },
+    { name: 'Cookiebot', category: 'other', hosts: ['consent\\.cookiebot\\.com'], cookies: { 'CookieConsent': '' }, globals: { 'Cookiebot': '' } },
+    { name: 'Didomi', category: 'other', hosts: ['sdk\\.privacy-center\\.org'], globals: { 'Didomi': '' } },
+    { name: 'Usercentrics', category: 'other', hosts: ['app\\.usercentrics\\.eu', 'web\\.cmp\\.usercentrics\\.eu'], globals: { 'UC_UI': '' } },
+    { name: 'Intercom', category: 'other', hosts: ['widget\\.intercom\\.io', 'api-iam\\.intercom\\.io'], globals: { 'Intercom': '' } },
+    { name: 'Zendesk', category: 'other', hosts: ['static\\.zdassets\\.com', 'ekr\\.zdassets\\.com'], globals: { 'zE': '' } },
+    { name: 'Drift', category: 'other', hosts: ['js\\.driftt\\.com'], globals: { 'drift': '' } },
+    { name: 'YouTube Embed', category: 'other', urls: ['youtube(-nocookie)?\\.com/(embed|iframe_api)'] },
+    { name: 'Vimeo Embed', category: 'other', hosts: ['player\\.vimeo\\.com'] },
+    { name: 'Google Fonts', category: 'other', hosts: ['fonts\\.googleapis\\.com', 'fonts\\.gstatic\\.com'] },
+    { name: 'Adobe Fonts', category: 'other', hosts: ['use\\.typekit\\.net'] }
+  ];
+
+  // Base confidence per matched signal type; corroborating types raise it
+  const SIGNAL_WEIGHTS = {
+    headers: 0.8,
+    globals: 0.8,
+    meta: 0.85,
+    dom: 0.6,
+    hosts: 0.75,
+    urls: 0.7,
+    scripts: 0.7,
+    cookies: 0.6
+  };
+
+  const regexCache = new Map();
+  function toRegex(pattern) {
+    if (regexCache.has(pattern)) return regexCache.get(pattern);
+    let regex = null;
+    try {
+      regex = new RegExp(pattern, 'i');
+    } catch (e) {
+      console.warn('CAST: Invalid signature pattern:', pattern);
+    }
+    regexCache.set(pattern, regex);
+    return regex;
+  }
+
+  // Test a pattern; "" matches presence. Returns { version } on match or null.
+  function matchPattern(pattern, value) {
+    if (value === undefined || value === null) return null;
+    if (!pattern) return { version: null };
+    const regex = toRegex(pattern);
+    if (!regex) return null;
+    const match = String(value).match(regex);
+    if (!match) return null;
+    return { version: match[1] || null };
+  }
+
+  function asList(value) {
+    if (!value) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+
+  // Global names every signature wants probed in the page's main world
+  function collectGlobalNames(signatures) {
+    const names = new Set();
+    for (const signature of signatures) {
+      Object.keys(signature.globals || {}).forEach(name => names.add(name));
+    }
+    return Array.from(names);
+  }
+
+  function collectDomSelectors(signatures) {
+    const selectors = new Set();
+    for (const signature of signatures) {
+      asList(signature.dom).forEach(selector => selectors.add(selector));
+    }
+    return Array.from(selectors);
+  }
+
+  function parseSetCookieNames(value) {
+    if (!value) return [];
+    return String(value).split('\n').map(line => line.split('=')[0].trim()).filter(Boolean);
+  }
+
+  // Flatten network calls and page snapshots into the observations signatures run against
+  function buildObservations(calls = [], pages = []) {
+    const hosts = new Set();
+    const urls = new Set();
+    const scripts = new Set();
+    const headers = new Map(); // header name -> Set of values
+    const cookies = new Set();
+    const meta = new Map(); // meta name -> Set of values
+    const globals = new Map(); // global path -> value
+    const dom = new Set();
+
+    const addHeader = (name, value) => {
+      if (!headers.has(name)) headers.set(name, new Set());
+      headers.get(name).add(String(value));
+    };
+
+    for (const call of calls) {
+      if (call.host) hosts.add(call.host.split(':')[0]);
+      if (call.url) urls.add(call.url);
+      if (call.resourceType === 'Script' && call.url) scripts.add(call.url);
+      for (const [name, value] of Object.entries(call.responseHeaders || {})) {
+        addHeader(name.toLowerCase(), value);
+        if (name.toLowerCase() === 'set-cookie') parseSetCookieNames(value).forEach(c => cookies.add(c));
+      }
+    }
+
+    for (const page of pages) {
+      asList(page.scripts).forEach(src => scripts.add(src));
+      asList(page.cookies).forEach(name => cookies.add(name));
+      asList(page.dom).forEach(selector => dom.add(selector));
+      for (const [name, value] of Object.entries(page.meta || {})) {
+        if (!meta.has(name)) meta.set(name, new Set());
+        meta.get(name).add(value);
+      }
+      for (const [name, value] of Object.entries(page.globals || {})) {
+        if (!globals.has(name) || (value && !globals.get(name))) globals.set(name, value);
+      }
+    }
+
+    return { hosts, urls, scripts, headers, cookies, meta, globals, dom };
+  }
+
+  // Match a single signature; returns null or { types, evidence, version, accountId }
+  function matchSignature(signature, observations) {
+    const types = new Set();
+    const evidence = [];
+    let version = null;
+    const note = (type, text, match) => {
+      types.add(type);
+      if (evidence.length < 6) evidence.push(text);
+      if (!version && match && match.version) version = match.version;
+    };
+
+    for (const pattern of asList(signature.hosts)) {
+      for (const host of observations.hosts) {
+        const match = matchPattern(pattern, host);
+        if (match) { note('hosts', `host: ${host}`, match); break; }
+      }
+    }
+    for (const pattern of asList(signature.urls)) {
+      for (const url of observations.urls) {
+        const match = matchPattern(pattern, url);
+        if (match) { note('urls', `request: ${url.slice(0, 120)}`, match); break; }
+      }
+    }
+    for (const pattern of asList(signature.scripts)) {
+      for (const src of observations.scripts) {
+        const match = matchPattern(pattern, src);
+        if (match) { note('scripts', `script: ${src.slice(0, 120)}`, match); break; }
+      }
+    }
+    for (const [name, pattern] of Object.entries(signature.headers || {})) {
+      for (const value of observations.headers.get(name.toLowerCase()) || []) {
+        const match = matchPattern(pattern, value);
+        if (match) { note('headers', `header ${name.toLowerCase()}: ${value.slice(0, 80)}`, match); break; }
+      }
+    }
+    // Cookie values are never captured, only names
+    for (const name of Object.keys(signature.cookies || {})) {
+      if (observations.cookies.has(name)) note('cookies', `cookie: ${name}`, null);
+    }
+    for (const [name, pattern] of Object.entries(signature.meta || {})) {
+      for (const value of observations.meta.get(name.toLowerCase()) || []) {
+        const match = matchPattern(pattern, value);
+        if (match) { note('meta', `meta ${name}: ${value.slice(0, 80)}`, match); break; }
+      }
+    }
+    for (const [name, pattern] of Object.entries(signature.globals || {})) {
+      if (!observations.globals.has(name)) continue;
+      const value = observations.globals.get(name);
+      const match = matchPattern(pattern, value === true ? '' : value);
+      if (match) note('globals', `window.${name}${value && value !== true ? ` = ${String(value).slice(0, 40)}` : ''}`, match);
+    }
+    for (const selector of asList(signature.dom)) {
+      if (observations.dom.has(selector)) note('dom', `dom: ${selector}`, null);
+    }
+
+    if (!types.size) return null;
+
+    let accountId = null;
+    if (signature.accountId) {
+      const regex = toRegex(signature.accountId);
+      if (regex) {
+        for (const url of observations.urls) {
+          const match = url.match(regex);
+          if (match && match[1]) { accountId = match[1]; break; }
+        }
+      }
+    }
+
+    return { types, evidence, version, accountId };
+  }
+
+  function scoreMatch(signature, types) {
+    const base = Math.max(...Array.from(types).map(type => SIGNAL_WEIGHTS[type] || 0.5));
+    const boosted = base + 0.08 * (types.size - 1);
+    const ceiling = typeof signature.confidence === 'number' ? signature.confidence : 1;
+    return Math.min(boosted, ceiling, 1);
+  }
+
+  // Run all signatures. Returns records shaped like techStackResults entries
+  function detectTechStack({ calls = [], pages = [], signatures = DEFAULT_TECH_SIGNATURES } = {}) {
+    const observations = buildObservations(calls, pages);
+    const results = [];
+    for (const signature of signatures) {
+      if (!signature || !signature.name) continue;
+      const match = matchSignature(signature, observations);
+      if (!match) continue;
+      const evidence = match.version ? [...match.evidence, `version: ${match.version}`] : match.evidence;
+      results.push({
+        name: signature.name,
+        category: signature.category || 'other',
+        confidence: Number(scoreMatch(signature, match.types).toFixed(2)),
+        evidence,
+        accountId: match.accountId || null,
+        version: match.version || null
+      });
+    }
+    return results;
+  }
+
+  // Validate user-supplied signatures. Returns { signatures, errors }
+  function validateSignatures(input) {
+    const errors = [];
+    if (!Array.isArray(input)) {
+      return { signatures: [], errors: ['Signatures must be a JSON array.'] };
+    }
+    const signatures = input.filter((signature, i) => {
+      if (!signature || typeof signature !== 'object' || !signature.name) {
+        errors.push(`Signature ${i + 1} is missing "name".`);
+        return false;
+      }
+      const patterns = [
+        ...asList(signature.hosts), ...asList(signature.urls), ...asList(signature.scripts),
+        ...Object.values(signature.headers || {}), ...Object.values(signature.cookies || {}),
+        ...Object.values(signature.meta || {}), ...Object.values(signature.globals || {})
+      ];
+      for (const pattern of patterns) {
+        try {
+          new RegExp(pattern);
+        } catch (e) {
+          errors.push(`${signature.name}: invalid pattern "${pattern}".`);
+          return false;
+        }
+      }
+      return true;
+    });
+    return { signatures, errors };
+  }
+
+  // Make available globally for service worker and side panel
+  self.CASTTechFingerprint = {
+    DEFAULT_TECH_SIGNATURES,
+    detectTechStack,
+    validateSignatures,
+    collectGlobalNames,
+    collectDomSelectors
+  };
+})();
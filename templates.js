@@ -0,0 +1,188 @@
+// Page-template clustering for CAST
+// Groups URLs into templates (PDP, PLP, article, checkout step...) by path pattern, with numeric,
+// ID and slug segments collapsed, and merges patterns whose pages share the same DOM structure.
+(function () {
+  // Structures at least this similar (weighted Jaccard) are treated as the same template
+  const STRUCTURE_MERGE_THRESHOLD = 0.85;
+
+  // Collapse one path segment into a placeholder when it looks like an ID or a slug
+  function collapseSegment(segment) {
+    const decoded = (() => {
+      try {
+        return decodeURIComponent(segment);
+      } catch (e) {
+        return segment;
+      }
+    })();
+    const extensionMatch = decoded.match(/^(.*?)(\.[a-z0-9]{2,5})$/i);
+    const base = extensionMatch ? extensionMatch[1] : decoded;
+    const extension = extensionMatch ? extensionMatch[2] : '';
+
+    if (/^\d+$/.test(base)) return `:id${extension}`;
+    if (/^[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}$/i.test(base)) return `:id${extension}`;
+    if (/^[0-9a-f]{10,}$/i.test(base) && /\d/.test(base)) return `:id${extension}`;
+    if (base.length >= 6 && /\d/.test(base) && /[a-z]/i.test(base) && !/[-_]/.test(base)) return `:id${extension}`;
+    // Slugs: several words, a long hyphenated phrase, or a trailing numeric ID ("blue-shirt-1234")
+    const words = base.split(/[-_]+/).filter(Boolean);
+    if (words.length >= 3 || (words.length >= 2 && base.length >= 12) || /[-_]\d+$/.test(base)) return `:slug${extension}`;
+    return decoded.toLowerCase();
+  }
+
+  // "/products/blue-shirt-1234?color=red" -> "/products/:slug"
+  function pathPattern(href) {
+    let url;
+    try {
+      url = new URL(href);
+    } catch (e) {
+      return href;
+    }
+    const segments = url.pathname.split('/').filter(Boolean).map(collapseSegment);
+    return `/${segments.join('/')}`;
+  }
+
+  function segmentCount(pattern) {
+    return pattern.split('/').filter(Boolean).length;
+  }
+
+  // Weighted Jaccard over structure token counts ({ "main:a": 12, "form:contact": 1, ... })
+  function structureSimilarity(a, b) {
+    if (!a || !b) return 0;
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    let min = 0;
+    let max = 0;
+    for (const key of keys) {
+      const x = a[key] || 0;
+      const y = b[key] || 0;
+      min += Math.min(x, y);
+      max += Math.max(x, y);
+    }
+    return max ? min / max : 0;
+  }
+
+  function createTemplateIndex() {
+    return { templates: new Map(), aliases: new Map() };
+  }
+
+  function resolveKey(index, pattern) {
+    return index.aliases.get(pattern) || pattern;
+  }
+
+  function ensureTemplate(index, key) {
+    if (!index.templates.has(key)) {
+      index.templates.set(key, { key, patterns: new Set([key]), signature: null, discovered: new Set(), visited: new Set() });
+    }
+    return index.templates.get(key);
+  }
+
+  function mergeTemplates(index, fromKey, intoKey) {
+    const from = index.templates.get(fromKey);
+    const into = ensureTemplate(index, intoKey);
+    if (!from || from === into) return;
+    from.patterns.forEach((pattern) => {
+      into.patterns.add(pattern);
+      index.aliases.set(pattern, intoKey);
+    });
+    from.discovered.forEach(url => into.discovered.add(url));
+    from.visited.forEach(url => into.visited.add(url));
+    index.templates.delete(fromKey);
+  }
+
+  // A template with a different pattern but the same path depth and near-identical structure
+  function findSimilarTemplate(index, key, structure) {
+    let best = null;
+    let bestScore = STRUCTURE_MERGE_THRESHOLD;
+    for (const template of index.templates.values()) {
+      if (template.key === key || !template.signature) continue;
+      if (segmentCount(template.key) !== segmentCount(key) || segmentCount(key) === 0) continue;
+      const score = structureSimilarity(template.signature, structure);
+      if (score >= bestScore) {
+        best = template;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  function templateKeyForUrl(index, href) {
+    return resolveKey(index, pathPattern(href));
+  }
+
+  function addDiscoveredUrl(index, href) {
+    const template = ensureTemplate(index, templateKeyForUrl(index, href));
+    template.discovered.add(href);
+    return template.key;
+  }
+
+  // Record a visited page; the first structure seen for a pattern may merge it into a similar template
+  function addVisitedPage(index, href, structure) {
+    let key = templateKeyForUrl(index, href);
+    const existing = index.templates.get(key);
+    if (structure && (!existing || !existing.signature)) {
+      const similar = findSimilarTemplate(index, key, structure);
+      if (similar) {
+        mergeTemplates(index, key, similar.key);
+        index.aliases.set(key, similar.key);
+        key = similar.key;
+      }
+    }
+    const template = ensureTemplate(index, key);
+    if (structure && !template.signature) template.signature = structure;
+    template.discovered.add(href);
+    template.visited.add(href);
+    return key;
+  }
+
+  function visitedCountForUrl(index, href) {
+    const template = index.templates.get(templateKeyForUrl(index, href));
+    return template ? template.visited.size : 0;
+  }
+
+  // Rebuild from stored data: uniqueUrls ({ url }) and pageSnapshots ({ pageUrl, structure })
+  function buildTemplateIndex(urlRecords = [], snapshots = []) {
+    const index = createTemplateIndex();
+    const ordered = snapshots.slice().sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+    ordered.forEach(snapshot => addVisitedPage(index, snapshot.pageUrl, snapshot.structure || null));
+    urlRecords.forEach(record => addDiscoveredUrl(index, record.url));
+    return index;
+  }
+
+  function summarizeTemplates(index) {
+    return Array.from(index.templates.values())
+      .map(template => ({
+        key: template.key,
+        patterns: Array.from(template.patterns).sort(),
+        discoveredCount: template.discovered.size,
+        visitedCount: template.visited.size,
+        sampleUrls: Array.from(template.visited).slice(0, 5)
+      }))
+      .sort((a, b) => b.discoveredCount - a.discoveredCount || a.key.localeCompare(b.key));
+  }
+
+  function buildTemplateRows(summary) {
+    const rows = [["Template", "Patterns", "Discovered URLs", "Visited URLs", "Sample URLs"]];
+    summary.forEach((template) => {
+      rows.push([
+        template.key,
+        template.patterns.join(' | '),
+        String(template.discoveredCount),
+        String(template.visitedCount),
+        template.sampleUrls.join(' | ')
+      ]);
+    });
+    return rows;
+  }
+
+  // Make available globally for service worker
+  self.CASTTemplates = {
+    pathPattern,
+    structureSimilarity,
+    createTemplateIndex,
+    templateKeyForUrl,
+    addDiscoveredUrl,
+    addVisitedPage,
+    visitedCountForUrl,
+    buildTemplateIndex,
+    summarizeTemplates,
+    buildTemplateRows
+  };
+})();
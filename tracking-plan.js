@@ -0,0 +1,545 @@
+// Tracking plan import and validation for CAST
+// Reads a customer's tracking plan (CSV or JSON, including CAST's own strategy CSVs) into a list of
+// planned events with typed parameters and the pages they should fire on, then checks the session's
+// decoded GA4, Segment and Adobe Analytics hits against it page by page.
+(function () {
+  const VALIDATED_PROVIDERS = ['Google Analytics 4', 'Segment', 'Adobe Analytics'];
+
+  const PROVIDER_ALIASES = [
+    { provider: 'Google Analytics 4', pattern: /^(ga4|google analytics( 4)?|gtag|ga)$/i },
+    { provider: 'Segment', pattern: /^segment$/i },
+    { provider: 'Adobe Analytics', pattern: /^(adobe( analytics)?|aa|appmeasurement|adobe web sdk|aep)$/i }
+  ];
+
+  const TYPE_ALIASES = {
+    string: 'string', str: 'string', text: 'string', varchar: 'string',
+    number: 'number', float: 'number', double: 'number', decimal: 'number', numeric: 'number', currency: 'number',
+    integer: 'integer', int: 'integer',
+    boolean: 'boolean', bool: 'boolean',
+    array: 'array', list: 'array',
+    object: 'object', dict: 'object', map: 'object',
+    any: 'any'
+  };
+
+  // Sent automatically by the tag itself; only validated when the plan lists them
+  const AUTO_EVENTS = new Set(['page_view', 'session_start', 'first_visit', 'user_engagement', 'scroll', 'click',
+    'view_search_results', 'file_download', 'form_start', 'form_submit', 'video_start', 'video_progress', 'video_complete',
+    'page', 'identify', 'web.webpagedetails.pageViews']);
+
+  const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+  // RFC 4180 CSV (quoted fields may hold commas, quotes and newlines)
+  function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const input = String(text || '').replace(/^\uFEFF/, '');
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+      if (quoted) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    if (field || row.length) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows.filter(cells => cells.some(cell => cell.trim()));
+  }
+
+  function normalizeType(type) {
+    const key = String(type || '').trim().toLowerCase().replace(/\[\]$/, '');
+    if (String(type || '').trim().endsWith('[]')) return 'array';
+    return TYPE_ALIASES[key] || 'any';
+  }
+
+  function normalizeProvider(value) {
+    const text = String(value || '').trim();
+    if (!text) return null;
+    const match = PROVIDER_ALIASES.find(alias => alias.pattern.test(text));
+    return match ? match.provider : null;
+  }
+
+  // "item_id: string, value (number), coupon?" -> [{ name, type, required }]
+  function parseParamList(text, defaultRequired = true) {
+    return String(text || '').split(/[\n,;]+/).map(token => token.trim()).filter(Boolean).map((token) => {
+      const optional = /\?$|\(optional\)|\boptional\b/i.test(token);
+      const cleaned = token.replace(/\(optional\)|\boptional\b|\(required\)|\brequired\b/gi, '').replace(/\?$/, '').trim();
+      const match = cleaned.match(/^([A-Za-z_$][\w.$[\]-]*)\s*(?:[:=]\s*|\(\s*)?([A-Za-z]+(?:\[\])?)?\s*\)?/);
+      if (!match) return null;
+      return { name: match[1], type: normalizeType(match[2]), required: defaultRequired && !optional };
+    }).filter(Boolean);
+  }
+
+  // Page patterns: full URLs, paths, globs with * or /regex/; "all" means anywhere
+  function parsePageList(text) {
+    return String(text || '').split(/\s*(?:[\n;|]|,(?=\s*(?:\/|https?:|\*)))\s*/).map(value => value.trim())
+      .filter(value => value && !/^(all|any|all pages|sitewide|site-wide|global|every page|\*)$/i.test(value));
+  }
+
+  // Ecommerce snippets clear the previous object first (dataLayer.push({ ecommerce: null })), so
+  // read the push that carries the event rather than the first object in the snippet
+  function eventPush(snippet) {
+    const pushes = String(snippet || '').split(/\.push\s*\(/).slice(1);
+    return pushes.find(push => /['"]?\bevent['"]?\s*:/.test(push)) || snippet;
+  }
+
+  // Keys of the first object literal in a dataLayer.push / gtag snippet, with types from their values.
+  // Nested objects become dot paths and the ecommerce wrapper is dropped from the name (GA4 reads its
+  // children); path keeps the full data layer location.
+  function extractSnippetParams(snippet) {
+    const text = String(snippet || '');
+    const start = text.indexOf('{');
+    if (start === -1) return [];
+    let i = start;
+    const params = [];
+
+    const skipSpace = () => {
+      while (i < text.length && /[\s]/.test(text[i])) i++;
+      if (text.startsWith('//', i)) {
+        while (i < text.length && text[i] !== '\n') i++;
+        skipSpace();
+      }
+    };
+    const readString = () => {
+      const quote = text[i++];
+      let value = '';
+      while (i < text.length && text[i] !== quote) {
+        if (text[i] === '\\') i++;
+        value += text[i++];
+      }
+      i++;
+      return value;
+    };
+    // Skip an expression we don't type (identifiers, calls, template logic) up to the next , or closing bracket
+    const skipExpression = () => {
+      let depth = 0;
+      while (i < text.length) {
+        const char = text[i];
+        if (char === '"' || char === "'" || char === '`') {
+          readString();
+          continue;
+        }
+        if ('([{'.includes(char)) depth++;
+        else if (')]}'.includes(char)) {
+          if (!depth) return;
+          depth--;
+        } else if (char === ',' && !depth) return;
+        i++;
+      }
+    };
+    const readValue = (path, fullPath) => {
+      skipSpace();
+      const char = text[i];
+      if (char === '{') {
+        readObject(path, fullPath);
+        return 'object';
+      }
+      if (char === '[') {
+        skipExpression();
+        return 'array';
+      }
+      if (char === '"' || char === "'" || char === '`') {
+        readString();
+        return 'string';
+      }
+      const literal = text.slice(i).match(/^(-?\d+(\.\d+)?|true|false|null|undefined)\b/);
+      skipExpression();
+      if (!literal) return 'any';
+      if (literal[1] === 'true' || literal[1] === 'false') return 'boolean';
+      if (literal[1] === 'null' || literal[1] === 'undefined') return 'any';
+      return 'number';
+    };
+    const readObject = (prefix, fullPrefix) => {
+      i++; // {
+      for (;;) {
+        skipSpace();
+        if (i >= text.length || text[i] === '}') {
+          i++;
+          return;
+        }
+        let key;
+        if (text[i] === '"' || text[i] === "'") key = readString();
+        else {
+          const match = text.slice(i).match(/^[A-Za-z_$][\w$]*/);
+          if (!match) {
+            const before = i;
+            skipExpression();
+            if (text[i] === ',' || i === before) i++;
+            continue;
+          }
+          key = match[0];
+          i += key.length;
+        }
+        skipSpace();
+        if (text[i] === ':') i++;
+        const path = prefix && prefix !== 'ecommerce' ? `${prefix}.${key}` : key;
+        const fullPath = fullPrefix ? `${fullPrefix}.${key}` : key;
+        const startLength = params.length;
+        const type = readValue(path, fullPath);
+        // Objects are represented by their leaf keys; an empty object stays a parameter of its own
+        if (type !== 'object' || params.length === startLength) {
+          if (path !== 'event' && !(prefix === '' && key === 'ecommerce')) params.push({ name: path, path: fullPath, type, required: true });
+        }
+        skipSpace();
+        if (text[i] === ',') i++;
+      }
+    };
+
+    readObject('', '');
+    return params;
+  }
+
+  function cellFinder(header) {
+    const columns = header.map(cell => cell.trim().toLowerCase());
+    const find = (...patterns) => {
+      for (const pattern of patterns) {
+        const index = columns.findIndex(column => pattern.test(column));
+        if (index !== -1) return index;
+      }
+      return -1;
+    };
+    return {
+      event: find(/^(event|event name|event_name|eventname)$/, /^event\b/, /^name$/),
+      params: find(/^param(eter)?s?\b/, /^(required )?(param|propert)/, /param|propert|variables/),
+      type: find(/^(type|data type|param(eter)? type|value type)$/),
+      required: find(/^(required|mandatory|is required)\??$/),
+      pages: find(/^(pages?|urls?|page url|page path|page urls|fires on|where)$/, /^(page|url)\b/),
+      provider: find(/^(provider|platform|tool|destination|vendor)$/),
+      snippet: find(/snippet|^code/),
+      description: find(/^description$/, /reasoning|description/)
+    };
+  }
+
+  // Merge planned events that share a name (plans with one row per parameter)
+  function mergeEvents(events) {
+    const byKey = new Map();
+    events.forEach((event) => {
+      if (!event.eventName) return;
+      const key = `${event.provider || ''}|${event.eventName}`;
+      const existing = byKey.get(key);
+      if (!existing) {
+        byKey.set(key, { ...event, params: [...event.params], pages: [...event.pages] });
+        return;
+      }
+      event.params.forEach((param) => {
+        const known = existing.params.find(item => item.name === param.name);
+        if (!known) existing.params.push(param);
+        else if (known.type === 'any') known.type = param.type;
+      });
+      event.pages.forEach(page => existing.pages.includes(page) || existing.pages.push(page));
+      if (!existing.description && event.description) existing.description = event.description;
+    });
+    return Array.from(byKey.values());
+  }
+
+  function planFromCsv(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) throw new Error('The CSV file is empty.');
+    const columns = cellFinder(header);
+    if (columns.event === -1) throw new Error('No "Event Name" column found in the CSV header.');
+    const cell = (row, index) => (index === -1 ? '' : String(row[index] || '').trim());
+
+    const events = rows.map((row) => {
+      const required = cell(row, columns.required);
+      const defaultRequired = !/^(no|n|false|optional|0)$/i.test(required);
+      let params = parseParamList(cell(row, columns.params), defaultRequired);
+      const type = cell(row, columns.type);
+      if (type && params.length === 1) params[0].type = normalizeType(type);
+      if (!params.length) params = extractSnippetParams(eventPush(cell(row, columns.snippet)));
+      return {
+        eventName: cell(row, columns.event),
+        provider: normalizeProvider(cell(row, columns.provider)),
+        description: cell(row, columns.description).slice(0, 300),
+        params,
+        pages: parsePageList(cell(row, columns.pages))
+      };
+    });
+    return mergeEvents(events);
+  }
+
+  function paramsFromJson(value, snippet) {
+    if (Array.isArray(value)) {
+      return value.map((param) => {
+        if (typeof param === 'string') return parseParamList(param)[0];
+        if (!param || !param.name) return null;
+        return { name: String(param.name), type: normalizeType(param.type), required: param.required !== false };
+      }).filter(Boolean);
+    }
+    if (value && typeof value === 'object') {
+      return Object.entries(value).map(([name, spec]) => (spec && typeof spec === 'object'
+        ? { name, type: normalizeType(spec.type), required: spec.required !== false }
+        : { name, type: normalizeType(spec), required: true }));
+    }
+    if (typeof value === 'string' && value.trim()) return parseParamList(value);
+    return extractSnippetParams(eventPush(snippet));
+  }
+
+  function planFromJson(data) {
+    const list = Array.isArray(data) ? data : (data.events || data.recommendations || data.trackingPlan || null);
+    if (!Array.isArray(list)) throw new Error('Expected an array of events or an object with an "events" array.');
+    return mergeEvents(list.map((event) => {
+      const pages = event.pages ?? event.page ?? event.urls ?? event.url ?? event.pageUrl ?? [];
+      return {
+        eventName: String(event.eventName || event.event_name || event.event || event.name || '').trim(),
+        provider: normalizeProvider(event.provider || event.platform),
+        description: String(event.description || event.reasoning || '').slice(0, 300),
+        params: paramsFromJson(event.params ?? event.parameters ?? event.properties, event.codeSnippet),
+        pages: Array.isArray(pages) ? pages.map(String).flatMap(parsePageList) : parsePageList(pages)
+      };
+    }));
+  }
+
+  // File contents -> stored plan { name, importedAt, events }
+  function parsePlanFile(text, fileName = '') {
+    const trimmed = String(text || '').trim();
+    const isJson = /\.json$/i.test(fileName) || trimmed.startsWith('{') || trimmed.startsWith('[');
+    const events = isJson ? planFromJson(JSON.parse(trimmed)) : planFromCsv(trimmed);
+    if (!events.length) throw new Error('No events found in the tracking plan.');
+    return {
+      name: String(fileName || 'Tracking plan').replace(/\.(csv|json)$/i, ''),
+      importedAt: Date.now(),
+      events
+    };
+  }
+
+  function globToRegExp(glob) {
+    return new RegExp(`^${glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`, 'i');
+  }
+
+  function trimSlash(value) {
+    return value.length > 1 ? value.replace(/\/+$/, '') : value;
+  }
+
+  function pageMatches(pattern, pageUrl) {
+    let url;
+    try {
+      url = new URL(pageUrl);
+    } catch (e) {
+      return false;
+    }
+    // Regexes need the "re:" prefix (as in crawl rules); "/products/" is always a path
+    if (/^re:/i.test(pattern)) {
+      try {
+        return new RegExp(pattern.slice(3).trim(), 'i').test(pageUrl);
+      } catch (e) {
+        return false;
+      }
+    }
+    const target = pattern.startsWith('/') ? url.pathname + (pattern.includes('?') ? url.search : '') : pageUrl;
+    if (pattern.includes('*')) return globToRegExp(pattern).test(target);
+    if (pattern.startsWith('/')) return trimSlash(target) === trimSlash(pattern);
+    return trimSlash(pageUrl.split('#')[0]).toLowerCase() === trimSlash(pattern.split('#')[0]).toLowerCase();
+  }
+
+  function hitNames(hit) {
+    const names = [hit.eventName];
+    // Adobe success events (purchase, event5=2, event7:serial) can each be a planned event
+    if (hit.provider === 'Adobe Analytics' && typeof hit.params.events === 'string') {
+      hit.params.events.split(',').forEach(name => names.push(name.split(/[=:]/)[0].trim()));
+    }
+    return names.filter(Boolean);
+  }
+
+  // Parameter value by plan name: exact key, dot path into nested objects, dots as underscores,
+  // GA4 items as item_N, page_location from the hit URL
+  function lookupParam(hit, name) {
+    const params = hit.params || {};
+    if (name in params) return { found: true, value: params[name] };
+    const nested = name.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), params);
+    if (nested !== undefined) return { found: true, value: nested };
+    const underscored = name.replace(/\./g, '_');
+    if (underscored in params) return { found: true, value: params[underscored] };
+    if (name === 'items') {
+      const items = Object.keys(params).filter(key => /^item_\d+$/.test(key)).map(key => params[key]);
+      if (items.length) return { found: true, value: items };
+    }
+    if (name === 'page_location' && hit.hitUrl) return { found: true, value: hit.hitUrl };
+    return { found: false, value: undefined };
+  }
+
+  // GA4 and Adobe hits are form-encoded, so every value arrives as text and numeric / boolean strings
+  // satisfy number, integer and boolean types there. Segment sends JSON and keeps strict typing.
+  const FORM_ENCODED_PROVIDERS = ['Google Analytics 4', 'Adobe Analytics'];
+
+  function matchesType(value, type, provider) {
+    if (type === 'any') return true;
+    const lenient = FORM_ENCODED_PROVIDERS.includes(provider);
+    const numericText = typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value));
+    switch (type) {
+      case 'string': return typeof value === 'string';
+      case 'number': return (typeof value === 'number' && !isNaN(value)) || (lenient && numericText);
+      case 'integer': return (typeof value === 'number' && Number.isInteger(value)) || (lenient && numericText && Number.isInteger(Number(value)));
+      case 'boolean': return typeof value === 'boolean' || (lenient && /^(true|false)$/i.test(String(value)));
+      case 'array': return Array.isArray(value);
+      case 'object': return !!value && typeof value === 'object' && !Array.isArray(value);
+      default: return true;
+    }
+  }
+
+  function describeType(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+  }
+
+  function plannedFor(plan, hit) {
+    const names = hitNames(hit);
+    return plan.events.find(event => names.includes(event.eventName) && (!event.provider || event.provider === hit.provider)) || null;
+  }
+
+  // Validate decoded hits against the plan.
+  // hits: [{ provider, eventName, pageUrl, hitUrl, params, requestId }]; pages: every page visited in the session
+  function validatePlan(plan, { hits = [], pages = [] } = {}) {
+    const pageList = Array.from(new Set([...pages, ...hits.map(hit => hit.pageUrl)].filter(Boolean)));
+    const hitsByPage = new Map(pageList.map(pageUrl => [pageUrl, []]));
+    hits.filter(hit => hit.pageUrl).forEach(hit => hitsByPage.get(hit.pageUrl).push(hit));
+
+    const addIssue = (issues, issue) => {
+      const key = [issue.type, issue.provider, issue.eventName, issue.param, issue.actual].join('|');
+      const existing = issues.find(item => item.key === key);
+      if (existing) {
+        existing.occurrences += 1;
+        if (issue.requestId && !existing.requestIds.includes(issue.requestId)) existing.requestIds.push(issue.requestId);
+        return;
+      }
+      issues.push({ ...issue, key, occurrences: 1, requestIds: issue.requestId ? [issue.requestId] : [] });
+    };
+
+    const pageReports = pageList.map((pageUrl) => {
+      const pageHits = hitsByPage.get(pageUrl) || [];
+      const issues = [];
+
+      plan.events.filter(event => event.pages.length && event.pages.some(pattern => pageMatches(pattern, pageUrl))).forEach((event) => {
+        if (!pageHits.some(hit => plannedFor(plan, hit) === event)) {
+          addIssue(issues, { type: 'missing_event', severity: 'high', eventName: event.eventName, provider: event.provider, expected: 'fires on this page' });
+        }
+      });
+
+      pageHits.forEach((hit) => {
+        const event = plannedFor(plan, hit);
+        if (!event) {
+          if (!AUTO_EVENTS.has(hit.eventName)) {
+            addIssue(issues, { type: 'unexpected_event', severity: 'low', eventName: hit.eventName, provider: hit.provider, expected: 'not in tracking plan', requestId: hit.requestId });
+          }
+          return;
+        }
+        if (event.pages.length && !event.pages.some(pattern => pageMatches(pattern, pageUrl))) {
+          addIssue(issues, { type: 'wrong_page', severity: 'medium', eventName: event.eventName, provider: hit.provider, expected: event.pages.join(', '), requestId: hit.requestId });
+        }
+        event.params.forEach((param) => {
+          const { found, value } = lookupParam(hit, param.name);
+          if (!found || value === '' || value === null || value === undefined) {
+            if (param.required) addIssue(issues, { type: 'missing_param', severity: 'high', eventName: event.eventName, provider: hit.provider, param: param.name, expected: param.type, requestId: hit.requestId });
+          } else if (!matchesType(value, param.type, hit.provider)) {
+            addIssue(issues, { type: 'type_mismatch', severity: 'medium', eventName: event.eventName, provider: hit.provider, param: param.name, expected: param.type, actual: describeType(value), requestId: hit.requestId });
+          }
+        });
+      });
+
+      issues.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+      return {
+        pageUrl,
+        status: issues.some(issue => issue.severity !== 'low') ? 'fail' : 'pass',
+        hitCount: pageHits.length,
+        eventNames: Array.from(new Set(pageHits.map(hit => hit.eventName))),
+        issues
+      };
+    });
+
+    // Events planned without pages must fire somewhere in the session
+    const sessionIssues = [];
+    plan.events.filter(event => !event.pages.length).forEach((event) => {
+      if (!hits.some(hit => plannedFor(plan, hit) === event)) {
+        addIssue(sessionIssues, { type: 'missing_event', severity: 'high', eventName: event.eventName, provider: event.provider, expected: 'fires at least once' });
+      }
+    });
+
+    const allIssues = [...sessionIssues, ...pageReports.flatMap(page => page.issues)];
+    return {
+      planName: plan.name,
+      generatedAt: Date.now(),
+      summary: {
+        plannedEvents: plan.events.length,
+        pages: pageReports.length,
+        passed: pageReports.filter(page => page.status === 'pass').length,
+        failed: pageReports.filter(page => page.status === 'fail').length,
+        hits: hits.length,
+        issues: allIssues.reduce((counts, issue) => ({ ...counts, [issue.type]: (counts[issue.type] || 0) + 1 }), {})
+      },
+      sessionIssues,
+      pages: pageReports
+    };
+  }
+
+  // Decoded analytics events (analytics-parser.js) -> hits for validatePlan, grouped by the captured page
+  function hitsFromDecodedEvents(call, events) {
+    return events.filter(event => VALIDATED_PROVIDERS.includes(event.provider) && event.event_name).map(event => ({
+      provider: event.provider,
+      eventName: event.event_name,
+      pageUrl: call.pageUrl || event.page_url || null,
+      hitUrl: event.page_url || null,
+      params: event.params || {},
+      requestId: call.requestId || null
+    }));
+  }
+
+  const ISSUE_LABELS = {
+    missing_event: 'Missing event',
+    unexpected_event: 'Unexpected event',
+    missing_param: 'Missing parameter',
+    type_mismatch: 'Wrong parameter type',
+    wrong_page: 'Fired on wrong page'
+  };
+
+  function buildReportRows(report) {
+    const rows = [['Page URL', 'Status', 'Severity', 'Issue', 'Event', 'Provider', 'Parameter', 'Expected', 'Actual', 'Occurrences', 'Request IDs']];
+    const issueRow = (pageUrl, status, issue) => [pageUrl, status, issue.severity, ISSUE_LABELS[issue.type] || issue.type, issue.eventName || '',
+      issue.provider || '', issue.param || '', issue.expected || '', issue.actual || '', issue.occurrences, issue.requestIds.join(' ')];
+    report.sessionIssues.forEach(issue => rows.push(issueRow('(whole session)', 'fail', issue)));
+    report.pages.forEach((page) => {
+      if (!page.issues.length) {
+        rows.push([page.pageUrl, page.status, '', 'ok', page.eventNames.join(', '), '', '', '', '', page.hitCount, '']);
+        return;
+      }
+      page.issues.forEach(issue => rows.push(issueRow(page.pageUrl, page.status, issue)));
+    });
+    return rows;
+  }
+
+  // Make available globally for service worker and side panel
+  self.CASTTrackingPlan = {
+    VALIDATED_PROVIDERS,
+    ISSUE_LABELS,
+    parseCsv,
+    parsePlanFile,
+    eventPush,
+    extractSnippetParams,
+    pageMatches,
+    validatePlan,
+    hitsFromDecodedEvents,
+    buildReportRows
+  };
+})();
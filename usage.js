@@ -0,0 +1,101 @@
+// Token and cost accounting for CAST's AI calls
+// A price table (USD per 1M input / output tokens) that Configuration can override, cost
+// calculation for recorded usage, running totals per task, and the pre-flight run estimate.
+(function () {
+  // List prices at the time of writing; edit them under Configuration > AI Prices
+  const DEFAULT_PRICES = {
+    'gemini-3-pro-preview': { input: 2, output: 12 },
+    'gemini-3-flash-preview': { input: 0.5, output: 3 },
+    'gemini-2.5-pro': { input: 1.25, output: 10 },
+    'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+    'claude-opus-4-1': { input: 15, output: 75 },
+    'claude-sonnet-4-5': { input: 3, output: 15 },
+    'claude-haiku-4-5': { input: 1, output: 5 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'text-embedding-004': { input: 0, output: 0 }, // Gemini API's default embeddings model is free of charge
+    'gemini-embedding-001': { input: 0.15, output: 0 },
+    'text-embedding-3-small': { input: 0.02, output: 0 },
+    'text-embedding-3-large': { input: 0.13, output: 0 },
+    'text-embedding-ada-002': { input: 0.1, output: 0 }
+  };
+
+  // Rough output size of one analysis batch, used before the run when nothing has been measured
+  const ESTIMATED_OUTPUT_TOKENS_PER_BATCH = 4000;
+
+  function resolvePriceTable(overrides) {
+    return { ...DEFAULT_PRICES, ...(overrides && typeof overrides === 'object' ? overrides : {}) };
+  }
+
+  // Exact model match first, then the longest known prefix ("gemini-2.5-flash-001" -> "gemini-2.5-flash")
+  function priceForModel(table, model) {
+    const name = String(model || '').toLowerCase();
+    if (!name) return null;
+    if (table[name]) return table[name];
+    const prefix = Object.keys(table)
+      .filter(key => name.startsWith(key))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? table[prefix] : null;
+  }
+
+  // USD for one usage record, or null when the model has no price (local models, unknown names)
+  function costOf(table, model, usage) {
+    const price = priceForModel(table, model);
+    if (!price) return null;
+    const input = (usage?.inputTokens || 0) * (Number(price.input) || 0);
+    const output = (usage?.outputTokens || 0) * (Number(price.output) || 0);
+    return (input + output) / 1000000;
+  }
+
+  // Running totals over aiUsage records, overall and per task
+  function summarizeUsage(records = [], table = DEFAULT_PRICES) {
+    const empty = () => ({ calls: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0, unpricedCalls: 0 });
+    const totals = empty();
+    const byTask = {};
+    records.forEach((record) => {
+      const task = record.task || 'other';
+      byTask[task] = byTask[task] || empty();
+      const cost = costOf(table, record.model, record);
+      [totals, byTask[task]].forEach((bucket) => {
+        bucket.calls++;
+        bucket.inputTokens += record.inputTokens || 0;
+        bucket.outputTokens += record.outputTokens || 0;
+        bucket.totalTokens += record.totalTokens || 0;
+        if (cost == null) bucket.unpricedCalls++;
+        else bucket.cost += cost;
+      });
+    });
+    return { ...totals, byTask };
+  }
+
+  // Pre-flight estimate for a batch run; inputTokens come from the payloads that would be sent
+  function estimateRun(table, model, { batches, inputTokens }) {
+    const outputTokens = batches * ESTIMATED_OUTPUT_TOKENS_PER_BATCH;
+    return {
+      batches,
+      inputTokens,
+      outputTokens,
+      totalTokens: inputTokens + outputTokens,
+      cost: costOf(table, model, { inputTokens, outputTokens })
+    };
+  }
+
+  function formatCost(cost) {
+    if (cost == null) return 'n/a';
+    return cost > 0 && cost < 0.01 ? '<$0.01' : `$${cost.toFixed(2)}`;
+  }
+
+  // Make available globally for service worker and side panel
+  self.CASTUsage = {
+    DEFAULT_PRICES,
+    ESTIMATED_OUTPUT_TOKENS_PER_BATCH,
+    resolvePriceTable,
+    priceForModel,
+    costOf,
+    summarizeUsage,
+    estimateRun,
+    formatCost
+  };
+})();
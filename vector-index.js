@@ -0,0 +1,242 @@
+// Approximate nearest-neighbour index for CAST's retrieval store
+// An HNSW graph (hierarchical navigable small world) over unit vectors with cosine distance, so a
+// query visits a few hundred nodes instead of every stored embedding. Serializes to a plain object
+// that IndexedDB can store as-is, and tracks the nodes changed since the last save so rag.js can
+// write just those.
+(function () {
+  const DEFAULTS = { M: 16, efConstruction: 100, efSearch: 64 };
+
+  // Binary heap ordered by compare(a, b) < 0 meaning a comes out first
+  class Heap {
+    constructor(compare) {
+      this.items = [];
+      this.compare = compare;
+    }
+
+    get size() {
+      return this.items.length;
+    }
+
+    peek() {
+      return this.items[0];
+    }
+
+    push(item) {
+      const items = this.items;
+      items.push(item);
+      let i = items.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (this.compare(items[parent], items[i]) <= 0) break;
+        [items[parent], items[i]] = [items[i], items[parent]];
+        i = parent;
+      }
+    }
+
+    pop() {
+      const items = this.items;
+      const top = items[0];
+      const last = items.pop();
+      if (items.length) {
+        items[0] = last;
+        let i = 0;
+        while (true) {
+          const left = 2 * i + 1;
+          const right = left + 1;
+          let next = i;
+          if (left < items.length && this.compare(items[left], items[next]) < 0) next = left;
+          if (right < items.length && this.compare(items[right], items[next]) < 0) next = right;
+          if (next === i) break;
+          [items[i], items[next]] = [items[next], items[i]];
+          i = next;
+        }
+      }
+      return top;
+    }
+  }
+
+  function normalize(vector) {
+    const out = Float32Array.from(vector, value => Number(value) || 0);
+    let norm = 0;
+    for (let i = 0; i < out.length; i++) norm += out[i] * out[i];
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+      for (let i = 0; i < out.length; i++) out[i] /= norm;
+    }
+    return out;
+  }
+
+  function distance(a, b) {
+    let dot = 0;
+    for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+    return 1 - dot;
+  }
+
+  // options: { M, efConstruction, efSearch }; the dimension is taken from the first vector added.
+  // saved: the output of serialize() to restore.
+  function createIndex(options = {}, saved = null) {
+    const M = options.M || DEFAULTS.M;
+    const efConstruction = options.efConstruction || DEFAULTS.efConstruction;
+    const efSearch = options.efSearch || DEFAULTS.efSearch;
+    const levelFactor = 1 / Math.log(M);
+    const nodes = new Map(); // id -> { vector, level, neighbors: [ids per level] }
+    const changed = new Set(); // ids added or relinked since markSaved()
+    let dimensions = options.dimensions || null;
+    let entryPoint = null;
+    let maxLevel = -1;
+
+    if (saved) {
+      dimensions = saved.dimensions;
+      entryPoint = saved.entryPoint;
+      maxLevel = saved.maxLevel;
+      saved.nodes.forEach(([id, level, vector, neighbors]) => {
+        nodes.set(id, { vector: Float32Array.from(vector), level, neighbors });
+      });
+    }
+
+    const maxNeighbors = level => (level === 0 ? M * 2 : M);
+
+    // Best-first search of one layer; returns up to ef { id, dist } sorted nearest first
+    function searchLayer(query, entryIds, ef, level) {
+      const visited = new Set(entryIds);
+      const candidates = new Heap((a, b) => a.dist - b.dist);
+      const results = new Heap((a, b) => b.dist - a.dist);
+      entryIds.forEach((id) => {
+        const item = { id, dist: distance(query, nodes.get(id).vector) };
+        candidates.push(item);
+        results.push(item);
+      });
+      while (candidates.size) {
+        const current = candidates.pop();
+        if (results.size >= ef && current.dist > results.peek().dist) break;
+        const neighbors = nodes.get(current.id).neighbors[level] || [];
+        for (const neighborId of neighbors) {
+          if (visited.has(neighborId)) continue;
+          visited.add(neighborId);
+          const dist = distance(query, nodes.get(neighborId).vector);
+          if (results.size < ef || dist < results.peek().dist) {
+            candidates.push({ id: neighborId, dist });
+            results.push({ id: neighborId, dist });
+            if (results.size > ef) results.pop();
+          }
+        }
+      }
+      return results.items.sort((a, b) => a.dist - b.dist);
+    }
+
+    // Keep a node's closest links when a new link pushes it over the limit
+    function pruneNeighbors(id, level) {
+      const node = nodes.get(id);
+      const limit = maxNeighbors(level);
+      if (node.neighbors[level].length <= limit) return;
+      node.neighbors[level] = node.neighbors[level]
+        .map(neighborId => ({ id: neighborId, dist: distance(node.vector, nodes.get(neighborId).vector) }))
+        .sort((a, b) => a.dist - b.dist)
+        .slice(0, limit)
+        .map(item => item.id);
+    }
+
+    // Returns false when the vector can't be indexed (duplicate id or a different dimension)
+    function add(id, vector) {
+      if (nodes.has(id) || !vector || !vector.length) return false;
+      if (dimensions && vector.length !== dimensions) return false;
+      dimensions = dimensions || vector.length;
+
+      const level = Math.floor(-Math.log(Math.random() || Number.MIN_VALUE) * levelFactor);
+      const node = { vector: normalize(vector), level, neighbors: Array.from({ length: level + 1 }, () => []) };
+      nodes.set(id, node);
+      changed.add(id);
+      if (entryPoint === null) {
+        entryPoint = id;
+        maxLevel = level;
+        return true;
+      }
+
+      let entryIds = [entryPoint];
+      for (let l = maxLevel; l > level; l--) {
+        entryIds = [searchLayer(node.vector, entryIds, 1, l)[0].id];
+      }
+      for (let l = Math.min(level, maxLevel); l >= 0; l--) {
+        const found = searchLayer(node.vector, entryIds, efConstruction, l);
+        node.neighbors[l] = found.slice(0, maxNeighbors(l)).map(item => item.id);
+        node.neighbors[l].forEach((neighborId) => {
+          nodes.get(neighborId).neighbors[l].push(id);
+          pruneNeighbors(neighborId, l);
+          changed.add(neighborId);
+        });
+        entryIds = found.map(item => item.id);
+      }
+      if (level > maxLevel) {
+        entryPoint = id;
+        maxLevel = level;
+      }
+      return true;
+    }
+
+    // Top-k nearest ids as [{ id, similarity }] (cosine similarity, highest first)
+    function search(vector, k = 10, ef = efSearch) {
+      if (entryPoint === null || !vector || vector.length !== dimensions) return [];
+      const query = normalize(vector);
+      let entryIds = [entryPoint];
+      for (let l = maxLevel; l > 0; l--) {
+        entryIds = [searchLayer(query, entryIds, 1, l)[0].id];
+      }
+      return searchLayer(query, entryIds, Math.max(ef, k), 0)
+        .slice(0, k)
+        .map(item => ({ id: item.id, similarity: 1 - item.dist }));
+    }
+
+    function header() {
+      return { version: 1, M, efConstruction, efSearch, dimensions, entryPoint, maxLevel };
+    }
+
+    function serializeNode(id) {
+      const node = nodes.get(id);
+      return [id, node.level, node.vector, node.neighbors];
+    }
+
+    function serialize() {
+      return { ...header(), nodes: Array.from(nodes.keys(), serializeNode) };
+    }
+
+    // What changed since the last markSaved(): the header and the changed nodes, in serialize()'s shape
+    function pendingChanges() {
+      return { ...header(), nodes: Array.from(changed, serializeNode) };
+    }
+
+    // ids: the nodes of a pendingChanges() result that were written
+    function markSaved(ids) {
+      ids.forEach(id => changed.delete(id));
+    }
+
+    return {
+      add,
+      search,
+      has: id => nodes.has(id),
+      serialize,
+      pendingChanges,
+      markSaved,
+      get changed() {
+        return changed.size > 0;
+      },
+      get size() {
+        return nodes.size;
+      },
+      get dimensions() {
+        return dimensions;
+      }
+    };
+  }
+
+  function deserialize(data) {
+    if (!data || data.version !== 1) return null;
+    return createIndex({ M: data.M, efConstruction: data.efConstruction, efSearch: data.efSearch }, data);
+  }
+
+  // Make available globally for service worker
+  self.CASTVectorIndex = {
+    DEFAULTS,
+    createIndex,
+    deserialize
+  };
+})();